@@ -0,0 +1,27 @@
+/**
+ * Default Accounting Settings
+ * Used until an admin saves accounting.json through PUT /api/accounting/settings
+ *
+ * Each ledger account the exports post to has a code (Xero matches accounts
+ * by code) and a name (QuickBooks matches accounts by name); both must match
+ * the chart of accounts the file is imported into. Card payments land in a
+ * clearing account that payouts are reconciled against; wire, ACH and check
+ * payments of invoices land in the bank account.
+ */
+
+module.exports = {
+  accounts: {
+    sales: { code: '4000', name: 'Sales' },
+    discounts: { code: '4050', name: 'Sales Discounts' },
+    shipping: { code: '4100', name: 'Shipping Income' },
+    refunds: { code: '4900', name: 'Sales Refunds' },
+    sales_tax: { code: '2200', name: 'Sales Tax Payable' },
+    customer_deposits: { code: '2300', name: 'Customer Deposits' },
+    card_clearing: { code: '1150', name: 'Card Payments Clearing' },
+    bank: { code: '1000', name: 'Checking' },
+    receivable: { code: '1100', name: 'Accounts Receivable' }
+  },
+
+  // Xero tax rate for journal lines; sales tax is posted to its own account instead
+  xero_tax_rate: 'Tax Exempt'
+};
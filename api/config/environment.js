@@ -17,16 +17,127 @@ const serverConfig = {
 };
 
 // File System Configuration
+// DATA_DIR and BACKUP_DIR point the API at other directories (e.g. a scratch copy for tests)
 const fileSystemConfig = {
-  dataDir: isProduction 
-    ? '/var/www/html/data'                    // Production (Cloudways)
-    : path.join(__dirname, '../public/data'), // Development (localhost)
+  dataDir: process.env.DATA_DIR || (isProduction 
+    ? '/var/www/html/data'                     // Production (Cloudways)
+    : path.join(__dirname, '../public/data')), // Development (localhost)
   
-  backupDir: path.join(__dirname, 'backups'),
+  backupDir: process.env.BACKUP_DIR || path.join(__dirname, '../utils/backups'),
   uploadDir: path.join(__dirname, 'uploads'),
   logDir: path.join(__dirname, 'logs')
 };
 
+// Storage Configuration
+// driver: 'json' rewrites whole files in dataDir (default)
+//         'sqlite' keeps one row per record in an embedded database
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'json',
+  sqlite: {
+    filename: process.env.SQLITE_FILE || path.join(fileSystemConfig.dataDir, 'kv-garage.sqlite')
+  }
+};
+
+// Backup Configuration
+// Every write of a business data file snapshots its previous contents;
+// snapshots beyond maxSnapshots per file or older than maxAgeDays are pruned.
+// Logs and checkout bookkeeping (activity, quotes, reservations, webhook
+// events, idempotency keys) change on every request and aren't snapshotted,
+// so they can't push the history of orders.json out of retention.
+const backupConfig = {
+  files: [
+    'orders.json',
+    'packs.json',
+    'products.json',
+    'manifests.json',
+    'buyers.json',
+    'custom-requests.json',
+    'discount-codes.json',
+    'shipping.json',
+    'tax.json',
+    'accounting.json',
+    'accounting-exports.json'
+  ],
+  maxSnapshots: parseInt(process.env.BACKUP_MAX_SNAPSHOTS) || 50,
+  maxAgeDays: parseInt(process.env.BACKUP_MAX_AGE_DAYS) || 30
+};
+
+// Migration Configuration
+// Pending data file migrations run before the server starts listening
+const migrationConfig = {
+  runOnStartup: process.env.MIGRATE_ON_STARTUP !== 'false'
+};
+
+// Reservation Configuration
+// Checkout holds stock for holdMinutes after a PaymentIntent is created;
+// unpaid holds are released by a sweep every sweepIntervalSeconds
+const reservationConfig = {
+  holdMinutes: parseInt(process.env.RESERVATION_HOLD_MINUTES) || 30,
+  sweepIntervalSeconds: parseInt(process.env.RESERVATION_SWEEP_SECONDS) || 60
+};
+
+// Idempotency Configuration
+// Responses to POST requests with an Idempotency-Key are replayed for ttlHours
+const idempotencyConfig = {
+  ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24
+};
+
+// Deposit Configuration
+// Deposit orders owe the rest of the pack price within balanceDueDays
+const depositConfig = {
+  balanceDueDays: parseInt(process.env.DEPOSIT_BALANCE_DUE_DAYS) || 14
+};
+
+// Webhook Configuration
+// Received webhook events are kept for retentionDays so they can be inspected and replayed;
+// only the latest maxRejectedEvents requests that failed signature checks are kept
+const webhookConfig = {
+  retentionDays: parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS) || 90,
+  maxRejectedEvents: parseInt(process.env.WEBHOOK_MAX_REJECTED_EVENTS) || 500
+};
+
+// Notification Configuration
+// Buyer notifications (shipped, cancelled, ...) are POSTed as JSON to webhookUrl,
+// e.g. a mail service or automation hook; without one they are only logged
+const notificationConfig = {
+  webhookUrl: process.env.NOTIFICATIONS_WEBHOOK_URL || null,
+  from: process.env.NOTIFICATIONS_FROM || 'orders@kvgarage.com'
+};
+
+// Document Configuration
+// Invoice numbers run sequentially from invoiceStartNumber with invoicePrefix;
+// company details and the logo (if the file exists) brand generated PDFs
+const documentConfig = {
+  invoicePrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV-',
+  invoiceStartNumber: parseInt(process.env.INVOICE_NUMBER_START) || 1001,
+  logoPath: process.env.DOCUMENT_LOGO_PATH || path.join(__dirname, '../../src/assets/images/logo_dark.png'),
+  company: {
+    name: process.env.COMPANY_NAME || 'KV Garage',
+    address: process.env.COMPANY_ADDRESS || '',
+    email: process.env.COMPANY_EMAIL || 'kvgarage@kvgarage.com',
+    phone: process.env.COMPANY_PHONE || '(616) 228-2244',
+    website: process.env.COMPANY_WEBSITE || 'www.kvgarage.com'
+  }
+};
+
+// Payment Configuration
+// provider: 'stripe' charges real cards through the Stripe API (default)
+//           'fake' simulates payments offline for tests and demos
+const paymentConfig = {
+  provider: process.env.PAYMENT_PROVIDER || 'stripe',
+  currency: 'usd',
+  stripe: {
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_...' // You'll need to set this up
+  },
+  fake: {
+    webhookSecret: process.env.FAKE_PAYMENTS_WEBHOOK_SECRET || 'whsec_fake_local',
+    webhookUrl: process.env.FAKE_PAYMENTS_WEBHOOK_URL || `http://localhost:${serverConfig.port}/api/payments/webhook`,
+    sendWebhooks: process.env.FAKE_PAYMENTS_WEBHOOKS !== 'false'
+  }
+};
+
 // API Configuration
 const apiConfig = {
   baseUrl: isLocalhost 
@@ -69,6 +180,8 @@ console.log('🌍 Environment Configuration:');
 console.log(`   Environment: ${isProduction ? 'production' : 'localhost'}`);
 console.log(`   Server: ${serverConfig.host}:${serverConfig.port}`);
 console.log(`   Data Directory: ${fileSystemConfig.dataDir}`);
+console.log(`   Storage Driver: ${storageConfig.driver}`);
+console.log(`   Payment Provider: ${paymentConfig.provider}`);
 console.log(`   API Base URL: ${apiConfig.baseUrl}`);
 console.log(`   JWT Secret: ${securityConfig.jwtSecret.substring(0, 10)}...`);
 
@@ -77,6 +190,16 @@ module.exports = {
   isLocalhost,
   server: serverConfig,
   files: fileSystemConfig,
+  storage: storageConfig,
+  backups: backupConfig,
+  migrations: migrationConfig,
+  reservations: reservationConfig,
+  idempotency: idempotencyConfig,
+  payments: paymentConfig,
+  deposits: depositConfig,
+  webhooks: webhookConfig,
+  notifications: notificationConfig,
+  documents: documentConfig,
   api: apiConfig,
   security: securityConfig,
   logging: loggingConfig
@@ -0,0 +1,65 @@
+/**
+ * Default Shipping Settings
+ * Used until an admin saves shipping.json through PUT /api/shipping
+ *
+ * Weights are in pounds and dimensions in inches. A package is billed at
+ * the larger of its weight and its dimensional weight
+ * (length x width x height / dim_divisor). Zones are matched in order, so
+ * narrower zones come before the country-wide ones.
+ */
+
+module.exports = {
+  dim_divisor: 139,
+
+  zones: [
+    { id: 'local', name: 'Michigan', country: 'US', states: ['MI'] },
+    { id: 'midwest', name: 'Midwest', country: 'US', states: ['OH', 'IN', 'IL', 'WI', 'MN', 'IA', 'MO', 'KY', 'PA', 'NY'] },
+    { id: 'remote', name: 'Alaska, Hawaii and territories', country: 'US', states: ['AK', 'HI', 'PR', 'GU', 'VI', 'AS', 'MP'] },
+    { id: 'national', name: 'Rest of the US', country: 'US' },
+    { id: 'canada', name: 'Canada', country: 'CA' }
+  ],
+
+  // One package per pack, sized by pack type; products and other types use default
+  packages: {
+    default: { weight: 5, length: 12, width: 10, height: 8 },
+    starter: { weight: 60, length: 24, width: 20, height: 20 },
+    growth: { weight: 250, length: 48, width: 40, height: 36 },
+    pro: { weight: 450, length: 48, width: 40, height: 60 },
+    macbook: { weight: 35, length: 22, width: 18, height: 14 }
+  },
+
+  methods: [
+    {
+      id: 'freight',
+      name: 'Ground / LTL freight',
+      type: 'table',
+      status: 'active',
+      // Billable weight brackets per zone; weight past the last bracket costs per_lb_over
+      rates: {
+        local: { brackets: [{ max_weight: 70, amount: 25 }, { max_weight: 150, amount: 55 }, { max_weight: 500, amount: 120 }], per_lb_over: 0.2 },
+        midwest: { brackets: [{ max_weight: 70, amount: 40 }, { max_weight: 150, amount: 85 }, { max_weight: 500, amount: 190 }], per_lb_over: 0.3 },
+        national: { brackets: [{ max_weight: 70, amount: 60 }, { max_weight: 150, amount: 130 }, { max_weight: 500, amount: 285 }], per_lb_over: 0.45 },
+        remote: { brackets: [{ max_weight: 70, amount: 150 }, { max_weight: 150, amount: 320 }], per_lb_over: 1.6 },
+        canada: { brackets: [{ max_weight: 70, amount: 95 }, { max_weight: 150, amount: 210 }, { max_weight: 500, amount: 420 }], per_lb_over: 0.75 }
+      },
+      free_over: 5000
+    },
+    {
+      id: 'flat_rate',
+      name: 'Flat rate parcel',
+      type: 'flat',
+      status: 'active',
+      amount: 35,
+      per: 'package',
+      zones: ['local', 'midwest', 'national'],
+      pack_types: ['macbook']
+    },
+    {
+      id: 'pickup',
+      name: 'Local pickup',
+      type: 'pickup',
+      status: 'active',
+      location: 'KV Garage warehouse, Grand Rapids, MI - we email you when your order is ready'
+    }
+  ]
+};
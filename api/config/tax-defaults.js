@@ -0,0 +1,40 @@
+/**
+ * Default Sales Tax Settings
+ * Used until an admin saves tax.json through PUT /api/tax
+ *
+ * Tax is only collected in the jurisdictions listed here (the states we are
+ * registered in). Rates are percentages; a local rate is added to the state
+ * rate for ship-to ZIP codes starting with its postal_prefix (the longest
+ * matching prefix wins). Pickup orders are taxed at the origin address.
+ */
+
+module.exports = {
+  origin: { country: 'US', state: 'MI', postal_code: '49503' },
+
+  jurisdictions: [
+    { id: 'mi', name: 'Michigan', country: 'US', state: 'MI', rate: 6, tax_shipping: true },
+    {
+      id: 'oh',
+      name: 'Ohio',
+      country: 'US',
+      state: 'OH',
+      rate: 5.75,
+      tax_shipping: true,
+      local_rates: [
+        { postal_prefix: '432', name: 'Franklin County', rate: 1.75 },
+        { postal_prefix: '441', name: 'Cuyahoga County', rate: 2.25 }
+      ]
+    },
+    {
+      id: 'il',
+      name: 'Illinois',
+      country: 'US',
+      state: 'IL',
+      rate: 6.25,
+      tax_shipping: false,
+      local_rates: [
+        { postal_prefix: '606', name: 'Chicago', rate: 4 }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,239 @@
+/**
+ * Idempotency Middleware
+ * Makes POST requests with an Idempotency-Key header safe to retry
+ *
+ * The first request with a key runs normally and its response is stored.
+ * Retries with the same key and body get the stored response back (with
+ * an Idempotent-Replayed header) instead of running the route again.
+ * Server errors (5xx) are not stored, so those requests can be retried.
+ *
+ * Responses are kept in a plain data file, so routes that hand out
+ * credentials (admin login, account code resets) don't take keys at all,
+ * and secrets in other responses are stored as null. A PaymentIntent's
+ * client_secret is read back from the payment provider when replayed, since
+ * the checkout can't be paid without it; other secrets are replayed as null.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const config = require('../config/environment');
+const fileManager = require('../utils/file-manager');
+const { getPaymentProvider } = require('../utils/payments');
+
+const KEYS_FILE = 'idempotency-keys.json';
+
+// Login, token refresh and account code resets exist to return a credential
+const EXCLUDED_PATHS = [
+  /^\/api\/admin\//,
+  /^\/api\/buyers\/[^/]+\/account-code$/
+];
+
+// Response fields holding secrets (JWTs, buyer account codes, PaymentIntent client secrets)
+const SECRET_FIELDS = ['token', 'refreshToken', 'account_code', 'client_secret'];
+
+/**
+ * Copy a response body with its secret fields set to null
+ * @param {*} body - JSON response body
+ * @param {Array} redacted - Collects the paths of the fields removed
+ * @param {string} path - Path of body within the response
+ * @returns {*} Body safe to store
+ */
+const redactSecrets = (body, redacted = [], path = '') => {
+  if (Array.isArray(body)) {
+    return body.map((item, index) => redactSecrets(item, redacted, `${path}[${index}]`));
+  }
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+
+  return Object.fromEntries(Object.entries(body).map(([field, value]) => {
+    const fieldPath = path ? `${path}.${field}` : field;
+    if (SECRET_FIELDS.includes(field) && value !== null && value !== undefined) {
+      redacted.push(fieldPath);
+      return [field, null];
+    }
+    return [field, redactSecrets(value, redacted, fieldPath)];
+  }));
+};
+
+/**
+ * Put back the PaymentIntent client_secret of a stored response
+ * @param {Object} record - Stored key record
+ * @returns {Object} { body, redacted } - response body and the fields still null
+ */
+const restoreClientSecret = async (record) => {
+  const body = record.response_body;
+  const redacted = record.redacted_fields || [];
+
+  if (!redacted.includes('client_secret') || !body || !body.payment_intent_id) {
+    return { body, redacted };
+  }
+
+  const paymentIntent = await getPaymentProvider().retrievePaymentIntent(body.payment_intent_id);
+  return {
+    body: { ...body, client_secret: paymentIntent.client_secret },
+    redacted: redacted.filter(field => field !== 'client_secret')
+  };
+};
+
+/**
+ * Hash the parts of a request that must match on retry
+ * The Authorization header is included so a key can't replay another user's response.
+ * @param {Object} req - Express request
+ * @returns {string} Request fingerprint
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: req.originalUrl,
+      body: req.body || null,
+      authorization: req.get('Authorization') || null
+    }))
+    .digest('hex');
+};
+
+/**
+ * Store the outcome of a request
+ * @param {string} key - Idempotency key
+ * @param {number} status - Response status
+ * @param {*} body - JSON response body
+ */
+const saveResponse = async (key, status, body) => {
+  await fileManager.update(KEYS_FILE, (keysData) => {
+    const index = (keysData.keys || []).findIndex(record => record.key === key);
+    if (index === -1) {
+      return;
+    }
+
+    // Let the client retry after server errors
+    if (status >= 500) {
+      keysData.keys.splice(index, 1);
+      return;
+    }
+
+    const redacted = [];
+    Object.assign(keysData.keys[index], {
+      state: 'completed',
+      response_status: status,
+      response_body: body === undefined ? null : redactSecrets(body, redacted),
+      redacted_fields: redacted,
+      completed_at: new Date().toISOString()
+    });
+  });
+};
+
+/**
+ * Idempotency-Key handling for POST requests
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (req.method !== 'POST' || !key) {
+    return next();
+  }
+
+  if (EXCLUDED_PATHS.some(pattern => pattern.test(req.originalUrl.split('?')[0]))) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const fingerprint = fingerprintRequest(req);
+  let existing;
+
+  try {
+    existing = await fileManager.update(KEYS_FILE, (keysData) => {
+      const now = new Date();
+
+      // Forget expired keys
+      keysData.keys = (keysData.keys || []).filter(record => new Date(record.expires_at) > now);
+
+      const record = keysData.keys.find(r => r.key === key);
+      if (record) {
+        return record;
+      }
+
+      keysData.keys.push({
+        key,
+        fingerprint,
+        method: req.method,
+        path: req.originalUrl,
+        state: 'processing',
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + config.idempotency.ttlHours * 60 * 60 * 1000).toISOString()
+      });
+      return null;
+    });
+  } catch (error) {
+    winston.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process Idempotency-Key'
+    });
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (existing.state === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_IN_PROGRESS'
+      });
+    }
+
+    let replay;
+    try {
+      replay = await restoreClientSecret(existing);
+    } catch (error) {
+      winston.error(`Failed to read back client_secret for Idempotency-Key ${key}:`, error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to replay response'
+      });
+    }
+
+    winston.info(`Replaying response for Idempotency-Key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    if (replay.redacted.length > 0) {
+      res.set('Idempotent-Redacted', replay.redacted.join(', '));
+    }
+    return res.status(existing.response_status).json(replay.body);
+  }
+
+  // Capture the JSON response so retries can replay it
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  // A request the client abandoned before it finished is treated like a server error
+  res.on('close', () => {
+    const status = res.writableFinished ? res.statusCode : 500;
+    saveResponse(key, status, responseBody).catch(error => {
+      winston.error(`Failed to store response for Idempotency-Key ${key}:`, error);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
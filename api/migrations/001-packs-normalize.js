@@ -0,0 +1,31 @@
+/**
+ * Migration: packs.json v1
+ * String ids and one canonical name per field:
+ * units -> number_of_units, image -> image_url,
+ * resale_estimate -> estimated_resale_value
+ */
+
+const { renameField, toId, coerceNumbers } = require('./helpers');
+
+module.exports = {
+  filename: 'packs.json',
+  version: 1,
+  description: 'Normalize pack ids to strings and merge legacy field aliases',
+
+  up(data) {
+    data.packs = (data.packs || []).map(pack => {
+      const normalized = { ...pack, id: toId(pack.id) };
+
+      renameField(normalized, 'units', 'number_of_units');
+      renameField(normalized, 'image', 'image_url');
+      renameField(normalized, 'resale_estimate', 'estimated_resale_value');
+
+      coerceNumbers(normalized, ['price', 'deposit_price']);
+      coerceNumbers(normalized, ['number_of_units', 'available_quantity', 'reserved_quantity'], parseInt);
+
+      return normalized;
+    });
+
+    return data;
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Migration: orders.json v1
+ * String pack ids on single-pack and cart orders, numeric amounts
+ */
+
+const { toId, coerceNumbers } = require('./helpers');
+
+module.exports = {
+  filename: 'orders.json',
+  version: 1,
+  description: 'Normalize order pack ids to strings and amounts to numbers',
+
+  up(data) {
+    data.orders = (data.orders || []).map(order => {
+      const normalized = { ...order, id: toId(order.id) };
+
+      if ('pack_id' in normalized) {
+        normalized.pack_id = toId(normalized.pack_id);
+      }
+
+      if (Array.isArray(normalized.items)) {
+        normalized.items = normalized.items.map(item => {
+          const normalizedItem = { ...item };
+          if ('id' in normalizedItem) {
+            normalizedItem.id = toId(normalizedItem.id);
+          }
+          if ('pack_id' in normalizedItem) {
+            normalizedItem.pack_id = toId(normalizedItem.pack_id);
+          }
+          coerceNumbers(normalizedItem, ['price']);
+          coerceNumbers(normalizedItem, ['quantity'], parseInt);
+          return normalizedItem;
+        });
+      }
+
+      coerceNumbers(normalized, ['amount', 'total_amount']);
+
+      return normalized;
+    });
+
+    return data;
+  }
+};
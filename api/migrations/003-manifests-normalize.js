@@ -0,0 +1,33 @@
+/**
+ * Migration: manifests.json v1
+ * Numeric quantities and estimated values on manifest items
+ */
+
+const { coerceNumbers } = require('./helpers');
+
+module.exports = {
+  filename: 'manifests.json',
+  version: 1,
+  description: 'Normalize manifest item quantities and values to numbers',
+
+  up(data) {
+    const manifests = data.manifests || {};
+
+    Object.keys(manifests).forEach(key => {
+      // <pack_id>_metadata entries are not item lists
+      if (!Array.isArray(manifests[key])) {
+        return;
+      }
+
+      manifests[key] = manifests[key].map(item => {
+        const normalized = { ...item };
+        coerceNumbers(normalized, ['quantity'], parseInt);
+        coerceNumbers(normalized, ['estimated_value']);
+        return normalized;
+      });
+    });
+
+    data.manifests = manifests;
+    return data;
+  }
+};
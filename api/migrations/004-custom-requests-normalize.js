@@ -0,0 +1,27 @@
+/**
+ * Migration: custom-requests.json v1
+ * String ids and numeric budgets
+ */
+
+const { isBlank, toId, coerceNumbers } = require('./helpers');
+
+module.exports = {
+  filename: 'custom-requests.json',
+  version: 1,
+  description: 'Normalize custom request ids to strings and budgets to numbers',
+
+  up(data) {
+    data.requests = (data.requests || []).map(request => {
+      const normalized = { ...request, id: toId(request.id) };
+
+      coerceNumbers(normalized, ['estimated_budget']);
+      if (isBlank(normalized.estimated_budget)) {
+        normalized.estimated_budget = null;
+      }
+
+      return normalized;
+    });
+
+    return data;
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration: activity.json v1
+ * Baseline version; drops the old free-form "version" marker
+ */
+
+module.exports = {
+  filename: 'activity.json',
+  version: 1,
+  description: 'Adopt schema_version for the activity log',
+
+  up(data) {
+    data.activities = data.activities || [];
+    delete data.version;
+    return data;
+  }
+};
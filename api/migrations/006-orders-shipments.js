@@ -0,0 +1,55 @@
+/**
+ * Migration: orders.json v2
+ * Move the single tracking_number/carrier of shipped orders into shipments
+ */
+
+const { isBlank } = require('./helpers');
+
+// Tracking pages as of this migration; kept here so later carrier changes don't alter it
+const TRACKING_URLS = {
+  ups: 'https://www.ups.com/track?tracknum=',
+  usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+  fedex: 'https://www.fedex.com/fedextrack/?trknbr=',
+  dhl: 'https://www.dhl.com/us-en/home/tracking/tracking-express.html?tracking-id='
+};
+
+module.exports = {
+  filename: 'orders.json',
+  version: 2,
+  description: 'Move order tracking numbers into a shipments list',
+
+  up(data) {
+    data.orders = (data.orders || []).map(order => {
+      if (!('tracking_number' in order) && !('carrier' in order)) {
+        return order;
+      }
+
+      const { tracking_number, carrier, ...migrated } = order;
+
+      if (!isBlank(tracking_number)) {
+        const carrierKey = String(carrier || '').trim().toLowerCase();
+        const knownCarrier = TRACKING_URLS[carrierKey] ? carrierKey : 'other';
+        const shippedAt = order.shipped_at || order.updated_at || order.created_at;
+
+        migrated.shipments = [...(order.shipments || []), {
+          id: `SHP-${order.id}-1`,
+          carrier: knownCarrier,
+          tracking_number: String(tracking_number),
+          tracking_url: TRACKING_URLS[knownCarrier]
+            ? TRACKING_URLS[knownCarrier] + encodeURIComponent(tracking_number)
+            : null,
+          shipped_at: shippedAt,
+          package_count: 1,
+          weight: null,
+          weight_unit: 'lb',
+          created_by: order.updated_by || 'system',
+          created_at: shippedAt
+        }];
+      }
+
+      return migrated;
+    });
+
+    return data;
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration Helpers
+ * Small normalizers shared by the data file migrations
+ */
+
+/**
+ * Check for a missing value (undefined, null or empty string)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if missing
+ */
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Fold a legacy field into its canonical name and drop the legacy field
+ * The canonical value wins when both are set.
+ * @param {Object} record - Record to normalize (modified in place)
+ * @param {string} legacyField - Legacy field name
+ * @param {string} canonicalField - Canonical field name
+ */
+function renameField(record, legacyField, canonicalField) {
+  if (!(legacyField in record)) {
+    return;
+  }
+
+  if (isBlank(record[canonicalField])) {
+    record[canonicalField] = record[legacyField];
+  }
+  delete record[legacyField];
+}
+
+/**
+ * Convert a record id to a string, leaving missing ids alone
+ * @param {*} id - Record id
+ * @returns {string|*} String id
+ */
+function toId(id) {
+  return isBlank(id) ? id : String(id);
+}
+
+/**
+ * Coerce numeric fields stored as strings ("500.00", "$1,250")
+ * Values that don't parse are left unchanged.
+ * @param {Object} record - Record to normalize (modified in place)
+ * @param {Array} fields - Field names
+ * @param {Function} parse - parseFloat or parseInt
+ */
+function coerceNumbers(record, fields, parse = parseFloat) {
+  fields.forEach(field => {
+    if (typeof record[field] !== 'string' || record[field].trim() === '') {
+      return;
+    }
+
+    const parsed = parse(record[field].replace(/[$,]/g, ''));
+    if (!isNaN(parsed)) {
+      record[field] = parsed;
+    }
+  });
+}
+
+module.exports = {
+  isBlank,
+  renameField,
+  toId,
+  coerceNumbers
+};
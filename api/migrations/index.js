@@ -0,0 +1,52 @@
+/**
+ * Data File Migrations
+ * Ordered list of schema migrations; each data file records the last
+ * applied version in its top-level schema_version field
+ *
+ * To add a migration, create NNN-<file>-<change>.js exporting
+ * { filename, version, description, up(data) } and list it below.
+ */
+
+const migrations = [
+  require('./001-packs-normalize'),
+  require('./002-orders-normalize'),
+  require('./003-manifests-normalize'),
+  require('./004-custom-requests-normalize'),
+  require('./005-activity-baseline'),
+  require('./006-orders-shipments')
+];
+
+/**
+ * Get migrations for a data file in version order
+ * @param {string} filename - Name of the data file
+ * @returns {Array} Migrations
+ */
+function getMigrations(filename) {
+  return migrations
+    .filter(migration => migration.filename === filename)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get the current schema version for a data file
+ * @param {string} filename - Name of the data file
+ * @returns {number} Latest version (0 if the file has no migrations)
+ */
+function latestVersion(filename) {
+  return getMigrations(filename).reduce((latest, migration) => Math.max(latest, migration.version), 0);
+}
+
+/**
+ * Get all data files that have migrations
+ * @returns {Array} Filenames
+ */
+function getMigratedFiles() {
+  return [...new Set(migrations.map(migration => migration.filename))];
+}
+
+module.exports = {
+  migrations,
+  getMigrations,
+  latestVersion,
+  getMigratedFiles
+};
@@ -0,0 +1,192 @@
+/**
+ * Accounting Routes
+ * Ledger account settings and QuickBooks / Xero export batches
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const ActivityLogger = require('../utils/activity-logger');
+const {
+  getAccountingSettings,
+  saveAccountingSettings,
+  previewEntries,
+  createExportBatch,
+  listExportBatches,
+  renderExportBatch,
+  AccountingError
+} = require('../utils/accounting');
+const { fromCents } = require('../utils/pricing');
+const { ValidationError } = require('../utils/validator');
+const winston = require('winston');
+
+/**
+ * GET /api/accounting/settings
+ * Get the ledger accounts exports post to
+ */
+router.get('/settings', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await getAccountingSettings()
+    });
+  } catch (error) {
+    winston.error('Accounting settings fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load accounting settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/accounting/settings
+ * Replace the ledger accounts (code and name of each)
+ */
+router.put('/settings', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { accounts, xero_tax_rate } = req.body;
+
+    if (!accounts || typeof accounts !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: accounts'
+      });
+    }
+
+    const settings = await saveAccountingSettings({ accounts, xero_tax_rate }, req.user.email);
+
+    await ActivityLogger.logAdminActivity(
+      'accounting_settings_updated',
+      'Accounting export accounts updated',
+      req.user.email
+    );
+
+    res.json({
+      success: true,
+      settings,
+      message: 'Accounting settings updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Accounting settings update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update accounting settings'
+    });
+  }
+});
+
+/**
+ * GET /api/accounting/preview
+ * List the journal entries of a date range that haven't been exported in a format yet
+ */
+router.get('/preview', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { pending, exported_count, totals } = await previewEntries(req.query.date_from, req.query.date_to, req.query.format);
+
+    res.json({
+      success: true,
+      entries: pending.map(entry => ({
+        ...entry,
+        lines: entry.lines.map(line => ({ ...line, amount: fromCents(line.amount) }))
+      })),
+      exported_count,
+      totals
+    });
+  } catch (error) {
+    if (error instanceof AccountingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    winston.error('Accounting preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview accounting export'
+    });
+  }
+});
+
+/**
+ * GET /api/accounting/exports
+ * List the export batches, newest first
+ */
+router.get('/exports', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      exports: await listExportBatches()
+    });
+  } catch (error) {
+    winston.error('Accounting exports fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load accounting exports'
+    });
+  }
+});
+
+/**
+ * POST /api/accounting/exports
+ * Record a batch of the entries of a date range not exported in the format before (format, date_from, date_to)
+ */
+router.post('/exports', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { format, date_from, date_to } = req.body;
+
+    const batch = await createExportBatch({ format, date_from, date_to }, req.user.email);
+
+    await ActivityLogger.logAdminActivity(
+      'accounting_exported',
+      `Accounting export ${batch.id}: ${batch.entry_count} entries from ${date_from} to ${date_to} for ${format}`,
+      req.user.email,
+      { export_id: batch.id }
+    );
+
+    const { entry_ids, entries, ...summary } = batch;
+    res.status(201).json({
+      success: true,
+      export: summary,
+      download_url: `/api/accounting/exports/${batch.id}/download`,
+      message: `${batch.entry_count} entries exported`
+    });
+  } catch (error) {
+    if (error instanceof AccountingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Accounting export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create accounting export'
+    });
+  }
+});
+
+/**
+ * GET /api/accounting/exports/:id/download
+ * Download an export batch's import file
+ */
+router.get('/exports/:id/download', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { filename, contentType, content } = await renderExportBatch(req.params.id);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    if (error instanceof AccountingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    winston.error('Accounting export download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download accounting export'
+    });
+  }
+});
+
+module.exports = router;
@@ -78,22 +78,20 @@ router.post('/log', authenticateToken, async (req, res) => {
       created_at: new Date().toISOString()
     };
     
-    // Read existing activities
-    const activityData = await fileManager.readJSON('activity.json');
-    if (!activityData.activities) {
-      activityData.activities = [];
-    }
-    
-    // Add new activity
-    activityData.activities.push(activity);
-    
-    // Keep only last 1000 activities to prevent file from growing too large
-    if (activityData.activities.length > 1000) {
-      activityData.activities = activityData.activities.slice(-1000);
-    }
-    
-    // Save updated activities
-    await fileManager.writeJSON('activity.json', activityData);
+    // Append to existing activities
+    await fileManager.update('activity.json', (activityData) => {
+      if (!activityData.activities) {
+        activityData.activities = [];
+      }
+      
+      // Add new activity
+      activityData.activities.push(activity);
+      
+      // Keep only last 1000 activities to prevent file from growing too large
+      if (activityData.activities.length > 1000) {
+        activityData.activities = activityData.activities.slice(-1000);
+      }
+    });
     
     winston.info(`Activity logged: ${type} - ${description}`);
     
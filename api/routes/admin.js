@@ -209,4 +209,33 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/data-check
+ * Validate every record in the data files against the entity schemas
+ */
+router.get('/data-check', authenticateToken, async (req, res) => {
+  try {
+    const fileManager = require('../utils/file-manager');
+    const { validateFile, getValidatedFiles } = require('../utils/validator');
+    
+    const results = [];
+    for (const filename of getValidatedFiles()) {
+      const data = await fileManager.readJSON(filename);
+      results.push(validateFile(filename, data));
+    }
+    
+    res.json({
+      success: true,
+      valid: results.every(result => result.invalid === 0),
+      files: results
+    });
+  } catch (error) {
+    winston.error('Data check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check data files'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,179 @@
+/**
+ * Backup Routes
+ * Lists, compares and restores timestamped snapshots of data files
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const fileManager = require('../utils/file-manager');
+const ActivityLogger = require('../utils/activity-logger');
+const { diffData } = require('../utils/data-diff');
+const winston = require('winston');
+
+/**
+ * Validate the :filename route parameter (guards against path traversal)
+ */
+const validateFilename = (req, res, next) => {
+  if (!/^[a-z0-9-]+\.json$/i.test(req.params.filename)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid data file name'
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/backups/:filename
+ * List snapshots for a data file, newest first
+ */
+router.get('/:filename', authenticateToken, requirePermission('read'), validateFilename, async (req, res) => {
+  try {
+    const { filename } = req.params;
+
+    winston.info(`Fetching backups for ${filename}`);
+
+    const snapshots = await fileManager.listBackups(filename);
+
+    res.json({
+      success: true,
+      filename,
+      snapshots,
+      total: snapshots.length
+    });
+  } catch (error) {
+    winston.error('Backups fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load backups'
+    });
+  }
+});
+
+/**
+ * GET /api/backups/:filename/:snapshotId
+ * Get the contents of a snapshot
+ */
+router.get('/:filename/:snapshotId', authenticateToken, requirePermission('read'), validateFilename, async (req, res) => {
+  try {
+    const { filename, snapshotId } = req.params;
+
+    const data = await fileManager.readBackup(filename, snapshotId);
+
+    if (data === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backup not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      filename,
+      snapshot_id: snapshotId,
+      data
+    });
+  } catch (error) {
+    winston.error('Backup fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load backup'
+    });
+  }
+});
+
+/**
+ * GET /api/backups/:filename/:snapshotId/diff
+ * Compare a snapshot against the current file contents
+ * (added/removed/changed describe what happened since the snapshot)
+ */
+router.get('/:filename/:snapshotId/diff', authenticateToken, requirePermission('read'), validateFilename, async (req, res) => {
+  try {
+    const { filename, snapshotId } = req.params;
+
+    const snapshot = await fileManager.readBackup(filename, snapshotId);
+
+    if (snapshot === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backup not found'
+      });
+    }
+
+    const current = await fileManager.readJSON(filename);
+
+    res.json({
+      success: true,
+      filename,
+      snapshot_id: snapshotId,
+      diff: diffData(filename, snapshot, current)
+    });
+  } catch (error) {
+    winston.error('Backup diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare backup'
+    });
+  }
+});
+
+/**
+ * POST /api/backups/:filename/:snapshotId/restore
+ * Restore a data file to a snapshot
+ * The current contents are snapshotted first, so the restore can be undone.
+ */
+router.post('/:filename/:snapshotId/restore', authenticateToken, requirePermission('write'), validateFilename, async (req, res) => {
+  try {
+    const { filename, snapshotId } = req.params;
+    const { reason } = req.body;
+
+    winston.info(`Restoring ${filename} from backup ${snapshotId}`);
+
+    const snapshot = await fileManager.readBackup(filename, snapshotId);
+
+    if (snapshot === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backup not found'
+      });
+    }
+
+    // Record what the restore reverts before overwriting the current state
+    const current = await fileManager.readJSON(filename);
+    const { summary } = diffData(filename, current, snapshot);
+
+    const restored = await fileManager.restoreBackup(filename, snapshotId);
+
+    if (!restored) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to restore backup'
+      });
+    }
+
+    // Log activity
+    await ActivityLogger.logBackupActivity(filename, snapshotId, 'restored', req.user.email, {
+      reason: reason || null,
+      changes: summary
+    });
+
+    winston.info(`Restored ${filename} from backup ${snapshotId}`);
+
+    res.json({
+      success: true,
+      message: `${filename} restored from backup ${snapshotId}`,
+      filename,
+      snapshot_id: snapshotId,
+      changes: summary
+    });
+  } catch (error) {
+    winston.error('Backup restore error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore backup'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,411 @@
+/**
+ * Buyer Routes
+ * Manages the B2B buyers approved to order on net terms
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const fileManager = require('../utils/file-manager');
+const ActivityLogger = require('../utils/activity-logger');
+const { TERMS_DAYS, generateAccountCode } = require('../utils/invoices');
+const { setTaxExemption, removeTaxExemption, TaxError } = require('../utils/tax');
+const { ValidationError } = require('../utils/validator');
+const winston = require('winston');
+
+const validStatuses = ['approved', 'suspended'];
+
+/**
+ * Remove the account code hash before a buyer is returned
+ * @param {Object} buyer - Stored buyer
+ * @returns {Object} Buyer without account_code_hash
+ */
+function toPublicBuyer({ account_code_hash, ...buyer }) {
+  return buyer;
+}
+
+/**
+ * Check the editable fields of a buyer
+ * @param {Object} fields - Request fields
+ * @returns {string|null} Error message
+ */
+function validateBuyerFields({ payment_terms, status }) {
+  if (payment_terms !== undefined && !Object.prototype.hasOwnProperty.call(TERMS_DAYS, payment_terms)) {
+    return `Invalid payment_terms. Must be one of: ${Object.keys(TERMS_DAYS).join(', ')}`;
+  }
+  if (status !== undefined && !validStatuses.includes(status)) {
+    return `Invalid status. Must be one of: ${validStatuses.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * GET /api/buyers
+ * Get net-terms buyers
+ */
+router.get('/', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+
+    winston.info('Fetching buyers');
+
+    const buyersData = await fileManager.readJSON('buyers.json');
+    let buyers = buyersData.buyers || [];
+
+    // Apply filters
+    if (status) {
+      buyers = buyers.filter(buyer => buyer.status === status);
+    }
+
+    if (search) {
+      const term = search.toLowerCase();
+      buyers = buyers.filter(buyer =>
+        [buyer.email, buyer.name, buyer.company].some(value => value && value.toLowerCase().includes(term))
+      );
+    }
+
+    buyers = [...buyers].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    // Apply pagination
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      buyers: buyers.slice(startIndex, endIndex).map(toPublicBuyer),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: buyers.length,
+        pages: Math.ceil(buyers.length / limit)
+      }
+    });
+  } catch (error) {
+    winston.error('Buyers fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load buyers'
+    });
+  }
+});
+
+/**
+ * GET /api/buyers/:id
+ * Get a buyer
+ */
+router.get('/:id', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const buyer = await fileManager.findRecord('buyers.json', req.params.id);
+
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Buyer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      buyer: toPublicBuyer(buyer)
+    });
+  } catch (error) {
+    winston.error('Buyer fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load buyer'
+    });
+  }
+});
+
+/**
+ * POST /api/buyers
+ * Approve a buyer for net terms
+ * The account code the buyer checks out with is only returned here and by
+ * POST /:id/account-code.
+ */
+router.post('/', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { email, name, company, phone, payment_terms = 'net_30', notes } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Buyer email is required'
+      });
+    }
+
+    const invalid = validateBuyerFields({ payment_terms });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    winston.info(`Approving buyer ${email} for ${payment_terms}`);
+
+    const { code, hash } = generateAccountCode();
+    const now = new Date().toISOString();
+    const buyer = {
+      id: `BUY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      email: email.trim().toLowerCase(),
+      name: name ? name.trim() : '',
+      company: company ? company.trim() : '',
+      phone: phone ? phone.trim() : '',
+      payment_terms,
+      status: 'approved',
+      account_code_hash: hash,
+      notes: notes ? notes.trim() : '',
+      created_at: now,
+      created_by: req.user.email,
+      updated_at: now
+    };
+
+    const created = await fileManager.update('buyers.json', (buyersData) => {
+      if (!buyersData.buyers) {
+        buyersData.buyers = [];
+      }
+
+      if (buyersData.buyers.some(b => b.email === buyer.email)) {
+        return null;
+      }
+
+      buyersData.buyers.push(buyer);
+      return buyer;
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        error: 'A buyer with this email already exists'
+      });
+    }
+
+    await ActivityLogger.logBuyerActivity(buyer, 'created', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      buyer: toPublicBuyer(buyer),
+      account_code: code,
+      message: 'Buyer approved for net terms'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Buyer creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create buyer'
+    });
+  }
+});
+
+/**
+ * PUT /api/buyers/:id
+ * Update a buyer's details, terms or status
+ */
+router.put('/:id', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, company, phone, payment_terms, status, notes } = req.body;
+
+    const invalid = validateBuyerFields({ payment_terms, status });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    winston.info(`Updating buyer ${id}`);
+
+    const updates = { name, company, phone, payment_terms, status, notes };
+
+    const buyer = await fileManager.update('buyers.json', (buyersData) => {
+      const existing = (buyersData.buyers || []).find(b => b.id === id);
+
+      if (!existing) {
+        return null;
+      }
+
+      Object.entries(updates).forEach(([field, value]) => {
+        if (value !== undefined) {
+          existing[field] = typeof value === 'string' ? value.trim() : value;
+        }
+      });
+      existing.updated_at = new Date().toISOString();
+      existing.updated_by = req.user.email;
+
+      return existing;
+    });
+
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Buyer not found'
+      });
+    }
+
+    await ActivityLogger.logBuyerActivity(buyer, 'updated', req.user.email);
+
+    res.json({
+      success: true,
+      buyer: toPublicBuyer(buyer),
+      message: 'Buyer updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Buyer update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update buyer'
+    });
+  }
+});
+
+/**
+ * POST /api/buyers/:id/account-code
+ * Replace a buyer's account code; the old one stops working
+ */
+router.post('/:id/account-code', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { code, hash } = generateAccountCode();
+
+    const buyer = await fileManager.update('buyers.json', (buyersData) => {
+      const existing = (buyersData.buyers || []).find(b => b.id === id);
+
+      if (!existing) {
+        return null;
+      }
+
+      existing.account_code_hash = hash;
+      existing.updated_at = new Date().toISOString();
+      existing.updated_by = req.user.email;
+
+      return existing;
+    });
+
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Buyer not found'
+      });
+    }
+
+    await ActivityLogger.logBuyerActivity(buyer, 'account_code_reset', req.user.email);
+
+    res.json({
+      success: true,
+      buyer: toPublicBuyer(buyer),
+      account_code: code,
+      message: 'Account code reset'
+    });
+  } catch (error) {
+    winston.error('Buyer account code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset account code'
+    });
+  }
+});
+
+/**
+ * PUT /api/buyers/:id/tax-exemption
+ * Record a buyer's resale exemption certificate, or mark it verified or rejected
+ */
+router.put('/:id/tax-exemption', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const buyer = await setTaxExemption(req.params.id, req.body, req.user.email);
+
+    res.json({
+      success: true,
+      buyer: toPublicBuyer(buyer),
+      message: `Exemption certificate ${buyer.tax_exemption.status}`
+    });
+  } catch (error) {
+    if (error instanceof TaxError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Buyer tax exemption error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save exemption certificate'
+    });
+  }
+});
+
+/**
+ * DELETE /api/buyers/:id/tax-exemption
+ * Remove a buyer's exemption certificate; their orders keep the exemptions they were given
+ */
+router.delete('/:id/tax-exemption', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const buyer = await removeTaxExemption(req.params.id, req.user.email);
+
+    res.json({
+      success: true,
+      buyer: toPublicBuyer(buyer),
+      message: 'Exemption certificate removed'
+    });
+  } catch (error) {
+    if (error instanceof TaxError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    winston.error('Buyer tax exemption error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove exemption certificate'
+    });
+  }
+});
+
+/**
+ * DELETE /api/buyers/:id
+ * Remove a buyer; their existing invoices are kept
+ */
+router.delete('/:id', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    winston.info(`Deleting buyer ${id}`);
+
+    const buyer = await fileManager.update('buyers.json', (buyersData) => {
+      const index = (buyersData.buyers || []).findIndex(b => b.id === id);
+
+      if (index === -1) {
+        return null;
+      }
+
+      return buyersData.buyers.splice(index, 1)[0];
+    });
+
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Buyer not found'
+      });
+    }
+
+    await ActivityLogger.logBuyerActivity(buyer, 'deleted', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Buyer deleted successfully'
+    });
+  } catch (error) {
+    winston.error('Buyer deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete buyer'
+    });
+  }
+});
+
+module.exports = router;
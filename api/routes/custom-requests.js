@@ -8,6 +8,7 @@ const router = express.Router();
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const fileManager = require('../utils/file-manager');
 const ActivityLogger = require('../utils/activity-logger');
+const { ValidationError } = require('../utils/validator');
 const winston = require('winston');
 
 /**
@@ -36,15 +37,6 @@ router.post('/request', async (req, res) => {
 
     winston.info(`New custom pack request from: ${customer_email}`);
 
-    // Read existing requests
-    let requestsData;
-    try {
-      requestsData = await fileManager.readJSON('custom-requests.json');
-    } catch (error) {
-      // Create new file if it doesn't exist
-      requestsData = { requests: [] };
-    }
-
     // Generate unique ID
     const requestId = `REQ-${Date.now()}`;
     
@@ -64,11 +56,13 @@ router.post('/request', async (req, res) => {
       admin_notes: ''
     };
 
-    // Add to requests array
-    requestsData.requests.push(newRequest);
-
-    // Save to file
-    await fileManager.writeJSON('custom-requests.json', requestsData);
+    // Add to requests array and save
+    await fileManager.update('custom-requests.json', (requestsData) => {
+      if (!requestsData.requests) {
+        requestsData.requests = [];
+      }
+      requestsData.requests.push(newRequest);
+    });
 
     // Log activity
     await ActivityLogger.logCustomRequestActivity(newRequest, 'created', 'customer');
@@ -82,6 +76,9 @@ router.post('/request', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Custom request submission error:', error);
     res.status(500).json({
       success: false,
@@ -188,39 +185,46 @@ router.put('/:id/status', authenticateToken, requirePermission('write'), async (
     
     winston.info(`Updating custom request ${id} status to ${status}`);
     
-    const requestsData = await fileManager.readJSON('custom-requests.json');
-    const requestIndex = requestsData.requests.findIndex(r => r.id === id);
+    const request = await fileManager.update('custom-requests.json', (requestsData) => {
+      const requestIndex = requestsData.requests.findIndex(r => r.id === id);
+      
+      if (requestIndex === -1) {
+        return null;
+      }
+      
+      // Update request
+      requestsData.requests[requestIndex].status = status;
+      requestsData.requests[requestIndex].updated_at = new Date().toISOString();
+      
+      if (admin_notes) {
+        requestsData.requests[requestIndex].admin_notes = admin_notes.trim();
+      }
+      
+      return requestsData.requests[requestIndex];
+    });
     
-    if (requestIndex === -1) {
+    if (!request) {
       return res.status(404).json({
         success: false,
         error: 'Custom request not found'
       });
     }
     
-    // Update request
-    requestsData.requests[requestIndex].status = status;
-    requestsData.requests[requestIndex].updated_at = new Date().toISOString();
-    
-    if (admin_notes) {
-      requestsData.requests[requestIndex].admin_notes = admin_notes.trim();
-    }
-    
-    // Save updated data
-    await fileManager.writeJSON('custom-requests.json', requestsData);
-    
     // Log activity
-    await ActivityLogger.logCustomRequestActivity(requestsData.requests[requestIndex], 'status_changed', req.user.email);
+    await ActivityLogger.logCustomRequestActivity(request, 'status_changed', req.user.email);
     
     winston.info(`Custom request ${id} status updated to ${status}`);
     
     res.json({
       success: true,
       message: 'Request status updated successfully',
-      request: requestsData.requests[requestIndex]
+      request
     });
     
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Custom request status update error:', error);
     res.status(500).json({
       success: false,
@@ -239,22 +243,25 @@ router.delete('/:id', authenticateToken, requirePermission('write'), async (req,
     
     winston.info(`Deleting custom request ${id}`);
     
-    const requestsData = await fileManager.readJSON('custom-requests.json');
-    const requestIndex = requestsData.requests.findIndex(r => r.id === id);
+    const deleted = await fileManager.update('custom-requests.json', (requestsData) => {
+      const requestIndex = requestsData.requests.findIndex(r => r.id === id);
+      
+      if (requestIndex === -1) {
+        return false;
+      }
+      
+      // Remove request
+      requestsData.requests.splice(requestIndex, 1);
+      return true;
+    });
     
-    if (requestIndex === -1) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         error: 'Custom request not found'
       });
     }
     
-    // Remove request
-    requestsData.requests.splice(requestIndex, 1);
-    
-    // Save updated data
-    await fileManager.writeJSON('custom-requests.json', requestsData);
-    
     winston.info(`Custom request ${id} deleted successfully`);
     
     res.json({
@@ -0,0 +1,396 @@
+/**
+ * Discount Code Routes
+ * Admin management of checkout discount codes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const fileManager = require('../utils/file-manager');
+const ActivityLogger = require('../utils/activity-logger');
+const { DISCOUNT_TYPES, normalizeCode } = require('../utils/discounts');
+const { ValidationError } = require('../utils/validator');
+const winston = require('winston');
+
+// Fields an admin sets; times_used and redemptions are kept by checkout
+const EDITABLE_FIELDS = [
+  'description', 'type', 'value', 'status', 'starts_at', 'expires_at', 'max_uses',
+  'max_uses_per_customer', 'min_order_amount', 'pack_types', 'customer_emails'
+];
+
+/**
+ * Check and normalize the editable fields of a discount code
+ * @param {Object} fields - Request fields
+ * @returns {Object} { updates, error } - updates only holds the fields that were sent
+ */
+function parseDiscountFields(fields) {
+  const updates = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      updates[field] = fields[field];
+    }
+  });
+
+  if (updates.type !== undefined && !DISCOUNT_TYPES.includes(updates.type)) {
+    return { error: `Invalid type. Must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+  }
+
+  if (updates.status !== undefined && !['active', 'disabled'].includes(updates.status)) {
+    return { error: 'Invalid status. Must be one of: active, disabled' };
+  }
+
+  if (updates.value !== undefined) {
+    updates.value = parseFloat(updates.value);
+  }
+
+  ['max_uses', 'max_uses_per_customer'].forEach(field => {
+    if (updates[field] === '' || updates[field] === null) {
+      updates[field] = null;
+    } else if (updates[field] !== undefined) {
+      updates[field] = parseInt(updates[field]);
+    }
+  });
+
+  if (updates.min_order_amount === '' || updates.min_order_amount === null) {
+    updates.min_order_amount = null;
+  } else if (updates.min_order_amount !== undefined) {
+    updates.min_order_amount = parseFloat(updates.min_order_amount);
+  }
+
+  ['starts_at', 'expires_at'].forEach(field => {
+    if (updates[field] === '' || updates[field] === null) {
+      updates[field] = null;
+    } else if (updates[field] !== undefined) {
+      const date = new Date(updates[field]);
+      updates[field] = isNaN(date.getTime()) ? updates[field] : date.toISOString();
+    }
+  });
+
+  if (updates.customer_emails !== undefined) {
+    updates.customer_emails = [].concat(updates.customer_emails).map(email => String(email).trim().toLowerCase());
+  }
+
+  if (updates.pack_types !== undefined) {
+    updates.pack_types = [].concat(updates.pack_types).map(type => String(type).trim());
+  }
+
+  return { updates };
+}
+
+/**
+ * Check the value of a complete discount code
+ * @param {Object} discountCode - Discount code record
+ * @returns {string|null} Error message
+ */
+function validateValue(discountCode) {
+  if (discountCode.type === 'free_shipping') {
+    return null;
+  }
+  if (!(discountCode.value > 0)) {
+    return 'value must be greater than 0';
+  }
+  if (discountCode.type === 'percentage' && discountCode.value > 100) {
+    return 'Percentage value cannot exceed 100';
+  }
+  return null;
+}
+
+/**
+ * GET /api/discount-codes
+ * Get discount codes (redemption lists are left out, see GET /:id)
+ */
+router.get('/', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { status, type, search, page = 1, limit = 20 } = req.query;
+
+    winston.info('Fetching discount codes');
+
+    const codesData = await fileManager.readJSON('discount-codes.json');
+    let codes = codesData.codes || [];
+
+    // Apply filters
+    if (status) {
+      codes = codes.filter(code => code.status === status);
+    }
+
+    if (type) {
+      codes = codes.filter(code => code.type === type);
+    }
+
+    if (search) {
+      const term = search.toUpperCase();
+      codes = codes.filter(code =>
+        code.code.includes(term) || (code.description || '').toUpperCase().includes(term)
+      );
+    }
+
+    codes = [...codes].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    // Apply pagination
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      codes: codes.slice(startIndex, endIndex).map(({ redemptions, ...code }) => code),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: codes.length,
+        pages: Math.ceil(codes.length / limit)
+      }
+    });
+  } catch (error) {
+    winston.error('Discount codes fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load discount codes'
+    });
+  }
+});
+
+/**
+ * GET /api/discount-codes/:id
+ * Get a discount code with its redemptions
+ */
+router.get('/:id', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const discountCode = await fileManager.findRecord('discount-codes.json', req.params.id);
+
+    if (!discountCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discount code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      code: discountCode
+    });
+  } catch (error) {
+    winston.error('Discount code fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load discount code'
+    });
+  }
+});
+
+/**
+ * POST /api/discount-codes
+ * Create a discount code
+ */
+router.post('/', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+
+    if (!code || !req.body.type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Discount code and type are required'
+      });
+    }
+
+    const { updates, error } = parseDiscountFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const now = new Date().toISOString();
+    const discountCode = {
+      id: `DSC-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      code,
+      description: '',
+      status: 'active',
+      starts_at: null,
+      expires_at: null,
+      max_uses: null,
+      max_uses_per_customer: null,
+      min_order_amount: null,
+      pack_types: [],
+      customer_emails: [],
+      ...updates,
+      times_used: 0,
+      redemptions: [],
+      created_at: now,
+      created_by: req.user.email,
+      updated_at: now
+    };
+
+    const invalidValue = validateValue(discountCode);
+    if (invalidValue) {
+      return res.status(400).json({
+        success: false,
+        error: invalidValue
+      });
+    }
+
+    if (discountCode.type === 'free_shipping') {
+      delete discountCode.value;
+    }
+
+    winston.info(`Creating discount code ${code}`);
+
+    const created = await fileManager.update('discount-codes.json', (codesData) => {
+      if (!codesData.codes) {
+        codesData.codes = [];
+      }
+
+      if (codesData.codes.some(c => c.code === code)) {
+        return null;
+      }
+
+      codesData.codes.push(discountCode);
+      return discountCode;
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        error: `Discount code ${code} already exists`
+      });
+    }
+
+    await ActivityLogger.logDiscountActivity(discountCode, 'created', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      code: discountCode,
+      message: 'Discount code created successfully'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Discount code creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create discount code'
+    });
+  }
+});
+
+/**
+ * PUT /api/discount-codes/:id
+ * Update a discount code's rules or status (the code itself can't change)
+ */
+router.put('/:id', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { updates, error } = parseDiscountFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    winston.info(`Updating discount code ${id}`);
+
+    let invalidValue = null;
+    const discountCode = await fileManager.update('discount-codes.json', (codesData) => {
+      const existing = (codesData.codes || []).find(c => c.id === id);
+
+      if (!existing) {
+        return null;
+      }
+
+      const updated = { ...existing, ...updates };
+      invalidValue = validateValue(updated);
+      if (invalidValue) {
+        return null;
+      }
+
+      if (updated.type === 'free_shipping') {
+        delete updated.value;
+      }
+
+      updated.updated_at = new Date().toISOString();
+      updated.updated_by = req.user.email;
+      codesData.codes[codesData.codes.indexOf(existing)] = updated;
+
+      return updated;
+    });
+
+    if (invalidValue) {
+      return res.status(400).json({
+        success: false,
+        error: invalidValue
+      });
+    }
+
+    if (!discountCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discount code not found'
+      });
+    }
+
+    await ActivityLogger.logDiscountActivity(discountCode, 'updated', req.user.email);
+
+    res.json({
+      success: true,
+      code: discountCode,
+      message: 'Discount code updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Discount code update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update discount code'
+    });
+  }
+});
+
+/**
+ * DELETE /api/discount-codes/:id
+ * Delete a discount code; orders keep the discounts they were given
+ */
+router.delete('/:id', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    winston.info(`Deleting discount code ${id}`);
+
+    const discountCode = await fileManager.update('discount-codes.json', (codesData) => {
+      const index = (codesData.codes || []).findIndex(c => c.id === id);
+
+      if (index === -1) {
+        return null;
+      }
+
+      return codesData.codes.splice(index, 1)[0];
+    });
+
+    if (!discountCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discount code not found'
+      });
+    }
+
+    await ActivityLogger.logDiscountActivity(discountCode, 'deleted', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Discount code deleted successfully'
+    });
+  } catch (error) {
+    winston.error('Discount code deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete discount code'
+    });
+  }
+});
+
+module.exports = router;
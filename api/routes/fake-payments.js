@@ -0,0 +1,144 @@
+/**
+ * Fake Payment Routes
+ * Stand in for Stripe.js when PAYMENT_PROVIDER=fake, so a checkout can be
+ * paid for offline. Only mounted for the fake provider.
+ *
+ * Like Stripe.js, every call needs the PaymentIntent's client_secret.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getPaymentProvider } = require('../utils/payments');
+const { assertCheckoutComplete } = require('../utils/payment-orders');
+const { PricingError } = require('../utils/pricing');
+const winston = require('winston');
+
+const paymentProvider = getPaymentProvider();
+
+/**
+ * Check the client secret of a PaymentIntent
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @param {string} clientSecret - Client secret sent by the checkout page
+ * @returns {boolean} True if the secret belongs to the PaymentIntent
+ */
+async function checkClientSecret(paymentIntentId, clientSecret) {
+  const paymentIntent = await paymentProvider.retrievePaymentIntent(paymentIntentId);
+  return Boolean(clientSecret) && paymentIntent.client_secret === clientSecret;
+}
+
+/**
+ * Answer with a provider error
+ * Declines carry the PaymentIntent so the page can show its status.
+ * @param {Object} res - Express response
+ * @param {Error} error - Provider error
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendProviderError(res, error, fallback) {
+  if (!error.statusCode) {
+    winston.error(`${fallback}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: fallback
+    });
+  }
+
+  res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    payment_intent: error.payment_intent
+  });
+}
+
+/**
+ * GET /api/payments/fake/:id
+ * Get a PaymentIntent's status
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await checkClientSecret(id, req.query.client_secret)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid client_secret'
+      });
+    }
+
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(id);
+
+    res.json({
+      success: true,
+      payment_intent: paymentIntent
+    });
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to load payment intent');
+  }
+});
+
+/**
+ * POST /api/payments/fake/:id/confirm
+ * Pay with a test payment method (pm_card_visa, pm_card_chargeDeclined,
+ * pm_card_threeDSecure2Required)
+ */
+router.post('/:id/confirm', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { client_secret, payment_method } = req.body;
+
+    if (!await checkClientSecret(id, client_secret)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid client_secret'
+      });
+    }
+
+    // The order is built from the quote, so it has to be fully priced before the buyer is charged
+    await assertCheckoutComplete(id);
+
+    winston.info(`Confirming fake payment ${id} with ${payment_method || 'pm_card_visa'}`);
+
+    const paymentIntent = await paymentProvider.confirmPaymentIntent(id, { payment_method });
+
+    res.json({
+      success: true,
+      payment_intent: paymentIntent
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    sendProviderError(res, error, 'Failed to confirm payment');
+  }
+});
+
+/**
+ * POST /api/payments/fake/:id/authenticate
+ * Pass or fail the 3D Secure challenge of a PaymentIntent
+ */
+router.post('/:id/authenticate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { client_secret, approve = true } = req.body;
+
+    if (!await checkClientSecret(id, client_secret)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid client_secret'
+      });
+    }
+
+    winston.info(`${approve ? 'Approving' : 'Failing'} 3D Secure for fake payment ${id}`);
+
+    const paymentIntent = await paymentProvider.completeAuthentication(id, approve !== false);
+
+    res.json({
+      success: true,
+      payment_intent: paymentIntent
+    });
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to authenticate payment');
+  }
+});
+
+module.exports = router;
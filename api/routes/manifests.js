@@ -12,6 +12,7 @@ const { authenticateToken, requirePermission } = require('../middleware/auth');
 const fileManager = require('../utils/file-manager');
 const csvParser = require('../utils/csv-parser');
 const ActivityLogger = require('../utils/activity-logger');
+const { ValidationError } = require('../utils/validator');
 const winston = require('winston');
 
 // Configure multer for CSV uploads
@@ -67,23 +68,19 @@ router.post('/upload', authenticateToken, requirePermission('upload'), upload.si
     // Get statistics
     const stats = csvParser.getStatistics(manifestItems);
     
-    // Read current manifests
-    const manifestsData = await fileManager.readJSON('manifests.json');
-    
     // Update manifests for the specific pack
-    manifestsData.manifests[pack_id] = manifestItems;
-    
-    // Add metadata
-    manifestsData.manifests[pack_id + '_metadata'] = {
-      uploaded_at: new Date().toISOString(),
-      uploaded_by: req.user.email,
-      file_size: validation.size,
-      items_count: manifestItems.length,
-      statistics: stats
-    };
-    
-    // Write updated manifests
-    await fileManager.writeJSON('manifests.json', manifestsData);
+    await fileManager.update('manifests.json', (manifestsData) => {
+      manifestsData.manifests[pack_id] = manifestItems;
+      
+      // Add metadata
+      manifestsData.manifests[pack_id + '_metadata'] = {
+        uploaded_at: new Date().toISOString(),
+        uploaded_by: req.user.email,
+        file_size: validation.size,
+        items_count: manifestItems.length,
+        statistics: stats
+      };
+    });
     
     // Log activity
     await ActivityLogger.logManifestActivity(
@@ -107,6 +104,9 @@ router.post('/upload', authenticateToken, requirePermission('upload'), upload.si
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Manifest upload error:', error);
     
     res.status(500).json({
@@ -136,9 +136,8 @@ router.get('/:pack_id', async (req, res) => {
     
     winston.info(`Fetching manifest for pack ${pack_id}`);
     
-    const manifestsData = await fileManager.readJSON('manifests.json');
-    const manifestItems = manifestsData.manifests[pack_id];
-    const metadata = manifestsData.manifests[pack_id + '_metadata'];
+    const manifestItems = await fileManager.findRecord('manifests.json', pack_id);
+    const metadata = await fileManager.findRecord('manifests.json', pack_id + '_metadata');
     
     if (!manifestItems) {
       return res.status(404).json({
@@ -212,21 +211,24 @@ router.delete('/:pack_id', authenticateToken, requirePermission('delete'), async
     
     winston.info(`Deleting manifest for pack ${pack_id}`);
     
-    const manifestsData = await fileManager.readJSON('manifests.json');
+    const deleted = await fileManager.update('manifests.json', (manifestsData) => {
+      if (!manifestsData.manifests[pack_id]) {
+        return false;
+      }
+      
+      // Remove manifest and metadata
+      delete manifestsData.manifests[pack_id];
+      delete manifestsData.manifests[pack_id + '_metadata'];
+      return true;
+    });
     
-    if (!manifestsData.manifests[pack_id]) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         error: 'Manifest not found for this pack'
       });
     }
     
-    // Remove manifest and metadata
-    delete manifestsData.manifests[pack_id];
-    delete manifestsData.manifests[pack_id + '_metadata'];
-    
-    await fileManager.writeJSON('manifests.json', manifestsData);
-    
     winston.info(`Manifest deleted for pack ${pack_id}`);
     
     res.json({
@@ -8,63 +8,116 @@ const router = express.Router();
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const fileManager = require('../utils/file-manager');
 const ActivityLogger = require('../utils/activity-logger');
+const { refundOrder, RefundError } = require('../utils/refunds');
+const { createBalancePayment, BalanceError } = require('../utils/balances');
+const { changeOrderStatus, OrderStatusError } = require('../utils/order-status');
+const { addShipment, updateShipment, ShipmentError } = require('../utils/shipments');
+const { updateOrderAddress, AddressError } = require('../utils/addresses');
+const {
+  isInvoiceable,
+  assignInvoiceNumber,
+  renderInvoice,
+  loadManifestData,
+  getPackingSections,
+  renderPackingSlip,
+  buildPickList,
+  renderPickList
+} = require('../utils/documents');
+const { recordInvoicePayment, isOverdue, getDaysOverdue, InvoiceError } = require('../utils/invoices');
+const {
+  parseExportOptions,
+  writeExport,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  CONTENT_TYPES,
+  ExportError
+} = require('../utils/order-export');
+const { ValidationError } = require('../utils/validator');
 const winston = require('winston');
 
+// Fields PUT /api/orders/:id changes directly
+const EDITABLE_FIELDS = ['customer_name', 'notes', 'review_reasons', 'balance_due_date'];
+
+/**
+ * Read the orders matching the list filters, sorted
+ * Unpaid invoices past their due date are flagged overdue.
+ * @param {Object} query - status, payment_status, overdue, date_from, date_to, customer_email, sort_by, sort_order
+ * @returns {Array} Matching orders
+ */
+async function findOrders({
+  status,
+  payment_status,
+  overdue,
+  date_from,
+  date_to,
+  customer_email,
+  sort_by = 'created_at',
+  sort_order = 'desc'
+}) {
+  const ordersData = await fileManager.readJSON('orders.json');
+  const now = new Date();
+  
+  // Flag unpaid invoices past their due date
+  let orders = (ordersData.orders || []).map(order => (
+    order.invoice ? { ...order, overdue: isOverdue(order, now), days_overdue: getDaysOverdue(order, now) } : order
+  ));
+  
+  // Apply filters
+  if (status) {
+    orders = orders.filter(order => order.status === status);
+  }
+  
+  if (payment_status) {
+    orders = orders.filter(order => order.payment_status === payment_status);
+  }
+  
+  if (overdue === 'true') {
+    orders = orders.filter(order => order.overdue);
+  }
+  
+  if (customer_email) {
+    orders = orders.filter(order => 
+      order.customer_email && 
+      order.customer_email.toLowerCase().includes(customer_email.toLowerCase())
+    );
+  }
+  
+  if (date_from) {
+    const fromDate = new Date(date_from);
+    orders = orders.filter(order => new Date(order.created_at) >= fromDate);
+  }
+  
+  if (date_to) {
+    const toDate = new Date(date_to);
+    orders = orders.filter(order => new Date(order.created_at) <= toDate);
+  }
+  
+  // Apply sorting
+  orders.sort((a, b) => {
+    const aValue = a[sort_by];
+    const bValue = b[sort_by];
+    
+    if (sort_order === 'asc') {
+      return aValue > bValue ? 1 : -1;
+    } else {
+      return aValue < bValue ? 1 : -1;
+    }
+  });
+  
+  return orders;
+}
+
 /**
  * GET /api/orders
  * Get all orders with filtering and pagination
  */
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      status, 
-      date_from, 
-      date_to,
-      customer_email,
-      sort_by = 'created_at',
-      sort_order = 'desc'
-    } = req.query;
+    const { page = 1, limit = 20 } = req.query;
     
     winston.info('Fetching orders');
     
-    const ordersData = await fileManager.readJSON('orders.json');
-    let orders = ordersData.orders || [];
-    
-    // Apply filters
-    if (status) {
-      orders = orders.filter(order => order.status === status);
-    }
-    
-    if (customer_email) {
-      orders = orders.filter(order => 
-        order.customer_email && 
-        order.customer_email.toLowerCase().includes(customer_email.toLowerCase())
-      );
-    }
-    
-    if (date_from) {
-      const fromDate = new Date(date_from);
-      orders = orders.filter(order => new Date(order.created_at) >= fromDate);
-    }
-    
-    if (date_to) {
-      const toDate = new Date(date_to);
-      orders = orders.filter(order => new Date(order.created_at) <= toDate);
-    }
-    
-    // Apply sorting
-    orders.sort((a, b) => {
-      const aValue = a[sort_by];
-      const bValue = b[sort_by];
-      
-      if (sort_order === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
+    const orders = await findOrders(req.query);
     
     // Apply pagination
     const startIndex = (page - 1) * limit;
@@ -79,6 +132,7 @@ router.get('/', authenticateToken, async (req, res) => {
       shipped: orders.filter(o => o.status === 'shipped').length,
       completed: orders.filter(o => o.status === 'completed').length,
       cancelled: orders.filter(o => o.status === 'cancelled').length,
+      overdue: orders.filter(o => o.overdue).length,
       total_value: orders.reduce((sum, order) => sum + (order.total_amount || 0), 0)
     };
     
@@ -102,6 +156,89 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/orders/export/columns
+ * List the columns an export can have, and the default ones
+ */
+router.get('/export/columns', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    columns: Object.entries(EXPORT_COLUMNS).map(([key, column]) => ({
+      key,
+      header: column.header,
+      type: column.type || 'string',
+      item: column.item === true
+    })),
+    defaults: DEFAULT_COLUMNS
+  });
+});
+
+/**
+ * GET /api/orders/export
+ * Download the orders matching the list filters as CSV or XLSX (format, rows, columns)
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const { status, payment_status, overdue, date_from, date_to, customer_email } = req.query;
+    const options = parseExportOptions(req.query);
+    const orders = await findOrders(req.query);
+    
+    winston.info(`Exporting ${orders.length} orders as ${options.format} (${options.rows})`);
+    
+    res.setHeader('Content-Type', CONTENT_TYPES[options.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.${options.format}"`);
+    const count = await writeExport(orders, options, res);
+    
+    await ActivityLogger.logAdminActivity(
+      'orders_exported',
+      `Exported ${orders.length} orders (${count} rows) as ${options.format.toUpperCase()}`,
+      req.user.email,
+      { filters: { status, payment_status, overdue, date_from, date_to, customer_email }, rows: options.rows, columns: options.columns }
+    );
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    winston.error('Order export error:', error);
+    // Once rows were sent the download can only be cut short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export orders'
+    });
+  }
+});
+
+/**
+ * GET /api/orders/pick-list.pdf
+ * Pick list for every processing order, grouped by SKU
+ */
+router.get('/pick-list.pdf', authenticateToken, async (req, res) => {
+  try {
+    winston.info('Generating pick list');
+    
+    const [orders, manifestData] = await Promise.all([
+      fileManager.findRecords('orders.json', { status: 'processing' }),
+      loadManifestData()
+    ]);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="pick-list-${new Date().toISOString().slice(0, 10)}.pdf"`);
+    renderPickList(buildPickList(orders, manifestData), orders, res);
+  } catch (error) {
+    winston.error('Pick list generation error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate pick list'
+    });
+  }
+});
+
 /**
  * GET /api/orders/:id
  * Get specific order by ID
@@ -112,8 +249,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     
     winston.info(`Fetching order ${id}`);
     
-    const ordersData = await fileManager.readJSON('orders.json');
-    const order = ordersData.orders.find(o => o.id === id);
+    const order = await fileManager.findRecord('orders.json', id);
     
     if (!order) {
       return res.status(404).json({
@@ -124,7 +260,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     
     res.json({
       success: true,
-      data: order
+      data: order.invoice ? { ...order, overdue: isOverdue(order), days_overdue: getDaysOverdue(order) } : order
     });
   } catch (error) {
     winston.error('Order fetch error:', error);
@@ -136,74 +272,173 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 /**
- * PUT /api/orders/:id/status
- * Update order status
+ * GET /api/orders/:id/invoice.pdf
+ * Generate the invoice of an invoiced or paid order
  */
-router.put('/:id/status', authenticateToken, requirePermission('write'), async (req, res) => {
+router.get('/:id/invoice.pdf', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes } = req.body;
     
-    // Validate status
-    const validStatuses = ['pending', 'reserved', 'processing', 'shipped', 'completed', 'cancelled'];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
+    const order = await fileManager.findRecord('orders.json', id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    if (!isInvoiceable(order)) {
+      return res.status(409).json({
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: 'Order has no collected payment or invoice',
+        code: 'NOT_INVOICEABLE'
       });
     }
     
-    winston.info(`Updating order ${id} status to ${status}`);
+    // Sales from before numbers were assigned with payment
+    if (!order.invoice_number) {
+      return res.status(409).json({
+        success: false,
+        error: 'Order has no invoice number yet - assign one with POST /api/orders/:id/invoice-number',
+        code: 'INVOICE_NOT_NUMBERED'
+      });
+    }
     
-    const ordersData = await fileManager.readJSON('orders.json');
-    const orderIndex = ordersData.orders.findIndex(order => order.id === id);
+    winston.info(`Generating invoice ${order.invoice_number} for order ${id}`);
     
-    if (orderIndex === -1) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${order.invoice_number}.pdf"`);
+    renderInvoice(order, res);
+  } catch (error) {
+    winston.error('Invoice generation error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/invoice-number
+ * Give an invoiced or paid order that has no invoice number the next one
+ */
+router.post('/:id/invoice-number', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { order, assigned } = await assignInvoiceNumber(id);
+    
+    if (!order) {
       return res.status(404).json({
         success: false,
         error: 'Order not found'
       });
     }
     
-    // Update order status
-    const order = ordersData.orders[orderIndex];
-    const previousStatus = order.status;
-    
-    order.status = status;
-    order.updated_at = new Date().toISOString();
-    order.updated_by = req.user.email;
+    if (!order.invoice_number) {
+      return res.status(409).json({
+        success: false,
+        error: 'Order has no collected payment or invoice',
+        code: 'NOT_INVOICEABLE'
+      });
+    }
     
-    // Add status change to history
-    if (!order.status_history) {
-      order.status_history = [];
+    if (assigned) {
+      await ActivityLogger.logAdminActivity(
+        'invoice_numbered',
+        `Invoice number ${order.invoice_number} assigned to order ${id}`,
+        req.user.email,
+        { order_id: id }
+      );
     }
     
-    order.status_history.push({
-      status: status,
-      changed_at: new Date().toISOString(),
-      changed_by: req.user.email,
-      notes: notes || null
+    res.json({
+      success: true,
+      invoice_number: order.invoice_number,
+      invoice_date: order.invoice_date
+    });
+  } catch (error) {
+    winston.error('Invoice number assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign invoice number'
     });
+  }
+});
+
+/**
+ * GET /api/orders/:id/packing-slip.pdf
+ * Packing slip listing the manifest items of every ordered pack
+ */
+router.get('/:id/packing-slip.pdf', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const order = await fileManager.findRecord('orders.json', id);
     
-    await fileManager.writeJSON('orders.json', ordersData);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    winston.info(`Generating packing slip for order ${id}`);
+    
+    const sections = getPackingSections(order, await loadManifestData());
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="packing-slip-${order.id}.pdf"`);
+    renderPackingSlip(order, sections, res);
+  } catch (error) {
+    winston.error('Packing slip generation error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate packing slip'
+    });
+  }
+});
+
+/**
+ * PUT /api/orders/:id/status
+ * Move an order to another status (see utils/order-status.js for the allowed transitions)
+ */
+router.put('/:id/status', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, ...fields } = req.body;
     
-    // Log activity
-    await ActivityLogger.logOrderActivity(order, 'status_changed', req.user.email);
+    winston.info(`Updating order ${id} status to ${status}`);
     
-    winston.info(`Order ${id} status updated from ${previousStatus} to ${status}`);
+    const result = await changeOrderStatus(id, status, fields, req.user.email);
     
     res.json({
       success: true,
-      data: order,
+      data: await fileManager.findRecord('orders.json', id),
       message: `Order status updated to ${status}`,
       status_change: {
-        from: previousStatus,
-        to: status,
-        changed_at: order.updated_at,
+        from: result.from,
+        to: result.to,
+        changed_at: result.changed_at,
         changed_by: req.user.email
-      }
+      },
+      stock: result.effects.stock || null,
+      notification: result.effects.notification || null
     });
   } catch (error) {
+    if (error instanceof OrderStatusError || error instanceof ShipmentError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Order status update error:', error);
     res.status(500).json({
       success: false,
@@ -214,46 +449,76 @@ router.put('/:id/status', authenticateToken, requirePermission('write'), async (
 
 /**
  * PUT /api/orders/:id
- * Update order details
+ * Update order details, and the status through the same rules as PUT /api/orders/:id/status
  */
 router.put('/:id', authenticateToken, requirePermission('write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    // notes are the order's own notes here, not a note on the status change
+    const { status, notes: _notes, ...fields } = req.body;
+    
+    // Amounts, items, payment and identity fields are set by checkout and the
+    // payment, refund, shipment and address routes; only these are edited here
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
     
     winston.info(`Updating order ${id}`);
     
-    const ordersData = await fileManager.readJSON('orders.json');
-    const orderIndex = ordersData.orders.findIndex(order => order.id === id);
-    
-    if (orderIndex === -1) {
+    const current = await fileManager.findRecord('orders.json', id);
+    if (!current) {
       return res.status(404).json({
         success: false,
         error: 'Order not found'
       });
     }
     
-    // Update order with new data
-    ordersData.orders[orderIndex] = {
-      ...ordersData.orders[orderIndex],
-      ...updates,
-      updated_at: new Date().toISOString(),
-      updated_by: req.user.email
-    };
-    
-    await fileManager.writeJSON('orders.json', ordersData);
+    let statusChange = null;
+    if (status !== undefined && status !== current.status) {
+      statusChange = await changeOrderStatus(id, status, fields, req.user.email);
+    }
     
-    // Log activity
-    await ActivityLogger.logOrderActivity(ordersData.orders[orderIndex], 'updated', req.user.email);
+    let order = statusChange ? statusChange.order : current;
+    if (Object.keys(updates).length > 0) {
+      order = await fileManager.update('orders.json', (ordersData) => {
+        const existing = ordersData.orders.find(o => o.id === id);
+        
+        Object.assign(existing, updates, {
+          updated_at: new Date().toISOString(),
+          updated_by: req.user.email
+        });
+        
+        return existing;
+      });
+      
+      await ActivityLogger.logOrderActivity(order, 'updated', req.user.email);
+    }
     
     winston.info(`Order ${id} updated successfully`);
     
     res.json({
       success: true,
-      data: ordersData.orders[orderIndex],
-      message: 'Order updated successfully'
+      data: order,
+      message: 'Order updated successfully',
+      status_change: statusChange ? {
+        from: statusChange.from,
+        to: statusChange.to,
+        changed_at: statusChange.changed_at,
+        changed_by: req.user.email
+      } : null,
+      stock: statusChange ? statusChange.effects.stock || null : null,
+      notification: statusChange ? statusChange.effects.notification || null : null
     });
   } catch (error) {
+    if (error instanceof OrderStatusError || error instanceof ShipmentError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Order update error:', error);
     res.status(500).json({
       success: false,
@@ -262,6 +527,208 @@ router.put('/:id', authenticateToken, requirePermission('write'), async (req, re
   }
 });
 
+/**
+ * PUT /api/orders/:id/address
+ * Correct the buyer's business name, phone or shipping / billing address before the order ships
+ */
+router.put('/:id/address', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    winston.info(`Updating contact details of order ${id}`);
+    
+    const order = await updateOrderAddress(id, req.body, req.user.email);
+    
+    res.json({
+      success: true,
+      data: order,
+      message: 'Order address updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof AddressError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Order address update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update order address'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/refunds
+ * Refund an order through the payment provider, in full or in part
+ */
+router.post('/:id/refunds', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason, restock = false } = req.body;
+    
+    winston.info(`Refunding order ${id}`);
+    
+    const result = await refundOrder(id, { amount, reason, restock: restock === true }, req.user.email);
+    
+    res.status(201).json({
+      success: true,
+      data: result.order,
+      refunds: result.refunds,
+      restocked: result.restocked,
+      message: result.order.payment_status === 'refunded' ? 'Order fully refunded' : 'Order partially refunded'
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Order refund error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refund order'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/invoice-payments
+ * Record a wire, ACH or check payment received against an invoice
+ */
+router.post('/:id/invoice-payments', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, method, reference, received_at, notes } = req.body;
+    
+    winston.info(`Recording invoice payment on order ${id}`);
+    
+    const { order, payment } = await recordInvoicePayment(id, { amount, method, reference, received_at, notes }, req.user.email);
+    
+    res.status(201).json({
+      success: true,
+      data: order,
+      payment,
+      message: order.payment_status === 'completed' ? 'Invoice paid in full' : 'Partial payment recorded'
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Invoice payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record invoice payment'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/shipments
+ * Record a shipment; the first one moves the order to shipped. The buyer is notified.
+ */
+router.post('/:id/shipments', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    winston.info(`Recording shipment for order ${id}`);
+    
+    const result = await addShipment(id, req.body, req.user.email);
+    
+    res.status(201).json({
+      success: true,
+      data: result.order,
+      shipment: result.shipment,
+      status_change: result.status_change,
+      notification: result.notification,
+      message: result.status_change ? 'Shipment recorded and order shipped' : 'Shipment recorded'
+    });
+  } catch (error) {
+    if (error instanceof ShipmentError || error instanceof OrderStatusError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Shipment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record shipment'
+    });
+  }
+});
+
+/**
+ * PUT /api/orders/:id/shipments/:shipmentId
+ * Correct a shipment's carrier, tracking number or package details
+ */
+router.put('/:id/shipments/:shipmentId', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id, shipmentId } = req.params;
+    
+    winston.info(`Updating shipment ${shipmentId} on order ${id}`);
+    
+    const { order, shipment } = await updateShipment(id, shipmentId, req.body, req.user.email);
+    
+    res.json({
+      success: true,
+      data: order,
+      shipment,
+      message: 'Shipment updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof ShipmentError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Shipment update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update shipment'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/balance-payment
+ * Get a PaymentIntent for the balance of a deposit order, to send to the buyer
+ */
+router.post('/:id/balance-payment', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    winston.info(`Requesting balance payment for order ${id}`);
+    
+    const { order, paymentIntent, created } = await createBalancePayment(id, req.user.email);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: order,
+      payment_intent_id: paymentIntent.id,
+      client_secret: paymentIntent.client_secret,
+      amount: order.balance_due,
+      balance_due_date: order.balance_due_date,
+      message: created ? 'Balance payment created' : 'Balance payment already open'
+    });
+  } catch (error) {
+    if (error instanceof BalanceError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    winston.error('Balance payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create balance payment'
+    });
+  }
+});
+
 /**
  * GET /api/orders/stats/summary
  * Get order statistics summary
@@ -8,6 +8,8 @@ const router = express.Router();
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const fileManager = require('../utils/file-manager');
 const ActivityLogger = require('../utils/activity-logger');
+const inventoryManager = require('../utils/inventory-manager');
+const { ValidationError } = require('../utils/validator');
 const winston = require('winston');
 
 /**
@@ -71,7 +73,7 @@ router.get('/:id', async (req, res) => {
     winston.info(`Fetching pack ${id}`);
     
     const packsData = await fileManager.readJSON('packs.json');
-    const pack = packsData.packs.find(p => p.id == id);
+    const pack = packsData.packs.find(p => String(p.id) === id);
     
     if (!pack) {
       return res.status(404).json({
@@ -108,7 +110,6 @@ router.post('/', authenticateToken, requirePermission('write'), async (req, res)
       estimated_resale_value,
       number_of_units,
       available_quantity,
-      reserved_quantity,
       short_description,
       image_url,
       status = 'available' 
@@ -124,8 +125,6 @@ router.post('/', authenticateToken, requirePermission('write'), async (req, res)
     
     winston.info(`Creating new pack: ${name}`);
     
-    const packsData = await fileManager.readJSON('packs.json');
-    
     // Generate unique ID
     const newPack = {
       id: Date.now().toString(),
@@ -138,7 +137,8 @@ router.post('/', authenticateToken, requirePermission('write'), async (req, res)
       estimated_resale_value: estimated_resale_value || '',
       number_of_units: parseInt(number_of_units) || 0,
       available_quantity: parseInt(available_quantity) || 0,
-      reserved_quantity: parseInt(reserved_quantity) || 0,
+      // Only checkout holds reserve stock
+      reserved_quantity: 0,
       image_url: image_url?.trim() || '',
       status: status,
       created_at: new Date().toISOString(),
@@ -175,11 +175,13 @@ router.post('/', authenticateToken, requirePermission('write'), async (req, res)
       });
     }
     
-    packsData.packs.push(newPack);
-    await fileManager.writeJSON('packs.json', packsData);
+    await fileManager.update('packs.json', (packsData) => {
+      packsData.packs.push(newPack);
+    });
     
     // Log activity
     await ActivityLogger.logPackActivity(newPack, 'created', req.user.email);
+    await inventoryManager.recordAdjustment(null, newPack, req.user.email);
     
     winston.info(`Pack created successfully: ${newPack.id}`);
     
@@ -189,6 +191,9 @@ router.post('/', authenticateToken, requirePermission('write'), async (req, res)
       message: 'Pack created successfully'
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Pack creation error:', error);
     res.status(500).json({
       success: false,
@@ -204,19 +209,12 @@ router.post('/', authenticateToken, requirePermission('write'), async (req, res)
 router.put('/:id', authenticateToken, requirePermission('write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
     
-    winston.info(`Updating pack ${id}`);
-    
-    const packsData = await fileManager.readJSON('packs.json');
-    const packIndex = packsData.packs.findIndex(pack => pack.id == id);
+    // Identity and audit fields are managed by the server, and reserved stock
+    // and the status to restore after selling out by inventory-manager
+    const { id: _id, created_at, created_by, updated_at, updated_by, reserved_quantity, restock_status, ...updates } = req.body;
     
-    if (packIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: 'Pack not found'
-      });
-    }
+    winston.info(`Updating pack ${id}`);
     
     // Validate price if provided
     if (updates.price !== undefined) {
@@ -230,27 +228,59 @@ router.put('/:id', authenticateToken, requirePermission('write'), async (req, re
       updates.price = price;
     }
     
-    // Update pack with new data
-    packsData.packs[packIndex] = {
-      ...packsData.packs[packIndex],
-      ...updates,
-      updated_at: new Date().toISOString(),
-      updated_by: req.user.email
-    };
+    let previous;
+    let stockStatusChange = null;
+    const pack = await fileManager.update('packs.json', (packsData) => {
+      const packIndex = packsData.packs.findIndex(pack => String(pack.id) === id);
+      
+      if (packIndex === -1) {
+        return null;
+      }
+      
+      // Update pack with new data
+      previous = packsData.packs[packIndex];
+      packsData.packs[packIndex] = {
+        ...previous,
+        ...updates,
+        updated_at: new Date().toISOString(),
+        updated_by: req.user.email
+      };
+      
+      // Follow the new stock level unless the admin picked a status
+      if (updates.available_quantity !== undefined && updates.status === undefined) {
+        stockStatusChange = inventoryManager.applyStockStatus(packsData.packs[packIndex]);
+      } else if (updates.status !== undefined) {
+        delete packsData.packs[packIndex].restock_status;
+      }
+      
+      return packsData.packs[packIndex];
+    });
     
-    await fileManager.writeJSON('packs.json', packsData);
+    if (!pack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pack not found'
+      });
+    }
     
     // Log activity
-    await ActivityLogger.logPackActivity(packsData.packs[packIndex], 'updated', req.user.email);
+    await ActivityLogger.logPackActivity(pack, 'updated', req.user.email);
+    await inventoryManager.recordAdjustment(previous, pack, req.user.email);
+    if (stockStatusChange) {
+      await ActivityLogger.logPackActivity(pack, stockStatusChange, req.user.email);
+    }
     
     winston.info(`Pack updated successfully: ${id}`);
     
     res.json({
       success: true,
-      pack: packsData.packs[packIndex],
+      pack,
       message: 'Pack updated successfully'
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Pack update error:', error);
     res.status(500).json({
       success: false,
@@ -269,21 +299,23 @@ router.delete('/:id', authenticateToken, requirePermission('delete'), async (req
     
     winston.info(`Deleting pack ${id}`);
     
-    const packsData = await fileManager.readJSON('packs.json');
-    const packIndex = packsData.packs.findIndex(pack => pack.id == id);
+    const deletedPack = await fileManager.update('packs.json', (packsData) => {
+      const packIndex = packsData.packs.findIndex(pack => String(pack.id) === id);
+      
+      if (packIndex === -1) {
+        return null;
+      }
+      
+      return packsData.packs.splice(packIndex, 1)[0];
+    });
     
-    if (packIndex === -1) {
+    if (!deletedPack) {
       return res.status(404).json({
         success: false,
         error: 'Pack not found'
       });
     }
     
-    const deletedPack = packsData.packs[packIndex];
-    packsData.packs.splice(packIndex, 1);
-    
-    await fileManager.writeJSON('packs.json', packsData);
-    
     winston.info(`Pack deleted successfully: ${id}`);
     
     res.json({
@@ -303,6 +335,33 @@ router.delete('/:id', authenticateToken, requirePermission('delete'), async (req
   }
 });
 
+/**
+ * GET /api/packs/:id/stock-movements
+ * Get the stock movement history of a pack, newest first
+ */
+router.get('/:id/stock-movements', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    winston.info(`Fetching stock movements for pack ${id}`);
+    
+    const movements = await fileManager.findRecords('stock-movements.json', { pack_id: id });
+    
+    res.json({
+      success: true,
+      pack_id: id,
+      movements: movements.reverse(),
+      total: movements.length
+    });
+  } catch (error) {
+    winston.error('Stock movements fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load stock movements'
+    });
+  }
+});
+
 /**
  * GET /api/packs/categories
  * Get all pack categories
@@ -335,28 +394,36 @@ router.post('/:id/duplicate', authenticateToken, requirePermission('write'), asy
     
     winston.info(`Duplicating pack ${id}`);
     
-    const packsData = await fileManager.readJSON('packs.json');
-    const originalPack = packsData.packs.find(pack => pack.id === id);
+    const duplicatedPack = await fileManager.update('packs.json', (packsData) => {
+      const originalPack = packsData.packs.find(pack => String(pack.id) === id);
+      
+      if (!originalPack) {
+        return null;
+      }
+      
+      // Create duplicate with new ID
+      const duplicatedPack = {
+        ...originalPack,
+        id: Date.now().toString(),
+        name: `${originalPack.name} (Copy)`,
+        reserved_quantity: 0, // holds belong to the original pack's checkouts
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        created_by: req.user.email
+      };
+      
+      packsData.packs.push(duplicatedPack);
+      return duplicatedPack;
+    });
     
-    if (!originalPack) {
+    if (!duplicatedPack) {
       return res.status(404).json({
         success: false,
         error: 'Pack not found'
       });
     }
     
-    // Create duplicate with new ID
-    const duplicatedPack = {
-      ...originalPack,
-      id: Date.now().toString(),
-      name: `${originalPack.name} (Copy)`,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      created_by: req.user.email
-    };
-    
-    packsData.packs.push(duplicatedPack);
-    await fileManager.writeJSON('packs.json', packsData);
+    await inventoryManager.recordAdjustment(null, duplicatedPack, req.user.email);
     
     winston.info(`Pack duplicated successfully: ${duplicatedPack.id}`);
     
@@ -366,6 +433,9 @@ router.post('/:id/duplicate', authenticateToken, requirePermission('write'), asy
       message: 'Pack duplicated successfully'
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Pack duplication error:', error);
     res.status(500).json({
       success: false,
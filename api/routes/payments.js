@@ -1,22 +1,95 @@
 /**
  * Payment Routes
- * Handles Stripe payment processing and webhook events
+ * Handles payment processing and webhook events through the configured payment provider
  */
 
 const express = require('express');
 const router = express.Router();
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const config = require('../config/environment');
+const { getPaymentProvider } = require('../utils/payments');
+const inventoryManager = require('../utils/inventory-manager');
+const { InventoryError } = require('../utils/inventory-manager');
 const fileManager = require('../utils/file-manager');
-const ActivityLogger = require('../utils/activity-logger');
+const pricing = require('../utils/pricing');
+const { PricingError } = require('../utils/pricing');
+const { createOrderForPayment, findOrderForPayment } = require('../utils/payment-orders');
+const { isBalancePayment, markBalancePaid } = require('../utils/balances');
+const { findApprovedBuyer, createInvoiceOrder } = require('../utils/invoices');
+const { applyDiscountCode, DiscountError } = require('../utils/discounts');
+const { parseCustomerDetails, applyCustomerDetails, saveCheckoutDetails, AddressError } = require('../utils/addresses');
+const { applyShipping, isPickupMethod, ShippingError } = require('../utils/shipping');
+const { applyTax, removeTax } = require('../utils/tax');
+const webhookJournal = require('../utils/webhook-journal');
+const { ValidationError } = require('../utils/validator');
 const winston = require('winston');
 
+const paymentProvider = getPaymentProvider();
+
+// Answer when an email and account code don't match an approved buyer
+const BUYER_NOT_APPROVED = {
+  success: false,
+  error: 'Email and account code do not match an approved buyer',
+  code: 'BUYER_NOT_APPROVED'
+};
+
+// PaymentIntent states in which the buyer hasn't submitted the card yet
+const CHANGEABLE_PAYMENT_STATUSES = ['requires_payment_method', 'requires_confirmation'];
+
+// Answer when a PaymentIntent can no longer be changed
+const PAYMENT_LOCKED = {
+  success: false,
+  error: 'This payment has already been submitted and can no longer be changed',
+  code: 'PAYMENT_LOCKED'
+};
+
+// Cancel the PaymentIntent of an expired hold so the buyer can't pay for released stock
+inventoryManager.onExpire(async (reservation) => {
+  if (reservation.payment_intent_id) {
+    // A payment that already went through becomes an order instead
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(reservation.payment_intent_id);
+    if (!CHANGEABLE_PAYMENT_STATUSES.includes(paymentIntent.status) && paymentIntent.status !== 'requires_action') {
+      winston.warn(`Not cancelling payment intent ${paymentIntent.id} (${paymentIntent.status}) for expired reservation ${reservation.id}`);
+      return;
+    }
+    await paymentProvider.cancelPaymentIntent(reservation.payment_intent_id);
+    winston.info(`Cancelled payment intent ${reservation.payment_intent_id} for expired reservation ${reservation.id}`);
+  }
+});
+
+/**
+ * Create a PaymentIntent for a stock reservation
+ * The hold is released again if the provider rejects the request.
+ * @param {Object|null} reservation - Reservation holding the stock
+ * @param {Object} params - PaymentIntent parameters ({ amount, currency, metadata })
+ * @returns {Object} PaymentIntent
+ */
+async function createReservedPaymentIntent(reservation, params) {
+  if (!reservation) {
+    return paymentProvider.createPaymentIntent(params);
+  }
+  
+  let paymentIntent;
+  try {
+    paymentIntent = await paymentProvider.createPaymentIntent({
+      ...params,
+      metadata: { ...params.metadata, reservation_id: reservation.id }
+    });
+  } catch (error) {
+    await inventoryManager.release({ id: reservation.id }, 'payment_intent_failed');
+    throw error;
+  }
+  
+  await inventoryManager.attachPaymentIntent(reservation.id, paymentIntent.id);
+  return paymentIntent;
+}
+
 /**
  * POST /api/payments/create-intent
  * Create a payment intent for a pack purchase
  */
 router.post('/create-intent', async (req, res) => {
   try {
-    const { pack_id, customer_email, customer_name, amount } = req.body;
+    const { pack_id, customer_email, customer_name, amount, payment_type = 'full', discount_code, shipping_method, account_code } = req.body;
     
     // Validate required fields
     if (!pack_id || !amount || !customer_email) {
@@ -26,20 +99,53 @@ router.post('/create-intent', async (req, res) => {
       });
     }
     
+    // Shipping and tax are priced for the ship-to, so it is needed up front (local pickup is taxed at the shop)
+    const customerDetails = applyCustomerDetails({}, parseCustomerDetails(req.body, {
+      requireShippingAddress: !(await isPickupMethod(shipping_method))
+    }));
+    
+    // Resellers send their account code to have their tax exemption applied
+    const buyer = account_code ? await findApprovedBuyer(customer_email, account_code) : null;
+    if (account_code && !buyer) {
+      return res.status(403).json(BUYER_NOT_APPROVED);
+    }
+    
     winston.info(`Creating payment intent for pack ${pack_id}, amount: ${amount}`);
     
+    // Charge the catalog price, not the client's
+    let quote = await pricing.quotePack(pack_id, payment_type);
+    if (discount_code) {
+      quote = await applyDiscountCode(quote, discount_code, { customerEmail: customer_email });
+    }
+    pricing.assertAmountMatches(quote, amount);
+    quote = await applyShipping(quote, shipping_method, customerDetails.shipping_address);
+    quote = await applyTax(quote, { address: customerDetails.shipping_address, buyer });
+    
+    // Hold the pack while the buyer pays
+    const reservation = await inventoryManager.reserve({
+      items: [{ pack_id, quantity: 1 }],
+      customerEmail: customer_email,
+      purchaseType: 'pack'
+    });
+    
     // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: 'usd',
+    const paymentIntent = await createReservedPaymentIntent(reservation, {
+      amount: quote.amount_cents,
+      currency: config.payments.currency,
       metadata: {
-        pack_id: pack_id,
+        pack_id: String(pack_id),
+        payment_type: quote.payment_type,
         customer_email: customer_email,
         customer_name: customer_name || 'Unknown'
-      },
-      automatic_payment_methods: {
-        enabled: true,
-      },
+      }
+    });
+    
+    await pricing.saveQuote(paymentIntent.id, quote, {
+      purchase_type: 'pack',
+      customer_email,
+      customer_name: customer_name || null,
+      reservation_id: reservation ? reservation.id : null,
+      ...customerDetails
     });
     
     winston.info(`Payment intent created: ${paymentIntent.id}`);
@@ -47,10 +153,24 @@ router.post('/create-intent', async (req, res) => {
     res.json({
       success: true,
       client_secret: paymentIntent.client_secret,
-      payment_intent_id: paymentIntent.id
+      payment_intent_id: paymentIntent.id,
+      amount: quote.total,
+      discounts: quote.discounts,
+      shipping: quote.shipping || null,
+      tax: quote.tax || null,
+      reservation_expires_at: reservation ? reservation.expires_at : null
     });
     
   } catch (error) {
+    if (error instanceof PricingError || error instanceof DiscountError || error instanceof AddressError || error instanceof ShippingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof InventoryError) {
+      return res.status(409).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Payment intent creation error:', error);
     res.status(500).json({
       success: false,
@@ -59,6 +179,118 @@ router.post('/create-intent', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/payments/checkout-details
+ * Save the buyer's contact details, addresses and shipping method for a PaymentIntent, before the card is confirmed
+ * Needs the PaymentIntent's client_secret, like Stripe.js. Shipping and sales tax are added to the PaymentIntent's amount.
+ */
+router.post('/checkout-details', async (req, res) => {
+  try {
+    const { payment_intent_id, client_secret, shipping_method, customer_email, customer_name, account_code } = req.body;
+    
+    if (!payment_intent_id || !client_secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: payment_intent_id, client_secret'
+      });
+    }
+    
+    const quote = await pricing.getQuote(payment_intent_id);
+    
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found',
+        code: 'QUOTE_NOT_FOUND'
+      });
+    }
+    
+    // PaymentIntent ids aren't secret, so the page proves it is the buyer's checkout
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(payment_intent_id);
+    if (paymentIntent.client_secret !== client_secret) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid client_secret'
+      });
+    }
+    
+    // Local pickup doesn't need a shipping address
+    const details = parseCustomerDetails(req.body, { requireShippingAddress: !(await isPickupMethod(shipping_method)) });
+    
+    const buyer = account_code ? await findApprovedBuyer(customer_email || quote.customer_email, account_code) : null;
+    if (account_code && !buyer) {
+      return res.status(403).json(BUYER_NOT_APPROVED);
+    }
+    
+    // Tax is worked out last, since some jurisdictions tax shipping
+    const shipped = await applyShipping(removeTax(quote), shipping_method, details.shipping_address);
+    const priced = await applyTax(shipped, { address: details.shipping_address, buyer });
+    
+    // Order creation for this PaymentIntent waits until the details are saved
+    const saved = await fileManager.withLock(`payment:${payment_intent_id}`, async () => {
+      // Once the card is submitted the order is built from the quote, so it can't change any more
+      const current = await paymentProvider.retrievePaymentIntent(payment_intent_id);
+      if (!CHANGEABLE_PAYMENT_STATUSES.includes(current.status) || await findOrderForPayment(payment_intent_id)) {
+        return null;
+      }
+      
+      // Charge shipping and tax with the card payment (deposits add them to the balance instead)
+      if (priced.amount_cents !== quote.amount_cents) {
+        await paymentProvider.updatePaymentIntentAmount(payment_intent_id, priced.amount_cents);
+      }
+      
+      return saveCheckoutDetails(payment_intent_id, details, {
+        customer_email: customer_email ? String(customer_email).trim() : undefined,
+        customer_name: customer_name ? String(customer_name).trim() : undefined,
+        shipping_address: details.shipping_address,
+        shipping: priced.shipping || null,
+        tax: priced.tax || null,
+        amount_cents: priced.amount_cents,
+        total: priced.total,
+        full_price: priced.full_price,
+        balance_due: priced.balance_due
+      });
+    });
+    
+    if (!saved) {
+      return res.status(409).json(PAYMENT_LOCKED);
+    }
+    
+    res.json({
+      success: true,
+      customer: {
+        customer_email: saved.customer_email,
+        customer_name: saved.customer_name,
+        business_name: saved.business_name || null,
+        phone: saved.phone,
+        shipping_address: saved.shipping_address || null,
+        billing_address: saved.billing_address
+      },
+      shipping: saved.shipping || null,
+      tax: saved.tax || null,
+      amount: saved.total,
+      balance_due: saved.balance_due
+    });
+    
+  } catch (error) {
+    if (error instanceof AddressError || error instanceof ShippingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    // The buyer submitted the card while the details were being saved
+    if (error.code === 'payment_intent_unexpected_state') {
+      return res.status(409).json(PAYMENT_LOCKED);
+    }
+    winston.error('Checkout details error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save checkout details'
+    });
+  }
+});
+
 /**
  * POST /api/payments/confirm
  * Confirm a payment and create order
@@ -67,11 +299,18 @@ router.post('/confirm', async (req, res) => {
   try {
     const { payment_intent_id, pack_id, customer_email, customer_name } = req.body;
     
+    // Validate required fields
+    if (!payment_intent_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: payment_intent_id'
+      });
+    }
+    
     winston.info(`Confirming payment: ${payment_intent_id}`);
-    winston.info(`Looking for pack_id: ${pack_id} (type: ${typeof pack_id})`);
     
-    // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+    // Retrieve payment intent from the provider
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(payment_intent_id);
     
     if (paymentIntent.status !== 'succeeded') {
       return res.status(400).json({
@@ -80,59 +319,43 @@ router.post('/confirm', async (req, res) => {
       });
     }
     
-    // Get pack details
-    const packsData = await fileManager.readJSON('packs.json');
-    winston.info(`Available pack IDs: ${packsData.packs.map(p => `${p.id} (${typeof p.id})`).join(', ')}`);
-    const pack = packsData.packs.find(p => p.id == pack_id); // Use loose equality to handle string/number mismatch
+    // Paying the balance of a deposit order updates that order instead
+    if (isBalancePayment(paymentIntent)) {
+      await markBalancePaid(paymentIntent);
+      return res.json({
+        success: true,
+        order: await findOrderForPayment(paymentIntent.id, { includeBalance: true }),
+        message: 'Balance payment confirmed'
+      });
+    }
     
-    if (!pack) {
-      return res.status(404).json({
+    // Creates the order, or returns the one an earlier confirm or the webhook created
+    const { order, created } = await createOrderForPayment(paymentIntent, {
+      pack_id,
+      customer_email,
+      customer_name
+    });
+    
+    if (!order) {
+      return res.status(400).json({
         success: false,
-        error: 'Pack not found'
+        error: 'Missing pack_id for this payment'
       });
     }
     
-    // Create order
-    const order = {
-      id: `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      pack_id: pack_id,
-      pack_name: pack.name,
-      customer_email: customer_email,
-      customer_name: customer_name,
-      amount: paymentIntent.amount / 100, // Convert from cents
-      payment_intent_id: payment_intent_id,
-      payment_status: 'completed',
-      status: 'pending',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      status_history: [{
-        status: 'pending',
-        changed_at: new Date().toISOString(),
-        changed_by: 'system',
-        notes: 'Order created after successful payment'
-      }]
-    };
-    
-    // Save order to JSON file
-    const ordersData = await fileManager.readJSON('orders.json');
-    if (!ordersData.orders) {
-      ordersData.orders = [];
-    }
-    ordersData.orders.push(order);
-    await fileManager.writeJSON('orders.json', ordersData);
-    
-    // Log activity
-    await ActivityLogger.logOrderActivity(order, 'created', 'system');
-    
-    winston.info(`Order created: ${order.id} for pack ${pack_id}`);
-    
     res.json({
       success: true,
       order: order,
-      message: 'Payment confirmed and order created'
+      message: created ? 'Payment confirmed and order created' : 'Order already exists for this payment'
     });
     
   } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Payment confirmation error:', error);
     res.status(500).json({
       success: false,
@@ -143,74 +366,62 @@ router.post('/confirm', async (req, res) => {
 
 /**
  * POST /api/payments/webhook
- * Handle Stripe webhook events
+ * Handle payment provider webhook events
  */
 router.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_...'; // You'll need to set this up
+  const sig = req.headers[paymentProvider.signatureHeader];
+  // The signature covers the exact bytes sent, kept by the JSON parser as req.rawBody
+  const rawBody = req.rawBody || req.body;
   
-  let event;
+  let event = null;
+  let signatureError = null;
   
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = paymentProvider.constructWebhookEvent(rawBody, sig);
   } catch (err) {
     winston.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    signatureError = err.message;
   }
   
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      winston.info(`Payment succeeded: ${paymentIntent.id}`);
-      
-      // Update order status if needed
-      try {
-        const ordersData = await fileManager.readJSON('orders.json');
-        const orderIndex = ordersData.orders.findIndex(order => 
-          order.payment_intent_id === paymentIntent.id
-        );
-        
-        if (orderIndex !== -1) {
-          ordersData.orders[orderIndex].payment_status = 'completed';
-          ordersData.orders[orderIndex].updated_at = new Date().toISOString();
-          await fileManager.writeJSON('orders.json', ordersData);
-          
-          // Log activity
-          await ActivityLogger.logOrderActivity(ordersData.orders[orderIndex], 'payment_completed', 'system');
-        }
-      } catch (error) {
-        winston.error('Error updating order after payment success:', error);
-      }
-      break;
-      
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      winston.info(`Payment failed: ${failedPayment.id}`);
-      
-      // Update order status
-      try {
-        const ordersData = await fileManager.readJSON('orders.json');
-        const orderIndex = ordersData.orders.findIndex(order => 
-          order.payment_intent_id === failedPayment.id
-        );
-        
-        if (orderIndex !== -1) {
-          ordersData.orders[orderIndex].payment_status = 'failed';
-          ordersData.orders[orderIndex].status = 'cancelled';
-          ordersData.orders[orderIndex].updated_at = new Date().toISOString();
-          await fileManager.writeJSON('orders.json', ordersData);
-          
-          // Log activity
-          await ActivityLogger.logOrderActivity(ordersData.orders[orderIndex], 'payment_failed', 'system');
-        }
-      } catch (error) {
-        winston.error('Error updating order after payment failure:', error);
-      }
-      break;
-      
-    default:
-      winston.info(`Unhandled event type: ${event.type}`);
+  let recorded;
+  try {
+    // Journal the event before acting on it, so failures can be replayed
+    recorded = await webhookJournal.recordEvent({
+      event,
+      rawBody,
+      signatureError,
+      provider: paymentProvider.name
+    });
+  } catch (error) {
+    winston.error('Failed to record webhook event:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record webhook event'
+    });
+  }
+  
+  if (signatureError) {
+    return res.status(400).send(`Webhook Error: ${signatureError}`);
+  }
+  
+  if (recorded.duplicate) {
+    winston.info(`Ignoring duplicate webhook event ${event.id} (${event.type})`);
+    return res.json({received: true, duplicate: true});
+  }
+  
+  let entry;
+  try {
+    entry = await webhookJournal.processEvent(recorded.entry.id, event);
+  } catch (error) {
+    winston.error('Failed to record webhook outcome:', error);
+  }
+  
+  // A non-2xx answer makes the provider retry the event later
+  if (!entry || entry.status === 'failed') {
+    return res.status(500).json({
+      received: true,
+      error: 'Event processing failed'
+    });
   }
   
   res.json({received: true});
@@ -222,7 +433,7 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
  */
 router.post('/create-cart-intent', async (req, res) => {
   try {
-    const { cart_items, customer_email, customer_name, amount } = req.body;
+    const { cart_items, customer_email, customer_name, amount, discount_code, shipping_method, account_code } = req.body;
     
     // Validate required fields
     if (!cart_items || !Array.isArray(cart_items) || cart_items.length === 0 || !amount || !customer_email) {
@@ -232,22 +443,54 @@ router.post('/create-cart-intent', async (req, res) => {
       });
     }
     
+    // Shipping and tax are priced for the ship-to, so it is needed up front (local pickup is taxed at the shop)
+    const customerDetails = applyCustomerDetails({}, parseCustomerDetails(req.body, {
+      requireShippingAddress: !(await isPickupMethod(shipping_method))
+    }));
+    
+    // Resellers send their account code to have their tax exemption applied
+    const buyer = account_code ? await findApprovedBuyer(customer_email, account_code) : null;
+    if (account_code && !buyer) {
+      return res.status(403).json(BUYER_NOT_APPROVED);
+    }
+    
     winston.info(`Creating cart payment intent for ${cart_items.length} items, amount: ${amount}`);
     
+    // Charge catalog prices, not the client's
+    let quote = await pricing.quoteCart(cart_items);
+    if (discount_code) {
+      quote = await applyDiscountCode(quote, discount_code, { customerEmail: customer_email });
+    }
+    pricing.assertAmountMatches(quote, amount);
+    quote = await applyShipping(quote, shipping_method, customerDetails.shipping_address);
+    quote = await applyTax(quote, { address: customerDetails.shipping_address, buyer });
+    
+    // Hold the cart's packs while the buyer pays
+    const reservation = await inventoryManager.reserve({
+      items: quote.lines.map(line => ({ pack_id: line.id, quantity: line.quantity })),
+      customerEmail: customer_email,
+      purchaseType: 'cart'
+    });
+    
     // Create payment intent with limited metadata (Stripe has 500 char limit per metadata value)
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: 'usd',
+    const paymentIntent = await createReservedPaymentIntent(reservation, {
+      amount: quote.amount_cents,
+      currency: config.payments.currency,
       metadata: {
         customer_email: customer_email,
         customer_name: customer_name || 'Unknown',
         purchase_type: 'cart',
-        item_count: cart_items.length.toString(),
-        total_amount: amount.toString()
-      },
-      automatic_payment_methods: {
-        enabled: true,
-      },
+        item_count: quote.lines.length.toString(),
+        total_amount: quote.total.toString()
+      }
+    });
+    
+    await pricing.saveQuote(paymentIntent.id, quote, {
+      purchase_type: 'cart',
+      customer_email,
+      customer_name: customer_name || null,
+      reservation_id: reservation ? reservation.id : null,
+      ...customerDetails
     });
     
     winston.info(`Cart payment intent created: ${paymentIntent.id}`);
@@ -255,10 +498,24 @@ router.post('/create-cart-intent', async (req, res) => {
     res.json({
       success: true,
       client_secret: paymentIntent.client_secret,
-      payment_intent_id: paymentIntent.id
+      payment_intent_id: paymentIntent.id,
+      amount: quote.total,
+      discounts: quote.discounts,
+      shipping: quote.shipping || null,
+      tax: quote.tax || null,
+      reservation_expires_at: reservation ? reservation.expires_at : null
     });
     
   } catch (error) {
+    if (error instanceof PricingError || error instanceof DiscountError || error instanceof AddressError || error instanceof ShippingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof InventoryError) {
+      return res.status(409).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Cart payment intent creation error:', error);
     res.status(500).json({
       success: false,
@@ -285,8 +542,8 @@ router.post('/confirm-cart', async (req, res) => {
       });
     }
     
-    // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+    // Retrieve payment intent from the provider
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(payment_intent_id);
     
     if (paymentIntent.status !== 'succeeded') {
       return res.status(400).json({
@@ -295,41 +552,16 @@ router.post('/confirm-cart', async (req, res) => {
       });
     }
     
-    // Calculate total amount
-    const totalAmount = cart_items.reduce((total, item) => total + (item.price * item.quantity), 0);
-    
-    // Create order with cart items
-    const order = {
-      id: `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      items: cart_items,
-      customer_email: customer_email,
-      customer_name: customer_name,
-      amount: totalAmount,
-      payment_intent_id: payment_intent_id,
-      payment_status: 'completed',
-      status: 'pending',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      status_history: [{
-        status: 'pending',
-        changed_at: new Date().toISOString(),
-        changed_by: 'system',
-        notes: 'Cart order created after successful payment'
-      }]
-    };
-    
-    // Save order to JSON file
-    const ordersData = await fileManager.readJSON('orders.json');
-    if (!ordersData.orders) {
-      ordersData.orders = [];
-    }
-    ordersData.orders.push(order);
-    await fileManager.writeJSON('orders.json', ordersData);
-    
-    // Log activity
-    await ActivityLogger.logOrderActivity(order, 'order_created', 'system');
-    
-    winston.info(`Cart order created: ${order.id}`);
+    // Creates the order, or returns the one an earlier confirm or the webhook created
+    const { order, created } = await createOrderForPayment(paymentIntent, {
+      cart_items,
+      customer_email,
+      customer_name
+    });
+    
+    if (created) {
+      winston.info(`Cart order created: ${order.id}`);
+    }
     
     res.json({
       success: true,
@@ -337,6 +569,12 @@ router.post('/confirm-cart', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
     winston.error('Cart payment confirmation error:', error);
     res.status(500).json({
       success: false,
@@ -345,14 +583,81 @@ router.post('/confirm-cart', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/payments/invoice-order
+ * Place a pack or cart order on net terms, for approved buyers (no card payment)
+ */
+router.post('/invoice-order', async (req, res) => {
+  try {
+    const { customer_email, account_code, pack_id, cart_items, customer_name, amount, po_number, discount_code, shipping_method } = req.body;
+    
+    // Validate required fields
+    if (!customer_email || !account_code || (!pack_id && (!Array.isArray(cart_items) || cart_items.length === 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: customer_email, account_code, pack_id or cart_items'
+      });
+    }
+    
+    const buyer = await findApprovedBuyer(customer_email, account_code);
+    
+    if (!buyer) {
+      winston.warn(`Invoice order refused for ${customer_email}`);
+      return res.status(403).json(BUYER_NOT_APPROVED);
+    }
+    
+    // The buyer's account fills in a company and phone the form left empty
+    const customerDetails = parseCustomerDetails({
+      ...req.body,
+      business_name: req.body.business_name || buyer.company,
+      phone: req.body.phone || buyer.phone
+    }, { requireShippingAddress: !(await isPickupMethod(shipping_method)) });
+    
+    winston.info(`Creating invoice order for buyer ${buyer.id}`);
+    
+    const order = await createInvoiceOrder(buyer, {
+      pack_id,
+      cart_items: pack_id ? undefined : cart_items,
+      customer_name,
+      amount,
+      po_number,
+      discount_code,
+      shipping_method,
+      customer_details: customerDetails
+    });
+    
+    res.status(201).json({
+      success: true,
+      order,
+      message: `Order placed on invoice, due ${order.invoice.due_date.substring(0, 10)}`
+    });
+    
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof DiscountError || error instanceof AddressError || error instanceof ShippingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof InventoryError) {
+      return res.status(409).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Invoice order error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to place invoice order'
+    });
+  }
+});
+
 /**
  * GET /api/payments/config
- * Get Stripe configuration for frontend
+ * Get payment provider configuration for frontend
  */
 router.get('/config', (req, res) => {
   res.json({
     success: true,
-    publishable_key: process.env.STRIPE_PUBLISHABLE_KEY
+    ...paymentProvider.getPublicConfig()
   });
 });
 
@@ -0,0 +1,133 @@
+/**
+ * Reservation Routes
+ * Lets admins see and release the stock held by open checkouts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const fileManager = require('../utils/file-manager');
+const inventoryManager = require('../utils/inventory-manager');
+const winston = require('winston');
+
+/**
+ * GET /api/reservations
+ * Get reservations, newest first
+ */
+router.get('/', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { status, pack_id, payment_intent_id } = req.query;
+
+    winston.info('Fetching reservations');
+
+    const reservationsData = await fileManager.readJSON('reservations.json');
+    let reservations = reservationsData.reservations || [];
+
+    // Apply filters
+    if (status) {
+      reservations = reservations.filter(reservation => reservation.status === status);
+    }
+
+    if (pack_id) {
+      reservations = reservations.filter(reservation =>
+        reservation.items.some(item => item.pack_id === pack_id)
+      );
+    }
+
+    if (payment_intent_id) {
+      reservations = reservations.filter(reservation => reservation.payment_intent_id === payment_intent_id);
+    }
+
+    reservations = [...reservations].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    // Units currently held per pack
+    const held = {};
+    reservations
+      .filter(reservation => reservation.status === 'active')
+      .forEach(reservation => {
+        reservation.items.forEach(item => {
+          held[item.pack_id] = (held[item.pack_id] || 0) + item.quantity;
+        });
+      });
+
+    res.json({
+      success: true,
+      reservations,
+      held,
+      total: reservations.length
+    });
+  } catch (error) {
+    winston.error('Reservations fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load reservations'
+    });
+  }
+});
+
+/**
+ * GET /api/reservations/:id
+ * Get specific reservation by ID
+ */
+router.get('/:id', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await fileManager.findRecord('reservations.json', id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reservation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      reservation
+    });
+  } catch (error) {
+    winston.error('Reservation fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load reservation'
+    });
+  }
+});
+
+/**
+ * POST /api/reservations/:id/release
+ * Release an active hold and return its stock
+ */
+router.post('/:id/release', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    winston.info(`Releasing reservation ${id}`);
+
+    const reservation = await inventoryManager.release({ id }, reason || 'released_by_admin', req.user.email);
+
+    if (!reservation) {
+      const existing = await fileManager.findRecord('reservations.json', id);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        error: existing ? `Reservation is already ${existing.status}` : 'Reservation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      reservation,
+      message: 'Reservation released'
+    });
+  } catch (error) {
+    winston.error('Reservation release error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release reservation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * Shipping Routes
+ * Admin management of shipping rates and the shipping options shown at checkout
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const ActivityLogger = require('../utils/activity-logger');
+const pricing = require('../utils/pricing');
+const { PricingError } = require('../utils/pricing');
+const { applyDiscountCode, DiscountError } = require('../utils/discounts');
+const { getShippingSettings, saveShippingSettings, getShippingOptions, ShippingError } = require('../utils/shipping');
+const { ValidationError } = require('../utils/validator');
+const winston = require('winston');
+
+/**
+ * GET /api/shipping
+ * Get the shipping settings: zones, package sizes and methods
+ */
+router.get('/', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await getShippingSettings()
+    });
+  } catch (error) {
+    winston.error('Shipping settings fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load shipping settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/shipping
+ * Replace the shipping settings
+ */
+router.put('/', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { dim_divisor, zones, packages, methods } = req.body;
+
+    if (dim_divisor === undefined || !Array.isArray(zones) || !packages || !Array.isArray(methods)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: dim_divisor, zones, packages, methods'
+      });
+    }
+
+    winston.info('Updating shipping settings');
+
+    const settings = await saveShippingSettings({ dim_divisor, zones, packages, methods }, req.user.email);
+
+    await ActivityLogger.logAdminActivity(
+      'shipping_settings_updated',
+      `Shipping settings updated (${methods.filter(method => method.status === 'active').length} active methods)`,
+      req.user.email
+    );
+
+    res.json({
+      success: true,
+      settings,
+      message: 'Shipping settings updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof ShippingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Shipping settings update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update shipping settings'
+    });
+  }
+});
+
+/**
+ * POST /api/shipping/options
+ * Get the shipping methods and prices for a checkout, by payment_intent_id or by pack_id / cart_items
+ */
+router.post('/options', async (req, res) => {
+  try {
+    const { payment_intent_id, pack_id, cart_items, payment_type = 'full', discount_code, customer_email, shipping_address } = req.body;
+
+    let quote = await pricing.quoteCheckout({ payment_intent_id, pack_id, cart_items, payment_type });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (discount_code && !payment_intent_id) {
+      quote = await applyDiscountCode(quote, discount_code, { customerEmail: customer_email });
+    }
+
+    // Only the country and state pick the zone, so a half-typed address still gets prices
+    const address = shipping_address && (shipping_address.country || shipping_address.state)
+      ? {
+        country: String(shipping_address.country || 'US').trim().toUpperCase(),
+        state: shipping_address.state ? String(shipping_address.state).trim().toUpperCase() : undefined
+      }
+      : null;
+
+    const { zone, options } = await getShippingOptions(quote, address);
+
+    res.json({
+      success: true,
+      zone,
+      options
+    });
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof DiscountError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    winston.error('Shipping options error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load shipping options'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * Tax Routes
+ * Admin management of sales tax rates and the tax estimate shown at checkout
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const ActivityLogger = require('../utils/activity-logger');
+const pricing = require('../utils/pricing');
+const { PricingError } = require('../utils/pricing');
+const { applyDiscountCode, DiscountError } = require('../utils/discounts');
+const { applyShipping, ShippingError } = require('../utils/shipping');
+const { getTaxSettings, saveTaxSettings, applyTax, removeTax, TaxError } = require('../utils/tax');
+const { findApprovedBuyer } = require('../utils/invoices');
+const { ValidationError } = require('../utils/validator');
+const winston = require('winston');
+
+/**
+ * GET /api/tax
+ * Get the tax settings: origin address and jurisdiction rates
+ */
+router.get('/', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await getTaxSettings()
+    });
+  } catch (error) {
+    winston.error('Tax settings fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load tax settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/tax
+ * Replace the tax settings
+ */
+router.put('/', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { origin, jurisdictions } = req.body;
+
+    if (!origin || !Array.isArray(jurisdictions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: origin, jurisdictions'
+      });
+    }
+
+    winston.info('Updating tax settings');
+
+    const settings = await saveTaxSettings({ origin, jurisdictions }, req.user.email);
+
+    await ActivityLogger.logAdminActivity(
+      'tax_settings_updated',
+      `Tax settings updated (${jurisdictions.length} jurisdictions)`,
+      req.user.email
+    );
+
+    res.json({
+      success: true,
+      settings,
+      message: 'Tax settings updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof TaxError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json(error.toJSON());
+    }
+    winston.error('Tax settings update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update tax settings'
+    });
+  }
+});
+
+/**
+ * POST /api/tax/estimate
+ * Estimate the sales tax of a checkout, by payment_intent_id or by pack_id / cart_items
+ */
+router.post('/estimate', async (req, res) => {
+  try {
+    const {
+      payment_intent_id, pack_id, cart_items, payment_type = 'full', discount_code,
+      customer_email, account_code, shipping_address, shipping_method
+    } = req.body;
+
+    let quote = await pricing.quoteCheckout({ payment_intent_id, pack_id, cart_items, payment_type });
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (discount_code && !payment_intent_id) {
+      quote = await applyDiscountCode(quote, discount_code, { customerEmail: customer_email });
+    }
+
+    // A wrong account code only means no exemption here; checkout rejects it
+    const buyer = account_code ? await findApprovedBuyer(customer_email || quote.customer_email, account_code) : null;
+
+    const address = shipping_address && typeof shipping_address === 'object'
+      ? {
+        country: String(shipping_address.country || 'US').trim().toUpperCase(),
+        state: shipping_address.state ? String(shipping_address.state).trim().toUpperCase() : undefined,
+        postal_code: shipping_address.postal_code ? String(shipping_address.postal_code).trim() : undefined
+      }
+      : null;
+
+    quote = removeTax(quote);
+    if (shipping_method) {
+      quote = await applyShipping(quote, shipping_method, address);
+    }
+    quote = await applyTax(quote, { address, buyer });
+
+    res.json({
+      success: true,
+      tax: quote.tax || null,
+      shipping: quote.shipping || null,
+      amount: quote.total,
+      balance_due: quote.balance_due
+    });
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof DiscountError || error instanceof ShippingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    winston.error('Tax estimate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate tax'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+/**
+ * Webhook Event Routes
+ * Lets admins inspect received payment webhooks and replay ones that failed
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const fileManager = require('../utils/file-manager');
+const webhookJournal = require('../utils/webhook-journal');
+const winston = require('winston');
+
+/**
+ * GET /api/webhook-events
+ * Get received events, newest first (payloads are left out, see GET /:id)
+ */
+router.get('/', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { status, type, event_id, order_id, payment_intent_id, page = 1, limit = 50 } = req.query;
+
+    winston.info('Fetching webhook events');
+
+    const eventsData = await fileManager.readJSON('webhook-events.json');
+    let events = eventsData.events || [];
+
+    // Apply filters
+    if (status) {
+      events = events.filter(entry => entry.status === status);
+    }
+
+    if (type) {
+      events = events.filter(entry => entry.type === type);
+    }
+
+    if (event_id) {
+      events = events.filter(entry => entry.event_id === event_id);
+    }
+
+    if (order_id) {
+      events = events.filter(entry => entry.order_id === order_id);
+    }
+
+    if (payment_intent_id) {
+      events = events.filter(entry => entry.payment_intent_id === payment_intent_id);
+    }
+
+    events = [...events].sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+
+    // Apply pagination
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      events: events.slice(startIndex, endIndex).map(({ payload, ...entry }) => entry),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(events.length / limit),
+        total_events: events.length,
+        per_page: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    winston.error('Webhook events fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load webhook events'
+    });
+  }
+});
+
+/**
+ * GET /api/webhook-events/:id
+ * Get a received event with its payload
+ */
+router.get('/:id', authenticateToken, requirePermission('read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await fileManager.findRecord('webhook-events.json', id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event: entry
+    });
+  } catch (error) {
+    winston.error('Webhook event fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load webhook event'
+    });
+  }
+});
+
+/**
+ * POST /api/webhook-events/:id/replay
+ * Process a received event again
+ */
+router.post('/:id/replay', authenticateToken, requirePermission('write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await webhookJournal.replayEvent(id, req.user.email);
+
+    if (!entry) {
+      const existing = await fileManager.findRecord('webhook-events.json', id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook event not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        error: existing.status === 'rejected'
+          ? 'Events that failed signature verification cannot be replayed'
+          : 'Webhook event is still being processed'
+      });
+    }
+
+    if (entry.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: `Replay failed: ${entry.error}`,
+        event: entry
+      });
+    }
+
+    res.json({
+      success: true,
+      event: entry,
+      message: `Webhook event ${entry.status}`
+    });
+  } catch (error) {
+    winston.error('Webhook event replay error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook event'
+    });
+  }
+});
+
+module.exports = router;
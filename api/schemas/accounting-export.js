@@ -0,0 +1,59 @@
+/**
+ * Accounting Export Schema
+ * JSON Schema for records in accounting-exports.json
+ */
+
+const accountingSettings = require('./accounting-settings');
+
+const entryLine = {
+  type: 'object',
+  required: ['account', 'amount'],
+  additionalProperties: false,
+  properties: {
+    account: { type: 'string', minLength: 1 },
+    amount: { type: 'integer' },
+    description: { type: 'string' }
+  }
+};
+
+const entry = {
+  type: 'object',
+  required: ['id', 'type', 'date', 'lines'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { enum: ['sale', 'deposit', 'payment', 'refund'] },
+    date: { type: 'string', format: 'date-time' },
+    order_id: { type: 'string' },
+    reference: { type: 'string' },
+    customer: { type: 'string' },
+    memo: { type: 'string' },
+    lines: { type: 'array', minItems: 1, items: entryLine }
+  }
+};
+
+module.exports = {
+  $id: 'accounting_export',
+  type: 'object',
+  required: ['id', 'format', 'date_from', 'date_to', 'entry_ids', 'accounts', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    format: { enum: ['quickbooks_iif', 'quickbooks_csv', 'xero_csv'] },
+    date_from: { type: 'string', format: 'date' },
+    date_to: { type: 'string', format: 'date' },
+    entry_ids: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    // The entries as they were exported (amounts in cents), so a re-download matches the import
+    entries: { type: 'array', items: entry },
+    entry_count: { type: 'integer', minimum: 1 },
+    totals: {
+      type: 'object',
+      additionalProperties: { type: 'number' }
+    },
+    // The accounts as they were when exported, so a re-download matches the first one
+    accounts: accountingSettings.properties.accounts,
+    xero_tax_rate: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    created_by: { type: 'string' }
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Accounting Settings Schema
+ * JSON Schema for accounting.json: the ledger accounts exports post to
+ */
+
+const ACCOUNT_KEYS = [
+  'sales', 'discounts', 'shipping', 'refunds', 'sales_tax',
+  'customer_deposits', 'card_clearing', 'bank', 'receivable'
+];
+
+const account = {
+  type: 'object',
+  required: ['code', 'name'],
+  additionalProperties: false,
+  properties: {
+    code: { type: 'string', minLength: 1, maxLength: 30 },
+    name: { type: 'string', minLength: 1, maxLength: 100 }
+  }
+};
+
+module.exports = {
+  $id: 'accounting_settings',
+  type: 'object',
+  required: ['accounts'],
+  additionalProperties: false,
+  properties: {
+    schema_version: { type: 'integer' },
+    accounts: {
+      type: 'object',
+      required: ACCOUNT_KEYS,
+      additionalProperties: false,
+      properties: Object.fromEntries(ACCOUNT_KEYS.map(key => [key, account]))
+    },
+    xero_tax_rate: { type: 'string', minLength: 1 },
+    updated_at: { type: 'string', format: 'date-time' },
+    updated_by: { type: 'string' }
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Address Schema
+ * JSON Schema for the shipping and billing addresses on orders and quotes
+ */
+
+module.exports = {
+  $id: 'address',
+  type: 'object',
+  required: ['line1', 'city', 'postal_code', 'country'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string' },
+    company: { type: 'string' },
+    line1: { type: 'string', minLength: 1 },
+    line2: { type: 'string' },
+    city: { type: 'string', minLength: 1 },
+    state: { type: 'string' },
+    postal_code: { type: 'string', minLength: 1 },
+    country: { type: 'string', pattern: '^[A-Z]{2}$' }
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Buyer Schema
+ * JSON Schema for records in buyers.json
+ */
+
+module.exports = {
+  $id: 'buyer',
+  type: 'object',
+  required: ['id', 'email', 'payment_terms', 'status', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    name: { type: 'string' },
+    company: { type: 'string' },
+    phone: { type: 'string' },
+    payment_terms: { enum: ['net_15', 'net_30', 'net_45', 'net_60'] },
+    status: { enum: ['approved', 'suspended'] },
+    account_code_hash: { type: 'string' },
+    notes: { type: 'string' },
+    tax_exemption: {
+      type: 'object',
+      required: ['certificate_number', 'states', 'status'],
+      additionalProperties: false,
+      properties: {
+        certificate_number: { type: 'string', minLength: 1 },
+        states: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[A-Z]{2}$' } },
+        expires_at: { type: ['string', 'null'], format: 'date-time' },
+        status: { enum: ['pending', 'verified', 'rejected'] },
+        notes: { type: 'string' },
+        recorded_at: { type: 'string', format: 'date-time' },
+        recorded_by: { type: 'string' },
+        verified_at: { type: 'string', format: 'date-time' },
+        verified_by: { type: 'string' }
+      }
+    },
+    created_at: { type: 'string', format: 'date-time' },
+    created_by: { type: 'string' },
+    updated_at: { type: 'string', format: 'date-time' },
+    updated_by: { type: 'string' }
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Custom Request Schema
+ * JSON Schema for records in custom-requests.json
+ */
+
+module.exports = {
+  $id: 'custom_request',
+  type: 'object',
+  required: ['id', 'customer_name', 'customer_email', 'request_description', 'status'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    customer_name: { type: 'string', minLength: 1 },
+    customer_email: { type: 'string', format: 'email' },
+    customer_phone: { type: 'string' },
+    business_name: { type: 'string' },
+    estimated_budget: { type: ['number', 'null'], minimum: 0 },
+    preferred_categories: { type: 'string' },
+    request_description: { type: 'string', minLength: 1 },
+    status: { enum: ['pending', 'reviewed', 'approved', 'rejected'] },
+    admin_notes: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
+  }
+};
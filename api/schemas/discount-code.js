@@ -0,0 +1,44 @@
+/**
+ * Discount Code Schema
+ * JSON Schema for records in discount-codes.json
+ */
+
+const redemption = {
+  type: 'object',
+  required: ['order_id', 'customer_email', 'amount', 'redeemed_at'],
+  additionalProperties: false,
+  properties: {
+    order_id: { type: 'string', minLength: 1 },
+    customer_email: { type: 'string' },
+    amount: { type: 'number', minimum: 0 },
+    redeemed_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+module.exports = {
+  $id: 'discount_code',
+  type: 'object',
+  required: ['id', 'code', 'type', 'status', 'times_used', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    code: { type: 'string', pattern: '^[A-Z0-9_-]+$' },
+    description: { type: 'string' },
+    type: { enum: ['percentage', 'fixed', 'free_shipping'] },
+    value: { type: 'number', minimum: 0 },
+    status: { enum: ['active', 'disabled'] },
+    starts_at: { type: ['string', 'null'], format: 'date-time' },
+    expires_at: { type: ['string', 'null'], format: 'date-time' },
+    max_uses: { type: ['integer', 'null'], minimum: 1 },
+    max_uses_per_customer: { type: ['integer', 'null'], minimum: 1 },
+    min_order_amount: { type: ['number', 'null'], minimum: 0 },
+    pack_types: { type: 'array', items: { type: 'string' } },
+    customer_emails: { type: 'array', items: { type: 'string' } },
+    times_used: { type: 'integer', minimum: 0 },
+    redemptions: { type: 'array', items: redemption },
+    created_at: { type: 'string', format: 'date-time' },
+    created_by: { type: 'string' },
+    updated_at: { type: 'string', format: 'date-time' },
+    updated_by: { type: 'string' }
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Entity Schemas
+ * Maps data files to the JSON Schema their records must satisfy
+ */
+
+const pack = require('./pack');
+const order = require('./order');
+const customRequest = require('./custom-request');
+const reservation = require('./reservation');
+const stockMovement = require('./stock-movement');
+const quote = require('./quote');
+const webhookEvent = require('./webhook-event');
+const buyer = require('./buyer');
+const discountCode = require('./discount-code');
+const address = require('./address');
+const shippingLine = require('./shipping-line');
+const shippingSettings = require('./shipping-settings');
+const taxLine = require('./tax-line');
+const taxSettings = require('./tax-settings');
+const accountingSettings = require('./accounting-settings');
+const accountingExport = require('./accounting-export');
+const { manifestItem, manifest, manifestMetadata } = require('./manifest');
+
+/**
+ * Schemas that other schemas reference by $id
+ */
+const sharedSchemas = [manifestItem, address, shippingLine, taxLine];
+
+/**
+ * Record schemas by data filename
+ * schemaFor(id) picks the schema for a record id
+ */
+const FILE_SCHEMAS = {
+  'packs.json': {
+    entity: 'pack',
+    schemaFor: () => pack
+  },
+  'orders.json': {
+    entity: 'order',
+    schemaFor: () => order
+  },
+  'custom-requests.json': {
+    entity: 'custom_request',
+    schemaFor: () => customRequest
+  },
+  'reservations.json': {
+    entity: 'reservation',
+    schemaFor: () => reservation
+  },
+  'stock-movements.json': {
+    entity: 'stock_movement',
+    schemaFor: () => stockMovement
+  },
+  'quotes.json': {
+    entity: 'quote',
+    schemaFor: () => quote
+  },
+  'webhook-events.json': {
+    entity: 'webhook_event',
+    schemaFor: () => webhookEvent
+  },
+  'buyers.json': {
+    entity: 'buyer',
+    schemaFor: () => buyer
+  },
+  'discount-codes.json': {
+    entity: 'discount_code',
+    schemaFor: () => discountCode
+  },
+  'accounting-exports.json': {
+    entity: 'accounting_export',
+    schemaFor: () => accountingExport
+  },
+  'manifests.json': {
+    entity: 'manifest',
+    schemaFor: (id) => (id.endsWith('_metadata') ? manifestMetadata : manifest)
+  },
+  // Settings documents without a record collection; validated as a whole
+  'shipping.json': {
+    entity: 'shipping_settings',
+    schemaFor: () => shippingSettings
+  },
+  'tax.json': {
+    entity: 'tax_settings',
+    schemaFor: () => taxSettings
+  },
+  'accounting.json': {
+    entity: 'accounting_settings',
+    schemaFor: () => accountingSettings
+  }
+};
+
+/**
+ * Get the schema definition for a data file
+ * @param {string} filename - Name of the data file
+ * @returns {Object|null} Schema definition ({ entity, schemaFor })
+ */
+function getFileSchema(filename) {
+  return FILE_SCHEMAS[filename] || null;
+}
+
+module.exports = {
+  FILE_SCHEMAS,
+  sharedSchemas,
+  getFileSchema,
+  schemas: [pack, order, customRequest, reservation, stockMovement, quote, webhookEvent, buyer, discountCode, manifest, manifestMetadata, shippingSettings, taxSettings, accountingSettings, accountingExport]
+};
@@ -0,0 +1,49 @@
+/**
+ * Manifest Schemas
+ * JSON Schemas for manifests.json entries: each pack id maps to a list of
+ * manifest items, and "<pack_id>_metadata" maps to upload metadata
+ */
+
+const manifestItem = {
+  $id: 'manifest_item',
+  type: 'object',
+  required: ['sku', 'item_name', 'quantity', 'condition'],
+  additionalProperties: false,
+  properties: {
+    sku: { type: 'string', minLength: 1 },
+    item_name: { type: 'string', minLength: 1 },
+    product_name: { type: 'string' },
+    quantity: { type: 'integer', minimum: 0 },
+    condition: { type: 'string', minLength: 1 },
+    condition_grade: { type: 'string' },
+    notes: { type: 'string' },
+    estimated_value: { type: 'number', minimum: 0 },
+    category: { type: 'string' },
+    brand: { type: 'string' }
+  }
+};
+
+const manifest = {
+  $id: 'manifest',
+  type: 'array',
+  items: { $ref: 'manifest_item' }
+};
+
+const manifestMetadata = {
+  $id: 'manifest_metadata',
+  type: 'object',
+  required: ['uploaded_at', 'items_count'],
+  properties: {
+    uploaded_at: { type: 'string', format: 'date-time' },
+    uploaded_by: { type: 'string' },
+    file_size: { type: 'integer', minimum: 0 },
+    items_count: { type: 'integer', minimum: 0 },
+    statistics: { type: 'object' }
+  }
+};
+
+module.exports = {
+  manifestItem,
+  manifest,
+  manifestMetadata
+};
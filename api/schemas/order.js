@@ -0,0 +1,195 @@
+/**
+ * Order Schema
+ * JSON Schema for records in orders.json
+ */
+
+const statusHistoryEntry = {
+  type: 'object',
+  required: ['status', 'changed_at'],
+  properties: {
+    status: { type: 'string' },
+    changed_at: { type: 'string', format: 'date-time' },
+    changed_by: { type: 'string' },
+    payment_status: { type: 'string' },
+    notes: { type: ['string', 'null'] }
+  }
+};
+
+const dispute = {
+  type: 'object',
+  required: ['id', 'status'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    reason: { type: ['string', 'null'] },
+    amount: { type: 'number', minimum: 0 },
+    status: { type: 'string' },
+    previous_payment_status: { type: 'string' },
+    opened_at: { type: 'string', format: 'date-time' },
+    closed_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const refund = {
+  type: 'object',
+  required: ['id', 'amount', 'status', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    payment_intent_id: { type: 'string' },
+    amount: { type: 'number', minimum: 0 },
+    reason: { type: ['string', 'null'] },
+    status: { type: 'string' },
+    restocked: { type: 'boolean' },
+    refunded_by: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const balancePayment = {
+  type: 'object',
+  required: ['payment_intent_id', 'amount', 'status'],
+  additionalProperties: false,
+  properties: {
+    payment_intent_id: { type: 'string', minLength: 1 },
+    amount: { type: 'number', minimum: 0 },
+    status: { enum: ['pending', 'paid'] },
+    requested_by: { type: 'string' },
+    requested_at: { type: 'string', format: 'date-time' },
+    paid_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const invoicePayment = {
+  type: 'object',
+  required: ['id', 'amount', 'method', 'received_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    amount: { type: 'number', minimum: 0 },
+    method: { enum: ['wire', 'ach', 'check', 'other'] },
+    reference: { type: ['string', 'null'] },
+    received_at: { type: 'string', format: 'date-time' },
+    notes: { type: ['string', 'null'] },
+    recorded_by: { type: 'string' },
+    recorded_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const invoice = {
+  type: 'object',
+  required: ['terms', 'issued_at', 'due_date', 'amount_paid', 'payments'],
+  additionalProperties: false,
+  properties: {
+    terms: { enum: ['net_15', 'net_30', 'net_45', 'net_60'] },
+    terms_days: { type: 'integer', minimum: 0 },
+    po_number: { type: ['string', 'null'] },
+    issued_at: { type: 'string', format: 'date-time' },
+    due_date: { type: 'string', format: 'date-time' },
+    amount_paid: { type: 'number', minimum: 0 },
+    paid_at: { type: 'string', format: 'date-time' },
+    payments: { type: 'array', items: invoicePayment }
+  }
+};
+
+const shipment = {
+  type: 'object',
+  required: ['id', 'carrier', 'tracking_number', 'shipped_at', 'package_count'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    carrier: { enum: ['ups', 'usps', 'fedex', 'dhl', 'other'] },
+    tracking_number: { type: 'string', minLength: 1 },
+    tracking_url: { type: ['string', 'null'] },
+    shipped_at: { type: 'string', format: 'date-time' },
+    package_count: { type: 'integer', minimum: 1 },
+    weight: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    weight_unit: { enum: ['lb', 'kg'] },
+    created_by: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_by: { type: 'string' },
+    updated_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const discount = {
+  type: 'object',
+  required: ['code', 'amount'],
+  additionalProperties: false,
+  properties: {
+    discount_code_id: { type: 'string' },
+    code: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    type: { enum: ['percentage', 'fixed', 'free_shipping'] },
+    amount: { type: 'number', minimum: 0 },
+    free_shipping: { type: 'boolean' }
+  }
+};
+
+const cartItem = {
+  type: 'object',
+  required: ['id', 'price', 'quantity'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    price: { type: 'number', minimum: 0 },
+    quantity: { type: 'integer', minimum: 1 },
+    image: { type: 'string' },
+    slug: { type: 'string' }
+  }
+};
+
+module.exports = {
+  $id: 'order',
+  type: 'object',
+  required: ['id', 'customer_email', 'amount', 'status', 'payment_status', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    pack_id: { type: 'string', minLength: 1 },
+    pack_name: { type: 'string' },
+    items: { type: 'array', minItems: 1, items: cartItem },
+    customer_email: { type: 'string', format: 'email' },
+    customer_name: { type: ['string', 'null'] },
+    business_name: { type: 'string' },
+    phone: { type: 'string' },
+    shipping_address: { $ref: 'address' },
+    billing_address: { $ref: 'address' },
+    shipping: { $ref: 'shipping_line' },
+    tax: { $ref: 'tax_line' },
+    amount: { type: 'number', minimum: 0 },
+    total_amount: { type: 'number', minimum: 0 },
+    subtotal: { type: 'number', minimum: 0 },
+    tax_amount: { type: 'number', minimum: 0 },
+    discounts: { type: 'array', items: discount },
+    payment_intent_id: { type: 'string' },
+    reservation_id: { type: 'string' },
+    payment_type: { enum: ['full', 'deposit'] },
+    stock_status: { enum: ['committed', 'restocked', 'unavailable'] },
+    payment_status: {
+      enum: ['pending', 'invoiced', 'completed', 'failed', 'canceled', 'partially_refunded', 'refunded', 'disputed', 'dispute_lost']
+    },
+    amount_refunded: { type: 'number', minimum: 0 },
+    refunds: { type: 'array', items: refund },
+    dispute: dispute,
+    balance_due: { type: 'number', minimum: 0 },
+    balance_due_date: { type: 'string', format: 'date-time' },
+    balance_payment: balancePayment,
+    buyer_id: { type: 'string' },
+    invoice: invoice,
+    invoice_number: { type: 'string', minLength: 1 },
+    invoice_date: { type: 'string', format: 'date-time' },
+    status: { enum: ['pending', 'reserved', 'processing', 'shipped', 'completed', 'cancelled'] },
+    status_history: { type: 'array', items: statusHistoryEntry },
+    shipments: { type: 'array', items: shipment },
+    shipped_at: { type: 'string', format: 'date-time' },
+    cancellation_reason: { type: 'string', minLength: 1 },
+    cancelled_at: { type: 'string', format: 'date-time' },
+    notes: { type: ['string', 'null'] },
+    review_reasons: { type: 'array', items: { type: 'string', minLength: 1 } },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+    updated_by: { type: 'string' }
+  }
+};
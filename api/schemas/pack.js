@@ -0,0 +1,33 @@
+/**
+ * Pack Schema
+ * JSON Schema for records in packs.json
+ */
+
+module.exports = {
+  $id: 'pack',
+  type: 'object',
+  required: ['id', 'name', 'type', 'price'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    slug: { type: 'string' },
+    type: { type: 'string', minLength: 1 },
+    category: { type: 'string' },
+    description: { type: 'string' },
+    short_description: { type: 'string' },
+    price: { type: 'number', minimum: 0 },
+    deposit_price: { type: 'number', minimum: 0 },
+    number_of_units: { type: 'integer', minimum: 0 },
+    estimated_resale_value: { type: ['string', 'number'] },
+    image_url: { type: 'string' },
+    status: { enum: ['available', 'limited', 'sold_out', 'inactive'] },
+    restock_status: { enum: ['available', 'limited'] },
+    available_quantity: { type: 'integer', minimum: 0 },
+    reserved_quantity: { type: 'integer', minimum: 0 },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+    created_by: { type: 'string' },
+    updated_by: { type: 'string' }
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Quote Schema
+ * JSON Schema for records in quotes.json
+ */
+
+const quoteLine = {
+  type: 'object',
+  required: ['id', 'type', 'quantity', 'unit_price', 'line_total'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { enum: ['pack', 'product'] },
+    name: { type: 'string' },
+    quantity: { type: 'integer', minimum: 1 },
+    unit_price: { type: 'number', minimum: 0 },
+    line_total: { type: 'number', minimum: 0 }
+  }
+};
+
+const discount = {
+  type: 'object',
+  required: ['amount'],
+  properties: {
+    discount_code_id: { type: 'string' },
+    code: { type: 'string' },
+    description: { type: 'string' },
+    type: { type: 'string' },
+    amount: { type: 'number', minimum: 0 },
+    free_shipping: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  $id: 'quote',
+  type: 'object',
+  required: ['payment_intent_id', 'purchase_type', 'payment_type', 'lines', 'total', 'amount_cents', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    payment_intent_id: { type: 'string', minLength: 1 },
+    purchase_type: { enum: ['pack', 'cart'] },
+    payment_type: { enum: ['full', 'deposit'] },
+    customer_email: { type: 'string', format: 'email' },
+    customer_name: { type: ['string', 'null'] },
+    business_name: { type: 'string' },
+    phone: { type: 'string' },
+    shipping_address: { $ref: 'address' },
+    billing_address: { $ref: 'address' },
+    shipping: { $ref: 'shipping_line' },
+    tax: { $ref: 'tax_line' },
+    reservation_id: { type: ['string', 'null'] },
+    lines: { type: 'array', minItems: 1, items: quoteLine },
+    subtotal: { type: 'number', minimum: 0 },
+    discounts: { type: 'array', items: discount },
+    discount_total: { type: 'number', minimum: 0 },
+    total: { type: 'number', minimum: 0 },
+    full_price: { type: 'number', minimum: 0 },
+    balance_due: { type: 'number', minimum: 0 },
+    amount_cents: { type: 'integer', minimum: 0 },
+    created_at: { type: 'string', format: 'date-time' }
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Reservation Schema
+ * JSON Schema for records in reservations.json
+ */
+
+const reservationItem = {
+  type: 'object',
+  required: ['pack_id', 'quantity'],
+  additionalProperties: false,
+  properties: {
+    pack_id: { type: 'string', minLength: 1 },
+    pack_name: { type: 'string' },
+    quantity: { type: 'integer', minimum: 1 }
+  }
+};
+
+const shortage = {
+  type: 'object',
+  required: ['pack_id', 'requested', 'available'],
+  additionalProperties: false,
+  properties: {
+    pack_id: { type: 'string', minLength: 1 },
+    requested: { type: 'integer', minimum: 1 },
+    available: { type: 'integer', minimum: 0 }
+  }
+};
+
+module.exports = {
+  $id: 'reservation',
+  type: 'object',
+  required: ['id', 'status', 'items', 'expires_at', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    payment_intent_id: { type: ['string', 'null'] },
+    purchase_type: { enum: ['pack', 'cart'] },
+    customer_email: { type: 'string', format: 'email' },
+    status: { enum: ['active', 'converted', 'released', 'expired'] },
+    items: { type: 'array', minItems: 1, items: reservationItem },
+    order_id: { type: ['string', 'null'] },
+    shortages: { type: 'array', items: shortage },
+    release_reason: { type: 'string' },
+    expires_at: { type: 'string', format: 'date-time' },
+    converted_at: { type: 'string', format: 'date-time' },
+    released_at: { type: 'string', format: 'date-time' },
+    released_by: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Shipping Line Schema
+ * JSON Schema for the shipping charge on orders and quotes
+ */
+
+module.exports = {
+  $id: 'shipping_line',
+  type: 'object',
+  required: ['method', 'name', 'type', 'amount'],
+  additionalProperties: false,
+  properties: {
+    method: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    type: { enum: ['table', 'flat', 'pickup'] },
+    zone: { type: ['string', 'null'] },
+    amount: { type: 'number', minimum: 0 },
+    package_count: { type: 'integer', minimum: 0 },
+    billable_weight: { type: 'number', minimum: 0 },
+    free_reason: { enum: ['discount', 'free_over', null] },
+    location: { type: 'string' }
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Shipping Settings Schema
+ * JSON Schema for shipping.json: destination zones, package sizes by pack type and shipping methods
+ */
+
+const packageSize = {
+  type: 'object',
+  required: ['weight'],
+  additionalProperties: false,
+  properties: {
+    weight: { type: 'number', exclusiveMinimum: 0 },
+    length: { type: 'number', exclusiveMinimum: 0 },
+    width: { type: 'number', exclusiveMinimum: 0 },
+    height: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+const zone = {
+  type: 'object',
+  required: ['id', 'name', 'country'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+    name: { type: 'string', minLength: 1 },
+    country: { type: 'string', pattern: '^[A-Z]{2}$' },
+    states: { type: 'array', items: { type: 'string', pattern: '^[A-Z]{2}$' } }
+  }
+};
+
+const rateTable = {
+  type: 'object',
+  required: ['brackets'],
+  additionalProperties: false,
+  properties: {
+    brackets: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['max_weight', 'amount'],
+        additionalProperties: false,
+        properties: {
+          max_weight: { type: 'number', exclusiveMinimum: 0 },
+          amount: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    per_lb_over: { type: ['number', 'null'], minimum: 0 }
+  }
+};
+
+const method = {
+  type: 'object',
+  required: ['id', 'name', 'type', 'status'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+    name: { type: 'string', minLength: 1 },
+    type: { enum: ['table', 'flat', 'pickup'] },
+    status: { enum: ['active', 'disabled'] },
+    rates: { type: 'object', additionalProperties: rateTable },
+    amount: { type: 'number', minimum: 0 },
+    per: { enum: ['order', 'package'] },
+    zones: { type: 'array', items: { type: 'string' } },
+    pack_types: { type: 'array', items: { type: 'string' } },
+    free_over: { type: ['number', 'null'], minimum: 0 },
+    location: { type: 'string' }
+  },
+  allOf: [
+    { if: { properties: { type: { const: 'table' } } }, then: { required: ['rates'] } },
+    { if: { properties: { type: { const: 'flat' } } }, then: { required: ['amount'] } }
+  ]
+};
+
+module.exports = {
+  $id: 'shipping_settings',
+  type: 'object',
+  required: ['dim_divisor', 'zones', 'packages', 'methods'],
+  additionalProperties: false,
+  properties: {
+    schema_version: { type: 'integer' },
+    dim_divisor: { type: 'number', exclusiveMinimum: 0 },
+    zones: { type: 'array', items: zone },
+    packages: {
+      type: 'object',
+      required: ['default'],
+      additionalProperties: packageSize
+    },
+    methods: { type: 'array', items: method },
+    updated_at: { type: 'string', format: 'date-time' },
+    updated_by: { type: 'string' }
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Stock Movement Schema
+ * JSON Schema for records in stock-movements.json
+ */
+
+module.exports = {
+  $id: 'stock_movement',
+  type: 'object',
+  required: ['id', 'pack_id', 'type', 'available_change', 'reserved_change', 'created_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    pack_id: { type: 'string', minLength: 1 },
+    pack_name: { type: 'string' },
+    type: { enum: ['reserve', 'release', 'expire', 'sale', 'restock', 'adjustment'] },
+    available_change: { type: 'integer' },
+    reserved_change: { type: 'integer' },
+    available_after: { type: 'integer', minimum: 0 },
+    reserved_after: { type: 'integer', minimum: 0 },
+    reservation_id: { type: ['string', 'null'] },
+    order_id: { type: ['string', 'null'] },
+    payment_intent_id: { type: ['string', 'null'] },
+    user: { type: 'string' },
+    notes: { type: ['string', 'null'] },
+    created_at: { type: 'string', format: 'date-time' }
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Tax Line Schema
+ * JSON Schema for the sales tax on orders and quotes
+ */
+
+module.exports = {
+  $id: 'tax_line',
+  type: 'object',
+  required: ['jurisdiction', 'rate', 'taxable_amount', 'amount', 'exempt'],
+  additionalProperties: false,
+  properties: {
+    jurisdiction: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    rate: { type: 'number', minimum: 0 },
+    taxable_amount: { type: 'number', minimum: 0 },
+    amount: { type: 'number', minimum: 0 },
+    exempt: { type: 'boolean' },
+    exemption: {
+      type: 'object',
+      required: ['certificate_number'],
+      additionalProperties: false,
+      properties: {
+        buyer_id: { type: 'string' },
+        certificate_number: { type: 'string', minLength: 1 },
+        state: { type: 'string' }
+      }
+    }
+  }
+};
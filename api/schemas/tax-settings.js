@@ -0,0 +1,53 @@
+/**
+ * Tax Settings Schema
+ * JSON Schema for tax.json: the jurisdictions tax is collected in and their rates
+ */
+
+const localRate = {
+  type: 'object',
+  required: ['postal_prefix', 'name', 'rate'],
+  additionalProperties: false,
+  properties: {
+    postal_prefix: { type: 'string', pattern: '^[A-Z0-9]{1,10}$' },
+    name: { type: 'string', minLength: 1 },
+    rate: { type: 'number', minimum: 0, maximum: 100 }
+  }
+};
+
+const jurisdiction = {
+  type: 'object',
+  required: ['id', 'name', 'country', 'rate'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+    name: { type: 'string', minLength: 1 },
+    country: { type: 'string', pattern: '^[A-Z]{2}$' },
+    state: { type: 'string', pattern: '^[A-Z]{2}$' },
+    rate: { type: 'number', minimum: 0, maximum: 100 },
+    tax_shipping: { type: 'boolean' },
+    local_rates: { type: 'array', items: localRate }
+  }
+};
+
+module.exports = {
+  $id: 'tax_settings',
+  type: 'object',
+  required: ['origin', 'jurisdictions'],
+  additionalProperties: false,
+  properties: {
+    schema_version: { type: 'integer' },
+    origin: {
+      type: 'object',
+      required: ['country'],
+      additionalProperties: false,
+      properties: {
+        country: { type: 'string', pattern: '^[A-Z]{2}$' },
+        state: { type: 'string', pattern: '^[A-Z]{2}$' },
+        postal_code: { type: 'string' }
+      }
+    },
+    jurisdictions: { type: 'array', items: jurisdiction },
+    updated_at: { type: 'string', format: 'date-time' },
+    updated_by: { type: 'string' }
+  }
+};
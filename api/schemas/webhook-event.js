@@ -0,0 +1,43 @@
+/**
+ * Webhook Event Schema
+ * JSON Schema for records in webhook-events.json
+ */
+
+const attempt = {
+  type: 'object',
+  required: ['attempted_at', 'attempted_by', 'outcome'],
+  additionalProperties: false,
+  properties: {
+    attempted_at: { type: 'string', format: 'date-time' },
+    attempted_by: { type: 'string' },
+    outcome: { enum: ['processed', 'skipped', 'failed'] },
+    error: { type: ['string', 'null'] }
+  }
+};
+
+module.exports = {
+  $id: 'webhook_event',
+  type: 'object',
+  required: ['id', 'status', 'signature_valid', 'received_at'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    event_id: { type: ['string', 'null'] },
+    type: { type: ['string', 'null'] },
+    provider: { type: 'string' },
+    signature_valid: { type: 'boolean' },
+    signature_error: { type: ['string', 'null'] },
+    status: { enum: ['processing', 'processed', 'skipped', 'failed', 'rejected'] },
+    payment_intent_id: { type: ['string', 'null'] },
+    order_id: { type: ['string', 'null'] },
+    payload: {},
+    payload_size: { type: 'integer', minimum: 0 },
+    attempts: { type: 'array', items: attempt },
+    error: { type: ['string', 'null'] },
+    duplicate_count: { type: 'integer', minimum: 0 },
+    received_at: { type: 'string', format: 'date-time' },
+    last_received_at: { type: 'string', format: 'date-time' },
+    processing_started_at: { type: 'string', format: 'date-time' },
+    processed_at: { type: 'string', format: 'date-time' }
+  }
+};
@@ -12,6 +12,10 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const winston = require('winston');
+const config = require('./config/environment');
+const { runMigrations } = require('./utils/migration-runner');
+const inventoryManager = require('./utils/inventory-manager');
+const { idempotency } = require('./middleware/idempotency');
 
 // Configure logging
 const logger = winston.createLogger({
@@ -45,7 +49,15 @@ app.use(cors({
   origin: ['http://localhost:8080', 'http://127.0.0.1:8080'],
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are checked against the raw request body
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging
@@ -57,6 +69,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Replay retried POST requests that carry an Idempotency-Key
+app.use('/api', idempotency);
+
 // File upload configuration
 const upload = multer({ 
   dest: 'uploads/',
@@ -95,6 +110,17 @@ app.use('/api/orders', require('./routes/orders'));
 app.use('/api/custom-requests', require('./routes/custom-requests'));
 app.use('/api/activity', require('./routes/activity'));
 app.use('/api/payments', require('./routes/payments'));
+if (config.payments.provider === 'fake') {
+  app.use('/api/payments/fake', require('./routes/fake-payments'));
+}
+app.use('/api/backups', require('./routes/backups'));
+app.use('/api/reservations', require('./routes/reservations'));
+app.use('/api/webhook-events', require('./routes/webhook-events'));
+app.use('/api/buyers', require('./routes/buyers'));
+app.use('/api/discount-codes', require('./routes/discount-codes'));
+app.use('/api/shipping', require('./routes/shipping'));
+app.use('/api/tax', require('./routes/tax'));
+app.use('/api/accounting', require('./routes/accounting'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -135,10 +161,29 @@ app.use('*', (req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`KV Garage API Server running on http://localhost:${PORT}`);
-  logger.info(`Health check: http://localhost:${PORT}/api/health`);
-});
+// Start server once data files are on the current schema
+const migrate = config.migrations.runOnStartup ? runMigrations() : Promise.resolve([]);
+
+migrate
+  .then(results => {
+    results.forEach(result => {
+      logger.info(`Migrated ${result.filename} from schema v${result.from_version} to v${result.to_version}`);
+    });
+    
+    app.listen(PORT, () => {
+      logger.info(`KV Garage API Server running on http://localhost:${PORT}`);
+      logger.info(`Health check: http://localhost:${PORT}/api/health`);
+      if (config.payments.provider === 'fake') {
+        logger.warn('Payments are simulated by the fake provider - no real charges will be made');
+      }
+    });
+    
+    // Release checkout holds that were never paid
+    inventoryManager.startExpirySweep();
+  })
+  .catch(error => {
+    logger.error('Data migration failed, not starting server:', error);
+    process.exit(1);
+  });
 
 module.exports = app;
@@ -0,0 +1,140 @@
+/**
+ * Accounting Export Tests
+ * Export batches take each journal entry once and download the same file every time
+ */
+
+const { resetData, seedPacks, disableShipping, placeOrder, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fileManager = require('../utils/file-manager');
+const accounting = require('../utils/accounting');
+const { AccountingError } = require('../utils/accounting');
+const { refundOrder } = require('../utils/refunds');
+const accountingRouter = require('../routes/accounting');
+
+/**
+ * Get a day relative to today
+ * @param {number} offset - Days from today
+ * @returns {string} YYYY-MM-DD
+ */
+function day(offset) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+}
+
+// Everything the tests create falls in this range
+const RANGE = { format: 'quickbooks_csv', date_from: day(-1), date_to: day(1) };
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+/**
+ * Assert that a promise fails with NOTHING_TO_EXPORT
+ * @param {Promise} promise - Export in progress
+ */
+async function assertNothingToExport(promise) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof AccountingError);
+    assert.equal(error.code, 'NOTHING_TO_EXPORT');
+    return true;
+  });
+}
+
+test('an entry is exported once, and later entries go in the next batch', async () => {
+  const order = await placeOrder('1');
+
+  const first = await accounting.createExportBatch(RANGE, 'admin');
+
+  assert.deepEqual(first.entry_ids, [`sale:${order.id}`]);
+  assert.equal(first.entry_count, 1);
+  assert.equal(first.totals.card_clearing, 100);
+  await assertNothingToExport(accounting.createExportBatch(RANGE, 'admin'));
+
+  const { refunds } = await refundOrder(order.id, { amount: 30 }, 'admin');
+  const second = await accounting.createExportBatch(RANGE, 'admin');
+
+  assert.deepEqual(second.entry_ids, [`refund:${refunds[0].id}`]);
+  assert.equal(second.totals.card_clearing, -30);
+
+  const preview = await accounting.previewEntries(RANGE.date_from, RANGE.date_to, RANGE.format);
+  assert.deepEqual(preview.pending, []);
+  assert.equal(preview.exported_count, 2);
+});
+
+test('each format keeps its own record of what it exported', async () => {
+  const order = await placeOrder('1');
+  await accounting.createExportBatch(RANGE, 'admin');
+
+  const preview = await accounting.previewEntries(RANGE.date_from, RANGE.date_to, 'xero_csv');
+  assert.deepEqual(preview.pending.map(entry => entry.id), [`sale:${order.id}`]);
+  assert.equal(preview.exported_count, 0);
+
+  const xero = await accounting.createExportBatch({ ...RANGE, format: 'xero_csv' }, 'admin');
+  assert.deepEqual(xero.entry_ids, [`sale:${order.id}`]);
+  await assertNothingToExport(accounting.createExportBatch({ ...RANGE, format: 'xero_csv' }, 'admin'));
+
+  await assert.rejects(accounting.previewEntries(RANGE.date_from, RANGE.date_to), { code: 'INVALID_FORMAT' });
+});
+
+test('two exports at once don\'t take the same entries', async () => {
+  await placeOrder('1');
+
+  const results = await Promise.allSettled([
+    accounting.createExportBatch(RANGE, 'admin'),
+    accounting.createExportBatch(RANGE, 'admin')
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  await assertNothingToExport(Promise.reject(results.find(result => result.status === 'rejected').reason));
+});
+
+test('a batch downloads the same file after its orders change', async () => {
+  const order = await placeOrder('1');
+  const batch = await accounting.createExportBatch(RANGE, 'admin');
+  const exported = await accounting.renderExportBatch(batch.id);
+
+  await refundOrder(order.id, {}, 'admin');
+  await fileManager.update('orders.json', (ordersData) => {
+    ordersData.orders[0].customer_name = 'Renamed Buyer';
+  });
+
+  assert.deepEqual(await accounting.renderExportBatch(batch.id), exported);
+  assert.match(exported.content, new RegExp(`Sale ${order.invoice_number} - Card payment,Test Buyer`));
+  assert.match(exported.filename, /^quickbooks-csv-.*\.csv$/);
+});
+
+test('the batch list leaves out the exported entries', async () => {
+  await placeOrder('1');
+  const batch = await accounting.createExportBatch(RANGE, 'admin');
+
+  const [listed] = await accounting.listExportBatches();
+
+  assert.equal(listed.id, batch.id);
+  assert.equal(listed.entry_count, 1);
+  assert.equal('entries' in listed, false);
+  assert.equal('entry_ids' in listed, false);
+});
+
+test('POST /api/accounting/exports answers with the batch summary, not its entries', async () => {
+  await placeOrder('1');
+
+  const response = await callRoute('/api/accounting', accountingRouter, { method: 'POST', path: '/exports', body: RANGE, admin: true });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.export.entry_count, 1);
+  assert.equal('entries' in response.body.export, false);
+  assert.equal('entry_ids' in response.body.export, false);
+  assert.equal(response.body.download_url, `/api/accounting/exports/${response.body.export.id}/download`);
+});
+
+test('a batch that doesn\'t exist can\'t be downloaded', async () => {
+  await assert.rejects(accounting.renderExportBatch('ACX-missing'), (error) => {
+    assert.equal(error.code, 'EXPORT_NOT_FOUND');
+    assert.equal(error.status, 404);
+    return true;
+  });
+});
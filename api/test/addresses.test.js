@@ -0,0 +1,110 @@
+/**
+ * Address Tests
+ * Contact details collected at checkout and corrected on orders before they ship
+ */
+
+const { SHIP_TO, resetData, seedPacks, disableShipping, pay, placeOrder, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCustomerDetails, updateOrderAddress, AddressError } = require('../utils/addresses');
+const { createOrderForPayment } = require('../utils/payment-orders');
+const { changeOrderStatus } = require('../utils/order-status');
+const paymentsRouter = require('../routes/payments');
+const ordersRouter = require('../routes/orders');
+
+const MICHIGAN = { line1: '12 Fulton St', city: 'Grand Rapids', state: 'MI', postal_code: '49503', country: 'US' };
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+/**
+ * Check out a pack through create-intent and pay for it
+ * @param {Object} address - Shipping address
+ * @returns {Object} Order
+ */
+async function checkOut(address) {
+  const response = await callRoute('/api/payments', paymentsRouter, {
+    method: 'POST',
+    path: '/create-intent',
+    body: { pack_id: '1', amount: 100, customer_email: 'buyer@example.com', customer_name: 'Test Buyer', phone: '503-555-0100', shipping_address: address }
+  });
+  assert.equal(response.status, 200);
+
+  const { paymentIntent } = await pay(response.body.payment_intent_id);
+  return (await createOrderForPayment(paymentIntent)).order;
+}
+
+test('checkout details are normalized, and billing defaults to the ship-to', () => {
+  const details = parseCustomerDetails({
+    business_name: '  Acme Resale ',
+    phone: '(503) 555-0100',
+    shipping_address: { line1: ' 1 Main St ', city: 'Portland', state: 'or', postal_code: '97201' }
+  });
+
+  assert.equal(details.business_name, 'Acme Resale');
+  assert.deepEqual(details.shipping_address, { line1: '1 Main St', city: 'Portland', state: 'OR', postal_code: '97201', country: 'US' });
+  assert.deepEqual(details.billing_address, details.shipping_address);
+  assert.notEqual(details.billing_address, details.shipping_address);
+});
+
+test('invalid checkout details are reported by field', () => {
+  assert.throws(
+    () => parseCustomerDetails({ phone: '555', shipping_address: { line1: '1 Main St', city: 'Portland', state: 'Oregon', postal_code: '9720' } }),
+    (error) => {
+      assert.ok(error instanceof AddressError);
+      assert.equal(error.code, 'INVALID_ADDRESS');
+      assert.deepEqual(error.details.errors.map(e => e.field).sort(), ['phone', 'shipping_address.postal_code', 'shipping_address.state']);
+      return true;
+    }
+  );
+
+  // Local pickup needs a billing address instead of a ship-to
+  assert.throws(() => parseCustomerDetails({ phone: '503-555-0100' }, { requireShippingAddress: false }), AddressError);
+  assert.equal(parseCustomerDetails({ phone: '503-555-0100', billing_address: SHIP_TO }, { requireShippingAddress: false }).shipping_address, null);
+});
+
+test('PUT /api/orders/:id/address corrects an order until it ships', async () => {
+  const order = await placeOrder('1');
+  const corrected = { ...SHIP_TO, line1: '2 Main St' };
+
+  const response = await callRoute('/api/orders', ordersRouter, {
+    method: 'PUT',
+    path: `/${order.id}/address`,
+    body: { shipping_address: corrected, phone: '503-555-0199' },
+    admin: true
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.shipping_address.line1, '2 Main St');
+  assert.equal(response.body.data.phone, '503-555-0199');
+  assert.equal(response.body.data.status_history.at(-1).notes, 'Updated phone, shipping_address');
+
+  await changeOrderStatus(order.id, 'processing', {}, 'admin');
+  await changeOrderStatus(order.id, 'shipped', { carrier: 'UPS', tracking_number: '1Z999AA10123456784' }, 'admin');
+
+  await assert.rejects(updateOrderAddress(order.id, { phone: '503-555-0100' }, 'admin'), { code: 'ADDRESS_LOCKED' });
+  await assert.rejects(updateOrderAddress('ORD-missing', { phone: '503-555-0100' }, 'admin'), { code: 'ORDER_NOT_FOUND' });
+  await assert.rejects(updateOrderAddress(order.id, {}, 'admin'), { code: 'INVALID_ADDRESS' });
+});
+
+test('a taxed order\'s ship-to can\'t move to another tax rate', async () => {
+  const order = await checkOut(MICHIGAN);
+  assert.equal(order.tax.jurisdiction, 'mi');
+
+  // Same rate, corrected street
+  const updated = await updateOrderAddress(order.id, { shipping_address: { ...MICHIGAN, line1: '14 Fulton St' } }, 'admin');
+  assert.equal(updated.shipping_address.line1, '14 Fulton St');
+
+  await assert.rejects(
+    updateOrderAddress(order.id, { shipping_address: SHIP_TO }, 'admin'),
+    (error) => {
+      assert.equal(error.code, 'DESTINATION_PRICED');
+      assert.equal(error.status, 409);
+      assert.deepEqual(error.details.tax, { jurisdiction: 'mi', rate: 6 });
+      return true;
+    }
+  );
+});
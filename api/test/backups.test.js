@@ -0,0 +1,66 @@
+/**
+ * Backup Tests
+ * Snapshots taken before writes, retention and restore
+ */
+
+const { resetData, readData, writeData } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/environment');
+const fileManager = require('../utils/file-manager');
+
+beforeEach(resetData);
+
+test('snapshots the previous contents and restores them', async () => {
+  const pack = { id: '1', name: 'Pack', type: 'starter', price: 100 };
+  await fileManager.writeJSON('packs.json', { packs: [pack] });
+  await fileManager.writeJSON('packs.json', { packs: [{ ...pack, price: 150 }] });
+
+  const [snapshot] = await fileManager.listBackups('packs.json');
+  assert.equal((await fileManager.readBackup('packs.json', snapshot.id)).packs[0].price, 100);
+
+  assert.equal(await fileManager.restoreBackup('packs.json', snapshot.id), true);
+  assert.equal(readData('packs.json').packs[0].price, 100);
+});
+
+test('logs and checkout bookkeeping aren\'t snapshotted', async () => {
+  const now = new Date().toISOString();
+
+  for (const status of ['active', 'released']) {
+    await fileManager.writeJSON('reservations.json', {
+      reservations: [{ id: 'RES-1', status, items: [{ pack_id: '1', quantity: 1 }], expires_at: now, created_at: now }]
+    });
+    await fileManager.writeJSON('activity.json', { activities: [] });
+  }
+
+  assert.deepEqual(await fileManager.listBackups('reservations.json'), []);
+  assert.deepEqual(await fileManager.listBackups('activity.json'), []);
+});
+
+test('migrations and restores snapshot any file', async () => {
+  writeData('reservations.json', { reservations: [] });
+
+  await fileManager.update('reservations.json', (data) => {
+    data.schema_version = 1;
+  }, { validate: false, backup: true });
+
+  const [snapshot] = await fileManager.listBackups('reservations.json');
+  assert.deepEqual(await fileManager.readBackup('reservations.json', snapshot.id), { reservations: [] });
+
+  assert.equal(await fileManager.restoreBackup('reservations.json', snapshot.id), true);
+  assert.equal((await fileManager.listBackups('reservations.json')).length, 2);
+});
+
+test('snapshots beyond the retention are pruned, newest kept', async (t) => {
+  const { maxSnapshots } = config.backups;
+  config.backups.maxSnapshots = 3;
+  t.after(() => { config.backups.maxSnapshots = maxSnapshots; });
+
+  for (let price = 1; price <= 6; price++) {
+    await fileManager.writeJSON('packs.json', { packs: [{ id: '1', name: 'Pack', type: 'starter', price }] });
+  }
+
+  const snapshots = await fileManager.listBackups('packs.json');
+  assert.equal(snapshots.length, 3);
+  assert.equal((await fileManager.readBackup('packs.json', snapshots[0].id)).packs[0].price, 5);
+});
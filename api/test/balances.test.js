@@ -0,0 +1,97 @@
+/**
+ * Balance Tests
+ * Deposit orders, their balance payments and refunds across both payments
+ */
+
+const { resetData, seedPacks, disableShipping, readData, pay, placeOrder } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { refundOrder } = require('../utils/refunds');
+const { createBalancePayment, markBalancePaid, BalanceError } = require('../utils/balances');
+const { handlePaymentEvent } = require('../utils/payment-events');
+const { changeOrderStatus, OrderStatusError } = require('../utils/order-status');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+/**
+ * Pay the balance of a deposit order
+ * @param {string} orderId - Order id
+ * @returns {Object} Updated order
+ */
+async function payBalance(orderId) {
+  const { paymentIntent } = await createBalancePayment(orderId, 'admin');
+  const { event } = await pay(paymentIntent.id);
+  await handlePaymentEvent(event);
+  return readData('orders.json').orders.find(o => o.id === orderId);
+}
+
+test('a deposit order owes the rest of the pack price until the balance is paid', async () => {
+  const order = await placeOrder('1', { paymentType: 'deposit' });
+
+  assert.equal(order.amount, 25);
+  assert.equal(order.total_amount, 100);
+  assert.equal(order.balance_due, 75);
+
+  const first = await createBalancePayment(order.id, 'admin');
+  const again = await createBalancePayment(order.id, 'admin');
+
+  assert.equal(first.created, true);
+  assert.equal(first.paymentIntent.amount, 7500);
+  assert.equal(first.paymentIntent.metadata.purchase_type, 'balance');
+  assert.equal(again.created, false);
+  assert.equal(again.paymentIntent.id, first.paymentIntent.id);
+
+  const { paymentIntent, event } = await pay(first.paymentIntent.id);
+  await handlePaymentEvent(event);
+
+  const paid = readData('orders.json').orders.find(o => o.id === order.id);
+  assert.equal(paid.amount, 100);
+  assert.equal(paid.balance_due, 0);
+  assert.equal(paid.balance_payment.status, 'paid');
+  assert.equal(readData('orders.json').orders.length, 1);
+
+  // Redelivered
+  assert.equal(await markBalancePaid(paymentIntent), null);
+  await assert.rejects(createBalancePayment(order.id, 'admin'), (error) => {
+    assert.ok(error instanceof BalanceError);
+    assert.equal(error.code, 'NO_BALANCE');
+    return true;
+  });
+});
+
+test('a deposit order can\'t ship until the balance is paid', async () => {
+  const order = await placeOrder('1', { paymentType: 'deposit' });
+
+  await assert.rejects(changeOrderStatus(order.id, 'shipped', { tracking_number: '1Z999' }, 'admin'), (error) => {
+    assert.ok(error instanceof OrderStatusError);
+    assert.equal(error.code, 'BALANCE_DUE');
+    assert.equal(error.details.balance_due, 75);
+    return true;
+  });
+
+  await payBalance(order.id);
+  const { order: shipped } = await changeOrderStatus(order.id, 'shipped', { tracking_number: '1Z999' }, 'admin');
+  assert.equal(shipped.status, 'shipped');
+});
+
+test('refunding a deposit order takes the balance payment first', async () => {
+  const order = await placeOrder('1', { paymentType: 'deposit' });
+  await payBalance(order.id);
+
+  const partial = await refundOrder(order.id, { amount: 80 }, 'admin');
+
+  assert.deepEqual(
+    partial.refunds.map(refund => [refund.payment_intent_id, refund.amount]),
+    [[partial.order.balance_payment.payment_intent_id, 75], [order.payment_intent_id, 5]]
+  );
+  assert.equal(partial.order.amount_refunded, 80);
+
+  const rest = await refundOrder(order.id, {}, 'admin');
+
+  assert.deepEqual(rest.refunds.map(refund => [refund.payment_intent_id, refund.amount]), [[order.payment_intent_id, 20]]);
+  assert.equal(rest.order.payment_status, 'refunded');
+});
@@ -0,0 +1,88 @@
+/**
+ * Discount Tests
+ * Discount codes on deposits and usage limits when orders are created
+ */
+
+const { SHIP_TO, resetData, seedPacks, seedBuyer, disableShipping, getStock, readData, writeData, startCheckout, pay, placeOrder } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DiscountError } = require('../utils/discounts');
+const { createInvoiceOrder } = require('../utils/invoices');
+const { createOrderForPayment } = require('../utils/payment-orders');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+/**
+ * Store one active discount code
+ * @param {Object} code - Code overrides; defaults to SAVE10, 10% off
+ * @returns {Object} Stored code
+ */
+function seedCode(code = {}) {
+  const stored = {
+    id: 'DISC-1',
+    code: 'SAVE10',
+    type: 'percentage',
+    value: 10,
+    status: 'active',
+    times_used: 0,
+    redemptions: [],
+    created_at: new Date().toISOString(),
+    ...code
+  };
+
+  writeData('discount-codes.json', { codes: [stored] });
+  return stored;
+}
+
+test('a deposit is discounted on the pack price and leaves the balance as it was', async () => {
+  seedCode();
+
+  const order = await placeOrder('1', { paymentType: 'deposit', discountCode: 'save10' });
+
+  assert.equal(order.amount, 15);
+  assert.equal(order.subtotal, 100);
+  assert.equal(order.total_amount, 90);
+  assert.equal(order.balance_due, 75);
+  assert.deepEqual(order.discounts.map(discount => [discount.code, discount.amount]), [['SAVE10', 10]]);
+  assert.equal(readData('discount-codes.json').codes[0].times_used, 1);
+});
+
+test('the last use of a code goes to one order; the other is flagged for review', async () => {
+  seedCode({ max_uses: 1 });
+
+  // Both priced before either was paid
+  const first = await startCheckout('1', { discountCode: 'SAVE10' });
+  const second = await startCheckout('1', { discountCode: 'SAVE10' });
+  const paid = await Promise.all([pay(first.id), pay(second.id)]);
+
+  const orders = await Promise.all(paid.map(({ paymentIntent }) => createOrderForPayment(paymentIntent)));
+
+  const [code] = readData('discount-codes.json').codes;
+  assert.equal(code.times_used, 1);
+  assert.equal(code.redemptions.length, 1);
+
+  const flagged = orders.map(({ order }) => order).filter(order => order.review_reasons);
+  assert.equal(flagged.length, 1);
+  assert.notEqual(flagged[0].id, code.redemptions[0].order_id);
+  assert.deepEqual(flagged[0].review_reasons, ['Discount code SAVE10 was used up before payment completed']);
+});
+
+test('two invoice orders can\'t both take the last use of a code', async () => {
+  const { buyer } = seedBuyer();
+  seedCode({ max_uses: 1 });
+  const checkout = { pack_id: '1', discount_code: 'SAVE10', customer_details: { shipping_address: SHIP_TO } };
+
+  const results = await Promise.allSettled([createInvoiceOrder(buyer, checkout), createInvoiceOrder(buyer, checkout)]);
+
+  const refused = results.filter(result => result.status === 'rejected').map(result => result.reason);
+  assert.equal(refused.length, 1);
+  assert.ok(refused[0] instanceof DiscountError);
+  assert.equal(refused[0].code, 'USAGE_LIMIT_REACHED');
+  assert.equal(readData('orders.json').orders.length, 1);
+  assert.equal(readData('discount-codes.json').codes[0].times_used, 1);
+  assert.deepEqual(getStock('1'), { available: 4, reserved: 0, status: 'available' });
+});
@@ -0,0 +1,123 @@
+/**
+ * Document Tests
+ * Invoice totals, packing slips, pick lists and the PDFs built from orders
+ */
+
+const { SHIP_TO, resetData, seedPacks, seedBuyer, disableShipping, writeData, placeOrder, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getInvoiceSummary, getInvoicePayments, loadManifestData, getPackingSections, buildPickList } = require('../utils/documents');
+const { changeOrderStatus } = require('../utils/order-status');
+const { createInvoiceOrder } = require('../utils/invoices');
+const { refundOrder } = require('../utils/refunds');
+const ordersRouter = require('../routes/orders');
+
+beforeEach(() => {
+  resetData();
+  seedPacks([{}, { name: 'Bulk Pack' }]);
+  disableShipping();
+  writeData('manifests.json', {
+    manifests: {
+      1: [
+        { sku: 'KV-200', item_name: 'Headphones', quantity: 1, condition: 'New', condition_grade: 'A' },
+        { sku: 'KV-100', item_name: 'Cables', quantity: 3, condition: 'Used' }
+      ]
+    }
+  });
+});
+
+/**
+ * Check that a response is a complete PDF
+ * @param {Object} response - Response from callRoute
+ */
+function assertPdf(response) {
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/pdf');
+  assert.match(response.body, /^%PDF-/);
+  assert.match(response.body, /%%EOF\s*$/);
+}
+
+test('a card order\'s invoice is paid, and shows its refunds', async () => {
+  const order = await placeOrder('1');
+  assert.equal(getInvoiceSummary(order).status, 'PAID');
+
+  const { order: refunded } = await refundOrder(order.id, { amount: 30, reason: 'Missing item' }, 'admin');
+  const summary = getInvoiceSummary(refunded);
+
+  assert.equal(summary.status, 'PAID - PARTIALLY REFUNDED');
+  assert.equal(summary.total, 100);
+  assert.equal(summary.paid, 100);
+  assert.equal(summary.refunded, 30);
+  assert.equal(summary.balance_due, 0);
+  assert.deepEqual(getInvoicePayments(refunded).map(payment => [payment.description, payment.amount]), [
+    ['Card payment', 100],
+    ['Refund - Missing item', -30]
+  ]);
+});
+
+test('a deposit order\'s invoice shows the balance and when it is due', async () => {
+  const order = await placeOrder('1', { paymentType: 'deposit' });
+  const summary = getInvoiceSummary(order);
+
+  assert.equal(summary.status, 'DEPOSIT PAID - BALANCE DUE');
+  assert.equal(summary.total, 100);
+  assert.equal(summary.paid, 25);
+  assert.equal(summary.balance_due, 75);
+  assert.equal(summary.due_date, order.balance_due_date);
+});
+
+test('a net-terms invoice is due, then overdue', async () => {
+  const { buyer } = seedBuyer();
+  const order = await createInvoiceOrder(buyer, { pack_id: '1', customer_details: { shipping_address: SHIP_TO } });
+
+  assert.equal(getInvoiceSummary(order).status, 'DUE');
+  assert.equal(getInvoiceSummary(order).due_date, order.invoice.due_date);
+
+  const overdue = { ...order, invoice: { ...order.invoice, due_date: new Date(Date.now() - 1000).toISOString() } };
+  assert.equal(getInvoiceSummary(overdue).status, 'OVERDUE');
+});
+
+test('GET /api/orders/:id/invoice.pdf renders the invoice under its number', async () => {
+  const order = await placeOrder('1');
+
+  const response = await callRoute('/api/orders', ordersRouter, { path: `/${order.id}/invoice.pdf?download=1`, admin: true });
+
+  assertPdf(response);
+  assert.equal(response.headers.get('content-disposition'), `attachment; filename="${order.invoice_number}.pdf"`);
+
+  const missing = await callRoute('/api/orders', ordersRouter, { path: '/ORD-missing/invoice.pdf', admin: true });
+  assert.equal(missing.status, 404);
+});
+
+test('a packing slip lists each pack\'s manifest, multiplied by the packs ordered', async () => {
+  const order = { id: 'ORD-1', items: [{ id: '1', name: 'Starter', price: 100, quantity: 2 }, { id: '2', name: 'Bulk Pack', price: 100, quantity: 1 }] };
+
+  const sections = getPackingSections(order, await loadManifestData());
+
+  assert.deepEqual(sections.map(section => [section.pack_id, section.pack_name, section.quantity]), [['1', 'Starter', 2], ['2', 'Bulk Pack', 1]]);
+  assert.deepEqual(sections[0].lines.map(line => [line.sku, line.quantity, line.condition]), [['KV-200', 2, 'A'], ['KV-100', 6, 'Used']]);
+  assert.deepEqual(sections[1].lines.map(line => [line.sku, line.item_name, line.notes]), [['PACK-2', 'Bulk Pack', 'No manifest on file']]);
+});
+
+test('a pick list adds up each SKU across orders', async () => {
+  const orders = [
+    { id: 'ORD-1', pack_id: '1', pack_name: 'Test Pack 1' },
+    { id: 'ORD-2', items: [{ id: '1', name: 'Test Pack 1', price: 100, quantity: 2 }, { id: '2', name: 'Bulk Pack', price: 100, quantity: 1 }] }
+  ];
+
+  const pickList = buildPickList(orders, await loadManifestData());
+
+  assert.deepEqual(pickList.map(line => [line.sku, line.quantity]), [['KV-100', 9], ['KV-200', 3], ['PACK-2', 1]]);
+  assert.deepEqual(pickList[0].orders, [{ order_id: 'ORD-1', quantity: 3 }, { order_id: 'ORD-2', quantity: 6 }]);
+});
+
+test('packing slip and pick list PDFs are rendered for orders', async () => {
+  const order = await placeOrder('1');
+  await changeOrderStatus(order.id, 'processing', {}, 'admin');
+
+  const slip = await callRoute('/api/orders', ordersRouter, { path: `/${order.id}/packing-slip.pdf`, admin: true });
+  assertPdf(slip);
+  assert.equal(slip.headers.get('content-disposition'), `inline; filename="packing-slip-${order.id}.pdf"`);
+
+  assertPdf(await callRoute('/api/orders', ordersRouter, { path: '/pick-list.pdf', admin: true }));
+});
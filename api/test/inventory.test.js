@@ -0,0 +1,123 @@
+/**
+ * Inventory Tests
+ * Checkout holds: reserve, convert into a sale, release and expire
+ */
+
+const { resetData, seedPacks, getStock, readData, writeData } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const inventoryManager = require('../utils/inventory-manager');
+const { InventoryError } = require('../utils/inventory-manager');
+
+beforeEach(() => {
+  resetData();
+  seedPacks([{ available_quantity: 2 }, { available_quantity: 5 }]);
+});
+
+/**
+ * Hold packs for a checkout and link the hold to a PaymentIntent
+ * @param {Array} items - Items ({ pack_id, quantity })
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @returns {Object} Reservation
+ */
+async function reserveFor(items, paymentIntentId) {
+  const reservation = await inventoryManager.reserve({ items, customerEmail: 'buyer@example.com', purchaseType: 'cart' });
+  await inventoryManager.attachPaymentIntent(reservation.id, paymentIntentId);
+  return reservation;
+}
+
+test('reserving moves units from available to reserved', async () => {
+  const reservation = await reserveFor([{ pack_id: '1', quantity: 1 }, { pack_id: 2, quantity: 3 }], 'pi_1');
+
+  assert.equal(reservation.status, 'active');
+  assert.deepEqual(reservation.items.map(({ pack_id, quantity }) => ({ pack_id, quantity })), [
+    { pack_id: '1', quantity: 1 },
+    { pack_id: '2', quantity: 3 }
+  ]);
+  assert.deepEqual(getStock('1'), { available: 1, reserved: 1, status: 'available' });
+  assert.deepEqual(getStock('2'), { available: 2, reserved: 3, status: 'available' });
+});
+
+test('a request for more than is available holds nothing', async () => {
+  await assert.rejects(
+    inventoryManager.reserve({ items: [{ pack_id: '2', quantity: 1 }, { pack_id: '1', quantity: 3 }], customerEmail: 'buyer@example.com', purchaseType: 'cart' }),
+    (error) => {
+      assert.ok(error instanceof InventoryError);
+      assert.deepEqual(error.shortages.map(shortage => shortage.pack_id), ['1']);
+      return true;
+    }
+  );
+
+  assert.deepEqual(getStock('1'), { available: 2, reserved: 0, status: 'available' });
+  assert.deepEqual(getStock('2'), { available: 5, reserved: 0, status: 'available' });
+  assert.equal(readData('reservations.json'), null);
+});
+
+test('converting a hold sells the reserved units, once', async () => {
+  await reserveFor([{ pack_id: '2', quantity: 2 }], 'pi_1');
+
+  const first = await inventoryManager.convert('pi_1', { orderId: 'ORD-1' });
+  const second = await inventoryManager.convert('pi_1', { orderId: 'ORD-1' });
+
+  assert.equal(first.reservation.status, 'converted');
+  assert.equal(first.reservation.order_id, 'ORD-1');
+  assert.deepEqual(first.shortages, []);
+  assert.deepEqual(second.shortages, []);
+  assert.deepEqual(getStock('2'), { available: 3, reserved: 0, status: 'available' });
+
+  const sales = readData('stock-movements.json').movements.filter(movement => movement.type === 'sale');
+  assert.equal(sales.length, 1);
+});
+
+test('releasing a hold returns its units and brings the pack back in stock', async () => {
+  await reserveFor([{ pack_id: '1', quantity: 2 }], 'pi_1');
+
+  const released = await inventoryManager.release({ paymentIntentId: 'pi_1' }, 'payment_failed');
+
+  assert.equal(released.status, 'released');
+  assert.equal(released.release_reason, 'payment_failed');
+  assert.deepEqual(getStock('1'), { available: 2, reserved: 0, status: 'available' });
+
+  // Already released
+  assert.equal(await inventoryManager.release({ paymentIntentId: 'pi_1' }, 'payment_failed'), null);
+  assert.deepEqual(getStock('1'), { available: 2, reserved: 0, status: 'available' });
+});
+
+test('a converted hold can\'t be released', async () => {
+  await reserveFor([{ pack_id: '2', quantity: 1 }], 'pi_1');
+  await inventoryManager.convert('pi_1', { orderId: 'ORD-1' });
+
+  assert.equal(await inventoryManager.release({ paymentIntentId: 'pi_1' }, 'payment_canceled'), null);
+  assert.deepEqual(getStock('2'), { available: 4, reserved: 0, status: 'available' });
+});
+
+test('expired holds are released and reported to the expiry handlers', async () => {
+  const reservation = await reserveFor([{ pack_id: '2', quantity: 2 }], 'pi_1');
+  const data = readData('reservations.json');
+  data.reservations[0].expires_at = new Date(Date.now() - 1000).toISOString();
+  writeData('reservations.json', data);
+
+  const notified = [];
+  inventoryManager.onExpire(async (expired) => { notified.push(expired.id); });
+
+  const expired = await inventoryManager.expireReservations();
+
+  assert.deepEqual(expired.map(r => r.id), [reservation.id]);
+  assert.deepEqual(notified, [reservation.id]);
+  assert.equal(readData('reservations.json').reservations[0].status, 'expired');
+  assert.deepEqual(getStock('2'), { available: 5, reserved: 0, status: 'available' });
+});
+
+test('converting after the hold expired takes the units again, or reports the shortage', async () => {
+  await reserveFor([{ pack_id: '1', quantity: 2 }], 'pi_1');
+  await inventoryManager.release({ paymentIntentId: 'pi_1' }, 'hold_expired', 'system', 'expired');
+
+  // Someone else bought one of the released units
+  await reserveFor([{ pack_id: '1', quantity: 1 }], 'pi_2');
+
+  const { reservation, shortages } = await inventoryManager.convert('pi_1', { orderId: 'ORD-1' });
+
+  assert.equal(reservation.status, 'converted');
+  assert.deepEqual(shortages.map(shortage => shortage.pack_id), ['1']);
+  assert.deepEqual(getStock('1'), { available: 1, reserved: 1, status: 'available' });
+});
@@ -0,0 +1,95 @@
+/**
+ * Invoice Tests
+ * Net-terms orders for approved buyers and the payments recorded against them
+ */
+
+const { SHIP_TO, resetData, seedPacks, seedBuyer, disableShipping, getStock, readData } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  InvoiceError,
+  findApprovedBuyer,
+  isOverdue,
+  getDaysOverdue,
+  createInvoiceOrder,
+  recordInvoicePayment
+} = require('../utils/invoices');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+/**
+ * Place a pack order on invoice
+ * @param {Object} buyer - Approved buyer
+ * @returns {Object} Order
+ */
+function invoicePack(buyer) {
+  return createInvoiceOrder(buyer, { pack_id: '1', amount: 100, po_number: ' PO-7 ', customer_details: { shipping_address: SHIP_TO } });
+}
+
+test('only an approved buyer with the right account code can order on invoice', async () => {
+  const { accountCode } = seedBuyer();
+
+  assert.equal((await findApprovedBuyer('Buyer@Example.com', accountCode.toLowerCase())).id, 'BUYER-1');
+  assert.equal(await findApprovedBuyer('buyer@example.com', 'WRONGCODE'), null);
+
+  seedBuyer({ status: 'suspended' });
+  assert.equal(await findApprovedBuyer('buyer@example.com', accountCode), null);
+});
+
+test('an invoice order takes the stock and is due at the end of the buyer\'s terms', async () => {
+  const { buyer } = seedBuyer();
+
+  const order = await invoicePack(buyer);
+
+  assert.equal(order.payment_status, 'invoiced');
+  assert.equal(order.amount, 100);
+  assert.equal(order.stock_status, 'committed');
+  assert.equal(order.invoice.terms_days, 30);
+  assert.equal(order.invoice.po_number, 'PO-7');
+  assert.equal(new Date(order.invoice.due_date) - new Date(order.invoice.issued_at), 30 * DAY);
+  assert.ok(readData('orders.json').orders[0].invoice_number);
+  assert.deepEqual(getStock('1'), { available: 4, reserved: 0, status: 'available' });
+});
+
+test('payments are recorded until the invoice is paid in full', async () => {
+  const { buyer } = seedBuyer();
+  const order = await invoicePack(buyer);
+
+  const first = await recordInvoicePayment(order.id, { amount: 60, method: 'wire', reference: 'W-1' }, 'admin');
+  assert.equal(first.order.payment_status, 'invoiced');
+  assert.equal(first.order.invoice.amount_paid, 60);
+
+  await assert.rejects(recordInvoicePayment(order.id, { amount: 50, method: 'check' }, 'admin'), (error) => {
+    assert.ok(error instanceof InvoiceError);
+    assert.equal(error.code, 'INVALID_PAYMENT');
+    assert.equal(error.details.amount_outstanding, 40);
+    return true;
+  });
+
+  const rest = await recordInvoicePayment(order.id, { amount: '40', method: 'check', reference: '1042' }, 'admin');
+  assert.equal(rest.order.payment_status, 'completed');
+  assert.equal(rest.order.invoice.paid_at, rest.payment.received_at);
+  assert.deepEqual(rest.order.invoice.payments.map(payment => [payment.method, payment.amount]), [['wire', 60], ['check', 40]]);
+
+  await assert.rejects(recordInvoicePayment(order.id, { amount: 1, method: 'ach' }, 'admin'), (error) => {
+    assert.equal(error.code, 'NOT_INVOICED');
+    return true;
+  });
+});
+
+test('an unpaid invoice past its due date is overdue', async () => {
+  const { buyer } = seedBuyer({ payment_terms: 'net_15' });
+  const order = await invoicePack(buyer);
+  const dueDate = new Date(order.invoice.due_date);
+
+  assert.equal(isOverdue(order), false);
+  assert.equal(isOverdue(order, new Date(dueDate.getTime() + 3.5 * DAY)), true);
+  assert.equal(getDaysOverdue(order, new Date(dueDate.getTime() + 3.5 * DAY)), 3);
+  assert.equal(isOverdue({ ...order, payment_status: 'completed' }, new Date(dueDate.getTime() + DAY)), false);
+});
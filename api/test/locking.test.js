@@ -0,0 +1,67 @@
+/**
+ * Write Lock Tests
+ * Atomic writes and one read-modify-write cycle per file at a time
+ */
+
+const { makeTempDir, resetData, readData } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { JsonFileAdapter } = require('../utils/storage');
+const fileManager = require('../utils/file-manager');
+
+const ORDERS = [
+  { id: 'ORD-1', customer_email: 'a@example.com', status: 'pending' },
+  { id: 'ORD-2', customer_email: 'b@example.com', status: 'shipped' },
+  { id: 'ORD-3', customer_email: 'c@example.com', status: 'shipped' }
+];
+
+beforeEach(resetData);
+
+test('the JSON adapter leaves no temp files behind', async () => {
+  const dir = makeTempDir('json');
+  const adapter = new JsonFileAdapter({ dataDir: dir });
+
+  await Promise.all([1, 2, 3].map(n => adapter.write('orders.json', { orders: ORDERS.slice(0, n) })));
+
+  assert.deepEqual(fs.readdirSync(dir), ['orders.json']);
+  assert.ok([1, 2, 3].includes((await adapter.read('orders.json')).orders.length));
+});
+
+test('concurrent updates of a file don\'t lose each other\'s changes', async () => {
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    fileManager.update('reservations.json', (data) => {
+      data.reservations = data.reservations || [];
+      data.reservations.push({
+        id: `RES-${index}`,
+        status: 'active',
+        items: [{ pack_id: '1', quantity: 1 }],
+        expires_at: new Date().toISOString(),
+        created_at: new Date().toISOString()
+      });
+    })
+  ));
+
+  assert.equal(readData('reservations.json').reservations.length, 20);
+});
+
+test('withLock runs tasks for the same name one at a time', async () => {
+  const events = [];
+  const task = name => fileManager.withLock('payment:pi_1', async () => {
+    events.push(`${name} start`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    events.push(`${name} end`);
+  });
+
+  await Promise.all([task('a'), task('b')]);
+
+  assert.deepEqual(events, ['a start', 'a end', 'b start', 'b end']);
+});
+
+test('a failed task releases the lock', async () => {
+  await assert.rejects(fileManager.withLock('orders.json', async () => {
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.equal(await fileManager.withLock('orders.json', async () => 'next'), 'next');
+});
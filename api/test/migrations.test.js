@@ -0,0 +1,145 @@
+/**
+ * Migration Tests
+ * Legacy data files brought up to the current schema_version
+ */
+
+const { resetData, writeData, readData, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MigrationRunner, runMigrations } = require('../utils/migration-runner');
+const { latestVersion } = require('../migrations');
+const fileManager = require('../utils/file-manager');
+const pricing = require('../utils/pricing');
+const packsRouter = require('../routes/packs');
+
+const LEGACY_PACKS = {
+  packs: [
+    { id: 1, name: 'Starter', type: 'starter', price: '500.00', units: '250', image: '/a.png', resale_estimate: '$1,250' }
+  ]
+};
+
+const LEGACY_ORDERS = {
+  orders: [
+    {
+      id: 7,
+      pack_id: 1,
+      customer_email: 'a@example.com',
+      amount: '$1,250.50',
+      status: 'shipped',
+      payment_status: 'completed',
+      tracking_number: '1Z999',
+      carrier: 'UPS',
+      shipped_at: '2025-01-02T00:00:00.000Z',
+      created_at: '2025-01-01T00:00:00.000Z'
+    },
+    {
+      id: 'ORD-2',
+      items: [{ id: 3, price: '10', quantity: '2' }],
+      customer_email: 'b@example.com',
+      amount: 20,
+      status: 'pending',
+      payment_status: 'pending',
+      created_at: '2025-01-01T00:00:00.000Z'
+    }
+  ]
+};
+
+beforeEach(resetData);
+
+test('migrateData normalizes legacy packs', () => {
+  const { data, fromVersion, applied } = new MigrationRunner(fileManager).migrateData('packs.json', LEGACY_PACKS);
+
+  assert.equal(fromVersion, 0);
+  assert.deepEqual(applied.map(migration => migration.version), [1]);
+  assert.deepEqual(data.packs[0], {
+    id: '1',
+    name: 'Starter',
+    type: 'starter',
+    price: 500,
+    number_of_units: 250,
+    image_url: '/a.png',
+    estimated_resale_value: '$1,250'
+  });
+  assert.equal(data.schema_version, 1);
+});
+
+test('migrateData leaves its input untouched', () => {
+  const input = structuredClone(LEGACY_ORDERS);
+  new MigrationRunner(fileManager).migrateData('orders.json', input);
+  assert.deepEqual(input, LEGACY_ORDERS);
+});
+
+test('orders get string ids, numeric amounts and a shipments list', async () => {
+  writeData('orders.json', LEGACY_ORDERS);
+
+  const results = await runMigrations();
+
+  const ordersResult = results.find(result => result.filename === 'orders.json');
+  assert.equal(ordersResult.from_version, 0);
+  assert.equal(ordersResult.to_version, latestVersion('orders.json'));
+
+  const [shipped, cart] = readData('orders.json').orders;
+  assert.equal(shipped.id, '7');
+  assert.equal(shipped.pack_id, '1');
+  assert.equal(shipped.amount, 1250.5);
+  assert.equal('tracking_number' in shipped, false);
+  assert.equal('carrier' in shipped, false);
+  assert.equal(shipped.shipments.length, 1);
+  assert.equal(shipped.shipments[0].carrier, 'ups');
+  assert.equal(shipped.shipments[0].tracking_number, '1Z999');
+  assert.match(shipped.shipments[0].tracking_url, /ups\.com.*1Z999/);
+  assert.deepEqual(cart.items, [{ id: '3', price: 10, quantity: 2 }]);
+  assert.equal(cart.shipments, undefined);
+});
+
+test('running again changes nothing', async () => {
+  writeData('packs.json', LEGACY_PACKS);
+  writeData('orders.json', LEGACY_ORDERS);
+
+  await runMigrations();
+  const migrated = readData('orders.json');
+
+  assert.deepEqual(await runMigrations(), []);
+  assert.deepEqual(readData('orders.json'), migrated);
+});
+
+test('a dry run reports without writing', async () => {
+  writeData('packs.json', LEGACY_PACKS);
+
+  const results = await runMigrations({ dryRun: true });
+
+  assert.deepEqual(results.map(result => result.filename), ['packs.json']);
+  assert.deepEqual(readData('packs.json'), LEGACY_PACKS);
+});
+
+test('the pre-migration contents are kept as a backup', async () => {
+  writeData('packs.json', LEGACY_PACKS);
+
+  await runMigrations();
+
+  const [snapshot] = await fileManager.listBackups('packs.json');
+  assert.deepEqual(await fileManager.readBackup('packs.json', snapshot.id), LEGACY_PACKS);
+});
+
+test('status lists pending migrations per file', async () => {
+  writeData('orders.json', { schema_version: 1, orders: [] });
+
+  const status = await new MigrationRunner(fileManager).status();
+  const orders = status.find(entry => entry.filename === 'orders.json');
+
+  assert.equal(orders.current_version, 1);
+  assert.deepEqual(orders.pending.map(migration => migration.version), [2]);
+});
+
+test('packs with numeric ids are found before they are migrated', async () => {
+  writeData('packs.json', {
+    packs: [{ id: 1, name: 'Starter', type: 'starter', price: 500, status: 'available', available_quantity: 2 }]
+  });
+
+  const response = await callRoute('/api/packs', packsRouter, { path: '/1' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.pack.name, 'Starter');
+  assert.equal((await pricing.quotePack('1')).amount_cents, 50000);
+  assert.equal((await pricing.quoteCart([{ id: 1, quantity: 1 }])).amount_cents, 50000);
+});
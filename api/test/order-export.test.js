@@ -0,0 +1,94 @@
+/**
+ * Order Export Tests
+ * Orders downloaded as CSV or XLSX, one row per order or per line item
+ */
+
+const { resetData, seedPacks, disableShipping, placeOrder, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { parseExportOptions, writeExport, ExportError } = require('../utils/order-export');
+const ordersRouter = require('../routes/orders');
+
+beforeEach(() => {
+  resetData();
+  seedPacks([{}, { price: 250 }]);
+  disableShipping();
+});
+
+/**
+ * Write an export to memory
+ * @param {Array} orders - Orders
+ * @param {Object} query - Export options
+ * @returns {Buffer} Export file
+ */
+async function exportToBuffer(orders, query) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  await writeExport(orders, parseExportOptions(query), output);
+  return Buffer.concat(chunks);
+}
+
+test('export options are checked before anything is written', () => {
+  assert.deepEqual(parseExportOptions({ columns: 'id, total,id' }), { format: 'csv', rows: 'orders', columns: ['id', 'total'] });
+
+  assert.throws(() => parseExportOptions({ format: 'pdf' }), { code: 'INVALID_FORMAT' });
+  assert.throws(() => parseExportOptions({ rows: 'lines' }), { code: 'INVALID_ROWS' });
+  assert.throws(() => parseExportOptions({ columns: 'id,margin' }), (error) => {
+    assert.ok(error instanceof ExportError);
+    assert.equal(error.code, 'INVALID_COLUMNS');
+    assert.deepEqual(error.details.unknown_columns, ['margin']);
+    return true;
+  });
+  assert.throws(() => parseExportOptions({ columns: 'id,item_name' }), { code: 'INVALID_COLUMNS' });
+});
+
+test('GET /api/orders/export downloads the filtered orders as CSV', async () => {
+  const first = await placeOrder('1');
+  const second = await placeOrder('2');
+
+  const response = await callRoute('/api/orders', ordersRouter, {
+    path: '/export?columns=id,customer_email,total,paid&payment_status=completed',
+    admin: true
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+  const lines = response.body.trim().split('\r\n');
+  assert.equal(lines[0], 'Order ID,Email,Total,Paid');
+  assert.deepEqual(lines.slice(1).sort(), [
+    `${first.id},buyer@example.com,100.00,100.00`,
+    `${second.id},buyer@example.com,250.00,250.00`
+  ].sort());
+
+  const invalid = await callRoute('/api/orders', ordersRouter, { path: '/export?format=pdf', admin: true });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'INVALID_FORMAT');
+});
+
+test('CSV cells that look like formulas are escaped', async () => {
+  const order = await placeOrder('1');
+
+  const csv = (await exportToBuffer([{ ...order, customer_name: '=HYPERLINK("http://example.com")' }], { columns: 'customer_name' })).toString();
+
+  assert.equal(csv, '\ufeffCustomer\r\n"\'=HYPERLINK(""http://example.com"")"\r\n');
+});
+
+test('an XLSX export has a row per line item, with money as numbers', async () => {
+  const order = await placeOrder('2');
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await exportToBuffer([order], { format: 'xlsx', rows: 'items', columns: 'id,item_id,item_quantity,item_amount,created_at' }));
+  const sheet = workbook.getWorksheet('Order items');
+
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ['Order ID', 'Item ID', 'Quantity', 'Line amount', 'Order date']);
+  const row = sheet.getRow(2).values.slice(1);
+  assert.deepEqual(row.slice(0, 4), [order.id, '2', 1, 250]);
+  assert.ok(row[4] instanceof Date);
+  assert.equal(sheet.rowCount, 2);
+});
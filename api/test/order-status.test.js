@@ -0,0 +1,101 @@
+/**
+ * Order Status Tests
+ * The status state machine and order edits
+ */
+
+const { resetData, seedPacks, disableShipping, getStock, readData, placeOrder, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { changeOrderStatus, OrderStatusError } = require('../utils/order-status');
+const ordersRouter = require('../routes/orders');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+test('an order moves through processing and shipped to completed', async () => {
+  const order = await placeOrder('1');
+
+  await changeOrderStatus(order.id, 'processing', {}, 'admin');
+  const shipped = await changeOrderStatus(order.id, 'shipped', { tracking_number: ' 1Z999 ', carrier: 'ups' }, 'admin');
+  const completed = await changeOrderStatus(order.id, 'completed', {}, 'admin');
+
+  assert.equal(shipped.from, 'processing');
+  assert.equal(shipped.order.shipments[0].tracking_number, '1Z999');
+  assert.equal(completed.order.status, 'completed');
+  assert.deepEqual(completed.order.status_history.map(entry => entry.status), ['pending', 'processing', 'shipped', 'completed']);
+});
+
+test('moves that aren\'t declared, or are missing their fields, are refused', async () => {
+  const order = await placeOrder('1');
+
+  await assert.rejects(changeOrderStatus(order.id, 'completed', {}, 'admin'), (error) => {
+    assert.ok(error instanceof OrderStatusError);
+    assert.equal(error.code, 'INVALID_TRANSITION');
+    assert.deepEqual(error.details.allowed_statuses, ['reserved', 'processing', 'shipped', 'cancelled']);
+    return true;
+  });
+
+  await assert.rejects(changeOrderStatus(order.id, 'shipped', {}, 'admin'), (error) => {
+    assert.equal(error.code, 'MISSING_FIELDS');
+    assert.deepEqual(error.details.missing_fields, ['tracking_number']);
+    return true;
+  });
+
+  assert.equal(readData('orders.json').orders[0].status, 'pending');
+});
+
+test('cancelling returns the stock and reopening takes it again', async () => {
+  const order = await placeOrder('1');
+
+  const cancelled = await changeOrderStatus(order.id, 'cancelled', { reason: 'Buyer asked' }, 'admin');
+  assert.deepEqual(cancelled.effects.stock, { restocked: [{ pack_id: '1', quantity: 1 }] });
+  assert.equal(cancelled.order.cancellation_reason, 'Buyer asked');
+  assert.deepEqual(getStock('1'), { available: 5, reserved: 0, status: 'available' });
+
+  const reopened = await changeOrderStatus(order.id, 'pending', {}, 'admin');
+  assert.equal(reopened.order.cancellation_reason, undefined);
+  assert.deepEqual(getStock('1'), { available: 4, reserved: 0, status: 'available' });
+});
+
+test('PUT /api/orders/:id only edits order details and changes status through the rules', async () => {
+  const order = await placeOrder('1');
+
+  const edited = await callRoute('/api/orders', ordersRouter, {
+    method: 'PUT',
+    path: `/${order.id}`,
+    admin: true,
+    body: { notes: 'Call before delivery', amount: 1, total_amount: 1, items: [], customer_email: 'someone@example.com' }
+  });
+
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.data.notes, 'Call before delivery');
+  assert.equal(edited.body.data.amount, 100);
+  assert.equal(edited.body.data.customer_email, 'buyer@example.com');
+  assert.equal(edited.body.data.items, undefined);
+
+  const completed = await callRoute('/api/orders', ordersRouter, {
+    method: 'PUT',
+    path: `/${order.id}`,
+    admin: true,
+    body: { status: 'completed' }
+  });
+
+  assert.equal(completed.status, 409);
+  assert.equal(completed.body.code, 'INVALID_TRANSITION');
+
+  const cancelled = await callRoute('/api/orders', ordersRouter, {
+    method: 'PUT',
+    path: `/${order.id}`,
+    admin: true,
+    body: { status: 'cancelled', reason: 'Duplicate order' }
+  });
+
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.data.status, 'cancelled');
+  assert.equal(cancelled.body.data.notes, 'Call before delivery');
+  assert.equal(cancelled.body.status_change.from, 'pending');
+  assert.deepEqual(getStock('1'), { available: 5, reserved: 0, status: 'available' });
+});
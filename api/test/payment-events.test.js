@@ -0,0 +1,47 @@
+/**
+ * Payment Event Tests
+ * Refund webhooks applied to orders
+ */
+
+const { resetData, seedPacks, disableShipping, readData, placeOrder } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { handlePaymentEvent } = require('../utils/payment-events');
+const { getPaymentProvider } = require('../utils/payments');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+test('refunds made in the provider dashboard are added to the ledger', async (t) => {
+  const provider = getPaymentProvider();
+  const order = await placeOrder('1');
+
+  // Keep the charge.refunded events the provider would deliver
+  const events = [];
+  t.mock.method(provider, 'sendEvent', (type, object) => {
+    const event = { id: `evt_${events.length + 1}`, type, data: { object } };
+    events.push(event);
+    return event;
+  });
+
+  const first = await provider.createRefund({ paymentIntentId: order.payment_intent_id, amount: 3000 });
+  const second = await provider.createRefund({ paymentIntentId: order.payment_intent_id, amount: 2000, metadata: { reason: 'Damaged unit' } });
+
+  assert.equal(events[1].data.object.refunds, undefined);
+  for (const event of events) {
+    await handlePaymentEvent(event);
+  }
+  // Redelivered
+  await handlePaymentEvent(events[1]);
+
+  const [stored] = readData('orders.json').orders;
+  assert.equal(stored.amount_refunded, 50);
+  assert.equal(stored.payment_status, 'partially_refunded');
+  assert.deepEqual(
+    stored.refunds.map(refund => [refund.id, refund.amount, refund.reason, refund.refunded_by]),
+    [[second.id, 20, 'Damaged unit', 'provider'], [first.id, 30, null, 'provider']]
+  );
+});
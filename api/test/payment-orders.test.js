@@ -0,0 +1,55 @@
+/**
+ * Payment Order Tests
+ * One order per PaymentIntent, and Idempotency-Key retries of checkout calls
+ */
+
+const { SHIP_TO, resetData, seedPacks, disableShipping, getStock, readData, startCheckout, pay, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOrderForPayment, findOrderForPayment } = require('../utils/payment-orders');
+const paymentsRouter = require('../routes/payments');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+test('the confirm call and the webhook create the same order', async () => {
+  const { paymentIntent } = await pay((await startCheckout('1')).id);
+
+  // Both paths call createOrderForPayment as the payment succeeds
+  const [confirmed, webhook] = await Promise.all([
+    createOrderForPayment(paymentIntent),
+    createOrderForPayment(paymentIntent)
+  ]);
+
+  assert.equal(readData('orders.json').orders.length, 1);
+  assert.equal(confirmed.order.id, webhook.order.id);
+  assert.deepEqual([confirmed.created, webhook.created].sort(), [false, true]);
+  assert.equal((await findOrderForPayment(paymentIntent.id)).id, confirmed.order.id);
+  assert.deepEqual(getStock('1'), { available: 4, reserved: 0, status: 'available' });
+});
+
+test('a retried create-intent gets the same PaymentIntent and a usable client_secret', async () => {
+  const request = {
+    method: 'POST',
+    path: '/create-intent',
+    headers: { 'Idempotency-Key': 'checkout-1' },
+    body: { pack_id: '1', amount: 100, customer_email: 'buyer@example.com', customer_name: 'Test Buyer', phone: '503-555-0100', shipping_address: SHIP_TO }
+  };
+
+  const first = await callRoute('/api/payments', paymentsRouter, request);
+  const retry = await callRoute('/api/payments', paymentsRouter, request);
+
+  assert.equal(first.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.equal(retry.headers.get('idempotent-redacted'), null);
+  assert.equal(retry.body.payment_intent_id, first.body.payment_intent_id);
+  assert.equal(retry.body.client_secret, first.body.client_secret);
+  assert.ok(first.body.client_secret);
+  assert.deepEqual(getStock('1'), { available: 4, reserved: 1, status: 'available' });
+
+  const [stored] = readData('idempotency-keys.json').keys;
+  assert.equal(stored.response_body.client_secret, null);
+});
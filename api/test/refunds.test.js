@@ -0,0 +1,115 @@
+/**
+ * Refund Tests
+ * Refunds through the payment provider and the refund ledger
+ */
+
+const { resetData, seedPacks, disableShipping, getStock, readData, placeOrder } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const inventoryManager = require('../utils/inventory-manager');
+const { refundOrder, applyRefunds, RefundError } = require('../utils/refunds');
+const { changeOrderStatus, OrderStatusError } = require('../utils/order-status');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+test('a partial refund, then the rest with the stock returned', async () => {
+  const order = await placeOrder('1');
+
+  const partial = await refundOrder(order.id, { amount: 40, reason: 'damaged box' }, 'admin');
+
+  assert.equal(partial.order.payment_status, 'partially_refunded');
+  assert.equal(partial.order.amount_refunded, 40);
+  assert.deepEqual(partial.restocked, []);
+  assert.equal(partial.refunds[0].reason, 'damaged box');
+  assert.equal(partial.refunds[0].refunded_by, 'admin');
+
+  const rest = await refundOrder(order.id, { restock: true }, 'admin');
+
+  assert.equal(rest.refunds[0].amount, 60);
+  assert.equal(rest.refunds[0].restocked, true);
+  assert.equal(rest.order.payment_status, 'refunded');
+  assert.equal(rest.order.amount_refunded, 100);
+  assert.deepEqual(rest.restocked, [{ pack_id: '1', quantity: 1 }]);
+  assert.deepEqual(getStock('1'), { available: 5, reserved: 0, status: 'available' });
+
+  const charged = readData('fake-payments.json').payment_intents.find(pi => pi.id === order.payment_intent_id);
+  assert.deepEqual(charged.refunds.map(refund => refund.amount), [4000, 6000]);
+
+  await assert.rejects(refundOrder(order.id, {}, 'admin'), (error) => {
+    assert.ok(error instanceof RefundError);
+    assert.equal(error.code, 'NOT_REFUNDABLE');
+    return true;
+  });
+});
+
+test('stock only goes back with a refund of everything left', async () => {
+  const order = await placeOrder('1');
+
+  await assert.rejects(refundOrder(order.id, { amount: 40, restock: true }, 'admin'), (error) => {
+    assert.ok(error instanceof RefundError);
+    assert.equal(error.code, 'INVALID_AMOUNT');
+    assert.equal(error.details.refundable_amount, 100);
+    return true;
+  });
+
+  assert.equal(readData('orders.json').orders[0].refunds, undefined);
+  assert.deepEqual(getStock('1'), { available: 4, reserved: 0, status: 'available' });
+});
+
+test('an order whose stock was returned can\'t be shipped', async () => {
+  const order = await placeOrder('1');
+  // Restocked by a partial refund before restocks needed a refund of everything left
+  await refundOrder(order.id, { amount: 40 }, 'admin');
+  await inventoryManager.restockOrder(order.id, 'admin');
+
+  await assert.rejects(changeOrderStatus(order.id, 'shipped', { tracking_number: '1Z999' }, 'admin'), (error) => {
+    assert.ok(error instanceof OrderStatusError);
+    assert.equal(error.code, 'STOCK_RESTOCKED');
+    return true;
+  });
+});
+
+test('a refund larger than what is left is refused', async () => {
+  const order = await placeOrder('1');
+  await refundOrder(order.id, { amount: 90 }, 'admin');
+
+  await assert.rejects(refundOrder(order.id, { amount: 20 }, 'admin'), (error) => {
+    assert.ok(error instanceof RefundError);
+    assert.equal(error.code, 'INVALID_AMOUNT');
+    assert.equal(error.details.refundable_amount, 10);
+    return true;
+  });
+});
+
+test('the refund ledger counts each refund once, whoever reports it', () => {
+  const order = { amount: 100 };
+  const fromProvider = {
+    id: 're_1',
+    amount: 30,
+    reason: null,
+    status: 'succeeded',
+    restocked: false,
+    refunded_by: 'provider',
+    created_at: new Date().toISOString()
+  };
+
+  applyRefunds(order, [fromProvider]);
+  applyRefunds(order, [fromProvider]);
+  assert.equal(order.refunds.length, 1);
+  assert.equal(order.amount_refunded, 30);
+  assert.equal(order.payment_status, 'partially_refunded');
+
+  // The admin's record has the reason
+  applyRefunds(order, [{ ...fromProvider, reason: 'late', refunded_by: 'admin' }]);
+  assert.equal(order.refunds[0].refunded_by, 'admin');
+  assert.equal(order.refunds[0].reason, 'late');
+
+  // Refunds from before the ledger are only in the provider's total
+  applyRefunds(order, [], 100);
+  assert.equal(order.amount_refunded, 100);
+  assert.equal(order.payment_status, 'refunded');
+});
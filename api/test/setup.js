@@ -0,0 +1,266 @@
+/**
+ * Test Setup
+ * Points the API at a scratch data directory and the offline payment
+ * provider. Require it before any API module, since the configuration
+ * is read when config/environment.js is first loaded.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-garage-test-'));
+
+process.env.DATA_DIR = path.join(scratchDir, 'data');
+process.env.BACKUP_DIR = path.join(scratchDir, 'backups');
+process.env.SQLITE_FILE = path.join(scratchDir, 'data', 'kv-garage.sqlite');
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PAYMENTS_WEBHOOKS = 'false';
+
+const winston = require('winston');
+
+// Keep test output to the test results
+winston.add(new winston.transports.Console({ silent: true }));
+
+process.on('exit', () => {
+  fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+// A ship-to for checkouts that are complete
+const SHIP_TO = { line1: '1 Main St', city: 'Portland', state: 'OR', postal_code: '97201', country: 'US' };
+
+/**
+ * Create an empty directory inside the scratch directory
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Directory path
+ */
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(scratchDir, `${prefix}-`));
+}
+
+/**
+ * Remove every data file and backup, so each test starts empty
+ */
+function resetData() {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  fs.rmSync(process.env.BACKUP_DIR, { recursive: true, force: true });
+  fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+}
+
+/**
+ * Write a data file directly, bypassing validation and backups
+ * @param {string} filename - Name of the data file
+ * @param {Object} data - File contents
+ */
+function writeData(filename, data) {
+  fs.writeFileSync(path.join(process.env.DATA_DIR, filename), JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read a data file directly
+ * @param {string} filename - Name of the data file
+ * @returns {Object|null} File contents, or null if it doesn't exist
+ */
+function readData(filename) {
+  const filePath = path.join(process.env.DATA_DIR, filename);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Store packs with stock
+ * @param {Array} packs - Pack overrides; defaults to one $100 pack with 5 units
+ * @returns {Array} Stored packs
+ */
+function seedPacks(packs = [{}]) {
+  const stored = packs.map((pack, index) => ({
+    id: String(index + 1),
+    name: `Test Pack ${index + 1}`,
+    type: 'starter',
+    price: 100,
+    deposit_price: 25,
+    status: 'available',
+    available_quantity: 5,
+    reserved_quantity: 0,
+    ...pack
+  }));
+
+  writeData('packs.json', { schema_version: 1, packs: stored });
+  return stored;
+}
+
+/**
+ * Store an approved net-terms buyer
+ * @param {Object} buyer - Buyer overrides; defaults to buyer@example.com on net 30
+ * @returns {Object} { buyer, accountCode }
+ */
+function seedBuyer(buyer = {}) {
+  const { generateAccountCode } = require('../utils/invoices');
+  const { code, hash } = generateAccountCode();
+  const stored = {
+    id: 'BUYER-1',
+    email: 'buyer@example.com',
+    name: 'Test Buyer',
+    company: 'Test Resale Co',
+    payment_terms: 'net_30',
+    status: 'approved',
+    account_code_hash: hash,
+    created_at: new Date().toISOString(),
+    ...buyer
+  };
+
+  writeData('buyers.json', { buyers: [stored] });
+  return { buyer: stored, accountCode: code };
+}
+
+/**
+ * Turn off every shipping method
+ */
+function disableShipping() {
+  const shippingDefaults = require('../config/shipping-defaults');
+  writeData('shipping.json', {
+    ...structuredClone(shippingDefaults),
+    methods: shippingDefaults.methods.map(method => ({ ...method, status: 'inactive' }))
+  });
+}
+
+/**
+ * Get a pack's stock counts
+ * @param {string} packId - Pack id
+ * @returns {Object} { available, reserved, status }
+ */
+function getStock(packId) {
+  const pack = readData('packs.json').packs.find(p => p.id === packId);
+  return { available: pack.available_quantity, reserved: pack.reserved_quantity, status: pack.status };
+}
+
+/**
+ * Start a pack checkout the way POST /api/payments/create-intent does:
+ * hold the pack, create the PaymentIntent and store its quote
+ * @param {string} packId - Pack id
+ * @param {Object} options - Checkout options
+ * @param {string} options.paymentType - 'full' or 'deposit'
+ * @param {string} options.discountCode - Discount code to apply
+ * @param {Object} options.details - Contact details stored with the quote
+ * @returns {Object} PaymentIntent, awaiting payment
+ */
+async function startCheckout(packId, { paymentType = 'full', discountCode, details = { shipping_address: SHIP_TO } } = {}) {
+  const pricing = require('../utils/pricing');
+  const inventoryManager = require('../utils/inventory-manager');
+  const { applyDiscountCode } = require('../utils/discounts');
+  const { getPaymentProvider } = require('../utils/payments');
+
+  let quote = await pricing.quotePack(packId, paymentType);
+  if (discountCode) {
+    quote = await applyDiscountCode(quote, discountCode, { customerEmail: 'buyer@example.com' });
+  }
+  const reservation = await inventoryManager.reserve({
+    items: [{ pack_id: packId, quantity: 1 }],
+    customerEmail: 'buyer@example.com',
+    purchaseType: 'pack'
+  });
+  const paymentIntent = await getPaymentProvider().createPaymentIntent({
+    amount: quote.amount_cents,
+    currency: 'usd',
+    metadata: { pack_id: packId, payment_type: paymentType, customer_email: 'buyer@example.com', reservation_id: reservation.id }
+  });
+  await inventoryManager.attachPaymentIntent(reservation.id, paymentIntent.id);
+  await pricing.saveQuote(paymentIntent.id, quote, {
+    purchase_type: 'pack',
+    customer_email: 'buyer@example.com',
+    customer_name: 'Test Buyer',
+    reservation_id: reservation.id,
+    ...details
+  });
+
+  return paymentIntent;
+}
+
+/**
+ * Pay a PaymentIntent with the test card
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @returns {Object} { paymentIntent, event } - the succeeded PaymentIntent and its webhook event
+ */
+async function pay(paymentIntentId) {
+  const { getPaymentProvider } = require('../utils/payments');
+  const provider = getPaymentProvider();
+
+  const paymentIntent = await provider.confirmPaymentIntent(paymentIntentId);
+  return { paymentIntent, event: provider.sendEvent('payment_intent.succeeded', paymentIntent) };
+}
+
+/**
+ * Check out, pay and create the order
+ * @param {string} packId - Pack id
+ * @param {Object} options - Checkout options (see startCheckout)
+ * @returns {Object} Order
+ */
+async function placeOrder(packId, options) {
+  const { createOrderForPayment } = require('../utils/payment-orders');
+
+  const { paymentIntent } = await pay((await startCheckout(packId, options)).id);
+  const { order } = await createOrderForPayment(paymentIntent);
+  return order;
+}
+
+/**
+ * Send one request to a router mounted the way server.js mounts it
+ * The app listens on a free port only for the duration of the request.
+ * @param {string} mountPath - Where server.js mounts the router, e.g. /api/packs
+ * @param {Object} router - Express router
+ * @param {Object} request - Request options
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path below the mount path
+ * @param {Object} request.body - JSON body
+ * @param {Object} request.headers - Extra headers
+ * @param {boolean} request.admin - Send an admin token
+ * @returns {Object} { status, headers, body } - body is parsed when it is JSON
+ */
+async function callRoute(mountPath, router, { method = 'GET', path: routePath = '/', body, headers = {}, admin = false } = {}) {
+  const express = require('express');
+  const { idempotency } = require('../middleware/idempotency');
+  const { generateToken, ADMIN_CREDENTIALS } = require('../middleware/auth');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', idempotency);
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${mountPath}${routePath}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(admin ? { Authorization: `Bearer ${generateToken(ADMIN_CREDENTIALS)}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+module.exports = {
+  SHIP_TO,
+  makeTempDir,
+  resetData,
+  writeData,
+  readData,
+  seedPacks,
+  seedBuyer,
+  disableShipping,
+  getStock,
+  startCheckout,
+  pay,
+  placeOrder,
+  callRoute
+};
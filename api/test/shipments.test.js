@@ -0,0 +1,80 @@
+/**
+ * Shipment Tests
+ * Shipments recorded on orders, tracking links and buyer notifications
+ */
+
+const { resetData, seedPacks, disableShipping, readData, placeOrder } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { addShipment, updateShipment, getTrackingUrl, ShipmentError } = require('../utils/shipments');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+test('the first shipment ships the order, later ones are added to it', async () => {
+  const order = await placeOrder('1');
+
+  const first = await addShipment(order.id, { carrier: 'UPS', tracking_number: ' 1Z999AA1 ', weight: '12.5' }, 'admin');
+
+  assert.deepEqual([first.status_change.from, first.status_change.to], ['pending', 'shipped']);
+  assert.equal(first.shipment.carrier, 'ups');
+  assert.equal(first.shipment.tracking_number, '1Z999AA1');
+  assert.equal(first.shipment.tracking_url, 'https://www.ups.com/track?tracknum=1Z999AA1');
+  assert.equal(first.shipment.package_count, 1);
+  assert.equal(first.shipment.weight, 12.5);
+  assert.equal(first.notification.event, 'order_shipped');
+
+  const second = await addShipment(order.id, { carrier: 'other', tracking_number: 'PRO-55', tracking_url: 'https://freight.example.com/PRO-55', package_count: 2 }, 'admin');
+
+  assert.equal(second.status_change, null);
+  assert.equal(second.notification.event, 'shipment_added');
+  assert.equal(second.shipment.tracking_url, 'https://freight.example.com/PRO-55');
+
+  const [stored] = readData('orders.json').orders;
+  assert.equal(stored.status, 'shipped');
+  assert.equal(stored.shipped_at, first.shipment.shipped_at);
+  assert.deepEqual(stored.shipments.map(shipment => shipment.tracking_number), ['1Z999AA1', 'PRO-55']);
+});
+
+test('invalid shipments are refused and leave the order as it was', async () => {
+  const order = await placeOrder('1');
+
+  await assert.rejects(addShipment(order.id, {}, 'admin'), (error) => {
+    assert.equal(error.code, 'MISSING_FIELDS');
+    return true;
+  });
+
+  for (const fields of [{ carrier: 'pigeon' }, { package_count: 0 }, { weight: -1 }, { weight_unit: 'oz' }]) {
+    await assert.rejects(addShipment(order.id, { tracking_number: '1Z1', ...fields }, 'admin'), (error) => {
+      assert.ok(error instanceof ShipmentError);
+      assert.equal(error.code, 'INVALID_SHIPMENT');
+      return true;
+    });
+  }
+
+  const [stored] = readData('orders.json').orders;
+  assert.equal(stored.status, 'pending');
+  assert.equal(stored.shipments, undefined);
+});
+
+test('correcting a tracking number refreshes the carrier link', async () => {
+  const order = await placeOrder('1');
+  const { shipment } = await addShipment(order.id, { carrier: 'usps', tracking_number: '9400-WRONG' }, 'admin');
+
+  const updated = await updateShipment(order.id, shipment.id, { tracking_number: '9400 1000' }, 'editor');
+
+  assert.equal(updated.shipment.id, shipment.id);
+  assert.equal(updated.shipment.tracking_url, getTrackingUrl('usps', '9400 1000'));
+  assert.match(updated.shipment.tracking_url, /tLabels=9400%201000$/);
+  assert.equal(updated.shipment.created_by, 'admin');
+  assert.equal(updated.shipment.updated_by, 'editor');
+
+  await assert.rejects(updateShipment(order.id, 'SHP-missing', { tracking_number: '1' }, 'admin'), (error) => {
+    assert.equal(error.code, 'SHIPMENT_NOT_FOUND');
+    assert.equal(error.status, 404);
+    return true;
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Shipping Tests
+ * Shipping priced by zone, package weight and method, and the settings admins save
+ */
+
+const { resetData, seedPacks, disableShipping, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { quotePack } = require('../utils/pricing');
+const { applyShipping, getShippingOptions, isShippingRequired, ShippingError } = require('../utils/shipping');
+const shippingDefaults = require('../config/shipping-defaults');
+const shippingRouter = require('../routes/shipping');
+
+const OREGON = { state: 'OR', country: 'US' };
+
+beforeEach(() => {
+  resetData();
+  seedPacks([{}, { type: 'macbook', price: 6000 }]);
+});
+
+test('freight is priced by the zone and the billable weight of each pack', async () => {
+  // A starter pack weighs 60 lb but bills at its dimensional weight of 70 lb
+  const quote = await applyShipping(await quotePack('1'), 'freight', OREGON);
+
+  assert.deepEqual(quote.shipping, {
+    method: 'freight',
+    name: 'Ground / LTL freight',
+    type: 'table',
+    zone: 'national',
+    amount: 60,
+    package_count: 1,
+    billable_weight: 70,
+    free_reason: null
+  });
+  assert.equal(quote.amount_cents, 16000);
+
+  // Choosing again replaces the shipping line
+  const local = await applyShipping(quote, 'freight', { state: 'MI', country: 'US' });
+  assert.equal(local.shipping.amount, 25);
+  assert.equal(local.amount_cents, 12500);
+});
+
+test('deposit orders pay shipping with the balance', async () => {
+  const quote = await applyShipping(await quotePack('1', 'deposit'), 'freight', OREGON);
+
+  assert.equal(quote.amount_cents, 2500);
+  assert.equal(quote.balance_due, 135);
+});
+
+test('methods are limited by pack type and made free over a merchandise total', async () => {
+  const { zone, options } = await getShippingOptions(await quotePack('2'), OREGON);
+
+  assert.deepEqual(zone, { id: 'national', name: 'Rest of the US' });
+  assert.deepEqual(options.map(option => [option.method, option.amount, option.free_reason]), [
+    ['freight', 0, 'free_over'],
+    ['flat_rate', 35, null],
+    ['pickup', 0, null]
+  ]);
+
+  await assert.rejects(applyShipping(await quotePack('1'), 'flat_rate', OREGON), { code: 'METHOD_UNAVAILABLE' });
+});
+
+test('a checkout has to choose an available method', async () => {
+  const quote = await quotePack('1');
+
+  await assert.rejects(applyShipping(quote, undefined, OREGON), (error) => {
+    assert.ok(error instanceof ShippingError);
+    assert.equal(error.code, 'SHIPPING_REQUIRED');
+    assert.deepEqual(error.details.shipping_methods, ['freight', 'flat_rate', 'pickup']);
+    return true;
+  });
+  await assert.rejects(applyShipping(quote, 'drone', OREGON), { code: 'INVALID_METHOD' });
+  await assert.rejects(applyShipping(quote, 'freight', { country: 'MX' }), { code: 'METHOD_UNAVAILABLE' });
+  assert.equal((await applyShipping(quote, 'pickup', null)).shipping.amount, 0);
+});
+
+test('without active methods shipping isn\'t charged', async () => {
+  disableShipping();
+
+  assert.equal(await isShippingRequired(), false);
+  assert.equal((await applyShipping(await quotePack('1'), undefined, OREGON)).shipping, undefined);
+});
+
+test('PUT /api/shipping rejects methods priced for unknown zones', async () => {
+  const methods = structuredClone(shippingDefaults.methods);
+  methods[0].rates.overseas = methods[0].rates.canada;
+
+  const response = await callRoute('/api/shipping', shippingRouter, {
+    method: 'PUT',
+    body: { ...structuredClone(shippingDefaults), methods },
+    admin: true
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'INVALID_SETTINGS');
+  assert.deepEqual(response.body.errors, [{ field: 'methods.0', message: 'unknown zone overseas' }]);
+});
@@ -0,0 +1,78 @@
+/**
+ * Stock Tests
+ * Sold-out transitions, stock movements and restocking cancelled orders
+ */
+
+const { resetData, seedPacks, getStock, writeData, readData, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const inventoryManager = require('../utils/inventory-manager');
+const packsRouter = require('../routes/packs');
+
+beforeEach(() => {
+  resetData();
+  seedPacks([{ available_quantity: 2 }, { available_quantity: 5 }]);
+});
+
+/**
+ * Hold packs for a checkout and link the hold to a PaymentIntent
+ * @param {Array} items - Items ({ pack_id, quantity })
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @returns {Object} Reservation
+ */
+async function reserveFor(items, paymentIntentId) {
+  const reservation = await inventoryManager.reserve({ items, customerEmail: 'buyer@example.com', purchaseType: 'cart' });
+  await inventoryManager.attachPaymentIntent(reservation.id, paymentIntentId);
+  return reservation;
+}
+
+test('holding the last units marks the pack sold out', async () => {
+  await reserveFor([{ pack_id: '1', quantity: 2 }], 'pi_1');
+
+  assert.deepEqual(getStock('1'), { available: 0, reserved: 2, status: 'sold_out' });
+});
+
+test('a limited pack is limited again when its stock comes back', async () => {
+  seedPacks([{ status: 'limited', available_quantity: 1 }]);
+  await reserveFor([{ pack_id: '1', quantity: 1 }], 'pi_1');
+  assert.equal(getStock('1').status, 'sold_out');
+
+  await inventoryManager.release({ paymentIntentId: 'pi_1' }, 'payment_failed');
+
+  assert.deepEqual(getStock('1'), { available: 1, reserved: 0, status: 'limited' });
+  assert.equal(readData('packs.json').packs[0].restock_status, undefined);
+});
+
+test('new packs start with nothing reserved', async () => {
+  const response = await callRoute('/api/packs', packsRouter, {
+    method: 'POST',
+    admin: true,
+    body: { name: 'Pack', description: 'A pack', price: 100, type: 'starter', available_quantity: 3, reserved_quantity: 3 }
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.pack.reserved_quantity, 0);
+  assert.equal(response.body.pack.available_quantity, 3);
+});
+
+test('restocking a cancelled order returns its units only once', async () => {
+  await reserveFor([{ pack_id: '2', quantity: 2 }], 'pi_1');
+  await inventoryManager.convert('pi_1', { orderId: 'ORD-1' });
+  writeData('orders.json', {
+    schema_version: 2,
+    orders: [{
+      id: 'ORD-1',
+      customer_email: 'buyer@example.com',
+      amount: 200,
+      status: 'cancelled',
+      payment_status: 'refunded',
+      items: [{ id: '2', price: 100, quantity: 2 }],
+      stock_status: 'committed',
+      created_at: new Date().toISOString()
+    }]
+  });
+
+  assert.deepEqual(await inventoryManager.restockOrder('ORD-1'), [{ pack_id: '2', quantity: 2 }]);
+  assert.equal(await inventoryManager.restockOrder('ORD-1'), null);
+  assert.deepEqual(getStock('2'), { available: 5, reserved: 0, status: 'available' });
+});
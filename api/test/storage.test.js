@@ -0,0 +1,78 @@
+/**
+ * Storage Tests
+ * JSON file and SQLite adapters behind FileManager
+ */
+
+const { makeTempDir } = require('./setup');
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JsonFileAdapter, SqliteAdapter } = require('../utils/storage');
+
+const ORDERS = {
+  orders: [
+    { id: 'ORD-1', customer_email: 'a@example.com', status: 'pending', payment_intent_id: 'pi_1' },
+    { id: 'ORD-2', customer_email: 'b@example.com', status: 'shipped', payment_intent_id: 'pi_2' },
+    { id: 'ORD-3', customer_email: 'a@example.com', status: 'shipped', payment_intent_id: 'pi_3' }
+  ]
+};
+
+const ADAPTERS = {
+  json: dir => new JsonFileAdapter({ dataDir: dir }),
+  sqlite: dir => new SqliteAdapter({ filename: path.join(dir, 'test.sqlite'), dataDir: dir })
+};
+
+Object.entries(ADAPTERS).forEach(([name, createAdapter]) => {
+  describe(`${name} adapter`, () => {
+    let dir;
+    let adapter;
+
+    beforeEach(() => {
+      dir = makeTempDir(name);
+      adapter = createAdapter(dir);
+    });
+
+    test('reads null for a file that was never written', async () => {
+      assert.equal(await adapter.read('orders.json'), null);
+    });
+
+    test('reads back what was written, in order', async () => {
+      await adapter.write('orders.json', ORDERS);
+      assert.deepEqual(await adapter.read('orders.json'), ORDERS);
+    });
+
+    test('finds records by id and by field values', async () => {
+      await adapter.write('orders.json', ORDERS);
+
+      assert.equal((await adapter.findRecord('orders.json', 'ORD-2')).customer_email, 'b@example.com');
+      assert.equal(await adapter.findRecord('orders.json', 'ORD-9'), null);
+      assert.deepEqual(
+        (await adapter.findRecords('orders.json', { customer_email: 'a@example.com', status: 'shipped' })).map(o => o.id),
+        ['ORD-3']
+      );
+    });
+
+    test('drops records removed by a later write', async () => {
+      await adapter.write('orders.json', ORDERS);
+      await adapter.write('orders.json', { orders: ORDERS.orders.slice(1) });
+
+      assert.equal(await adapter.findRecord('orders.json', 'ORD-1'), null);
+      assert.equal((await adapter.read('orders.json')).orders.length, 2);
+    });
+
+    test('keeps files that aren\'t collections as whole documents', async () => {
+      const settings = { dim_divisor: 139, methods: [{ id: 'pickup' }] };
+      await adapter.write('shipping.json', settings);
+      assert.deepEqual(await adapter.read('shipping.json'), settings);
+    });
+  });
+});
+
+test('the SQLite adapter imports an existing JSON file on first read', async () => {
+  const dir = makeTempDir('sqlite');
+  fs.writeFileSync(path.join(dir, 'orders.json'), JSON.stringify(ORDERS));
+  const adapter = new SqliteAdapter({ filename: path.join(dir, 'test.sqlite'), dataDir: dir });
+
+  assert.deepEqual(await adapter.read('orders.json'), ORDERS);
+});
@@ -0,0 +1,94 @@
+/**
+ * Tax Tests
+ * Sales tax by ship-to jurisdiction and buyers' resale exemption certificates
+ */
+
+const { resetData, seedPacks, seedBuyer, callRoute } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { quotePack } = require('../utils/pricing');
+const { applyShipping } = require('../utils/shipping');
+const { applyTax } = require('../utils/tax');
+const buyersRouter = require('../routes/buyers');
+
+const CHICAGO = { line1: '1 State St', city: 'Chicago', state: 'IL', postal_code: '60601', country: 'US' };
+const COLUMBUS = { line1: '1 High St', city: 'Columbus', state: 'OH', postal_code: '43215', country: 'US' };
+const GRAND_RAPIDS = { line1: '12 Fulton St', city: 'Grand Rapids', state: 'MI', postal_code: '49503', country: 'US' };
+
+const CERTIFICATE = { certificate_number: 'MI-RESALE-1', states: ['MI'], status: 'verified' };
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+});
+
+test('tax adds the local rate, and shipping where the state taxes it', async () => {
+  const chicago = await applyTax(await applyShipping(await quotePack('1'), 'freight', CHICAGO), { address: CHICAGO });
+
+  assert.deepEqual(chicago.tax, { jurisdiction: 'il', name: 'Illinois - Chicago', rate: 10.25, taxable_amount: 100, amount: 10.25, exempt: false });
+  assert.equal(chicago.amount_cents, 10000 + 4000 + 1025);
+
+  const columbus = await applyTax(await applyShipping(await quotePack('1'), 'freight', COLUMBUS), { address: COLUMBUS });
+
+  assert.equal(columbus.tax.rate, 7.5);
+  assert.equal(columbus.tax.taxable_amount, 140);
+  assert.equal(columbus.tax.amount, 10.5);
+});
+
+test('pickup is taxed at the origin and other states aren\'t taxed', async () => {
+  const pickup = await applyTax(await applyShipping(await quotePack('1'), 'pickup', null), { address: COLUMBUS });
+  assert.equal(pickup.tax.jurisdiction, 'mi');
+  assert.equal(pickup.tax.amount, 6);
+
+  const oregon = await applyTax(await quotePack('1'), { address: { ...COLUMBUS, state: 'OR', postal_code: '97201' } });
+  assert.equal(oregon.tax, undefined);
+  assert.equal(oregon.amount_cents, 10000);
+});
+
+test('a verified certificate for the ship-to state makes the buyer exempt', async () => {
+  const { buyer } = seedBuyer({ tax_exemption: CERTIFICATE });
+  const quote = await quotePack('1');
+
+  const exempt = await applyTax(quote, { address: GRAND_RAPIDS, buyer });
+  assert.equal(exempt.tax.amount, 0);
+  assert.equal(exempt.tax.exempt, true);
+  assert.deepEqual(exempt.tax.exemption, { buyer_id: 'BUYER-1', certificate_number: 'MI-RESALE-1', state: 'MI' });
+  assert.equal(exempt.amount_cents, 10000);
+
+  // Another state, an unverified certificate or an expired one is taxed
+  const taxed = [
+    await applyTax(quote, { address: COLUMBUS, buyer }),
+    await applyTax(quote, { address: GRAND_RAPIDS, buyer: { ...buyer, tax_exemption: { ...CERTIFICATE, status: 'pending' } } }),
+    await applyTax(quote, { address: GRAND_RAPIDS, buyer: { ...buyer, tax_exemption: { ...CERTIFICATE, expires_at: '2020-01-01T00:00:00.000Z' } } })
+  ];
+  assert.deepEqual(taxed.map(q => q.tax.exempt), [false, false, false]);
+});
+
+test('PUT /api/buyers/:id/tax-exemption records who verified a certificate', async () => {
+  seedBuyer();
+
+  const response = await callRoute('/api/buyers', buyersRouter, {
+    method: 'PUT',
+    path: '/BUYER-1/tax-exemption',
+    body: { certificate_number: ' MI-RESALE-1 ', states: ['mi', 'oh'], status: 'verified' },
+    admin: true
+  });
+
+  assert.equal(response.status, 200);
+  const certificate = response.body.buyer.tax_exemption;
+  assert.equal(certificate.certificate_number, 'MI-RESALE-1');
+  assert.deepEqual(certificate.states, ['MI', 'OH']);
+  assert.ok(certificate.verified_at);
+  assert.equal(certificate.verified_by, certificate.recorded_by);
+
+  const invalid = await callRoute('/api/buyers', buyersRouter, {
+    method: 'PUT',
+    path: '/BUYER-1/tax-exemption',
+    body: { states: ['Michigan'], status: 'approved' },
+    admin: true
+  });
+
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'INVALID_CERTIFICATE');
+  assert.deepEqual(invalid.body.errors.map(e => e.field), ['certificate_number', 'states', 'status']);
+});
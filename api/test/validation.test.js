@@ -0,0 +1,58 @@
+/**
+ * Validation Tests
+ * Records are checked against their JSON Schema before they are written
+ */
+
+const { resetData, readData, writeData } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fileManager = require('../utils/file-manager');
+const { ValidationError, validateFile } = require('../utils/validator');
+
+const PACK = { id: '1', name: 'Pack', type: 'starter', price: 100 };
+
+beforeEach(resetData);
+
+test('rejects invalid records and leaves the file unchanged', async () => {
+  await fileManager.writeJSON('orders.json', { orders: [] });
+
+  await assert.rejects(
+    fileManager.update('orders.json', (data) => {
+      data.orders.push({ id: 'ORD-1', customer_email: 'not-an-email', amount: -5, status: 'pending' });
+    }),
+    (error) => {
+      assert.ok(error instanceof ValidationError);
+      const fields = error.errors.map(e => e.field);
+      assert.ok(fields.includes('customer_email'));
+      assert.ok(fields.includes('amount'));
+      assert.equal(error.toJSON().code, 'VALIDATION_ERROR');
+      return true;
+    }
+  );
+
+  assert.deepEqual(readData('orders.json').orders, []);
+});
+
+test('untouched legacy records don\'t block other writes', async () => {
+  writeData('packs.json', { packs: [{ id: 'legacy', name: 'Old', type: 'starter', price: 'call us' }] });
+
+  await fileManager.update('packs.json', (data) => {
+    data.packs.push(PACK);
+  });
+
+  assert.equal(readData('packs.json').packs.length, 2);
+  await assert.rejects(
+    fileManager.update('packs.json', (data) => {
+      data.packs[0].name = 'Renamed';
+    }),
+    ValidationError
+  );
+});
+
+test('validateFile reports every invalid record', () => {
+  const result = validateFile('packs.json', { packs: [PACK, { ...PACK, id: '2', price: -1 }] });
+
+  assert.equal(result.records, 2);
+  assert.equal(result.invalid, 1);
+  assert.deepEqual(result.errors.map(e => e.record_id), ['2']);
+});
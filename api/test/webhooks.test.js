@@ -0,0 +1,158 @@
+/**
+ * Webhook Tests
+ * Payment events recorded in the webhook journal and turned into orders
+ */
+
+const { resetData, seedPacks, disableShipping, getStock, readData, startCheckout, pay } = require('./setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/environment');
+const webhookJournal = require('../utils/webhook-journal');
+const { assertCheckoutComplete } = require('../utils/payment-orders');
+const { PricingError } = require('../utils/pricing');
+const { getPaymentProvider } = require('../utils/payments');
+
+beforeEach(() => {
+  resetData();
+  seedPacks();
+  disableShipping();
+});
+
+/**
+ * Receive a verified webhook event
+ * @param {Object} event - Event
+ * @returns {Object} { entry, duplicate } - entry is the journal entry after processing
+ */
+async function receive(event) {
+  const { entry, duplicate } = await webhookJournal.recordEvent({ event, provider: 'fake' });
+  if (duplicate) {
+    return { entry, duplicate };
+  }
+  return { entry: await webhookJournal.processEvent(entry.id, event), duplicate };
+}
+
+test('a succeeded payment becomes an order and takes the held stock', async () => {
+  const { paymentIntent, event } = await pay((await startCheckout('1')).id);
+
+  const { entry } = await receive(event);
+
+  const [order] = readData('orders.json').orders;
+  assert.equal(entry.status, 'processed');
+  assert.equal(entry.order_id, order.id);
+  assert.equal(order.payment_intent_id, paymentIntent.id);
+  assert.equal(order.pack_id, '1');
+  assert.equal(order.amount, 100);
+  assert.equal(order.payment_status, 'completed');
+  assert.equal(order.stock_status, 'committed');
+  assert.equal(order.review_reasons, undefined);
+  assert.deepEqual(getStock('1'), { available: 4, reserved: 0, status: 'available' });
+});
+
+test('a redelivered event is a duplicate and creates nothing', async () => {
+  const { event } = await pay((await startCheckout('1')).id);
+
+  await receive(event);
+  const { entry, duplicate } = await receive(event);
+
+  assert.equal(duplicate, true);
+  assert.equal(entry.duplicate_count, 1);
+  assert.equal(readData('orders.json').orders.length, 1);
+  assert.equal(readData('webhook-events.json').events.length, 1);
+});
+
+test('a failed event is kept and an admin can replay it', async () => {
+  // Created before quotes were stored, for a pack that isn't in the catalog yet
+  const provider = getPaymentProvider();
+  const legacy = await provider.createPaymentIntent({
+    amount: 5000,
+    currency: 'usd',
+    metadata: { pack_id: '9', payment_type: 'full', customer_email: 'buyer@example.com' }
+  });
+  const { event } = await pay(legacy.id);
+
+  const { entry: failed } = await receive(event);
+
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /Pack 9 not found/);
+  assert.equal(readData('orders.json'), null);
+
+  seedPacks([{ id: '9', price: 50 }]);
+  const replayed = await webhookJournal.replayEvent(failed.id, 'admin');
+
+  const [order] = readData('orders.json').orders;
+  assert.equal(replayed.status, 'processed');
+  assert.equal(replayed.error, null);
+  assert.equal(replayed.order_id, order.id);
+  assert.deepEqual(replayed.attempts.map(attempt => [attempt.attempted_by, attempt.outcome]), [
+    ['webhook', 'failed'],
+    ['admin', 'processed']
+  ]);
+  assert.equal(order.pack_id, '9');
+  assert.equal(order.amount, 50);
+});
+
+test('a redelivery of a failed event is processed again', async () => {
+  const provider = getPaymentProvider();
+  const legacy = await provider.createPaymentIntent({
+    amount: 5000,
+    currency: 'usd',
+    metadata: { pack_id: '9', payment_type: 'full', customer_email: 'buyer@example.com' }
+  });
+  const { event } = await pay(legacy.id);
+  await receive(event);
+
+  seedPacks([{ id: '9', price: 50 }]);
+  const { entry, duplicate } = await receive(event);
+
+  assert.equal(duplicate, false);
+  assert.equal(entry.status, 'processed');
+  assert.equal(readData('orders.json').orders.length, 1);
+});
+
+test('an event that is still processing can\'t be replayed', async () => {
+  const { event } = await pay((await startCheckout('1')).id);
+  const { entry } = await webhookJournal.recordEvent({ event, provider: 'fake' });
+
+  assert.equal(await webhookJournal.replayEvent(entry.id, 'admin'), null);
+});
+
+test('a checkout without a ship-to can\'t be paid, but a payment that got through is flagged for review', async () => {
+  const { id } = await startCheckout('1', { details: {} });
+
+  await assert.rejects(assertCheckoutComplete(id), (error) => {
+    assert.ok(error instanceof PricingError);
+    assert.equal(error.code, 'CHECKOUT_INCOMPLETE');
+    return true;
+  });
+
+  // Paid anyway, e.g. straight through the provider
+  const { event } = await pay(id);
+  const { entry } = await receive(event);
+
+  const [order] = readData('orders.json').orders;
+  assert.equal(entry.status, 'processed');
+  assert.equal(order.payment_status, 'completed');
+  assert.deepEqual(order.review_reasons, ['Not priced for a shipping address']);
+  assert.match(order.notes, /review before fulfilling/);
+});
+
+test('requests that fail the signature check keep only their size, and only the latest ones', async (t) => {
+  const maxRejected = config.webhooks.maxRejectedEvents;
+  config.webhooks.maxRejectedEvents = 2;
+  t.after(() => { config.webhooks.maxRejectedEvents = maxRejected; });
+
+  const rawBody = Buffer.from(JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded', secret: 'x' }));
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await webhookJournal.recordEvent({ event: null, rawBody, signatureError: 'No signatures found', provider: 'fake' });
+  }
+
+  const { events } = readData('webhook-events.json');
+  assert.equal(events.length, 2);
+  events.forEach(entry => {
+    assert.equal(entry.status, 'rejected');
+    assert.equal(entry.payload, null);
+    assert.equal(entry.event_id, null);
+    assert.equal(entry.type, null);
+    assert.equal(entry.payload_size, rawBody.length);
+  });
+});
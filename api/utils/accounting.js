@@ -0,0 +1,576 @@
+/**
+ * Accounting Exports
+ * Turns orders into journal entries and writes them in the import formats
+ * of QuickBooks (IIF, or journal entry CSV) and Xero (manual journal CSV)
+ *
+ * Every money movement of an order becomes one balanced entry with a stable
+ * id, dated when it happened:
+ * - sale: card orders when paid, invoice orders when invoiced (to
+ *   receivable), deposit orders when the balance is paid (clearing the
+ *   customer deposit). Credits sales, shipping and sales tax; debits discounts.
+ * - deposit: the deposit of a deposit order, held as a customer deposit
+ * - payment: a wire, ACH or check payment of an invoice
+ * - refund: split between sales tax, shipping and refunds in proportion to
+ *   the order total, or taken off the customer deposit before the sale
+ *
+ * An export batch takes the entries in a date range that no earlier batch
+ * of its format has taken, and is recorded in accounting-exports.json with
+ * their ids, so nothing is imported into the same books twice while the same
+ * period can still go to both QuickBooks and Xero. The batch keeps the entries as they were
+ * exported, so downloading it again gives the same file even after the
+ * orders are refunded, edited or cancelled.
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const { toCents, fromCents } = require('./pricing');
+const { getInvoiceSummary, COLLECTED_PAYMENT_STATUSES } = require('./documents');
+
+const SETTINGS_FILE = 'accounting.json';
+const EXPORTS_FILE = 'accounting-exports.json';
+
+const EXPORT_FORMATS = {
+  quickbooks_iif: { extension: 'iif', contentType: 'text/plain; charset=utf-8' },
+  quickbooks_csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xero_csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+/**
+ * An accounting export can't be made
+ * Routes answer with error.toJSON() and error.status.
+ */
+class AccountingError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_FORMAT, INVALID_RANGE, NOTHING_TO_EXPORT or EXPORT_NOT_FOUND
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AccountingError';
+    this.status = code === 'EXPORT_NOT_FOUND' ? 404 : 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Get the accounting settings (the defaults in config/accounting-defaults.js until an admin saves them)
+ * @returns {Object} Settings ({ accounts, xero_tax_rate })
+ */
+async function getAccountingSettings() {
+  return fileManager.readJSON(SETTINGS_FILE);
+}
+
+/**
+ * Replace the accounting settings
+ * @param {Object} settings - { accounts, xero_tax_rate }
+ * @param {string} user - Admin saving them
+ * @returns {Object} Saved settings
+ * @throws {ValidationError} If the settings don't match the schema
+ */
+async function saveAccountingSettings({ accounts, xero_tax_rate }, user) {
+  return fileManager.update(SETTINGS_FILE, (data) => {
+    Object.assign(data, { accounts }, {
+      updated_at: new Date().toISOString(),
+      updated_by: user
+    });
+    if (xero_tax_rate) {
+      data.xero_tax_rate = xero_tax_rate;
+    }
+    return data;
+  });
+}
+
+/**
+ * Check an export date range
+ * Both days are included, in UTC.
+ * @param {string} dateFrom - First day (YYYY-MM-DD)
+ * @param {string} dateTo - Last day (YYYY-MM-DD)
+ * @returns {Object} { from, to } - to is the start of the day after the range
+ * @throws {AccountingError} If a date is missing or the range is backwards
+ */
+function parseRange(dateFrom, dateTo) {
+  const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+  if (!isDay(dateFrom) || !isDay(dateTo)) {
+    throw new AccountingError('date_from and date_to are required, as YYYY-MM-DD', 'INVALID_RANGE');
+  }
+
+  const from = new Date(`${dateFrom}T00:00:00Z`);
+  const to = new Date(`${dateTo}T00:00:00Z`);
+  to.setUTCDate(to.getUTCDate() + 1);
+
+  if (from >= to) {
+    throw new AccountingError('date_from must not be after date_to', 'INVALID_RANGE');
+  }
+  return { from, to };
+}
+
+/**
+ * Name the customer of an order the way the ledger should show it
+ * @param {Object} order - Order
+ * @returns {string} Business name, customer name or email
+ */
+function getCustomerName(order) {
+  if (order.business_name) {
+    return order.business_name;
+  }
+  return order.customer_name && order.customer_name !== 'Unknown' ? order.customer_name : order.customer_email;
+}
+
+/**
+ * Get the revenue side of an order's sale, in cents
+ * Sales are worked out from the total so an entry always balances.
+ * @param {Object} summary - Invoice summary of the order
+ * @returns {Object} { total, sales, discounts, shipping, tax }
+ */
+function getSaleAmounts(summary) {
+  const total = toCents(summary.total);
+  const shipping = summary.shipping ? toCents(summary.shipping.amount) : 0;
+  const tax = toCents(summary.tax);
+  const discounts = summary.discounts.reduce((sum, discount) => sum + toCents(discount.amount), 0);
+
+  return { total, sales: total - shipping - tax + discounts, discounts, shipping, tax };
+}
+
+/**
+ * Get the revenue lines of a sale (credits negative)
+ * @param {Object} amounts - From getSaleAmounts
+ * @param {Object} summary - Invoice summary of the order
+ * @returns {Array} Lines ({ account, amount, description })
+ */
+function getSaleLines(amounts, summary) {
+  const lines = [{ account: 'sales', amount: -amounts.sales, description: 'Sales' }];
+
+  if (amounts.discounts > 0) {
+    lines.push({
+      account: 'discounts',
+      amount: amounts.discounts,
+      description: `Discount ${summary.discounts.map(discount => discount.code).join(' ')}`
+    });
+  }
+  if (amounts.shipping > 0) {
+    lines.push({ account: 'shipping', amount: -amounts.shipping, description: `Shipping - ${summary.shipping.name}` });
+  }
+  if (amounts.tax > 0) {
+    lines.push({
+      account: 'sales_tax',
+      amount: -amounts.tax,
+      description: `Sales tax${summary.tax_line ? ` - ${summary.tax_line.name} ${summary.tax_line.rate}%` : ''}`
+    });
+  }
+  return lines;
+}
+
+/**
+ * Get the date an order's sale is booked
+ * @param {Object} order - Order
+ * @returns {string|null} ISO date, or null while it isn't a sale yet
+ */
+function getSaleDate(order) {
+  if (order.invoice) {
+    return order.invoice.issued_at;
+  }
+  if (!COLLECTED_PAYMENT_STATUSES.includes(order.payment_status)) {
+    return null;
+  }
+  if (order.payment_type === 'deposit') {
+    return order.balance_payment && order.balance_payment.status === 'paid' ? order.balance_payment.paid_at : null;
+  }
+  return order.created_at;
+}
+
+/**
+ * Build the journal entries of an order
+ * @param {Object} order - Order
+ * @returns {Array} Entries ({ id, type, date, order_id, reference, customer, memo, lines }), amounts in cents, debits positive
+ */
+function getOrderEntries(order) {
+  const summary = getInvoiceSummary(order);
+  const amounts = getSaleAmounts(summary);
+  const reference = order.invoice_number || order.id;
+  const customer = getCustomerName(order);
+  const entry = (id, type, date, memo, lines) => ({ id, type, date, order_id: order.id, reference, customer, memo, lines });
+  const entries = [];
+
+  // Invoices never paid and then cancelled were never owed
+  if (order.invoice && order.status === 'cancelled' && toCents(order.invoice.amount_paid) === 0) {
+    return entries;
+  }
+
+  const isDeposit = !order.invoice && order.payment_type === 'deposit';
+  const balancePaid = order.balance_payment && order.balance_payment.status === 'paid';
+  const depositCents = isDeposit
+    ? toCents(order.amount) - (balancePaid ? toCents(order.balance_payment.amount) : 0)
+    : 0;
+
+  if (isDeposit && COLLECTED_PAYMENT_STATUSES.includes(order.payment_status)) {
+    entries.push(entry(`deposit:${order.id}`, 'deposit', order.created_at, `Deposit ${reference}`, [
+      { account: 'card_clearing', amount: depositCents, description: 'Deposit (card)' },
+      { account: 'customer_deposits', amount: -depositCents, description: 'Customer deposit' }
+    ]));
+  }
+
+  const saleDate = getSaleDate(order);
+  if (saleDate) {
+    let paidBy;
+    if (order.invoice) {
+      paidBy = [{ account: 'receivable', amount: amounts.total, description: `Invoice ${reference}` }];
+    } else if (isDeposit) {
+      paidBy = [
+        { account: 'customer_deposits', amount: depositCents, description: 'Deposit applied' },
+        { account: 'card_clearing', amount: amounts.total - depositCents, description: 'Balance (card)' }
+      ];
+    } else {
+      paidBy = [{ account: 'card_clearing', amount: amounts.total, description: 'Card payment' }];
+    }
+    entries.push(entry(`sale:${order.id}`, 'sale', saleDate, `Sale ${reference}`, [
+      ...paidBy,
+      ...getSaleLines(amounts, summary)
+    ]));
+  }
+
+  if (order.invoice) {
+    (order.invoice.payments || []).forEach(payment => {
+      const cents = toCents(payment.amount);
+      entries.push(entry(`payment:${order.id}:${payment.id}`, 'payment', payment.received_at, `Payment ${reference}`, [
+        {
+          account: 'bank',
+          amount: cents,
+          description: `${payment.method.toUpperCase()} payment${payment.reference ? ` ${payment.reference}` : ''}`
+        },
+        { account: 'receivable', amount: -cents, description: `Invoice ${reference}` }
+      ]));
+    });
+  }
+
+  (order.refunds || []).filter(refund => refund.status !== 'failed').forEach(refund => {
+    const cents = toCents(refund.amount);
+    const beforeSale = isDeposit && (!saleDate || new Date(refund.created_at) < new Date(saleDate));
+    let lines;
+
+    if (beforeSale) {
+      lines = [{ account: 'customer_deposits', amount: cents, description: 'Deposit refunded' }];
+    } else {
+      const share = part => (amounts.total > 0 ? Math.round(part * cents / amounts.total) : 0);
+      const tax = share(amounts.tax);
+      const shipping = share(amounts.shipping);
+      lines = [
+        { account: 'refunds', amount: cents - tax - shipping, description: `Refund${refund.reason ? ` - ${refund.reason}` : ''}` },
+        ...(shipping > 0 ? [{ account: 'shipping', amount: shipping, description: 'Shipping refunded' }] : []),
+        ...(tax > 0 ? [{ account: 'sales_tax', amount: tax, description: 'Sales tax refunded' }] : [])
+      ];
+    }
+
+    entries.push(entry(`refund:${refund.id}`, 'refund', refund.created_at, `Refund ${reference}`, [
+      ...lines,
+      { account: order.invoice ? 'bank' : 'card_clearing', amount: -cents, description: 'Refund paid' }
+    ]));
+  });
+
+  return entries
+    .map(e => ({ ...e, lines: e.lines.filter(line => line.amount !== 0) }))
+    .filter(e => e.lines.length > 0);
+}
+
+/**
+ * Build the journal entries of every order, oldest first
+ * @returns {Array} Entries
+ */
+async function getAllEntries() {
+  const ordersData = await fileManager.readJSON('orders.json');
+  return (ordersData.orders || [])
+    .flatMap(getOrderEntries)
+    .sort((a, b) => new Date(a.date) - new Date(b.date) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Check an export format
+ * @param {string} format - Format key
+ * @throws {AccountingError} If the format is unknown
+ */
+function checkFormat(format) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new AccountingError(`Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 'INVALID_FORMAT');
+  }
+}
+
+/**
+ * Get the ids of the entries earlier batches exported in a format
+ * @param {Object} exportsData - Contents of accounting-exports.json
+ * @param {string} format - Format key
+ * @returns {Set} Entry ids
+ */
+function getExportedIds(exportsData, format) {
+  return new Set((exportsData.batches || [])
+    .filter(batch => batch.format === format)
+    .flatMap(batch => batch.entry_ids));
+}
+
+/**
+ * Add up an entry list by account
+ * @param {Array} entries - Entries
+ * @returns {Object} Net amount per account key (debits positive)
+ */
+function getTotals(entries) {
+  const totals = {};
+  entries.forEach(entry => entry.lines.forEach(line => {
+    totals[line.account] = (totals[line.account] || 0) + line.amount;
+  }));
+  return Object.fromEntries(Object.entries(totals).map(([account, cents]) => [account, fromCents(cents)]));
+}
+
+/**
+ * List the entries in a date range, split by whether they were exported in a format
+ * @param {string} dateFrom - First day (YYYY-MM-DD)
+ * @param {string} dateTo - Last day (YYYY-MM-DD)
+ * @param {string} format - Format key
+ * @returns {Object} { pending, exported_count, totals }
+ * @throws {AccountingError} If the format or range is invalid
+ */
+async function previewEntries(dateFrom, dateTo, format) {
+  checkFormat(format);
+  const { from, to } = parseRange(dateFrom, dateTo);
+  const [entries, exportsData] = await Promise.all([getAllEntries(), fileManager.readJSON(EXPORTS_FILE)]);
+  const exported = getExportedIds(exportsData, format);
+  const inRange = entries.filter(entry => new Date(entry.date) >= from && new Date(entry.date) < to);
+  const pending = inRange.filter(entry => !exported.has(entry.id));
+
+  return {
+    pending,
+    exported_count: inRange.length - pending.length,
+    totals: getTotals(pending)
+  };
+}
+
+/**
+ * Export the entries of a date range that no earlier batch of the format took
+ * @param {Object} options - { format, date_from, date_to }
+ * @param {string} user - Admin exporting
+ * @returns {Object} Recorded batch
+ * @throws {AccountingError} If the format or range is invalid, or there is nothing new to export
+ */
+async function createExportBatch({ format, date_from, date_to }, user) {
+  checkFormat(format);
+  const { from, to } = parseRange(date_from, date_to);
+  const settings = await getAccountingSettings();
+
+  // Under the exports lock, so two exports at once can't take the same entries
+  const batch = await fileManager.update(EXPORTS_FILE, async (exportsData) => {
+    const exported = getExportedIds(exportsData, format);
+    const entries = (await getAllEntries()).filter(entry =>
+      new Date(entry.date) >= from && new Date(entry.date) < to && !exported.has(entry.id)
+    );
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const record = {
+      id: `ACX-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      format,
+      date_from,
+      date_to,
+      entry_ids: entries.map(entry => entry.id),
+      entries,
+      entry_count: entries.length,
+      totals: getTotals(entries),
+      accounts: settings.accounts,
+      xero_tax_rate: settings.xero_tax_rate,
+      created_at: new Date().toISOString(),
+      created_by: user
+    };
+    exportsData.batches = exportsData.batches || [];
+    exportsData.batches.push(record);
+    return record;
+  });
+
+  if (!batch) {
+    throw new AccountingError(`Nothing left to export from ${date_from} to ${date_to} as ${format}`, 'NOTHING_TO_EXPORT');
+  }
+
+  winston.info(`Accounting export ${batch.id}: ${batch.entry_count} entries as ${format}`);
+  return batch;
+}
+
+/**
+ * List the export batches, newest first
+ * @returns {Array} Batches without their entries
+ */
+async function listExportBatches() {
+  const exportsData = await fileManager.readJSON(EXPORTS_FILE);
+  return (exportsData.batches || [])
+    .map(({ entry_ids, entries, ...batch }) => batch)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Format a date as MM/DD/YYYY (UTC), as both QuickBooks and US Xero imports read it
+ * @param {string} value - ISO date
+ * @returns {string} Date
+ */
+function formatDay(value) {
+  const date = new Date(value);
+  const pad = number => String(number).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Quote a CSV field if it needs it
+ * @param {*} value - Field value
+ * @returns {string} Field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write entries as a QuickBooks Desktop IIF file of general journal transactions
+ * Accounts are matched by name; amounts are positive for debits.
+ * @param {Array} entries - Entries
+ * @param {Object} accounts - Account settings
+ * @returns {string} File contents
+ */
+function toQuickBooksIif(entries, accounts) {
+  const clean = value => String(value || '').replace(/[\t\r\n"]/g, ' ');
+  const rows = [
+    ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!ENDTRNS']
+  ];
+
+  entries.forEach(entry => {
+    entry.lines.forEach((line, index) => {
+      rows.push([
+        index === 0 ? 'TRNS' : 'SPL',
+        '',
+        'GENERAL JOURNAL',
+        formatDay(entry.date),
+        clean(accounts[line.account].name),
+        clean(entry.customer),
+        fromCents(line.amount).toFixed(2),
+        clean(entry.reference),
+        clean(`${entry.memo} - ${line.description}`)
+      ]);
+    });
+    rows.push(['ENDTRNS']);
+  });
+
+  return rows.map(row => row.join('\t')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write entries as a QuickBooks Online journal entry import CSV
+ * Accounts are matched by name. Journal numbers count up within the file,
+ * since entry ids are longer than QuickBooks allows.
+ * @param {Array} entries - Entries
+ * @param {Object} accounts - Account settings
+ * @returns {string} File contents
+ */
+function toQuickBooksCsv(entries, accounts) {
+  const rows = [['JournalNo', 'JournalDate', 'AccountName', 'Debits', 'Credits', 'Description', 'Name']];
+
+  entries.forEach((entry, index) => {
+    entry.lines.forEach(line => {
+      rows.push([
+        index + 1,
+        formatDay(entry.date),
+        accounts[line.account].name,
+        line.amount > 0 ? fromCents(line.amount).toFixed(2) : '',
+        line.amount < 0 ? fromCents(-line.amount).toFixed(2) : '',
+        `${entry.memo} - ${line.description}`,
+        entry.customer
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write entries as a Xero manual journal import CSV
+ * Accounts are matched by code; rows with the same narration and date make one journal.
+ * @param {Array} entries - Entries
+ * @param {Object} accounts - Account settings
+ * @param {string} taxRate - Xero tax rate for every line
+ * @returns {string} File contents
+ */
+function toXeroCsv(entries, accounts, taxRate) {
+  const rows = [['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount']];
+
+  entries.forEach(entry => {
+    entry.lines.forEach(line => {
+      rows.push([
+        `${entry.memo} - ${entry.customer} (${entry.id})`,
+        formatDay(entry.date),
+        line.description,
+        accounts[line.account].code,
+        taxRate,
+        fromCents(line.amount).toFixed(2)
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the file of an export batch from the entries it was exported with
+ * Batches recorded before entries were kept are rebuilt from the orders.
+ * @param {string} batchId - Batch id
+ * @returns {Object} { filename, contentType, content }
+ * @throws {AccountingError} If the batch doesn't exist
+ */
+async function renderExportBatch(batchId) {
+  const exportsData = await fileManager.readJSON(EXPORTS_FILE);
+  const batch = (exportsData.batches || []).find(b => b.id === batchId);
+
+  if (!batch) {
+    throw new AccountingError('Export not found', 'EXPORT_NOT_FOUND');
+  }
+
+  let entries = batch.entries;
+  if (!entries) {
+    const ids = new Set(batch.entry_ids);
+    entries = (await getAllEntries()).filter(entry => ids.has(entry.id));
+  }
+  const format = EXPORT_FORMATS[batch.format];
+
+  let content;
+  if (batch.format === 'quickbooks_iif') {
+    content = toQuickBooksIif(entries, batch.accounts);
+  } else if (batch.format === 'quickbooks_csv') {
+    content = toQuickBooksCsv(entries, batch.accounts);
+  } else {
+    content = toXeroCsv(entries, batch.accounts, batch.xero_tax_rate || 'Tax Exempt');
+  }
+
+  return {
+    filename: `${batch.format.replace('_', '-')}-${batch.date_from}-to-${batch.date_to}.${format.extension}`,
+    contentType: format.contentType,
+    content
+  };
+}
+
+module.exports = {
+  AccountingError,
+  EXPORT_FORMATS,
+  getAccountingSettings,
+  saveAccountingSettings,
+  getOrderEntries,
+  previewEntries,
+  createExportBatch,
+  listExportBatches,
+  renderExportBatch
+};
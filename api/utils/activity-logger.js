@@ -26,22 +26,20 @@ class ActivityLogger {
         created_at: new Date().toISOString()
       };
 
-      // Read existing activities
-      const activityData = await fileManager.readJSON('activity.json');
-      if (!activityData.activities) {
-        activityData.activities = [];
-      }
-
-      // Add new activity
-      activityData.activities.push(activity);
+      // Append to existing activities
+      await fileManager.update('activity.json', (activityData) => {
+        if (!activityData.activities) {
+          activityData.activities = [];
+        }
 
-      // Keep only last 1000 activities to prevent file from growing too large
-      if (activityData.activities.length > 1000) {
-        activityData.activities = activityData.activities.slice(-1000);
-      }
+        // Add new activity
+        activityData.activities.push(activity);
 
-      // Save updated activities
-      await fileManager.writeJSON('activity.json', activityData);
+        // Keep only last 1000 activities to prevent file from growing too large
+        if (activityData.activities.length > 1000) {
+          activityData.activities = activityData.activities.slice(-1000);
+        }
+      });
 
       winston.info(`Activity logged: ${type} - ${description}`, { user, metadata });
       
@@ -72,6 +70,54 @@ class ActivityLogger {
       cancelled: {
         type: 'order_cancelled',
         description: `Order #${order.id} was cancelled`
+      },
+      payment_completed: {
+        type: 'order_payment_completed',
+        description: `Payment completed for order #${order.id}`
+      },
+      payment_failed: {
+        type: 'order_payment_failed',
+        description: `Payment failed for order #${order.id}`
+      },
+      payment_canceled: {
+        type: 'order_payment_canceled',
+        description: `Payment canceled for order #${order.id}`
+      },
+      refunded: {
+        type: 'order_refunded',
+        description: `Order #${order.id} ${order.payment_status === 'refunded' ? 'fully' : 'partially'} refunded ($${order.amount_refunded})`
+      },
+      dispute_opened: {
+        type: 'order_dispute_opened',
+        description: `Payment for order #${order.id} was disputed`
+      },
+      dispute_closed: {
+        type: 'order_dispute_closed',
+        description: `Dispute on order #${order.id} closed as ${order.dispute ? order.dispute.status : 'unknown'}`
+      },
+      balance_requested: {
+        type: 'order_balance_requested',
+        description: `Balance payment of $${order.balance_due} requested for order #${order.id}`
+      },
+      balance_paid: {
+        type: 'order_balance_paid',
+        description: `Balance paid for order #${order.id}`
+      },
+      invoiced: {
+        type: 'order_invoiced',
+        description: `Order #${order.id} placed on invoice by ${order.customer_name || order.customer_email}`
+      },
+      shipment_added: {
+        type: 'order_shipment_added',
+        description: `Shipment added to order #${order.id} (${(order.shipments || []).length} in total)`
+      },
+      address_updated: {
+        type: 'order_address_updated',
+        description: `Contact details or addresses of order #${order.id} updated`
+      },
+      invoice_payment_recorded: {
+        type: 'order_invoice_payment_recorded',
+        description: `Payment recorded on order #${order.id} ($${order.invoice ? order.invoice.amount_paid : 0} of $${order.amount} paid)`
       }
     };
 
@@ -83,6 +129,7 @@ class ActivityLogger {
         {
           order_id: order.id,
           order_status: order.status,
+          payment_status: order.payment_status,
           customer_email: order.customer_email,
           total_amount: order.total_amount
         },
@@ -107,6 +154,14 @@ class ActivityLogger {
       deleted: {
         type: 'pack_deleted',
         description: `Pack "${pack.name}" deleted`
+      },
+      sold_out: {
+        type: 'pack_sold_out',
+        description: `Pack "${pack.name}" sold out`
+      },
+      back_in_stock: {
+        type: 'pack_back_in_stock',
+        description: `Pack "${pack.name}" is back in stock`
       }
     };
 
@@ -197,6 +252,157 @@ class ActivityLogger {
     }
   }
 
+  /**
+   * Log backup activities
+   */
+  static async logBackupActivity(filename, snapshotId, action, user = 'system', metadata = {}) {
+    const activities = {
+      restored: {
+        type: 'backup_restored',
+        description: `${filename} restored from backup ${snapshotId}`
+      }
+    };
+
+    const activity = activities[action];
+    if (activity) {
+      return await this.logActivity(
+        activity.type,
+        activity.description,
+        {
+          filename,
+          snapshot_id: snapshotId,
+          ...metadata
+        },
+        user
+      );
+    }
+  }
+
+  /**
+   * Log stock reservation activities
+   */
+  static async logReservationActivity(reservation, action, user = 'system') {
+    const activities = {
+      created: {
+        type: 'reservation_created',
+        description: `Stock held for ${reservation.customer_email} until ${reservation.expires_at}`
+      },
+      converted: {
+        type: 'reservation_converted',
+        description: `Reservation ${reservation.id} converted to a sale`
+      },
+      released: {
+        type: 'reservation_released',
+        description: `Reservation ${reservation.id} released (${reservation.release_reason})`
+      },
+      expired: {
+        type: 'reservation_expired',
+        description: `Reservation ${reservation.id} expired without payment`
+      }
+    };
+
+    const activity = activities[action];
+    if (activity) {
+      return await this.logActivity(
+        activity.type,
+        activity.description,
+        {
+          reservation_id: reservation.id,
+          payment_intent_id: reservation.payment_intent_id,
+          order_id: reservation.order_id,
+          items: reservation.items
+        },
+        user
+      );
+    }
+  }
+
+  /**
+   * Log net-terms buyer activities
+   */
+  static async logBuyerActivity(buyer, action, user = 'system') {
+    const activities = {
+      created: {
+        type: 'buyer_created',
+        description: `Buyer ${buyer.company || buyer.email} approved for ${buyer.payment_terms} terms`
+      },
+      updated: {
+        type: 'buyer_updated',
+        description: `Buyer ${buyer.company || buyer.email} updated`
+      },
+      account_code_reset: {
+        type: 'buyer_account_code_reset',
+        description: `Account code reset for buyer ${buyer.company || buyer.email}`
+      },
+      tax_exemption_updated: {
+        type: 'buyer_tax_exemption_updated',
+        description: `Tax exemption certificate of buyer ${buyer.company || buyer.email} recorded as ${(buyer.tax_exemption || {}).status}`
+      },
+      tax_exemption_removed: {
+        type: 'buyer_tax_exemption_removed',
+        description: `Tax exemption certificate removed for buyer ${buyer.company || buyer.email}`
+      },
+      deleted: {
+        type: 'buyer_deleted',
+        description: `Buyer ${buyer.company || buyer.email} deleted`
+      }
+    };
+
+    const activity = activities[action];
+    if (activity) {
+      return await this.logActivity(
+        activity.type,
+        activity.description,
+        {
+          buyer_id: buyer.id,
+          email: buyer.email,
+          status: buyer.status,
+          payment_terms: buyer.payment_terms
+        },
+        user
+      );
+    }
+  }
+
+  /**
+   * Log discount code activities
+   */
+  static async logDiscountActivity(discountCode, action, user = 'system', metadata = {}) {
+    const activities = {
+      created: {
+        type: 'discount_code_created',
+        description: `Discount code ${discountCode.code} created`
+      },
+      updated: {
+        type: 'discount_code_updated',
+        description: `Discount code ${discountCode.code} updated`
+      },
+      deleted: {
+        type: 'discount_code_deleted',
+        description: `Discount code ${discountCode.code} deleted`
+      },
+      redeemed: {
+        type: 'discount_code_redeemed',
+        description: `Discount code ${discountCode.code} redeemed on order #${metadata.order_id} ($${metadata.amount} off)`
+      }
+    };
+
+    const activity = activities[action];
+    if (activity) {
+      return await this.logActivity(
+        activity.type,
+        activity.description,
+        {
+          discount_code_id: discountCode.id,
+          code: discountCode.code,
+          times_used: discountCode.times_used,
+          ...metadata
+        },
+        user
+      );
+    }
+  }
+
   /**
    * Log admin activities
    */
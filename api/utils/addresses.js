@@ -0,0 +1,416 @@
+/**
+ * Addresses
+ * Buyer contact details and ship-to / bill-to addresses for orders
+ *
+ * Checkout collects a business name, phone and the shipping and billing
+ * addresses and stores them on the PaymentIntent's quote before the card is
+ * charged, so the order gets them whether the confirm call or the webhook
+ * creates it. Invoice orders pass them with the order. Admins can correct
+ * them until the order ships.
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const { getShippingSettings, findZone } = require('./shipping');
+const { getTaxSettings, findRate } = require('./tax');
+
+// Parts of an address; line2, name and company are optional
+const ADDRESS_FIELDS = ['name', 'company', 'line1', 'line2', 'city', 'state', 'postal_code', 'country'];
+
+// Order fields holding the buyer's contact details
+const CUSTOMER_DETAIL_FIELDS = ['business_name', 'phone', 'shipping_address', 'billing_address'];
+
+// Statuses in which the addresses can still be changed
+const EDITABLE_STATUSES = ['pending', 'reserved', 'processing'];
+
+const MAX_LENGTH = 100;
+
+// Postal code formats of the countries we ship to most; others are only checked for length
+const POSTAL_CODES = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/
+};
+
+/**
+ * Customer details or an address can't be accepted
+ * Routes answer with error.toJSON() and error.status.
+ */
+class AddressError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_ADDRESS, QUOTE_NOT_FOUND, ORDER_NOT_FOUND, ADDRESS_LOCKED or DESTINATION_PRICED
+   * @param {Object} details - Extra response fields, e.g. errors ({ field, message })
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AddressError';
+    this.status = { QUOTE_NOT_FOUND: 404, ORDER_NOT_FOUND: 404, ADDRESS_LOCKED: 409, DESTINATION_PRICED: 409 }[code] || 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Trim a text field
+ * @param {*} value - Request value
+ * @returns {string} Trimmed text, empty if missing
+ */
+function clean(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Check and normalize an address
+ * @param {Object} input - Address fields
+ * @param {string} prefix - Field name used in errors, e.g. shipping_address
+ * @param {Array} errors - Field errors are added here
+ * @returns {Object} Address (empty optional fields are left out)
+ */
+function parseAddress(input, prefix, errors) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ field: prefix, message: 'is required' });
+    return null;
+  }
+
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    const value = clean(input[field]);
+    if (value) {
+      address[field] = value;
+    }
+    if (value.length > MAX_LENGTH) {
+      errors.push({ field: `${prefix}.${field}`, message: `must be at most ${MAX_LENGTH} characters` });
+    }
+  });
+
+  address.country = (address.country || 'US').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(address.country)) {
+    errors.push({ field: `${prefix}.country`, message: 'must be a 2-letter country code, e.g. US' });
+  }
+
+  ['line1', 'city', 'postal_code'].forEach(field => {
+    if (!address[field]) {
+      errors.push({ field: `${prefix}.${field}`, message: 'is required' });
+    }
+  });
+
+  if (address.country === 'US' || address.country === 'CA') {
+    if (!address.state) {
+      errors.push({ field: `${prefix}.state`, message: 'is required' });
+    } else if (!/^[A-Za-z]{2}$/.test(address.state)) {
+      errors.push({ field: `${prefix}.state`, message: 'must be a 2-letter state or province code' });
+    } else {
+      address.state = address.state.toUpperCase();
+    }
+  }
+
+  if (address.postal_code && POSTAL_CODES[address.country]) {
+    address.postal_code = address.postal_code.toUpperCase();
+    if (!POSTAL_CODES[address.country].test(address.postal_code)) {
+      errors.push({ field: `${prefix}.postal_code`, message: `is not a valid ${address.country} postal code` });
+    }
+  }
+
+  return address;
+}
+
+/**
+ * Check and normalize a phone number
+ * @param {*} value - Phone number as entered
+ * @param {Array} errors - Field errors are added here
+ * @returns {string} Phone number, trimmed
+ */
+function parsePhone(value, errors) {
+  const phone = clean(value);
+  const digits = phone.replace(/\D/g, '');
+
+  if (!/^[+\d\s().-]*$/.test(phone) || digits.length < 10 || digits.length > 15) {
+    errors.push({ field: 'phone', message: 'must be a phone number of 10 to 15 digits' });
+  }
+  return phone;
+}
+
+/**
+ * Check and normalize the contact details collected at checkout
+ * The billing address is the shipping address unless a different one is given.
+ * @param {Object} input - Request fields (business_name, phone, shipping_address, billing_address, billing_same_as_shipping)
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.requireShippingAddress - False for local pickup, which then needs a billing address
+ * @returns {Object} { business_name, phone, shipping_address, billing_address }
+ * @throws {AddressError} If a field is missing or invalid
+ */
+function parseCustomerDetails(input = {}, { requireShippingAddress = true } = {}) {
+  const errors = [];
+  const businessName = clean(input.business_name);
+
+  if (businessName.length > MAX_LENGTH) {
+    errors.push({ field: 'business_name', message: `must be at most ${MAX_LENGTH} characters` });
+  }
+
+  const phone = parsePhone(input.phone, errors);
+  const shippingAddress = requireShippingAddress || input.shipping_address
+    ? parseAddress(input.shipping_address, 'shipping_address', errors)
+    : null;
+  const billingAddress = shippingAddress && (input.billing_same_as_shipping === true || !input.billing_address)
+    ? shippingAddress
+    : parseAddress(input.billing_address, 'billing_address', errors);
+
+  if (errors.length > 0) {
+    throw new AddressError('Please check your contact details and addresses', 'INVALID_ADDRESS', { errors });
+  }
+
+  return {
+    business_name: businessName || null,
+    phone,
+    shipping_address: shippingAddress,
+    billing_address: billingAddress ? { ...billingAddress } : null
+  };
+}
+
+/**
+ * Check whether a request carries checkout contact details
+ * @param {Object} input - Request fields
+ * @returns {boolean} True if any of them was sent
+ */
+function hasCustomerDetails(input = {}) {
+  return CUSTOMER_DETAIL_FIELDS.some(field => input[field] !== undefined && input[field] !== null && input[field] !== '');
+}
+
+/**
+ * Copy contact details onto an order or quote
+ * @param {Object} target - Order or quote
+ * @param {Object} details - Details from parseCustomerDetails (or a stored quote)
+ * @returns {Object} target
+ */
+function applyCustomerDetails(target, details) {
+  if (!details) {
+    return target;
+  }
+
+  CUSTOMER_DETAIL_FIELDS.forEach(field => {
+    if (details[field] !== undefined && details[field] !== null) {
+      target[field] = details[field];
+    }
+  });
+  return target;
+}
+
+/**
+ * Store the buyer's contact details on a PaymentIntent's quote
+ * Called by checkout before the card is confirmed; the name and email
+ * entered on the form replace the ones the PaymentIntent was created with.
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @param {Object} details - Details from parseCustomerDetails
+ * @param {Object} changes - Other quote fields to set, e.g. customer_email, customer_name or the shipping line; null removes a field
+ * @returns {Object} Updated quote
+ * @throws {AddressError} If the quote doesn't exist
+ */
+async function saveCheckoutDetails(paymentIntentId, details, changes = {}) {
+  const quote = await fileManager.update('quotes.json', (quotesData) => {
+    const existing = (quotesData.quotes || []).find(q => q.payment_intent_id === paymentIntentId);
+
+    if (!existing) {
+      return null;
+    }
+
+    applyCustomerDetails(existing, details);
+    Object.entries(changes).forEach(([field, value]) => {
+      if (value === null) {
+        delete existing[field];
+      } else if (value !== undefined && value !== '') {
+        existing[field] = value;
+      }
+    });
+    return existing;
+  });
+
+  if (!quote) {
+    throw new AddressError('Payment not found', 'QUOTE_NOT_FOUND');
+  }
+
+  winston.info(`Checkout details saved for payment ${paymentIntentId}`);
+  return quote;
+}
+
+/**
+ * Check whether a new shipping address would change what an order was charged
+ * Orders delivered or taxed at their ship-to were priced for its shipping
+ * zone and tax rate; both are looked up for the old and new address under
+ * the current settings, so a corrected street, or a ZIP code with the same
+ * rate, is still allowed. Pickup orders are taxed at the origin.
+ * @param {Object} order - Order
+ * @param {Object|null} address - New shipping address
+ * @param {Object} settings - { shipping, tax } settings
+ * @returns {boolean} True if the shipping or tax on the order would no longer match
+ */
+function changesDestinationPricing(order, address, settings) {
+  const pickup = Boolean(order.shipping && order.shipping.type === 'pickup');
+  if (pickup || (!order.shipping && !order.tax)) {
+    return false;
+  }
+  if (!address || !order.shipping_address) {
+    return true;
+  }
+
+  const zoneOf = target => (findZone(settings.shipping, target) || {}).id || null;
+  const rateOf = target => {
+    const rate = findRate(settings.tax, target);
+    return rate ? `${rate.id}:${rate.rate}` : null;
+  };
+
+  return zoneOf(order.shipping_address) !== zoneOf(address) || rateOf(order.shipping_address) !== rateOf(address);
+}
+
+/**
+ * Change an order's contact details or addresses before it ships
+ * Only the fields sent are changed; an address sent replaces the stored one.
+ * @param {string} orderId - Order id
+ * @param {Object} input - business_name, phone, shipping_address, billing_address and optional notes
+ * @param {string} user - Admin making the change
+ * @returns {Object} Updated order
+ * @throws {AddressError} If a field is invalid, the order doesn't exist or has shipped, or the
+ *   new shipping address would be charged different shipping or tax
+ */
+async function updateOrderAddress(orderId, input, user) {
+  if (!hasCustomerDetails(input)) {
+    throw new AddressError(`Nothing to update. Send one of: ${CUSTOMER_DETAIL_FIELDS.join(', ')}`, 'INVALID_ADDRESS');
+  }
+
+  const errors = [];
+  const changes = {};
+
+  if (input.business_name !== undefined) {
+    changes.business_name = clean(input.business_name) || null;
+    if (changes.business_name && changes.business_name.length > MAX_LENGTH) {
+      errors.push({ field: 'business_name', message: `must be at most ${MAX_LENGTH} characters` });
+    }
+  }
+  if (input.phone !== undefined) {
+    changes.phone = parsePhone(input.phone, errors);
+  }
+  ['shipping_address', 'billing_address'].forEach(field => {
+    if (input[field] !== undefined) {
+      changes[field] = parseAddress(input[field], field, errors);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new AddressError('Please check the contact details and addresses', 'INVALID_ADDRESS', { errors });
+  }
+
+  const settings = changes.shipping_address !== undefined
+    ? { shipping: await getShippingSettings(), tax: await getTaxSettings() }
+    : null;
+  let failure = null;
+
+  const order = await fileManager.update('orders.json', (ordersData) => {
+    const existing = (ordersData.orders || []).find(o => o.id === orderId);
+
+    if (!existing) {
+      failure = new AddressError('Order not found', 'ORDER_NOT_FOUND');
+      return null;
+    }
+
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      failure = new AddressError(
+        `Addresses can't be changed once an order is ${existing.status}`,
+        'ADDRESS_LOCKED',
+        { status: existing.status }
+      );
+      return null;
+    }
+
+    // Shipping and tax stay as charged, so the ship-to can't move to another zone or rate
+    if (settings && changesDestinationPricing(existing, changes.shipping_address, settings)) {
+      failure = new AddressError(
+        'The shipping address can\'t move to another shipping zone or tax rate once they are charged - refund and re-place the order instead',
+        'DESTINATION_PRICED',
+        {
+          shipping: existing.shipping ? { method: existing.shipping.method, zone: existing.shipping.zone } : null,
+          tax: existing.tax ? { jurisdiction: existing.tax.jurisdiction, rate: existing.tax.rate } : null
+        }
+      );
+      return null;
+    }
+
+    Object.entries(changes).forEach(([field, value]) => {
+      if (value === null) {
+        delete existing[field];
+      } else {
+        existing[field] = value;
+      }
+    });
+
+    const now = new Date().toISOString();
+    existing.updated_at = now;
+    existing.updated_by = user;
+
+    if (!existing.status_history) {
+      existing.status_history = [];
+    }
+    existing.status_history.push({
+      status: existing.status,
+      changed_at: now,
+      changed_by: user,
+      notes: input.notes || `Updated ${Object.keys(changes).join(', ')}`
+    });
+
+    return existing;
+  });
+
+  if (failure) {
+    throw failure;
+  }
+
+  await ActivityLogger.logOrderActivity(order, 'address_updated', user);
+  winston.info(`Order ${orderId} contact details updated (${Object.keys(changes).join(', ')})`);
+
+  return order;
+}
+
+/**
+ * Format an address as printable lines
+ * @param {Object} address - Address
+ * @returns {Array} Lines, e.g. ['Acme Resale', '12 Main St', 'Austin, TX 78701']
+ */
+function formatAddress(address) {
+  if (!address) {
+    return [];
+  }
+
+  const cityLine = [address.city, [address.state, address.postal_code].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+
+  return [
+    address.name,
+    address.company,
+    address.line1,
+    address.line2,
+    cityLine,
+    address.country && address.country !== 'US' ? address.country : null
+  ].filter(Boolean);
+}
+
+module.exports = {
+  AddressError,
+  ADDRESS_FIELDS,
+  CUSTOMER_DETAIL_FIELDS,
+  EDITABLE_STATUSES,
+  parseCustomerDetails,
+  hasCustomerDetails,
+  applyCustomerDetails,
+  saveCheckoutDetails,
+  updateOrderAddress,
+  formatAddress
+};
@@ -0,0 +1,231 @@
+/**
+ * Deposit Balances
+ * Tracks what deposit orders still owe and collects the remainder
+ *
+ * A deposit order carries total_amount (the pack price agreed at checkout),
+ * balance_due and balance_due_date. The balance is collected with a second
+ * PaymentIntent (metadata purchase_type "balance"), recorded on the order
+ * as balance_payment; once it succeeds the balance drops to zero and the
+ * order can ship.
+ */
+
+const winston = require('winston');
+const config = require('../config/environment');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const { toCents, fromCents } = require('./pricing');
+const { getPaymentProvider } = require('./payments');
+
+// PaymentIntent statuses the buyer can still pay
+const OPEN_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+/**
+ * A balance payment can't be requested
+ * Routes answer with error.toJSON() and error.status.
+ */
+class BalanceError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - ORDER_NOT_FOUND, NO_BALANCE or PROVIDER_ERROR
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'BalanceError';
+    this.status = { ORDER_NOT_FOUND: 404, NO_BALANCE: 409, PROVIDER_ERROR: 502 }[code] || 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Set the balance of a new deposit order
+ * @param {Object} order - Unsaved order, changed in place
+ * @param {number} fullPrice - Pack price agreed at checkout, in dollars
+ */
+function applyDepositTerms(order, fullPrice) {
+  const balanceCents = Math.max(toCents(fullPrice) - toCents(order.amount), 0);
+
+  order.total_amount = fromCents(toCents(order.amount) + balanceCents);
+  order.balance_due = fromCents(balanceCents);
+  order.balance_due_date = new Date(Date.now() + config.deposits.balanceDueDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Check whether an order still owes money before it can ship
+ * @param {Object} order - Order
+ * @returns {boolean} True if a balance is outstanding
+ */
+function hasBalanceDue(order) {
+  return toCents(order.balance_due || 0) > 0;
+}
+
+/**
+ * Check whether a PaymentIntent pays an order's balance
+ * @param {Object} paymentIntent - PaymentIntent
+ * @returns {boolean} True for balance payments
+ */
+function isBalancePayment(paymentIntent) {
+  return Boolean(paymentIntent.metadata && paymentIntent.metadata.purchase_type === 'balance');
+}
+
+/**
+ * Record a succeeded balance payment on its order
+ * Safe to call more than once for the same PaymentIntent.
+ * @param {Object} paymentIntent - Succeeded balance PaymentIntent
+ * @returns {Object|null} Updated order, or null if it was already recorded
+ */
+async function markBalancePaid(paymentIntent) {
+  return fileManager.withLock(`payment:${paymentIntent.id}`, async () => {
+    const order = await fileManager.update('orders.json', (ordersData) => {
+      const existing = (ordersData.orders || []).find(o =>
+        o.balance_payment && o.balance_payment.payment_intent_id === paymentIntent.id
+      );
+
+      if (!existing || existing.balance_payment.status === 'paid') {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      existing.balance_payment.status = 'paid';
+      existing.balance_payment.amount = fromCents(paymentIntent.amount);
+      existing.balance_payment.paid_at = now;
+      existing.amount = fromCents(toCents(existing.amount) + paymentIntent.amount);
+      existing.balance_due = fromCents(Math.max(toCents(existing.balance_due || 0) - paymentIntent.amount, 0));
+      existing.updated_at = now;
+
+      if (!existing.status_history) {
+        existing.status_history = [];
+      }
+      existing.status_history.push({
+        status: existing.status,
+        payment_status: existing.payment_status,
+        changed_at: now,
+        changed_by: 'system',
+        notes: `Balance of $${fromCents(paymentIntent.amount).toFixed(2)} paid`
+      });
+
+      return existing;
+    });
+
+    if (order) {
+      await ActivityLogger.logOrderActivity(order, 'balance_paid', 'system');
+      winston.info(`Balance paid for order ${order.id}: ${paymentIntent.id}`);
+    }
+
+    return order;
+  });
+}
+
+/**
+ * Get a PaymentIntent the buyer can use to pay an order's balance
+ * An open balance PaymentIntent for the same amount is reused.
+ * @param {string} orderId - Order id
+ * @param {string} user - Admin requesting the payment
+ * @returns {Object} { order, paymentIntent, created }
+ * @throws {BalanceError} If the order has nothing to pay or the provider fails
+ */
+async function createBalancePayment(orderId, user) {
+  return fileManager.withLock(`balance:${orderId}`, async () => {
+    const order = await fileManager.findRecord('orders.json', orderId);
+
+    if (!order) {
+      throw new BalanceError('Order not found', 'ORDER_NOT_FOUND');
+    }
+
+    if (!hasBalanceDue(order) || order.status === 'cancelled') {
+      throw new BalanceError('Order has no balance due', 'NO_BALANCE');
+    }
+
+    const provider = getPaymentProvider();
+    const amountCents = toCents(order.balance_due);
+
+    try {
+      if (order.balance_payment && order.balance_payment.status === 'pending') {
+        const existing = await provider.retrievePaymentIntent(order.balance_payment.payment_intent_id);
+
+        // Paid, but the webhook hasn't been processed yet
+        if (existing.status === 'succeeded') {
+          await markBalancePaid(existing);
+          throw new BalanceError('Order has no balance due', 'NO_BALANCE');
+        }
+
+        if (existing.amount === amountCents && OPEN_INTENT_STATUSES.includes(existing.status)) {
+          return { order, paymentIntent: existing, created: false };
+        }
+
+        if (OPEN_INTENT_STATUSES.includes(existing.status)) {
+          await provider.cancelPaymentIntent(existing.id);
+        }
+      }
+
+      const paymentIntent = await provider.createPaymentIntent({
+        amount: amountCents,
+        currency: config.payments.currency,
+        metadata: {
+          purchase_type: 'balance',
+          order_id: order.id,
+          customer_email: order.customer_email,
+          customer_name: order.customer_name || 'Unknown'
+        }
+      });
+
+      const updated = await fileManager.update('orders.json', (ordersData) => {
+        const current = ordersData.orders.find(o => o.id === orderId);
+        const now = new Date().toISOString();
+
+        current.balance_payment = {
+          payment_intent_id: paymentIntent.id,
+          amount: order.balance_due,
+          status: 'pending',
+          requested_by: user,
+          requested_at: now
+        };
+        current.updated_at = now;
+        current.updated_by = user;
+
+        if (!current.status_history) {
+          current.status_history = [];
+        }
+        current.status_history.push({
+          status: current.status,
+          payment_status: current.payment_status,
+          changed_at: now,
+          changed_by: user,
+          notes: `Balance payment of $${order.balance_due.toFixed(2)} requested`
+        });
+
+        return current;
+      });
+
+      await ActivityLogger.logOrderActivity(updated, 'balance_requested', user);
+      winston.info(`Balance payment ${paymentIntent.id} created for order ${orderId}`);
+
+      return { order: updated, paymentIntent, created: true };
+    } catch (error) {
+      if (error instanceof BalanceError) {
+        throw error;
+      }
+      winston.error(`Balance payment for order ${orderId} failed:`, error);
+      throw new BalanceError(`Payment provider error: ${error.message}`, 'PROVIDER_ERROR');
+    }
+  });
+}
+
+module.exports = {
+  BalanceError,
+  applyDepositTerms,
+  hasBalanceDue,
+  isBalancePayment,
+  markBalancePaid,
+  createBalancePayment
+};
@@ -0,0 +1,112 @@
+/**
+ * Data Diff Utility
+ * Compares two versions of a data file record by record
+ */
+
+const { getCollection, toEntries } = require('./storage/collections');
+
+/**
+ * Compare the top-level fields of two objects
+ * @param {Object} from - Old value
+ * @param {Object} to - New value
+ * @returns {Array} Changed fields ({ field, from, to })
+ */
+function diffFields(from = {}, to = {}) {
+  const fields = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    const fromValue = from ? from[field] : undefined;
+    const toValue = to ? to[field] : undefined;
+
+    if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+      changes.push({ field, from: fromValue, to: toValue });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Diff two versions of a data file
+ * Collection files are compared per record id, other files per top-level field.
+ * @param {string} filename - Name of the data file
+ * @param {Object} from - Old version (e.g. a snapshot)
+ * @param {Object} to - New version (e.g. the current file)
+ * @returns {Object} Diff with added, removed and changed records
+ */
+function diffData(filename, from, to) {
+  const collection = getCollection(filename);
+  from = from || {};
+  to = to || {};
+
+  if (!collection) {
+    const changed = diffFields(from, to);
+    return {
+      collection: null,
+      document: changed,
+      added: [],
+      removed: [],
+      changed: [],
+      summary: { added: 0, removed: 0, changed: 0, document_fields: changed.length }
+    };
+  }
+
+  const { [collection.key]: fromItems, ...fromRest } = from;
+  const { [collection.key]: toItems, ...toRest } = to;
+
+  const fromRecords = new Map(toEntries(collection, fromItems).map(e => [e.id, e.record]));
+  const toRecords = new Map(toEntries(collection, toItems).map(e => [e.id, e.record]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  toRecords.forEach((record, id) => {
+    if (!fromRecords.has(id)) {
+      added.push({ id, record });
+    }
+  });
+
+  fromRecords.forEach((record, id) => {
+    if (!toRecords.has(id)) {
+      removed.push({ id, record });
+      return;
+    }
+
+    const toRecord = toRecords.get(id);
+    if (JSON.stringify(record) === JSON.stringify(toRecord)) {
+      return;
+    }
+
+    // Manifest entries are item arrays, so report them whole
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    changed.push({
+      id,
+      fields: isObject(record) && isObject(toRecord)
+        ? diffFields(record, toRecord)
+        : [{ field: null, from: record, to: toRecord }]
+    });
+  });
+
+  const document = diffFields(fromRest, toRest);
+
+  return {
+    collection: collection.key,
+    document,
+    added,
+    removed,
+    changed,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      document_fields: document.length
+    }
+  };
+}
+
+module.exports = {
+  diffData,
+  diffFields
+};
@@ -0,0 +1,289 @@
+/**
+ * Discounts
+ * Validates discount codes against a checkout quote and records their redemptions
+ *
+ * A code gives a percentage off, a fixed amount off or free shipping, and
+ * can be limited by start/expiry date, total and per-customer uses, minimum
+ * order, pack type and customer email. Codes are checked when the
+ * PaymentIntent (or invoice order) is priced; the discount is stored on the
+ * quote and copied to the order. Usage limits are checked again when the
+ * order is created, in the same write that counts the redemption.
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const { buildQuote, toCents, fromCents } = require('./pricing');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+/**
+ * A discount code can't be applied
+ * Routes answer with error.toJSON() and error.status.
+ */
+class DiscountError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_CODE, CODE_EXPIRED, USAGE_LIMIT_REACHED, MINIMUM_NOT_MET or NOT_ELIGIBLE
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'DiscountError';
+    this.status = 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Normalize a code as entered by a buyer or admin
+ * @param {string} code - Discount code
+ * @returns {string} Trimmed, upper-case code
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Get a discount code by its code
+ * @param {string} code - Discount code, any case
+ * @returns {Object|null} Discount code record
+ */
+async function findDiscountCode(code) {
+  const [discountCode] = await fileManager.findRecords('discount-codes.json', { code: normalizeCode(code) });
+  return discountCode || null;
+}
+
+/**
+ * Check a code's total and per-customer usage limits
+ * @param {Object} discountCode - Discount code record
+ * @param {string} email - Buyer email, lower case
+ * @throws {DiscountError} USAGE_LIMIT_REACHED if the code can't be used again
+ */
+function checkUsageLimits(discountCode, email) {
+  if (discountCode.max_uses && discountCode.times_used >= discountCode.max_uses) {
+    throw new DiscountError(`Discount code ${discountCode.code} has been used up`, 'USAGE_LIMIT_REACHED');
+  }
+
+  if (discountCode.max_uses_per_customer) {
+    const customerUses = (discountCode.redemptions || []).filter(r => r.customer_email === email).length;
+    if (customerUses >= discountCode.max_uses_per_customer) {
+      throw new DiscountError(`Discount code ${discountCode.code} has already been used`, 'USAGE_LIMIT_REACHED');
+    }
+  }
+}
+
+/**
+ * Work out what a discount code takes off a quote
+ * Deposits are discounted on the whole pack price; what the deposit can't
+ * absorb comes off the balance.
+ * @param {Object} discountCode - Discount code record
+ * @param {Object} quote - Quote without this discount
+ * @param {string} customerEmail - Buyer email
+ * @returns {Object} Discount entry ({ discount_code_id, code, description, type, amount, free_shipping })
+ * @throws {DiscountError} If the code can't be used for this quote
+ */
+async function evaluateDiscount(discountCode, quote, customerEmail) {
+  const now = new Date();
+  const email = String(customerEmail || '').trim().toLowerCase();
+
+  if (discountCode.status !== 'active' || (discountCode.starts_at && new Date(discountCode.starts_at) > now)) {
+    throw new DiscountError(`Discount code ${discountCode.code} is not active`, 'INVALID_CODE');
+  }
+
+  if (discountCode.expires_at && new Date(discountCode.expires_at) <= now) {
+    throw new DiscountError(`Discount code ${discountCode.code} has expired`, 'CODE_EXPIRED');
+  }
+
+  if (discountCode.customer_emails && discountCode.customer_emails.length > 0 && !discountCode.customer_emails.includes(email)) {
+    throw new DiscountError(`Discount code ${discountCode.code} is not valid for this customer`, 'NOT_ELIGIBLE');
+  }
+
+  checkUsageLimits(discountCode, email);
+
+  if ((quote.discounts || []).some(discount => discount.code === discountCode.code)) {
+    throw new DiscountError(`Discount code ${discountCode.code} is already applied`, 'INVALID_CODE');
+  }
+
+  const isDeposit = quote.payment_type === 'deposit';
+  const subtotalCents = isDeposit ? toCents(quote.full_price) : toCents(quote.subtotal);
+  if (discountCode.min_order_amount && subtotalCents < toCents(discountCode.min_order_amount)) {
+    throw new DiscountError(
+      `Discount code ${discountCode.code} needs an order of at least $${discountCode.min_order_amount.toFixed(2)}`,
+      'MINIMUM_NOT_MET',
+      { min_order_amount: discountCode.min_order_amount }
+    );
+  }
+
+  // Lines the code may discount; a pack type limit leaves out other packs and products
+  let eligibleCents = subtotalCents;
+  if (discountCode.pack_types && discountCode.pack_types.length > 0) {
+    const packsData = await fileManager.readJSON('packs.json');
+    const packs = packsData.packs || [];
+
+    const eligibleLines = quote.lines.filter(line => {
+      const pack = line.type === 'pack' && packs.find(p => p.id === line.id);
+      return pack && discountCode.pack_types.includes(pack.type);
+    });
+
+    // A deposit quote has the one pack, priced at its deposit
+    eligibleCents = isDeposit
+      ? (eligibleLines.length > 0 ? subtotalCents : 0)
+      : eligibleLines.reduce((sum, line) => sum + toCents(line.line_total), 0);
+
+    if (eligibleCents === 0) {
+      throw new DiscountError(
+        `Discount code ${discountCode.code} only applies to ${discountCode.pack_types.join(', ')} packs`,
+        'NOT_ELIGIBLE'
+      );
+    }
+  }
+
+  // Earlier discounts already took part of the order
+  const remainingCents = Math.max(Math.min(eligibleCents, isDeposit ? subtotalCents : quote.amount_cents), 0);
+
+  let amountCents = 0;
+  if (discountCode.type === 'percentage') {
+    amountCents = Math.round(eligibleCents * discountCode.value / 100);
+  } else if (discountCode.type === 'fixed') {
+    amountCents = toCents(discountCode.value);
+  }
+
+  return {
+    discount_code_id: discountCode.id,
+    code: discountCode.code,
+    description: discountCode.description || discountCode.code,
+    type: discountCode.type,
+    amount: fromCents(Math.min(amountCents, remainingCents)),
+    free_shipping: discountCode.type === 'free_shipping'
+  };
+}
+
+/**
+ * Apply a discount code to a quote
+ * @param {Object} quote - Quote from pricing.quotePack or pricing.quoteCart
+ * @param {string} code - Discount code entered by the buyer
+ * @param {Object} options - Checkout details
+ * @param {string} options.customerEmail - Buyer email
+ * @returns {Object} New quote with the discount in discounts and total
+ * @throws {DiscountError} If the code doesn't exist or can't be used for this quote
+ */
+async function applyDiscountCode(quote, code, { customerEmail } = {}) {
+  const discountCode = await findDiscountCode(code);
+
+  if (!discountCode) {
+    throw new DiscountError(`Discount code ${normalizeCode(code)} is not valid`, 'INVALID_CODE');
+  }
+
+  const discount = await evaluateDiscount(discountCode, quote, customerEmail);
+
+  const lines = quote.lines.map(({ unit_price, line_total, ...line }) => ({
+    ...line,
+    unit_price_cents: toCents(unit_price)
+  }));
+
+  const discounted = {
+    ...quote,
+    ...buildQuote(lines, [...(quote.discounts || []), discount])
+  };
+
+  // The pack price drops by the whole discount, so the balance covers only what the deposit couldn't
+  if (quote.payment_type === 'deposit') {
+    discounted.full_price = fromCents(toCents(quote.full_price) - toCents(discount.amount));
+    discounted.balance_due = fromCents(toCents(discounted.full_price) - discounted.amount_cents);
+  }
+
+  return discounted;
+}
+
+/**
+ * Count the discount codes used by a new order
+ * Usage limits are checked again in the same write that records the
+ * redemption, so concurrent checkouts can't both use the last one.
+ * @param {Object} order - Order with discounts
+ * @returns {Array} Discounts not redeemed because their code is used up, with the reason
+ */
+async function redeemDiscounts(order) {
+  const discounts = (order.discounts || []).filter(discount => discount.discount_code_id);
+  if (discounts.length === 0) {
+    return [];
+  }
+
+  const email = String(order.customer_email).toLowerCase();
+  const redeemed = [];
+  const refused = [];
+
+  await fileManager.update('discount-codes.json', (codesData) => {
+    discounts.forEach(discount => {
+      const existing = (codesData.codes || []).find(c => c.id === discount.discount_code_id);
+
+      if (!existing || (existing.redemptions || []).some(r => r.order_id === order.id)) {
+        return;
+      }
+
+      try {
+        checkUsageLimits(existing, email);
+      } catch (error) {
+        refused.push({ ...discount, reason: error.message });
+        return;
+      }
+
+      existing.redemptions = [...(existing.redemptions || []), {
+        order_id: order.id,
+        customer_email: email,
+        amount: discount.amount,
+        redeemed_at: new Date().toISOString()
+      }];
+      existing.times_used = existing.redemptions.length;
+      redeemed.push({ discountCode: { ...existing }, amount: discount.amount });
+    });
+  });
+
+  for (const { discountCode, amount } of redeemed) {
+    await ActivityLogger.logDiscountActivity(discountCode, 'redeemed', order.customer_email, {
+      order_id: order.id,
+      amount
+    });
+    winston.info(`Discount code ${discountCode.code} redeemed on order ${order.id}`);
+  }
+
+  return refused;
+}
+
+/**
+ * Take back the redemptions of an order that couldn't be saved
+ * @param {Object} order - Order with discounts
+ */
+async function releaseRedemptions(order) {
+  const codeIds = (order.discounts || []).map(discount => discount.discount_code_id).filter(Boolean);
+  if (codeIds.length === 0) {
+    return;
+  }
+
+  await fileManager.update('discount-codes.json', (codesData) => {
+    (codesData.codes || []).filter(c => codeIds.includes(c.id)).forEach(existing => {
+      existing.redemptions = (existing.redemptions || []).filter(r => r.order_id !== order.id);
+      existing.times_used = existing.redemptions.length;
+    });
+  });
+}
+
+module.exports = {
+  DiscountError,
+  DISCOUNT_TYPES,
+  normalizeCode,
+  findDiscountCode,
+  applyDiscountCode,
+  redeemDiscounts,
+  releaseRedemptions
+};
@@ -0,0 +1,14 @@
+/**
+ * Documents
+ * PDF documents generated from orders (invoices, packing slips, pick lists)
+ */
+
+const invoice = require('./invoice');
+const packingSlip = require('./packing-slip');
+const pickList = require('./pick-list');
+
+module.exports = {
+  ...invoice,
+  ...packingSlip,
+  ...pickList
+};
@@ -0,0 +1,266 @@
+/**
+ * Invoice Document
+ * Renders orders' invoices as PDFs
+ *
+ * Orders are numbered when they are invoiced or paid (see utils/invoice-numbers.js)
+ * and keep the number, so an invoice can be regenerated at any time from
+ * the current order: later payments, refunds and shipments show up on the
+ * new copy under the same number.
+ */
+
+const config = require('../../config/environment');
+const { toCents, fromCents } = require('../pricing');
+const { TERMS_DAYS } = require('../invoices');
+const { formatAddress } = require('../addresses');
+const { COLLECTED_PAYMENT_STATUSES, isInvoiceable, assignInvoiceNumber } = require('../invoice-numbers');
+const {
+  MARGIN,
+  createDocument,
+  formatMoney,
+  formatDate,
+  drawHeader,
+  drawRule,
+  drawBlock,
+  drawTable,
+  drawSummary,
+  finishDocument
+} = require('./layout');
+
+/**
+ * Get the invoice lines of an order
+ * @param {Object} order - Order
+ * @returns {Array} { description, quantity, unit_price, amount }
+ */
+function getInvoiceLines(order) {
+  if (Array.isArray(order.items) && order.items.length > 0) {
+    return order.items.map(item => ({
+      description: item.name || `Item ${item.id}`,
+      quantity: item.quantity,
+      unit_price: item.price,
+      amount: fromCents(toCents(item.price) * item.quantity)
+    }));
+  }
+
+  // Single-pack orders: the pack price before discounts (deposit orders: the full price)
+  const price = order.subtotal !== undefined ? order.subtotal : (order.total_amount !== undefined ? order.total_amount : order.amount);
+  return [{
+    description: order.pack_name || `Pack ${order.pack_id}`,
+    quantity: 1,
+    unit_price: price,
+    amount: price
+  }];
+}
+
+/**
+ * Get the payments received for an order, oldest first
+ * @param {Object} order - Order
+ * @returns {Array} { date, description, amount } - refunds have negative amounts
+ */
+function getInvoicePayments(order) {
+  const payments = [];
+
+  if (order.invoice) {
+    (order.invoice.payments || []).forEach(payment => {
+      payments.push({
+        date: payment.received_at,
+        description: `${payment.method.toUpperCase()} payment${payment.reference ? ` (${payment.reference})` : ''}`,
+        amount: payment.amount
+      });
+    });
+  } else if (COLLECTED_PAYMENT_STATUSES.includes(order.payment_status)) {
+    const balancePaid = order.balance_payment && order.balance_payment.status === 'paid';
+    const firstPayment = balancePaid ? fromCents(toCents(order.amount) - toCents(order.balance_payment.amount)) : order.amount;
+
+    payments.push({
+      date: order.created_at,
+      description: order.payment_type === 'deposit' ? 'Deposit (card)' : 'Card payment',
+      amount: firstPayment
+    });
+
+    if (balancePaid) {
+      payments.push({
+        date: order.balance_payment.paid_at,
+        description: 'Balance (card)',
+        amount: order.balance_payment.amount
+      });
+    }
+  }
+
+  (order.refunds || []).filter(refund => refund.status !== 'failed').forEach(refund => {
+    payments.push({
+      date: refund.created_at,
+      description: `Refund${refund.reason ? ` - ${refund.reason}` : ''}`,
+      amount: -refund.amount
+    });
+  });
+
+  return payments.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Work out an invoice's totals and payment state
+ * @param {Object} order - Order
+ * @returns {Object} { subtotal, discounts, shipping, tax, tax_line, total, paid, refunded, balance_due, due_date, status }
+ */
+function getInvoiceSummary(order) {
+  const lines = getInvoiceLines(order);
+  const subtotal = order.subtotal !== undefined
+    ? order.subtotal
+    : fromCents(lines.reduce((sum, line) => sum + toCents(line.amount), 0));
+  const total = order.total_amount !== undefined ? order.total_amount : order.amount;
+
+  const paidCents = order.invoice
+    ? toCents(order.invoice.amount_paid)
+    : (COLLECTED_PAYMENT_STATUSES.includes(order.payment_status) ? toCents(order.amount) : 0);
+  const refundedCents = toCents(order.amount_refunded || 0);
+  const balanceCents = order.status === 'cancelled' ? 0 : Math.max(toCents(total) - paidCents, 0);
+
+  let status;
+  if (order.status === 'cancelled') {
+    status = 'CANCELLED';
+  } else if (order.payment_status === 'refunded') {
+    status = 'REFUNDED';
+  } else if (balanceCents === 0) {
+    status = refundedCents > 0 ? 'PAID - PARTIALLY REFUNDED' : 'PAID';
+  } else if (order.invoice && new Date(order.invoice.due_date) < new Date()) {
+    status = 'OVERDUE';
+  } else if (paidCents > 0) {
+    status = order.payment_type === 'deposit' ? 'DEPOSIT PAID - BALANCE DUE' : 'PARTIALLY PAID';
+  } else {
+    status = ['failed', 'canceled'].includes(order.payment_status) ? 'PAYMENT NOT RECEIVED' : 'DUE';
+  }
+
+  return {
+    subtotal,
+    discounts: order.discounts || [],
+    shipping: order.shipping || null,
+    tax: order.tax_amount || 0,
+    tax_line: order.tax || null,
+    total,
+    paid: fromCents(paidCents),
+    refunded: fromCents(refundedCents),
+    balance_due: fromCents(balanceCents),
+    due_date: order.invoice ? order.invoice.due_date : (balanceCents > 0 ? order.balance_due_date || null : null),
+    status
+  };
+}
+
+/**
+ * Label the sales tax row with its rate; exempt orders show the certificate in the header
+ * @param {Object|null} taxLine - Order's tax line
+ * @returns {string} Label, short enough for the totals column
+ */
+function formatTaxLabel(taxLine) {
+  if (!taxLine) {
+    return 'Sales tax';
+  }
+  return taxLine.exempt ? 'Sales tax (exempt)' : `Sales tax ${taxLine.rate}%`;
+}
+
+/**
+ * Render an order's invoice as a PDF
+ * @param {Object} order - Order with an invoice_number
+ * @param {stream.Writable} output - Stream the PDF is written to, e.g. the response
+ */
+function renderInvoice(order, output) {
+  const summary = getInvoiceSummary(order);
+  const doc = createDocument(`Invoice ${order.invoice_number}`);
+  doc.pipe(output);
+
+  const details = [
+    ['Invoice', order.invoice_number],
+    ['Date', formatDate(order.invoice_date || order.created_at)],
+    ['Order', order.id]
+  ];
+  if (order.invoice) {
+    details.push(['Terms', `Net ${TERMS_DAYS[order.invoice.terms] || order.invoice.terms_days}`]);
+    if (order.invoice.po_number) {
+      details.push(['PO number', order.invoice.po_number]);
+    }
+  }
+  if (summary.due_date) {
+    details.push(['Due', formatDate(summary.due_date)]);
+  }
+  if (summary.tax_line && summary.tax_line.exempt) {
+    details.push(['Tax exempt', summary.tax_line.exemption.certificate_number]);
+  }
+  drawHeader(doc, 'INVOICE', details);
+
+  // Buyer and status
+  const top = doc.y;
+  const billTo = drawBlock(doc, 'Bill to', [
+    ...formatAddress({ name: order.customer_name, company: order.business_name, ...order.billing_address }),
+    order.customer_email,
+    order.phone
+  ], { x: MARGIN, y: top });
+  drawBlock(doc, 'Status', [summary.status], { x: 330, y: top, width: 232 });
+  doc.x = MARGIN;
+  doc.y = Math.max(billTo, doc.y) + 15;
+
+  drawTable(doc, [
+    { header: 'Description', key: 'description', width: 262 },
+    { header: 'Qty', key: 'quantity', width: 50, align: 'right' },
+    { header: 'Unit price', key: 'unit_price', width: 100, align: 'right' },
+    { header: 'Amount', key: 'amount', width: 100, align: 'right' }
+  ], getInvoiceLines(order).map(line => ({
+    ...line,
+    unit_price: formatMoney(line.unit_price),
+    amount: formatMoney(line.amount)
+  })));
+
+  const totals = [{ label: 'Subtotal', value: formatMoney(summary.subtotal) }];
+  summary.discounts.forEach(discount => {
+    totals.push({
+      label: `Discount ${discount.code}${discount.free_shipping ? ' (free shipping)' : ''}`,
+      value: formatMoney(-discount.amount)
+    });
+  });
+  if (summary.shipping) {
+    totals.push({ label: `Shipping - ${summary.shipping.name}`, value: formatMoney(summary.shipping.amount) });
+  }
+  totals.push({ label: formatTaxLabel(summary.tax_line), value: formatMoney(summary.tax) });
+  totals.push({ label: 'Total', value: formatMoney(summary.total), bold: true });
+  totals.push({ label: 'Paid', value: formatMoney(summary.paid) });
+  if (summary.refunded > 0) {
+    totals.push({ label: 'Refunded', value: formatMoney(-summary.refunded) });
+  }
+  totals.push({ label: 'Balance due', value: formatMoney(summary.balance_due), bold: true });
+  drawSummary(doc, totals);
+
+  const payments = getInvoicePayments(order);
+  if (payments.length > 0) {
+    doc.moveDown(1);
+    drawRule(doc);
+    doc.font('Helvetica-Bold').fontSize(10).text('Payments', MARGIN, doc.y);
+    doc.moveDown(0.4);
+    drawTable(doc, [
+      { header: 'Date', key: 'date', width: 100 },
+      { header: 'Description', key: 'description', width: 312 },
+      { header: 'Amount', key: 'amount', width: 100, align: 'right' }
+    ], payments.map(payment => ({
+      date: formatDate(payment.date),
+      description: payment.description,
+      amount: formatMoney(payment.amount)
+    })));
+  }
+
+  if (order.invoice && summary.balance_due > 0) {
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text(
+      `Please pay ${formatMoney(summary.balance_due)} by ${formatDate(summary.due_date)} by wire, ACH or check, quoting invoice ${order.invoice_number}.`,
+      MARGIN, doc.y, { width: doc.page.width - MARGIN * 2 }
+    );
+  }
+
+  finishDocument(doc, `${config.documents.company.name} - Invoice ${order.invoice_number}`);
+}
+
+module.exports = {
+  COLLECTED_PAYMENT_STATUSES,
+  isInvoiceable,
+  assignInvoiceNumber,
+  getInvoiceLines,
+  getInvoicePayments,
+  getInvoiceSummary,
+  renderInvoice
+};
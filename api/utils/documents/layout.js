@@ -0,0 +1,223 @@
+/**
+ * Document Layout
+ * Branded page layout shared by the PDF documents (invoices, packing slips, pick lists)
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const config = require('../../config/environment');
+
+const MARGIN = 50;
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  rule: '#cccccc',
+  band: '#f2f2f2'
+};
+
+/**
+ * Create a letter-size PDF document
+ * Pages are buffered so finishDocument() can number them.
+ * @param {string} title - Document title (PDF metadata)
+ * @returns {PDFDocument} Document
+ */
+function createDocument(title) {
+  return new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: title, Author: config.documents.company.name }
+  });
+}
+
+/**
+ * Format a dollar amount
+ * @param {number} amount - Amount in dollars
+ * @returns {string} e.g. $1,234.50 or -$20.00
+ */
+function formatMoney(amount) {
+  const value = Number(amount) || 0;
+  const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${value < 0 ? '-' : ''}$${formatted}`;
+}
+
+/**
+ * Format a date for a document
+ * @param {string} value - ISO date
+ * @returns {string} e.g. Oct 18, 2026, or an empty string
+ */
+function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Draw the company block, document title and its details (number, dates, ...)
+ * @param {PDFDocument} doc - Document
+ * @param {string} title - e.g. INVOICE
+ * @param {Array} details - [label, value] pairs shown under the title
+ */
+function drawHeader(doc, title, details = []) {
+  const { company, logoPath } = config.documents;
+  const top = MARGIN;
+  let companyX = MARGIN;
+
+  if (logoPath && fs.existsSync(logoPath)) {
+    doc.image(logoPath, MARGIN, top, { fit: [60, 60] });
+    companyX = MARGIN + 70;
+  }
+
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(16).text(company.name, companyX, top, { width: 230 });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  [company.address, company.email, company.phone, company.website]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: 230 }));
+  const companyBottom = doc.y;
+
+  const rightX = 330;
+  const rightWidth = doc.page.width - MARGIN - rightX;
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(20).text(title, rightX, top, { width: rightWidth, align: 'right' });
+  doc.moveDown(0.3).fontSize(9);
+  // Two columns per row, each drawn at its own position: the value flush right, the label right before it
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    const text = String(value);
+    const valueWidth = Math.min(doc.font('Helvetica-Bold').widthOfString(text), rightWidth - 60);
+    doc.fillColor(COLORS.text).text(text, rightX, y, { width: rightWidth, align: 'right' });
+    const bottom = doc.y;
+    doc.font('Helvetica').fillColor(COLORS.muted).text(`${label}:`, rightX, y, { width: rightWidth - valueWidth - 4, align: 'right' });
+    doc.y = Math.max(bottom, doc.y);
+  });
+
+  // The body starts back at the left margin, not under the details column
+  doc.x = MARGIN;
+  doc.y = Math.max(companyBottom, doc.y, top + 60) + 15;
+  drawRule(doc);
+}
+
+/**
+ * Draw a horizontal rule across the page and move below it
+ * @param {PDFDocument} doc - Document
+ */
+function drawRule(doc) {
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.8);
+}
+
+/**
+ * Draw a labelled block of text lines (bill to, ship to, ...)
+ * @param {PDFDocument} doc - Document
+ * @param {string} label - Block heading
+ * @param {Array} lines - Text lines; empty ones are skipped
+ * @param {Object} position - { x, y, width }
+ * @returns {number} y below the block
+ */
+function drawBlock(doc, label, lines, { x = MARGIN, y = doc.y, width = 240 } = {}) {
+  doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.muted).text(label.toUpperCase(), x, y, { width });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+  lines.filter(Boolean).forEach(line => doc.text(String(line), x, doc.y, { width }));
+  return doc.y;
+}
+
+/**
+ * Draw a table, starting a new page (and repeating the header row) when it runs out of room
+ * @param {PDFDocument} doc - Document
+ * @param {Array} columns - { header, key, width, align } per column; widths in points
+ * @param {Array} rows - Row objects, values read by column key
+ */
+function drawTable(doc, columns, rows) {
+  const left = MARGIN;
+  const bottom = doc.page.height - MARGIN - 30;
+
+  const drawRow = (values, { bold = false, band = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...columns.map((column, index) =>
+      doc.heightOfString(String(values[index]), { width: column.width - 8 })
+    )) + 8;
+
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      if (!bold) {
+        drawRow(columns.map(column => column.header), { bold: true, band: true });
+        doc.font('Helvetica').fontSize(9);
+      }
+    }
+
+    const y = doc.y;
+    if (band) {
+      doc.rect(left, y, columns.reduce((sum, column) => sum + column.width, 0), height).fill(COLORS.band);
+    }
+
+    let x = left;
+    doc.fillColor(COLORS.text);
+    columns.forEach((column, index) => {
+      doc.text(String(values[index]), x + 4, y + 4, { width: column.width - 8, align: column.align || 'left' });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true, band: true });
+  rows.forEach(row => drawRow(columns.map(column => row[column.key] === undefined || row[column.key] === null ? '' : row[column.key])));
+  doc.moveDown(0.5);
+}
+
+/**
+ * Draw label/amount rows aligned to the right edge (totals)
+ * @param {PDFDocument} doc - Document
+ * @param {Array} rows - { label, value, bold }
+ */
+function drawSummary(doc, rows) {
+  const labelX = 330;
+  const width = doc.page.width - MARGIN - labelX;
+
+  rows.forEach(({ label, value, bold }) => {
+    if (doc.y > doc.page.height - MARGIN - 50) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10).fillColor(COLORS.text);
+    doc.text(label, labelX, y, { width: width - 90 });
+    doc.text(value, labelX, y, { width, align: 'right' });
+    doc.moveDown(0.2);
+  });
+  doc.x = MARGIN;
+}
+
+/**
+ * Add page numbers and a footer note, then end the document
+ * @param {PDFDocument} doc - Document
+ * @param {string} note - Footer text
+ */
+function finishDocument(doc, note = '') {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const y = doc.page.height - MARGIN + 10;
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted);
+    doc.text(note, MARGIN, y, { width: 400, lineBreak: false });
+    doc.text(`Page ${index + 1} of ${range.count}`, doc.page.width - MARGIN - 100, y, { width: 100, align: 'right', lineBreak: false });
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  MARGIN,
+  COLORS,
+  createDocument,
+  formatMoney,
+  formatDate,
+  drawHeader,
+  drawRule,
+  drawBlock,
+  drawTable,
+  drawSummary,
+  finishDocument
+};
@@ -0,0 +1,155 @@
+/**
+ * Packing Slip Document
+ * Lists everything that goes in an order's box, from the packs' manifests
+ *
+ * Each ordered pack contributes its manifest items (manifests.json), with
+ * quantities multiplied by the number of packs ordered. A pack without a
+ * manifest is listed as a single line so it isn't missed. Packing slips
+ * carry no prices.
+ */
+
+const fileManager = require('../file-manager');
+const inventoryManager = require('../inventory-manager');
+const { formatAddress } = require('../addresses');
+const {
+  MARGIN,
+  createDocument,
+  formatDate,
+  drawHeader,
+  drawBlock,
+  drawTable,
+  finishDocument
+} = require('./layout');
+
+/**
+ * Load the manifests and pack names documents are built from
+ * @returns {Object} { manifests, packNames } - manifests by pack id, names by pack id
+ */
+async function loadManifestData() {
+  const [manifestsData, packsData] = await Promise.all([
+    fileManager.readJSON('manifests.json'),
+    fileManager.readJSON('packs.json')
+  ]);
+
+  const packNames = {};
+  (packsData.packs || []).forEach(pack => {
+    packNames[String(pack.id)] = pack.name;
+  });
+
+  return { manifests: manifestsData.manifests || {}, packNames };
+}
+
+/**
+ * Get the manifest lines for a number of packs
+ * @param {string} packId - Pack id
+ * @param {number} packQuantity - Packs ordered
+ * @param {Object} manifests - Manifests by pack id
+ * @param {string} packName - Name used when the pack has no manifest
+ * @returns {Array} { sku, item_name, quantity, condition, notes }
+ */
+function getManifestLines(packId, packQuantity, manifests, packName) {
+  const items = manifests[packId];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return [{
+      sku: `PACK-${packId}`,
+      item_name: packName || `Pack ${packId}`,
+      quantity: packQuantity,
+      condition: '',
+      notes: 'No manifest on file'
+    }];
+  }
+
+  return items.map(item => ({
+    sku: item.sku,
+    item_name: item.item_name,
+    quantity: item.quantity * packQuantity,
+    condition: item.condition_grade || item.condition,
+    notes: item.notes || ''
+  }));
+}
+
+/**
+ * Get the packs of an order with their manifest lines
+ * @param {Object} order - Order
+ * @param {Object} manifestData - { manifests, packNames } from loadManifestData
+ * @returns {Array} { pack_id, pack_name, quantity, lines }
+ */
+function getPackingSections(order, { manifests, packNames }) {
+  return inventoryManager.getOrderItems(order).map(({ pack_id, quantity }) => {
+    const orderItem = (order.items || []).find(item => String(item.id) === pack_id);
+    const packName = (orderItem && orderItem.name) || order.pack_name || packNames[pack_id];
+
+    return {
+      pack_id,
+      pack_name: packName || `Pack ${pack_id}`,
+      quantity,
+      lines: getManifestLines(pack_id, quantity, manifests, packName)
+    };
+  });
+}
+
+/**
+ * Render an order's packing slip as a PDF
+ * @param {Object} order - Order
+ * @param {Array} sections - Packs from getPackingSections
+ * @param {stream.Writable} output - Stream the PDF is written to, e.g. the response
+ */
+function renderPackingSlip(order, sections, output) {
+  const doc = createDocument(`Packing slip ${order.id}`);
+  doc.pipe(output);
+
+  const details = [
+    ['Order', order.id],
+    ['Order date', formatDate(order.created_at)]
+  ];
+  if (order.invoice && order.invoice.po_number) {
+    details.push(['PO number', order.invoice.po_number]);
+  }
+  if (order.shipping) {
+    details.push(['Ship via', order.shipping.name]);
+  }
+  (order.shipments || []).forEach(shipment => {
+    details.push([`${shipment.carrier.toUpperCase()} tracking`, shipment.tracking_number]);
+  });
+  drawHeader(doc, 'PACKING SLIP', details);
+
+  const top = doc.y;
+  // Pickup orders, and orders placed before addresses were collected, show the buyer's contact details
+  const pickup = order.shipping && order.shipping.type === 'pickup';
+  const shipTo = drawBlock(doc, pickup ? 'Picked up by' : 'Ship to', order.shipping_address && !pickup
+    ? [...formatAddress({ name: order.customer_name, company: order.business_name, ...order.shipping_address }), order.phone]
+    : [order.customer_name, order.business_name, order.customer_email, order.phone].filter(Boolean), { x: MARGIN, y: top });
+  const units = sections.reduce((sum, section) => sum + section.lines.reduce((lineSum, line) => lineSum + line.quantity, 0), 0);
+  drawBlock(doc, 'Contents', [
+    `${sections.reduce((sum, section) => sum + section.quantity, 0)} pack(s)`,
+    `${units} unit(s)`
+  ], { x: 330, y: top, width: 232 });
+  doc.x = MARGIN;
+  doc.y = Math.max(shipTo, doc.y) + 15;
+
+  sections.forEach(section => {
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#222222')
+      .text(`${section.pack_name} (pack ${section.pack_id}) x ${section.quantity}`, MARGIN, doc.y);
+    doc.moveDown(0.3);
+
+    drawTable(doc, [
+      { header: 'SKU', key: 'sku', width: 80 },
+      { header: 'Item', key: 'item_name', width: 160 },
+      { header: 'Qty', key: 'quantity', width: 40, align: 'right' },
+      { header: 'Condition', key: 'condition', width: 70 },
+      { header: 'Notes', key: 'notes', width: 122 },
+      { header: 'Packed', key: 'packed', width: 40 }
+    ], section.lines);
+    doc.moveDown(0.5);
+  });
+
+  finishDocument(doc, `Packing slip - order ${order.id}`);
+}
+
+module.exports = {
+  loadManifestData,
+  getManifestLines,
+  getPackingSections,
+  renderPackingSlip
+};
@@ -0,0 +1,97 @@
+/**
+ * Pick List Document
+ * Everything the warehouse has to pull for the orders being processed, grouped by SKU
+ *
+ * Built from the same manifest lines as the packing slips, so what is picked
+ * matches what each slip says goes in the box.
+ */
+
+const { getPackingSections } = require('./packing-slip');
+const {
+  MARGIN,
+  COLORS,
+  createDocument,
+  formatDate,
+  drawHeader,
+  drawTable,
+  finishDocument
+} = require('./layout');
+
+/**
+ * Group the manifest lines of several orders by SKU
+ * @param {Array} orders - Orders to pick
+ * @param {Object} manifestData - { manifests, packNames } from loadManifestData
+ * @returns {Array} { sku, item_name, condition, quantity, orders: [{ order_id, quantity }] }, sorted by SKU
+ */
+function buildPickList(orders, manifestData) {
+  const bySku = new Map();
+
+  orders.forEach(order => {
+    getPackingSections(order, manifestData).forEach(section => {
+      section.lines.forEach(line => {
+        if (!bySku.has(line.sku)) {
+          bySku.set(line.sku, { sku: line.sku, item_name: line.item_name, conditions: new Set(), quantity: 0, orders: [] });
+        }
+
+        const entry = bySku.get(line.sku);
+        if (line.condition) {
+          entry.conditions.add(line.condition);
+        }
+        entry.quantity += line.quantity;
+
+        const orderEntry = entry.orders.find(o => o.order_id === order.id);
+        if (orderEntry) {
+          orderEntry.quantity += line.quantity;
+        } else {
+          entry.orders.push({ order_id: order.id, quantity: line.quantity });
+        }
+      });
+    });
+  });
+
+  return [...bySku.values()]
+    .map(({ conditions, ...entry }) => ({ ...entry, condition: [...conditions].join(', ') }))
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+}
+
+/**
+ * Render a pick list as a PDF
+ * @param {Array} pickList - Lines from buildPickList
+ * @param {Array} orders - Orders the list covers
+ * @param {stream.Writable} output - Stream the PDF is written to, e.g. the response
+ */
+function renderPickList(pickList, orders, output) {
+  const doc = createDocument('Pick list');
+  doc.pipe(output);
+
+  drawHeader(doc, 'PICK LIST', [
+    ['Generated', formatDate(new Date().toISOString())],
+    ['Orders', orders.length],
+    ['SKUs', pickList.length],
+    ['Units', pickList.reduce((sum, line) => sum + line.quantity, 0)]
+  ]);
+
+  if (pickList.length === 0) {
+    doc.font('Helvetica').fontSize(11).fillColor(COLORS.text)
+      .text('No processing orders to pick.', MARGIN, doc.y, { width: doc.page.width - MARGIN * 2 });
+  } else {
+    drawTable(doc, [
+      { header: 'SKU', key: 'sku', width: 70 },
+      { header: 'Item', key: 'item_name', width: 140 },
+      { header: 'Condition', key: 'condition', width: 55 },
+      { header: 'Qty', key: 'quantity', width: 35, align: 'right' },
+      { header: 'Orders', key: 'orders', width: 172 },
+      { header: 'Picked', key: 'picked', width: 40 }
+    ], pickList.map(line => ({
+      ...line,
+      orders: line.orders.map(o => `${o.order_id} (${o.quantity})`).join('\n')
+    })));
+  }
+
+  finishDocument(doc, `Pick list - ${orders.length} processing order(s)`);
+}
+
+module.exports = {
+  buildPickList,
+  renderPickList
+};
@@ -1,33 +1,39 @@
 /**
  * File Manager Utility
  * Handles JSON file operations with backup and error recovery
+ * through the storage adapter configured in config/environment.js
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
+const config = require('../config/environment');
+const { createStorageAdapter } = require('./storage');
+const { writeFileAtomic } = require('./storage/atomic-file');
+const { latestVersion } = require('../migrations');
+const { ValidationError, validateChanges } = require('./validator');
+const shippingDefaults = require('../config/shipping-defaults');
+const taxDefaults = require('../config/tax-defaults');
+const accountingDefaults = require('../config/accounting-defaults');
 
 class FileManager {
   constructor() {
-    // Smart Environment Detection
-    const isProduction = process.env.NODE_ENV === 'production';
-    
-    // Dynamic path detection based on environment
-    if (isProduction) {
-      // Production paths (Cloudways)
-      this.dataDir = '/var/www/html/data';
-      this.backupDir = path.join(__dirname, 'backups');
-    } else {
-      // Development paths (localhost)
-      this.dataDir = path.join(__dirname, '../public/data');
-      this.backupDir = path.join(__dirname, 'backups');
-    }
+    // Paths for the environment (see config/environment.js)
+    this.dataDir = config.files.dataDir;
+    this.backupDir = config.files.backupDir;
     
     // Environment logging
-    console.log(`📁 FileManager - Environment: ${isProduction ? 'production' : 'localhost'}`);
+    console.log(`📁 FileManager - Environment: ${config.isProduction ? 'production' : 'localhost'}`);
     console.log(`📂 Data Directory: ${this.dataDir}`);
     console.log(`💾 Backup Directory: ${this.backupDir}`);
     
+    // Storage backend (JSON files by default, SQLite when configured)
+    this.storage = createStorageAdapter(config.storage, this.dataDir);
+    console.log(`🗄️  Storage Driver: ${this.storage.name}`);
+    
+    // Per-file write queues (filename -> tail promise)
+    this.locks = new Map();
+    
     // Ensure directories exist
     this.ensureDirectories();
   }
@@ -48,19 +54,13 @@ class FileManager {
    */
   async readJSON(filename) {
     try {
-      const filePath = path.join(this.dataDir, filename);
+      const parsed = await this.storage.read(filename);
       
-      // Check if file exists
-      try {
-        await fs.access(filePath);
-      } catch {
-        // Return default structure if file doesn't exist
+      // Return default structure if file doesn't exist
+      if (parsed === null) {
         return this.getDefaultStructure(filename);
       }
       
-      const data = await fs.readFile(filePath, 'utf8');
-      const parsed = JSON.parse(data);
-      
       winston.info(`Successfully read ${filename}`);
       return parsed;
     } catch (error) {
@@ -70,87 +70,267 @@ class FileManager {
   }
 
   /**
-   * Write JSON file to data directory with atomic operation
+   * Write JSON file through the storage adapter
+   * Waits for any in-flight update of the same file. Prefer update() for
+   * read-modify-write cycles, otherwise concurrent requests can overwrite
+   * each other's changes.
+   * @param {string} filename - Name of the JSON file
+   * @param {Object} data - Data to write
+   * @param {Object} options - Write options ({ validate: false } skips schema checks, { backup } overrides snapshotting)
+   * @returns {boolean} Success status
+   * @throws {ValidationError} If an added or changed record violates its schema
+   */
+  async writeJSON(filename, data, options = {}) {
+    return this.withLock(filename, () => this.writeUnlocked(filename, data, options));
+  }
+
+  /**
+   * Read, modify and write a JSON file while holding its write lock
+   * The mutator changes the data in place; the file is only written if
+   * the data changed. Whatever the mutator returns is passed through.
+   * @param {string} filename - Name of the JSON file
+   * @param {Function} mutator - (data) => result, may be async
+   * @param {Object} options - Write options ({ validate: false } skips schema checks, { backup } overrides snapshotting)
+   * @returns {*} Mutator result
+   * @throws {ValidationError} If an added or changed record violates its schema
+   *
+   * @example
+   * const order = await fileManager.update('orders.json', (ordersData) => {
+   *   ordersData.orders.push(newOrder);
+   *   return newOrder;
+   * });
+   */
+  async update(filename, mutator, options = {}) {
+    return this.withLock(filename, async () => {
+      const data = await this.readJSON(filename);
+      const before = JSON.stringify(data);
+      
+      const result = await mutator(data);
+      
+      if (JSON.stringify(data) !== before) {
+        await this.writeUnlocked(filename, data, options);
+      }
+      
+      return result;
+    });
+  }
+
+  /**
+   * Run a task while holding the write lock for a file
+   * Locks are per process; the API runs as a single process.
+   * @param {string} filename - Name of the JSON file
+   * @param {Function} task - Async task
+   * @returns {*} Task result
+   */
+  async withLock(filename, task) {
+    const previous = this.locks.get(filename) || Promise.resolve();
+    
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.locks.set(filename, tail);
+    
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.locks.get(filename) === tail) {
+        this.locks.delete(filename);
+      }
+    }
+  }
+
+  /**
+   * Write JSON file without taking the lock (caller must hold it)
    * @param {string} filename - Name of the JSON file
    * @param {Object} data - Data to write
+   * @param {Object} options - Write options
+   * @param {boolean} options.validate - Validate added/changed records (default true)
+   * @param {boolean} options.backup - Snapshot the previous contents (default: files in config.backups.files)
    * @returns {boolean} Success status
    */
-  async writeJSON(filename, data) {
+  async writeUnlocked(filename, data, { validate = true, backup = config.backups.files.includes(filename) } = {}) {
     try {
-      // Create backup first
-      await this.createBackup(filename);
+      const current = await this.storage.read(filename);
       
-      const filePath = path.join(this.dataDir, filename);
-      const jsonData = JSON.stringify(data, null, 2);
+      // Reject invalid records before anything touches storage
+      if (validate) {
+        validateChanges(filename, current, data);
+      }
+      
+      // Create backup first
+      if (backup) {
+        await this.createBackup(filename, current);
+      }
       
-      // Atomic write: write to temp file, then rename
-      const tempPath = filePath + '.tmp';
-      await fs.writeFile(tempPath, jsonData, 'utf8');
-      await fs.rename(tempPath, filePath);
+      // Adapters write atomically, so a failed write leaves the
+      // previous contents in place and there is nothing to restore
+      await this.storage.write(filename, data);
       
       winston.info(`Successfully wrote ${filename}`);
       return true;
     } catch (error) {
-      winston.error(`Error writing ${filename}:`, error);
-      
-      // Try to restore from backup
-      const restored = await this.restoreBackup(filename);
-      if (restored) {
-        winston.info(`Restored ${filename} from backup`);
+      if (error instanceof ValidationError) {
+        winston.warn(`Rejected invalid write to ${filename}:`, error.errors);
+        throw error;
       }
       
+      winston.error(`Error writing ${filename}:`, error);
       throw new Error(`Failed to write ${filename}: ${error.message}`);
     }
   }
 
   /**
-   * Create backup of existing file
+   * Create a timestamped snapshot of the current file contents
+   * Snapshots live in <backupDir>/<filename>/<snapshotId>.json
    * @param {string} filename - Name of the file to backup
+   * @param {Object|null} [current] - Current contents, if already read
+   * @returns {string|null} Snapshot id
    */
-  async createBackup(filename) {
+  async createBackup(filename, current) {
     try {
-      const sourcePath = path.join(this.dataDir, filename);
-      const backupPath = path.join(this.backupDir, `${filename}.backup`);
-      
-      // Check if source exists
-      try {
-        await fs.access(sourcePath);
-      } catch {
-        return; // File doesn't exist, no backup needed
+      if (current === undefined) {
+        current = await this.storage.read(filename);
+      }
+      if (current === null) {
+        return null; // File doesn't exist, no backup needed
       }
       
-      const data = await fs.readFile(sourcePath, 'utf8');
-      await fs.writeFile(backupPath, data, 'utf8');
+      const snapshotDir = this.getSnapshotDir(filename);
+      await fs.mkdir(snapshotDir, { recursive: true });
       
-      winston.info(`Created backup for ${filename}`);
+      // Sortable id; suffix keeps snapshots taken in the same millisecond apart
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      let snapshotId = stamp;
+      for (let n = 1; await this.snapshotExists(filename, snapshotId); n++) {
+        snapshotId = `${stamp}-${n}`;
+      }
+      
+      await writeFileAtomic(
+        path.join(snapshotDir, `${snapshotId}.json`),
+        JSON.stringify(current, null, 2)
+      );
+      
+      winston.info(`Created backup ${snapshotId} for ${filename}`);
+      
+      await this.pruneBackups(filename);
+      return snapshotId;
     } catch (error) {
       winston.error(`Backup failed for ${filename}:`, error);
       // Don't throw - backup failure shouldn't stop the operation
+      return null;
+    }
+  }
+
+  /**
+   * Delete snapshots beyond the configured retention
+   * The newest snapshot is always kept.
+   * @param {string} filename - Name of the backed up file
+   * @returns {number} Number of snapshots deleted
+   */
+  async pruneBackups(filename) {
+    const { maxSnapshots, maxAgeDays } = config.backups;
+    const snapshots = await this.listBackups(filename);
+    const cutoff = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
+    
+    const expired = snapshots.filter((snapshot, index) =>
+      index > 0 && (index >= maxSnapshots || new Date(snapshot.created_at).getTime() < cutoff)
+    );
+    
+    for (const snapshot of expired) {
+      await fs.unlink(path.join(this.getSnapshotDir(filename), `${snapshot.id}.json`)).catch(() => {});
     }
+    
+    if (expired.length > 0) {
+      winston.info(`Pruned ${expired.length} backup(s) for ${filename}`);
+    }
+    return expired.length;
   }
 
   /**
-   * Restore file from backup
+   * List snapshots for a data file, newest first
+   * @param {string} filename - Name of the backed up file
+   * @returns {Array} Snapshots ({ id, filename, created_at, size })
+   */
+  async listBackups(filename) {
+    const snapshotDir = this.getSnapshotDir(filename);
+    
+    let entries;
+    try {
+      entries = await fs.readdir(snapshotDir);
+    } catch {
+      return [];
+    }
+    
+    const snapshots = [];
+    for (const entry of entries.filter(entry => entry.endsWith('.json'))) {
+      const stats = await fs.stat(path.join(snapshotDir, entry)).catch(() => null);
+      if (!stats) {
+        continue; // Pruned concurrently
+      }
+      
+      snapshots.push({
+        id: entry.replace(/\.json$/, ''),
+        filename,
+        created_at: stats.mtime.toISOString(),
+        size: stats.size
+      });
+    }
+    
+    return snapshots.sort((a, b) => (a.id < b.id ? 1 : -1));
+  }
+
+  /**
+   * Read the contents of a snapshot
+   * @param {string} filename - Name of the backed up file
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Object|null} Snapshot data, or null if it doesn't exist
+   */
+  async readBackup(filename, snapshotId) {
+    if (!this.isValidSnapshotId(snapshotId)) {
+      return null;
+    }
+    
+    try {
+      const data = await fs.readFile(path.join(this.getSnapshotDir(filename), `${snapshotId}.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Restore file from a snapshot
+   * The current contents are snapshotted first, so a restore can be undone.
    * @param {string} filename - Name of the file to restore
+   * @param {string} [snapshotId] - Snapshot to restore (defaults to the newest)
    * @returns {boolean} Success status
    */
-  async restoreBackup(filename) {
+  async restoreBackup(filename, snapshotId) {
     try {
-      const backupPath = path.join(this.backupDir, `${filename}.backup`);
-      const targetPath = path.join(this.dataDir, filename);
-      
-      // Check if backup exists
-      try {
-        await fs.access(backupPath);
-      } catch {
-        winston.warn(`No backup found for ${filename}`);
+      if (!snapshotId) {
+        const [latest] = await this.listBackups(filename);
+        if (!latest) {
+          winston.warn(`No backup found for ${filename}`);
+          return false;
+        }
+        snapshotId = latest.id;
+      }
+      
+      const data = await this.readBackup(filename, snapshotId);
+      if (data === null) {
+        winston.warn(`Backup ${snapshotId} not found for ${filename}`);
         return false;
       }
       
-      const data = await fs.readFile(backupPath, 'utf8');
-      await fs.writeFile(targetPath, data, 'utf8');
+      // Snapshots are restored as they were, even if they predate a schema
+      await this.withLock(filename, () => this.writeUnlocked(filename, data, { validate: false, backup: true }));
       
-      winston.info(`Restored ${filename} from backup`);
+      winston.info(`Restored ${filename} from backup ${snapshotId}`);
       return true;
     } catch (error) {
       winston.error(`Restore failed for ${filename}:`, error);
@@ -158,8 +338,74 @@ class FileManager {
     }
   }
 
+  /**
+   * Get the snapshot directory for a data file
+   * @param {string} filename - Name of the backed up file
+   * @returns {string} Directory path
+   */
+  getSnapshotDir(filename) {
+    return path.join(this.backupDir, path.basename(filename));
+  }
+
+  /**
+   * Check whether a snapshot file already exists
+   * @param {string} filename - Name of the backed up file
+   * @param {string} snapshotId - Snapshot id
+   * @returns {boolean} Existence
+   */
+  async snapshotExists(filename, snapshotId) {
+    try {
+      await fs.access(path.join(this.getSnapshotDir(filename), `${snapshotId}.json`));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Validate a snapshot id (guards against path traversal)
+   * @param {string} snapshotId - Snapshot id
+   * @returns {boolean} Validation result
+   */
+  isValidSnapshotId(snapshotId) {
+    return typeof snapshotId === 'string' && /^[0-9TZ-]+$/.test(snapshotId);
+  }
+
+  /**
+   * Find a single record in a collection file by id
+   * Uses the primary key when the SQLite adapter is active
+   * @param {string} filename - Name of the JSON file
+   * @param {string|number} id - Record id (manifest pack id for manifests.json)
+   * @returns {Object|null} Matching record
+   */
+  async findRecord(filename, id) {
+    try {
+      return await this.storage.findRecord(filename, id);
+    } catch (error) {
+      winston.error(`Error finding record ${id} in ${filename}:`, error);
+      throw new Error(`Failed to read ${filename}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find records in a collection file by field values
+   * Uses the expression indexes when the SQLite adapter is active
+   * @param {string} filename - Name of the JSON file
+   * @param {Object} criteria - Field/value pairs, e.g. { payment_intent_id: 'pi_123' }
+   * @returns {Array} Matching records
+   */
+  async findRecords(filename, criteria) {
+    try {
+      return await this.storage.findRecords(filename, criteria);
+    } catch (error) {
+      winston.error(`Error querying ${filename}:`, error);
+      throw new Error(`Failed to read ${filename}: ${error.message}`);
+    }
+  }
+
   /**
    * Get default structure for JSON files
+   * New files start at the current schema version, so they never need migrating.
    * @param {string} filename - Name of the file
    * @returns {Object} Default structure
    */
@@ -176,10 +422,49 @@ class FileManager {
       },
       'products.json': {
         products: []
+      },
+      'custom-requests.json': {
+        requests: []
+      },
+      'activity.json': {
+        activities: []
+      },
+      'reservations.json': {
+        reservations: []
+      },
+      'stock-movements.json': {
+        movements: []
+      },
+      'quotes.json': {
+        quotes: []
+      },
+      'idempotency-keys.json': {
+        keys: []
+      },
+      'webhook-events.json': {
+        events: []
+      },
+      'fake-payments.json': {
+        payment_intents: []
+      },
+      'buyers.json': {
+        buyers: []
+      },
+      'discount-codes.json': {
+        codes: []
+      },
+      'shipping.json': structuredClone(shippingDefaults),
+      'tax.json': structuredClone(taxDefaults),
+      'accounting.json': structuredClone(accountingDefaults),
+      'accounting-exports.json': {
+        batches: []
       }
     };
     
-    return defaults[filename] || {};
+    const structure = defaults[filename] || {};
+    const version = latestVersion(filename);
+    
+    return version > 0 ? { ...structure, schema_version: version } : structure;
   }
 
   /**
@@ -188,8 +473,7 @@ class FileManager {
    */
   async listFiles() {
     try {
-      const files = await fs.readdir(this.dataDir);
-      return files.filter(file => file.endsWith('.json'));
+      return await this.storage.list();
     } catch (error) {
       winston.error('Error listing files:', error);
       return [];
@@ -203,14 +487,7 @@ class FileManager {
    */
   async getFileStats(filename) {
     try {
-      const filePath = path.join(this.dataDir, filename);
-      const stats = await fs.stat(filePath);
-      
-      return {
-        size: stats.size,
-        modified: stats.mtime,
-        created: stats.birthtime
-      };
+      return await this.storage.stat(filename);
     } catch (error) {
       winston.error(`Error getting stats for ${filename}:`, error);
       return null;
@@ -0,0 +1,668 @@
+/**
+ * Inventory Manager
+ * Holds pack stock during checkout so two buyers can't pay for the same lot
+ *
+ * A reservation moves units from a pack's available_quantity to its
+ * reserved_quantity while the buyer pays:
+ *   active    -> converted  payment succeeded, the held units are sold
+ *   active    -> released   payment failed or an admin released the hold
+ *   active    -> expired    nobody paid within config.reservations.holdMinutes
+ * Released and expired units go back to available_quantity, and so do the
+ * units of a cancelled order (see restockOrder). Every change to a pack's
+ * quantities is recorded in stock-movements.json, and packs switch between
+ * available and sold_out as their available_quantity reaches zero.
+ */
+
+const winston = require('winston');
+const config = require('../config/environment');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+
+/**
+ * Requested stock is not available
+ * Routes answer with error.toJSON() and status 409.
+ */
+class InventoryError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array} shortages - Unavailable items ({ pack_id, requested, available })
+   */
+  constructor(message, shortages) {
+    super(message);
+    this.name = 'InventoryError';
+    this.status = 409;
+    this.shortages = shortages;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: 'INSUFFICIENT_STOCK',
+      shortages: this.shortages
+    };
+  }
+}
+
+class InventoryManager {
+  constructor() {
+    this.sweepTimer = null;
+    this.expiryHandlers = [];
+  }
+
+  /**
+   * Combine requested items per pack
+   * @param {Array} items - Requested items ({ pack_id, quantity })
+   * @returns {Array} Items with string pack ids and summed quantities
+   */
+  normalizeItems(items) {
+    const quantities = new Map();
+
+    items.forEach(item => {
+      const packId = String(item.pack_id);
+      const quantity = parseInt(item.quantity) || 1;
+      quantities.set(packId, (quantities.get(packId) || 0) + quantity);
+    });
+
+    return [...quantities].map(([pack_id, quantity]) => ({ pack_id, quantity }));
+  }
+
+  /**
+   * Get the number of units that can still be sold
+   * @param {Object} pack - Pack record
+   * @returns {number} Sellable units
+   */
+  getAvailableQuantity(pack) {
+    if (pack.status === 'inactive' || pack.status === 'sold_out') {
+      return 0;
+    }
+    return Math.max(parseInt(pack.available_quantity) || 0, 0);
+  }
+
+  /**
+   * Switch a pack between sold_out and its usual status to match its stock
+   * Inactive and limited packs keep their status unless they run out; a
+   * pack that comes back in stock gets the status it had when it sold out.
+   * @param {Object} pack - Pack record (changed in place)
+   * @returns {string|null} 'sold_out' or 'back_in_stock' if the status changed
+   */
+  applyStockStatus(pack) {
+    const available = parseInt(pack.available_quantity) || 0;
+
+    if (available === 0 && (pack.status === 'available' || pack.status === 'limited')) {
+      pack.restock_status = pack.status;
+      pack.status = 'sold_out';
+      return 'sold_out';
+    }
+
+    if (available > 0 && pack.status === 'sold_out') {
+      pack.status = pack.restock_status || 'available';
+      delete pack.restock_status;
+      return 'back_in_stock';
+    }
+
+    return null;
+  }
+
+  /**
+   * Move units between available and reserved stock
+   * @param {Object} pack - Pack record (changed in place)
+   * @param {number} available - Change to available_quantity
+   * @param {number} reserved - Change to reserved_quantity
+   * @param {Object} context - Movement details ({ type, reservation_id, order_id, payment_intent_id, user })
+   * @param {Object} changes - Collects { movements, statusChanges } for recordChanges()
+   */
+  adjustStock(pack, available, reserved, context, changes) {
+    const before = {
+      available: parseInt(pack.available_quantity) || 0,
+      reserved: parseInt(pack.reserved_quantity) || 0
+    };
+
+    pack.available_quantity = Math.max(before.available + available, 0);
+    pack.reserved_quantity = Math.max(before.reserved + reserved, 0);
+    pack.updated_at = new Date().toISOString();
+
+    changes.movements.push(this.createMovement(pack, before, context));
+
+    const statusChange = this.applyStockStatus(pack);
+    if (statusChange) {
+      changes.statusChanges.push({ pack: { ...pack }, action: statusChange });
+    }
+  }
+
+  /**
+   * Build a stock movement record
+   * @param {Object} pack - Pack after the change
+   * @param {Object} before - Quantities before the change ({ available, reserved })
+   * @param {Object} context - Movement details ({ type, reservation_id, order_id, payment_intent_id, user, notes })
+   * @returns {Object} Movement
+   */
+  createMovement(pack, before, context) {
+    return {
+      id: `MOV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      pack_id: pack.id,
+      pack_name: pack.name,
+      type: context.type,
+      available_change: pack.available_quantity - before.available,
+      reserved_change: pack.reserved_quantity - before.reserved,
+      available_after: pack.available_quantity,
+      reserved_after: pack.reserved_quantity,
+      reservation_id: context.reservation_id || null,
+      order_id: context.order_id || null,
+      payment_intent_id: context.payment_intent_id || null,
+      user: context.user || 'system',
+      notes: context.notes || null,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Save stock movements and log pack status changes
+   * @param {Object} changes - { movements, statusChanges } collected by adjustStock()
+   */
+  async recordChanges({ movements, statusChanges }) {
+    if (movements.length > 0) {
+      await fileManager.update('stock-movements.json', (movementsData) => {
+        if (!movementsData.movements) {
+          movementsData.movements = [];
+        }
+        movementsData.movements.push(...movements);
+      });
+    }
+
+    for (const { pack, action } of statusChanges) {
+      await ActivityLogger.logPackActivity(pack, action);
+      winston.info(`Pack ${pack.id} is now ${pack.status}`);
+    }
+  }
+
+  /**
+   * Record an admin change to a pack's quantities
+   * @param {Object|null} before - Pack before the update (null for a new pack)
+   * @param {Object} pack - Pack after the update
+   * @param {string} user - Admin who made the change
+   */
+  async recordAdjustment(before, pack, user) {
+    const changes = { movements: [], statusChanges: [] };
+    const quantities = {
+      available: parseInt(before ? before.available_quantity : 0) || 0,
+      reserved: parseInt(before ? before.reserved_quantity : 0) || 0
+    };
+
+    if (quantities.available !== (pack.available_quantity || 0) || quantities.reserved !== (pack.reserved_quantity || 0)) {
+      changes.movements.push(this.createMovement(pack, quantities, {
+        type: 'adjustment',
+        user,
+        notes: before ? null : 'Initial stock'
+      }));
+    }
+
+    await this.recordChanges(changes);
+  }
+
+  /**
+   * Take units out of available stock for every item, or none at all
+   * @param {Array} items - Normalized items
+   * @param {boolean} hold - Count the units as reserved instead of sold
+   * @param {Object} context - Movement details
+   * @returns {Object} { items, shortages } - items gain pack_name; untracked items are dropped
+   */
+  async takeStock(items, hold, context) {
+    const changes = { movements: [], statusChanges: [] };
+
+    const result = await fileManager.update('packs.json', (packsData) => {
+      const packs = packsData.packs || [];
+      const tracked = [];
+      const shortages = [];
+
+      items.forEach(item => {
+        const pack = packs.find(p => String(p.id) === item.pack_id);
+
+        // Cart items that aren't packs have no stock to hold
+        if (!pack) {
+          return;
+        }
+
+        const available = this.getAvailableQuantity(pack);
+        if (available < item.quantity) {
+          shortages.push({ pack_id: item.pack_id, requested: item.quantity, available });
+        }
+        tracked.push({ pack, item: { ...item, pack_name: pack.name } });
+      });
+
+      if (shortages.length === 0) {
+        tracked.forEach(({ pack, item }) => {
+          this.adjustStock(pack, -item.quantity, hold ? item.quantity : 0, context, changes);
+        });
+      }
+
+      return { items: tracked.map(entry => entry.item), shortages };
+    });
+
+    await this.recordChanges(changes);
+    return result;
+  }
+
+  /**
+   * Apply a stock change to each item's pack
+   * @param {Array} items - Reservation or order items ({ pack_id, quantity })
+   * @param {number} available - Multiplier for the change to available_quantity
+   * @param {number} reserved - Multiplier for the change to reserved_quantity
+   * @param {Object} context - Movement details
+   */
+  async moveStock(items, available, reserved, context) {
+    const changes = { movements: [], statusChanges: [] };
+
+    await fileManager.update('packs.json', (packsData) => {
+      items.forEach(item => {
+        const pack = (packsData.packs || []).find(p => String(p.id) === item.pack_id);
+        if (pack) {
+          this.adjustStock(pack, available * item.quantity, reserved * item.quantity, context, changes);
+        }
+      });
+    });
+
+    await this.recordChanges(changes);
+  }
+
+  /**
+   * Change an active reservation's status
+   * The transition happens under the reservations.json lock, so only one
+   * caller wins when the webhook, confirm call and expiry sweep race.
+   * @param {Function} match - (reservation) => boolean
+   * @param {string} status - New status
+   * @param {Object} fields - Additional fields to set
+   * @returns {Object|null} Updated reservation, or null if no active reservation matched
+   */
+  async transition(match, status, fields = {}) {
+    return fileManager.update('reservations.json', (reservationsData) => {
+      const reservation = (reservationsData.reservations || []).find(r => r.status === 'active' && match(r));
+
+      if (!reservation) {
+        return null;
+      }
+
+      Object.assign(reservation, fields, {
+        status,
+        updated_at: new Date().toISOString()
+      });
+      return reservation;
+    });
+  }
+
+  /**
+   * Hold stock for a checkout
+   * @param {Object} details - Reservation details
+   * @param {Array} details.items - Requested items ({ pack_id, quantity })
+   * @param {string} details.customerEmail - Buyer email
+   * @param {string} details.purchaseType - 'pack' or 'cart'
+   * @returns {Object|null} Reservation, or null if none of the items track stock
+   * @throws {InventoryError} If any pack lacks the requested units
+   */
+  async reserve({ items, customerEmail, purchaseType }) {
+    const reservationId = `RES-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const requested = this.normalizeItems(items);
+    const result = await this.takeStock(requested, true, { type: 'reserve', reservation_id: reservationId });
+
+    if (result.shortages.length > 0) {
+      throw new InventoryError('Some items are no longer available', result.shortages);
+    }
+
+    if (result.items.length === 0) {
+      return null;
+    }
+
+    const now = new Date();
+    const reservation = {
+      id: reservationId,
+      payment_intent_id: null,
+      purchase_type: purchaseType,
+      customer_email: customerEmail,
+      status: 'active',
+      items: result.items,
+      order_id: null,
+      expires_at: new Date(now.getTime() + config.reservations.holdMinutes * 60 * 1000).toISOString(),
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    try {
+      await fileManager.update('reservations.json', (reservationsData) => {
+        if (!reservationsData.reservations) {
+          reservationsData.reservations = [];
+        }
+        reservationsData.reservations.push(reservation);
+      });
+    } catch (error) {
+      // Don't leave units held by a reservation that was never saved
+      await this.moveStock(result.items, 1, -1, { type: 'release', reservation_id: reservationId });
+      throw error;
+    }
+
+    await ActivityLogger.logReservationActivity(reservation, 'created');
+    winston.info(`Reservation ${reservation.id} holds ${result.items.length} pack(s) until ${reservation.expires_at}`);
+
+    return reservation;
+  }
+
+  /**
+   * Link a reservation to the PaymentIntent created for it
+   * @param {string} reservationId - Reservation id
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @returns {Object|null} Updated reservation
+   */
+  async attachPaymentIntent(reservationId, paymentIntentId) {
+    return fileManager.update('reservations.json', (reservationsData) => {
+      const reservation = (reservationsData.reservations || []).find(r => r.id === reservationId);
+
+      if (!reservation) {
+        return null;
+      }
+
+      reservation.payment_intent_id = paymentIntentId;
+      reservation.updated_at = new Date().toISOString();
+      return reservation;
+    });
+  }
+
+  /**
+   * Turn the hold for a paid PaymentIntent into a sale
+   * Safe to call more than once. If the hold already expired or was
+   * released, the units are taken from available stock again; units that
+   * were sold to someone else in the meantime are reported as shortages.
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @param {Object} options - Conversion options
+   * @param {string} options.orderId - Order created for the payment
+   * @param {Array} options.items - Items to take from stock when no reservation exists
+   * @returns {Object} { reservation, shortages }
+   */
+  async convert(paymentIntentId, { orderId = null, items = null } = {}) {
+    const now = new Date().toISOString();
+
+    const claimed = await fileManager.update('reservations.json', (reservationsData) => {
+      const reservation = (reservationsData.reservations || []).find(r => r.payment_intent_id === paymentIntentId);
+
+      if (!reservation) {
+        return null;
+      }
+
+      const previousStatus = reservation.status;
+      if (previousStatus === 'converted') {
+        if (orderId && !reservation.order_id) {
+          reservation.order_id = orderId;
+          reservation.updated_at = now;
+        }
+        return { reservation, previousStatus };
+      }
+
+      reservation.status = 'converted';
+      reservation.converted_at = now;
+      reservation.order_id = orderId;
+      reservation.updated_at = now;
+      return { reservation, previousStatus };
+    });
+
+    if (claimed && claimed.previousStatus === 'converted') {
+      return { reservation: claimed.reservation, shortages: claimed.reservation.shortages || [] };
+    }
+
+    const context = {
+      type: 'sale',
+      reservation_id: claimed ? claimed.reservation.id : null,
+      order_id: orderId,
+      payment_intent_id: paymentIntentId
+    };
+
+    if (claimed && claimed.previousStatus === 'active') {
+      await this.moveStock(claimed.reservation.items, 0, -1, context);
+      await ActivityLogger.logReservationActivity(claimed.reservation, 'converted');
+      return { reservation: claimed.reservation, shortages: [] };
+    }
+
+    // The hold lapsed (or never existed), so the units have to be taken again
+    const toTake = claimed ? claimed.reservation.items : (items ? this.normalizeItems(items) : []);
+    if (toTake.length === 0) {
+      return { reservation: null, shortages: [] };
+    }
+
+    const result = await this.takeStock(toTake, false, context);
+
+    if (result.shortages.length > 0) {
+      winston.warn(`Payment ${paymentIntentId} succeeded but stock is no longer available`, { shortages: result.shortages });
+
+      if (claimed) {
+        await fileManager.update('reservations.json', (reservationsData) => {
+          const reservation = reservationsData.reservations.find(r => r.id === claimed.reservation.id);
+          reservation.shortages = result.shortages;
+        });
+        claimed.reservation.shortages = result.shortages;
+      }
+
+      await ActivityLogger.logActivity(
+        'stock_oversold',
+        `Payment ${paymentIntentId} succeeded for stock that is no longer available`,
+        {
+          payment_intent_id: paymentIntentId,
+          order_id: orderId,
+          reservation_id: claimed ? claimed.reservation.id : null,
+          shortages: result.shortages
+        }
+      );
+    } else if (claimed) {
+      await ActivityLogger.logReservationActivity(claimed.reservation, 'converted');
+    }
+
+    return { reservation: claimed ? claimed.reservation : null, shortages: result.shortages };
+  }
+
+  /**
+   * Release an active hold and return its units to available stock
+   * @param {Object} match - Reservation to release ({ id } or { paymentIntentId })
+   * @param {string} reason - Why the hold was released
+   * @param {string} user - Who released it
+   * @param {string} status - 'released' or 'expired'
+   * @returns {Object|null} Released reservation, or null if no active reservation matched
+   */
+  async release({ id, paymentIntentId }, reason, user = 'system', status = 'released') {
+    const reservation = await this.transition(
+      r => (id ? r.id === id : r.payment_intent_id === paymentIntentId),
+      status,
+      {
+        release_reason: reason,
+        released_at: new Date().toISOString(),
+        released_by: user
+      }
+    );
+
+    if (!reservation) {
+      return null;
+    }
+
+    await this.moveStock(reservation.items, 1, -1, {
+      type: status === 'expired' ? 'expire' : 'release',
+      reservation_id: reservation.id,
+      payment_intent_id: reservation.payment_intent_id,
+      user
+    });
+    await ActivityLogger.logReservationActivity(reservation, reservation.status, user);
+    winston.info(`Reservation ${reservation.id} ${reservation.status}: ${reason}`);
+
+    return reservation;
+  }
+
+  /**
+   * Get the stock items of an order
+   * @param {Object} order - Pack or cart order
+   * @returns {Array} Items ({ pack_id, quantity })
+   */
+  getOrderItems(order) {
+    if (Array.isArray(order.items)) {
+      return this.normalizeItems(order.items.map(item => ({ pack_id: item.id, quantity: item.quantity })));
+    }
+    return order.pack_id ? [{ pack_id: order.pack_id, quantity: 1 }] : [];
+  }
+
+  /**
+   * Take the units of an order placed without a checkout hold, e.g. on invoice
+   * @param {Object} order - Order ({ id, items or pack_id })
+   * @param {string} user - Who placed the order
+   * @returns {Array} Sold items
+   * @throws {InventoryError} If any pack lacks the units
+   */
+  async sellOrder(order, user = 'system') {
+    const result = await this.takeStock(this.getOrderItems(order), false, {
+      type: 'sale',
+      order_id: order.id,
+      user
+    });
+
+    if (result.shortages.length > 0) {
+      throw new InventoryError('Some items are no longer available', result.shortages);
+    }
+
+    return result.items;
+  }
+
+  /**
+   * Change an order's stock_status under the orders.json lock
+   * @param {string} orderId - Order id
+   * @param {string} from - Required current stock_status
+   * @param {string} to - New stock_status
+   * @returns {Object|null} Updated order, or null if the order isn't in the from state
+   */
+  async setOrderStockStatus(orderId, from, to) {
+    return fileManager.update('orders.json', (ordersData) => {
+      const order = (ordersData.orders || []).find(o => o.id === orderId);
+
+      if (!order || order.stock_status !== from) {
+        return null;
+      }
+
+      order.stock_status = to;
+      return order;
+    });
+  }
+
+  /**
+   * Return a cancelled or refunded order's units to available stock
+   * Only orders whose stock was taken at checkout (stock_status committed)
+   * are restocked, and only once.
+   * @param {string} orderId - Order id
+   * @param {string} user - Who cancelled or refunded the order
+   * @returns {Array|null} Restocked items, or null if there was nothing to restock
+   */
+  async restockOrder(orderId, user = 'system') {
+    const order = await this.setOrderStockStatus(orderId, 'committed', 'restocked');
+
+    if (!order) {
+      return null;
+    }
+
+    const items = this.getOrderItems(order);
+    await this.moveStock(items, 1, 0, {
+      type: 'restock',
+      order_id: order.id,
+      reservation_id: order.reservation_id,
+      payment_intent_id: order.payment_intent_id,
+      user
+    });
+
+    winston.info(`Restocked ${items.length} pack(s) from order ${orderId}`);
+    return items;
+  }
+
+  /**
+   * Take a restocked order's units again when it is un-cancelled
+   * @param {string} orderId - Order id
+   * @param {string} user - Who reopened the order
+   * @returns {Object|null} { items, shortages }, or null if the order wasn't restocked
+   */
+  async recommitOrder(orderId, user = 'system') {
+    const order = await this.setOrderStockStatus(orderId, 'restocked', 'committed');
+
+    if (!order) {
+      return null;
+    }
+
+    const result = await this.takeStock(this.getOrderItems(order), false, {
+      type: 'sale',
+      order_id: order.id,
+      reservation_id: order.reservation_id,
+      payment_intent_id: order.payment_intent_id,
+      user
+    });
+
+    if (result.shortages.length > 0) {
+      await this.setOrderStockStatus(orderId, 'committed', 'restocked');
+      winston.warn(`Order ${orderId} reopened but its stock is no longer available`, { shortages: result.shortages });
+    }
+
+    return result;
+  }
+
+  /**
+   * Release every active hold past its expiry time
+   * @returns {Array} Expired reservations
+   */
+  async expireReservations() {
+    const now = new Date().toISOString();
+    const active = await fileManager.findRecords('reservations.json', { status: 'active' });
+    const expired = [];
+
+    for (const candidate of active.filter(r => r.expires_at <= now)) {
+      const reservation = await this.release({ id: candidate.id }, 'hold_expired', 'system', 'expired');
+      if (!reservation) {
+        continue;
+      }
+      expired.push(reservation);
+
+      for (const handler of this.expiryHandlers) {
+        try {
+          await handler(reservation);
+        } catch (error) {
+          winston.error(`Reservation expiry handler failed for ${reservation.id}:`, error);
+        }
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Register a callback for expired reservations
+   * (e.g. cancelling the PaymentIntent so the buyer can no longer pay)
+   * @param {Function} handler - (reservation) => void, may be async
+   */
+  onExpire(handler) {
+    this.expiryHandlers.push(handler);
+  }
+
+  /**
+   * Start releasing expired holds periodically
+   */
+  startExpirySweep() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.expireReservations().catch(error => {
+        winston.error('Reservation expiry sweep failed:', error);
+      });
+    }, config.reservations.sweepIntervalSeconds * 1000);
+
+    // Don't keep the process alive just for the sweep
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stop the expiry sweep
+   */
+  stopExpirySweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = new InventoryManager();
+module.exports.InventoryError = InventoryError;
@@ -0,0 +1,80 @@
+/**
+ * Invoice Numbers
+ * Gives orders sequential invoice numbers when they become sales
+ *
+ * An order is numbered when it is invoiced (net terms) or its payment is
+ * collected, inside the same orders.json update that records it, so the
+ * series has no numbers for checkouts that were never paid. Numbers run
+ * from config documents.invoiceStartNumber with documents.invoicePrefix; the
+ * last one used is kept in orders.json as last_invoice_number.
+ */
+
+const winston = require('winston');
+const config = require('../config/environment');
+const fileManager = require('./file-manager');
+
+// Payment states in which the order's amount was collected
+const COLLECTED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed', 'dispute_lost'];
+
+/**
+ * Check whether an order is a sale that needs an invoice
+ * @param {Object} order - Order
+ * @returns {boolean} True for invoiced orders and orders with a collected payment
+ */
+function isInvoiceable(order) {
+  return Boolean(order.invoice) || COLLECTED_PAYMENT_STATUSES.includes(order.payment_status);
+}
+
+/**
+ * Give an order the next invoice number, inside an orders.json update
+ * Orders that already have one, or aren't sales yet, are left alone.
+ * @param {Object} ordersData - orders.json contents being updated
+ * @param {Object} order - Order in ordersData
+ * @returns {boolean} True if a number was assigned
+ */
+function numberInvoice(ordersData, order) {
+  if (order.invoice_number || !isInvoiceable(order)) {
+    return false;
+  }
+
+  const { invoicePrefix, invoiceStartNumber } = config.documents;
+  const number = Math.max(ordersData.last_invoice_number || 0, invoiceStartNumber - 1) + 1;
+
+  ordersData.last_invoice_number = number;
+  order.invoice_number = `${invoicePrefix}${number}`;
+  order.invoice_date = order.invoice ? order.invoice.issued_at : order.created_at;
+
+  winston.info(`Invoice number ${order.invoice_number} assigned to order ${order.id}`);
+  return true;
+}
+
+/**
+ * Give an existing order an invoice number if it doesn't have one
+ * For orders that became sales before numbers were assigned with payment.
+ * @param {string} orderId - Order id
+ * @returns {Object} { order, assigned } - order is null if it doesn't exist, and has no
+ *   invoice_number if it isn't a sale
+ */
+async function assignInvoiceNumber(orderId) {
+  let assigned = false;
+
+  const order = await fileManager.update('orders.json', (ordersData) => {
+    const existing = (ordersData.orders || []).find(o => o.id === orderId);
+
+    if (!existing) {
+      return null;
+    }
+
+    assigned = numberInvoice(ordersData, existing);
+    return existing;
+  });
+
+  return { order, assigned };
+}
+
+module.exports = {
+  COLLECTED_PAYMENT_STATUSES,
+  isInvoiceable,
+  numberInvoice,
+  assignInvoiceNumber
+};
@@ -0,0 +1,377 @@
+/**
+ * Invoices
+ * Net-terms ordering for approved B2B buyers
+ *
+ * Approved buyers (buyers.json) check out with their email and account code
+ * instead of a card. The order is created with payment_status "invoiced"
+ * and an invoice carrying the buyer's terms and due date. Admins record the
+ * wire, ACH or check payments that arrive against it; once the invoice is
+ * paid in full the payment is completed. Unpaid invoices past their due date
+ * are overdue.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const inventoryManager = require('./inventory-manager');
+const pricing = require('./pricing');
+const { toCents, fromCents } = require('./pricing');
+const { DiscountError, applyDiscountCode, redeemDiscounts, releaseRedemptions } = require('./discounts');
+const { applyCustomerDetails } = require('./addresses');
+const { applyShipping } = require('./shipping');
+const { applyTax } = require('./tax');
+const { numberInvoice } = require('./invoice-numbers');
+
+// Days to pay for each payment term
+const TERMS_DAYS = {
+  net_15: 15,
+  net_30: 30,
+  net_45: 45,
+  net_60: 60
+};
+
+const PAYMENT_METHODS = ['wire', 'ach', 'check', 'other'];
+
+/**
+ * An invoice order can't be placed or paid
+ * Routes answer with error.toJSON() and error.status.
+ */
+class InvoiceError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - BUYER_NOT_APPROVED, ORDER_NOT_FOUND, NOT_INVOICED or INVALID_PAYMENT
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = { BUYER_NOT_APPROVED: 403, ORDER_NOT_FOUND: 404, NOT_INVOICED: 409, INVALID_PAYMENT: 400 }[code] || 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Create a new account code for a buyer
+ * Only its hash is stored; the code is shown to the admin once.
+ * @returns {Object} { code, hash }
+ */
+function generateAccountCode() {
+  const code = crypto.randomBytes(8).toString('hex').toUpperCase();
+  return { code, hash: hashAccountCode(code) };
+}
+
+/**
+ * Hash an account code for storage and comparison
+ * @param {string} code - Account code
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashAccountCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+}
+
+/**
+ * Find the approved buyer an email and account code belong to
+ * @param {string} email - Buyer email
+ * @param {string} accountCode - Account code
+ * @returns {Object|null} Buyer
+ */
+async function findApprovedBuyer(email, accountCode) {
+  if (!email || !accountCode) {
+    return null;
+  }
+
+  const buyersData = await fileManager.readJSON('buyers.json');
+  const buyer = (buyersData.buyers || []).find(b =>
+    b.email.toLowerCase() === String(email).trim().toLowerCase()
+  );
+
+  if (!buyer || buyer.status !== 'approved' || !buyer.account_code_hash) {
+    return null;
+  }
+
+  const expected = Buffer.from(buyer.account_code_hash, 'hex');
+  const given = Buffer.from(hashAccountCode(accountCode), 'hex');
+
+  return crypto.timingSafeEqual(expected, given) ? buyer : null;
+}
+
+/**
+ * Check whether an invoice is unpaid past its due date
+ * @param {Object} order - Order
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if overdue
+ */
+function isOverdue(order, now = new Date()) {
+  return order.payment_status === 'invoiced' &&
+    order.status !== 'cancelled' &&
+    Boolean(order.invoice) &&
+    new Date(order.invoice.due_date) < now;
+}
+
+/**
+ * Get the number of whole days an invoice is overdue
+ * @param {Object} order - Order
+ * @param {Date} now - Reference time
+ * @returns {number} Days overdue, 0 if not overdue
+ */
+function getDaysOverdue(order, now = new Date()) {
+  if (!isOverdue(order, now)) {
+    return 0;
+  }
+  return Math.floor((now - new Date(order.invoice.due_date)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Place an order on invoice for an approved buyer
+ * Stock is taken right away; there is no checkout hold to convert. Sales
+ * tax is charged unless the buyer has a verified exemption certificate.
+ * @param {Object} buyer - Approved buyer
+ * @param {Object} checkout - Order details
+ * @param {string} checkout.pack_id - Pack to buy, or
+ * @param {Array} checkout.cart_items - Cart items ({ id, quantity, image, slug })
+ * @param {string} checkout.customer_name - Name on the order
+ * @param {number} checkout.amount - Total the buyer saw, checked against the catalog if given
+ * @param {string} checkout.po_number - Buyer's purchase order number
+ * @param {string} checkout.discount_code - Discount code to apply
+ * @param {string} checkout.shipping_method - Shipping method (required when shipping methods are set up)
+ * @param {Object} checkout.customer_details - Contact details and addresses from parseCustomerDetails
+ * @returns {Object} Saved order
+ * @throws {PricingError} If the items can't be priced or the amount doesn't match
+ * @throws {DiscountError} If the discount code can't be used
+ * @throws {ShippingError} If the shipping method can't ship the order there
+ * @throws {InventoryError} If the stock is no longer available
+ */
+async function createInvoiceOrder(buyer, { pack_id, cart_items, customer_name, amount, po_number, discount_code, shipping_method, customer_details }) {
+  const isCart = Array.isArray(cart_items);
+  let quote = isCart ? await pricing.quoteCart(cart_items) : await pricing.quotePack(pack_id, 'full');
+
+  if (discount_code) {
+    quote = await applyDiscountCode(quote, discount_code, { customerEmail: buyer.email });
+  }
+
+  if (amount !== undefined && amount !== null && amount !== '') {
+    pricing.assertAmountMatches(quote, amount);
+  }
+
+  const shippingAddress = customer_details ? customer_details.shipping_address : null;
+  quote = await applyShipping(quote, shipping_method, shippingAddress);
+  quote = await applyTax(quote, { address: shippingAddress, buyer });
+
+  const now = new Date();
+  const termsDays = TERMS_DAYS[buyer.payment_terms];
+
+  const order = {
+    id: `ORD-${now.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+    customer_email: buyer.email,
+    customer_name: customer_name || buyer.name || null,
+    buyer_id: buyer.id,
+    amount: quote.total,
+    total_amount: quote.total,
+    payment_type: 'full',
+    payment_status: 'invoiced',
+    status: 'pending',
+    invoice: {
+      terms: buyer.payment_terms,
+      terms_days: termsDays,
+      po_number: po_number ? String(po_number).trim() : null,
+      issued_at: now.toISOString(),
+      due_date: new Date(now.getTime() + termsDays * 24 * 60 * 60 * 1000).toISOString(),
+      amount_paid: 0,
+      payments: []
+    },
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    status_history: [{
+      status: 'pending',
+      payment_status: 'invoiced',
+      changed_at: now.toISOString(),
+      changed_by: buyer.email,
+      notes: `Order placed on ${buyer.payment_terms.replace('_', ' ')} terms`
+    }]
+  };
+
+  applyCustomerDetails(order, customer_details);
+
+  if (quote.discounts.length > 0) {
+    order.subtotal = quote.subtotal;
+    order.discounts = quote.discounts;
+  }
+
+  if (quote.shipping || quote.tax) {
+    order.subtotal = quote.subtotal;
+  }
+  if (quote.shipping) {
+    order.shipping = quote.shipping;
+  }
+  if (quote.tax) {
+    order.tax = quote.tax;
+    order.tax_amount = quote.tax.amount;
+  }
+
+  if (isCart) {
+    order.items = quote.lines.map(line => {
+      const cartItem = cart_items.find(item => String(item.id) === line.id) || {};
+      return {
+        id: line.id,
+        name: line.name,
+        price: line.unit_price,
+        quantity: line.quantity,
+        image: cartItem.image,
+        slug: cartItem.slug
+      };
+    });
+  } else {
+    order.pack_id = quote.lines[0].id;
+    order.pack_name = quote.lines[0].name;
+  }
+
+  const sold = await inventoryManager.sellOrder(order, buyer.email);
+  order.stock_status = 'committed';
+
+  try {
+    // Another order may have used up the code since it was priced
+    const [refused] = await redeemDiscounts(order);
+    if (refused) {
+      throw new DiscountError(refused.reason, 'USAGE_LIMIT_REACHED');
+    }
+
+    await fileManager.update('orders.json', (ordersData) => {
+      if (!ordersData.orders) {
+        ordersData.orders = [];
+      }
+      ordersData.orders.push(order);
+      numberInvoice(ordersData, order);
+    });
+  } catch (error) {
+    // Don't leave units sold or codes redeemed by an order that was never saved
+    await inventoryManager.moveStock(sold, 1, 0, { type: 'restock', order_id: order.id, user: buyer.email });
+    await releaseRedemptions(order);
+    throw error;
+  }
+
+  await ActivityLogger.logOrderActivity(order, 'invoiced', buyer.email);
+  winston.info(`Invoice order ${order.id} created for buyer ${buyer.id}, due ${order.invoice.due_date}`);
+
+  return order;
+}
+
+/**
+ * Record a payment received against an invoice
+ * @param {string} orderId - Order id
+ * @param {Object} payment - Received payment
+ * @param {number|string} payment.amount - Dollar amount
+ * @param {string} payment.method - wire, ach, check or other
+ * @param {string} payment.reference - Wire/ACH reference or check number
+ * @param {string} payment.received_at - When the money arrived, defaults to now
+ * @param {string} payment.notes - Admin notes
+ * @param {string} user - Admin recording the payment
+ * @returns {Object} { order, payment }
+ * @throws {InvoiceError} If the order isn't an open invoice or the payment is invalid
+ */
+async function recordInvoicePayment(orderId, { amount, method, reference, received_at, notes }, user) {
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new InvoiceError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`, 'INVALID_PAYMENT');
+  }
+
+  const receivedAt = received_at ? new Date(received_at) : new Date();
+  if (isNaN(receivedAt.getTime())) {
+    throw new InvoiceError('received_at must be a valid date', 'INVALID_PAYMENT');
+  }
+
+  let failure = null;
+  let payment = null;
+
+  const order = await fileManager.update('orders.json', (ordersData) => {
+    const existing = (ordersData.orders || []).find(o => o.id === orderId);
+
+    if (!existing) {
+      failure = new InvoiceError('Order not found', 'ORDER_NOT_FOUND');
+      return null;
+    }
+
+    if (!existing.invoice || existing.payment_status !== 'invoiced') {
+      failure = new InvoiceError('Order has no open invoice', 'NOT_INVOICED');
+      return null;
+    }
+
+    const outstandingCents = toCents(existing.amount) - toCents(existing.invoice.amount_paid);
+    const amountCents = toCents(amount);
+
+    if (!(amountCents > 0) || amountCents > outstandingCents) {
+      failure = new InvoiceError(
+        `Payment amount must be between 0.01 and ${fromCents(outstandingCents).toFixed(2)}`,
+        'INVALID_PAYMENT',
+        { amount_outstanding: fromCents(outstandingCents) }
+      );
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    payment = {
+      id: `PAY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      amount: fromCents(amountCents),
+      method,
+      reference: reference ? String(reference).trim() : null,
+      received_at: receivedAt.toISOString(),
+      notes: notes ? String(notes).trim() : null,
+      recorded_by: user,
+      recorded_at: now
+    };
+
+    existing.invoice.payments.push(payment);
+    existing.invoice.amount_paid = fromCents(toCents(existing.invoice.amount_paid) + amountCents);
+
+    const paidInFull = amountCents === outstandingCents;
+    if (paidInFull) {
+      existing.payment_status = 'completed';
+      existing.invoice.paid_at = payment.received_at;
+    }
+
+    existing.updated_at = now;
+    existing.updated_by = user;
+    if (!existing.status_history) {
+      existing.status_history = [];
+    }
+    existing.status_history.push({
+      status: existing.status,
+      payment_status: existing.payment_status,
+      changed_at: now,
+      changed_by: user,
+      notes: `${method.toUpperCase()} payment of $${payment.amount.toFixed(2)} recorded${paidInFull ? ' - invoice paid' : ''}`
+    });
+
+    return existing;
+  });
+
+  if (failure) {
+    throw failure;
+  }
+
+  await ActivityLogger.logOrderActivity(order, 'invoice_payment_recorded', user);
+  winston.info(`Payment ${payment.id} of ${payment.amount} recorded on order ${orderId}`);
+
+  return { order, payment };
+}
+
+module.exports = {
+  InvoiceError,
+  TERMS_DAYS,
+  PAYMENT_METHODS,
+  generateAccountCode,
+  findApprovedBuyer,
+  isOverdue,
+  getDaysOverdue,
+  createInvoiceOrder,
+  recordInvoicePayment
+};
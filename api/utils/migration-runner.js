@@ -0,0 +1,255 @@
+/**
+ * Migration Runner
+ * Brings data files up to the current schema_version
+ *
+ * Runs at server startup (see config migrations.runOnStartup) and from the CLI:
+ *   node utils/migration-runner.js              # migrate the API data directory
+ *   node utils/migration-runner.js --status     # show versions and pending migrations
+ *   node utils/migration-runner.js --dry-run    # report what would change
+ *   node utils/migration-runner.js --data-dir ../src/_data   # migrate another directory
+ * Any other argument prints the usage and exits with 1 before touching data.
+ */
+
+const winston = require('winston');
+const { getMigrations, latestVersion, getMigratedFiles } = require('../migrations');
+
+class MigrationRunner {
+  /**
+   * @param {Object} store - Data access ({ readJSON, update }), usually the FileManager
+   * @param {Object} options - Runner options
+   * @param {boolean} options.logActivity - Record applied migrations in the activity log
+   */
+  constructor(store, { logActivity = true } = {}) {
+    this.store = store;
+    this.logActivity = logActivity;
+  }
+
+  /**
+   * Apply pending migrations to a copy of the data
+   * @param {string} filename - Name of the data file
+   * @param {Object} data - Current file contents
+   * @returns {Object} { data, fromVersion, applied }
+   */
+  migrateData(filename, data) {
+    const fromVersion = data.schema_version || 0;
+    const pending = getMigrations(filename).filter(migration => migration.version > fromVersion);
+
+    let migrated = JSON.parse(JSON.stringify(data));
+    pending.forEach(migration => {
+      migrated = migration.up(migrated) || migrated;
+      migrated.schema_version = migration.version;
+    });
+
+    return {
+      data: migrated,
+      fromVersion,
+      applied: pending.map(migration => ({
+        version: migration.version,
+        description: migration.description
+      }))
+    };
+  }
+
+  /**
+   * Get schema status for every migrated data file
+   * @returns {Array} Status per file
+   */
+  async status() {
+    const results = [];
+
+    for (const filename of getMigratedFiles()) {
+      const data = await this.store.readJSON(filename);
+      if (!data) {
+        continue;
+      }
+
+      const currentVersion = data.schema_version || 0;
+      results.push({
+        filename,
+        current_version: currentVersion,
+        latest_version: latestVersion(filename),
+        pending: getMigrations(filename)
+          .filter(migration => migration.version > currentVersion)
+          .map(migration => ({ version: migration.version, description: migration.description }))
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Run all pending migrations
+   * Each file is migrated under its write lock, and a backup snapshot of
+   * the pre-migration contents is taken even for files that normally
+   * aren't snapshotted. Schema validation
+   * is skipped; run utils/validator.js afterwards to check the results.
+   * @param {Object} options - Run options
+   * @param {boolean} options.dryRun - Report without writing
+   * @returns {Array} Applied migrations per file
+   */
+  async run({ dryRun = false } = {}) {
+    const results = [];
+
+    for (const filename of getMigratedFiles()) {
+      let result;
+
+      if (dryRun) {
+        const data = await this.store.readJSON(filename);
+        result = data ? this.migrateData(filename, data) : null;
+      } else {
+        result = await this.store.update(filename, (data) => {
+          if (!data) {
+            return null;
+          }
+
+          const migration = this.migrateData(filename, data);
+          if (migration.applied.length > 0) {
+            Object.keys(data).forEach(key => delete data[key]);
+            Object.assign(data, migration.data);
+          }
+          return migration;
+        }, { validate: false, backup: true });
+      }
+
+      if (!result || result.applied.length === 0) {
+        continue;
+      }
+
+      const toVersion = result.applied[result.applied.length - 1].version;
+      winston.info(`${dryRun ? '[dry run] ' : ''}Migrated ${filename} from v${result.fromVersion} to v${toVersion}`);
+
+      results.push({
+        filename,
+        from_version: result.fromVersion,
+        to_version: toVersion,
+        applied: result.applied
+      });
+
+      if (!dryRun && this.logActivity) {
+        // Required lazily: the activity logger writes through the FileManager
+        const ActivityLogger = require('./activity-logger');
+        await ActivityLogger.logSystemActivity(
+          'data_migrated',
+          `${filename} migrated to schema v${toVersion}`,
+          { filename, from_version: result.fromVersion, to_version: toVersion }
+        );
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Run pending migrations against the API data directory
+ * @param {Object} options - Run options ({ dryRun })
+ * @returns {Array} Applied migrations per file
+ */
+async function runMigrations(options = {}) {
+  const fileManager = require('./file-manager');
+  return new MigrationRunner(fileManager).run(options);
+}
+
+/**
+ * Create a data store for a plain JSON directory (CLI --data-dir)
+ * Missing files are skipped instead of created.
+ * @param {string} dataDir - Directory holding the JSON files
+ * @returns {Object} Data store ({ readJSON, update })
+ */
+function createDirectoryStore(dataDir) {
+  const { JsonFileAdapter } = require('./storage');
+  const adapter = new JsonFileAdapter({ dataDir });
+
+  return {
+    readJSON: (filename) => adapter.read(filename),
+    update: async (filename, mutator) => {
+      const data = await adapter.read(filename);
+      const result = await mutator(data);
+      if (data && result && result.applied.length > 0) {
+        await adapter.write(filename, data);
+      }
+      return result;
+    }
+  };
+}
+
+const USAGE = `Usage: node utils/migration-runner.js [--status | --dry-run] [--data-dir <dir>]
+  --status          show versions and pending migrations
+  --dry-run         report what would change without writing
+  --data-dir <dir>  migrate another directory instead of the API data directory`;
+
+/**
+ * Parse the CLI arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} { status, dryRun, dataDir, help }
+ * @throws {Error} On an unknown argument or a missing --data-dir value
+ */
+function parseArgs(args) {
+  const options = { status: false, dryRun: false, dataDir: null, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--status') {
+      options.status = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--data-dir') {
+      const value = args[++i];
+      if (!value || value.startsWith('--')) {
+        throw new Error('--data-dir needs a directory');
+      }
+      options.dataDir = value;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (options.status && options.dryRun) {
+    throw new Error('--status and --dry-run can\'t be combined');
+  }
+  return options;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const path = require('path');
+  let options;
+
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const dataDir = options.dataDir ? path.resolve(options.dataDir) : null;
+
+  winston.add(new winston.transports.Console({ format: winston.format.simple() }));
+
+  const runner = dataDir
+    ? new MigrationRunner(createDirectoryStore(dataDir), { logActivity: false })
+    : new MigrationRunner(require('./file-manager'));
+
+  const task = options.status
+    ? runner.status()
+    : runner.run({ dryRun: options.dryRun });
+
+  task
+    .then(results => {
+      console.log(JSON.stringify(results, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { MigrationRunner, runMigrations };
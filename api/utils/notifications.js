@@ -0,0 +1,137 @@
+/**
+ * Notifications
+ * Messages sent to buyers when something happens to their order
+ *
+ * Each notification is built from a template and POSTed as JSON
+ * ({ event, to, from, subject, text, order_id }) to the webhook configured in
+ * NOTIFICATIONS_WEBHOOK_URL, which hands it to a mail service. Without a
+ * webhook the message is only logged. A failed delivery is logged and never
+ * fails the request that triggered it.
+ */
+
+const winston = require('winston');
+const config = require('../config/environment');
+const ActivityLogger = require('./activity-logger');
+
+/**
+ * Describe a shipment in a notification
+ * @param {Object} shipment - Shipment
+ * @returns {Array} Lines, null for details the shipment doesn't have
+ */
+function describeShipment(shipment = {}) {
+  return [
+    `Carrier: ${shipment.carrier === 'other' ? 'Freight / courier' : String(shipment.carrier).toUpperCase()}`,
+    `Tracking number: ${shipment.tracking_number}`,
+    shipment.package_count > 1 ? `Packages: ${shipment.package_count}` : null,
+    shipment.tracking_url ? `Track it here: ${shipment.tracking_url}` : null
+  ];
+}
+
+// Subject and body of each notification; details come from the event
+const TEMPLATES = {
+  order_shipped: {
+    subject: (order) => `Your KV Garage order ${order.id} has shipped`,
+    text: (order, details) => [
+      `Hi ${order.customer_name || 'there'},`,
+      '',
+      `Your order ${order.id} is on its way.`,
+      ...describeShipment(details.shipment)
+    ]
+  },
+  shipment_added: {
+    subject: (order) => `Another shipment for your KV Garage order ${order.id}`,
+    text: (order, details) => [
+      `Hi ${order.customer_name || 'there'},`,
+      '',
+      `More of your order ${order.id} is on its way.`,
+      ...describeShipment(details.shipment)
+    ]
+  },
+  order_cancelled: {
+    subject: (order) => `Your KV Garage order ${order.id} has been cancelled`,
+    text: (order, details) => [
+      `Hi ${order.customer_name || 'there'},`,
+      '',
+      `Your order ${order.id} has been cancelled.`,
+      details.reason ? `Reason: ${details.reason}` : null,
+      'Reply to this email if you have any questions.'
+    ]
+  }
+};
+
+/**
+ * Build a notification for an order's buyer
+ * @param {string} event - Template name
+ * @param {Object} order - Order
+ * @param {Object} details - Event details used by the template
+ * @returns {Object} Notification
+ */
+function buildNotification(event, order, details = {}) {
+  const template = TEMPLATES[event];
+
+  if (!template) {
+    throw new Error(`Unknown notification: ${event}`);
+  }
+
+  return {
+    event,
+    to: order.customer_email,
+    from: config.notifications.from,
+    subject: template.subject(order, details),
+    text: template.text(order, details).filter(line => line !== null).join('\n'),
+    order_id: order.id
+  };
+}
+
+/**
+ * Notify an order's buyer
+ * @param {string} event - Template name
+ * @param {Object} order - Order
+ * @param {Object} details - Event details used by the template
+ * @param {string} user - Who triggered the notification
+ * @returns {Object} { event, to, delivered, error }
+ */
+async function notifyCustomer(event, order, details = {}, user = 'system') {
+  let notification;
+  let error = null;
+
+  try {
+    notification = buildNotification(event, order, details);
+
+    if (config.notifications.webhookUrl) {
+      const response = await fetch(config.notifications.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(notification)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Notification webhook responded with ${response.status}`);
+      }
+    } else {
+      winston.info(`Notification ${event} for ${order.customer_email} not sent: no notification webhook configured`);
+    }
+  } catch (deliveryError) {
+    error = deliveryError.message;
+    winston.error(`Notification ${event} for order ${order.id} failed:`, deliveryError.message);
+  }
+
+  const delivered = !error && Boolean(config.notifications.webhookUrl);
+
+  if (notification) {
+    await ActivityLogger.logActivity(
+      'customer_notified',
+      `${delivered ? 'Sent' : 'Did not send'} ${event.replace(/_/g, ' ')} notification to ${order.customer_email}`,
+      { order_id: order.id, event, subject: notification.subject, delivered, error },
+      user
+    );
+  }
+
+  return { event, to: order.customer_email, delivered, error };
+}
+
+module.exports = {
+  TEMPLATES,
+  buildNotification,
+  notifyCustomer
+};
@@ -0,0 +1,313 @@
+/**
+ * Order Export
+ * Streams orders as CSV or XLSX for bookkeeping
+ *
+ * An export has one row per order, or one row per line item with the
+ * order's columns repeated on each of its lines. Columns are picked by key
+ * from EXPORT_COLUMNS; item columns only make sense with rows=items.
+ * Amounts come from the same summary as the invoice PDF, so an export
+ * reconciles with the invoices. Rows are written as they are built (CSV
+ * waits for the client to keep up, XLSX commits each row to the zip) so
+ * large exports don't pile up in memory.
+ */
+
+const ExcelJS = require('exceljs');
+const { getInvoiceLines, getInvoiceSummary } = require('./documents');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const ROW_TYPES = ['orders', 'items'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Export columns by key
+ * value({ order, summary, item }) gives the cell; type is string, number, money or date.
+ */
+const EXPORT_COLUMNS = {
+  id: { header: 'Order ID', value: ({ order }) => order.id },
+  created_at: { header: 'Order date', type: 'date', value: ({ order }) => order.created_at },
+  status: { header: 'Status', value: ({ order }) => order.status },
+  payment_status: { header: 'Payment status', value: ({ order }) => order.payment_status },
+  payment_type: { header: 'Payment type', value: ({ order }) => order.invoice ? 'invoice' : order.payment_type },
+  customer_name: { header: 'Customer', value: ({ order }) => order.customer_name },
+  customer_email: { header: 'Email', value: ({ order }) => order.customer_email },
+  business_name: { header: 'Business', value: ({ order }) => order.business_name },
+  phone: { header: 'Phone', value: ({ order }) => order.phone },
+  ship_city: { header: 'Ship city', value: ({ order }) => order.shipping_address && order.shipping_address.city },
+  ship_state: { header: 'Ship state', value: ({ order }) => order.shipping_address && order.shipping_address.state },
+  ship_postal_code: { header: 'Ship ZIP', value: ({ order }) => order.shipping_address && order.shipping_address.postal_code },
+  ship_country: { header: 'Ship country', value: ({ order }) => order.shipping_address && order.shipping_address.country },
+  invoice_number: { header: 'Invoice number', value: ({ order }) => order.invoice_number },
+  po_number: { header: 'PO number', value: ({ order }) => order.invoice && order.invoice.po_number },
+  terms: { header: 'Terms', value: ({ order }) => order.invoice && order.invoice.terms },
+  due_date: { header: 'Due date', type: 'date', value: ({ summary }) => summary.due_date },
+  subtotal: { header: 'Subtotal', type: 'money', value: ({ summary }) => summary.subtotal },
+  discount: {
+    header: 'Discount',
+    type: 'money',
+    value: ({ summary }) => summary.discounts.reduce((sum, discount) => sum + discount.amount, 0)
+  },
+  discount_codes: { header: 'Discount codes', value: ({ summary }) => summary.discounts.map(discount => discount.code).join(' ') },
+  shipping_method: { header: 'Shipping method', value: ({ summary }) => summary.shipping && summary.shipping.name },
+  shipping: { header: 'Shipping', type: 'money', value: ({ summary }) => summary.shipping ? summary.shipping.amount : 0 },
+  tax_jurisdiction: { header: 'Tax jurisdiction', value: ({ summary }) => summary.tax_line && summary.tax_line.name },
+  tax_rate: { header: 'Tax rate %', type: 'number', value: ({ summary }) => summary.tax_line && summary.tax_line.rate },
+  tax: { header: 'Sales tax', type: 'money', value: ({ summary }) => summary.tax },
+  tax_exemption: {
+    header: 'Exemption certificate',
+    value: ({ summary }) => summary.tax_line && summary.tax_line.exempt ? summary.tax_line.exemption.certificate_number : null
+  },
+  total: { header: 'Total', type: 'money', value: ({ summary }) => summary.total },
+  paid: { header: 'Paid', type: 'money', value: ({ summary }) => summary.paid },
+  refunded: { header: 'Refunded', type: 'money', value: ({ summary }) => summary.refunded },
+  balance_due: { header: 'Balance due', type: 'money', value: ({ summary }) => summary.balance_due },
+  shipped_at: { header: 'Shipped', type: 'date', value: ({ order }) => order.shipped_at },
+  tracking_numbers: {
+    header: 'Tracking numbers',
+    value: ({ order }) => (order.shipments || []).map(shipment => shipment.tracking_number).join(' ')
+  },
+  item_id: { header: 'Item ID', item: true, value: ({ item }) => item.id },
+  item_name: { header: 'Item', item: true, value: ({ item }) => item.description },
+  item_quantity: { header: 'Quantity', type: 'number', item: true, value: ({ item }) => item.quantity },
+  item_unit_price: { header: 'Unit price', type: 'money', item: true, value: ({ item }) => item.unit_price },
+  item_amount: { header: 'Line amount', type: 'money', item: true, value: ({ item }) => item.amount }
+};
+
+// Columns used when the request doesn't pick any
+const DEFAULT_COLUMNS = {
+  orders: [
+    'id', 'created_at', 'status', 'payment_status', 'customer_name', 'customer_email', 'business_name',
+    'invoice_number', 'subtotal', 'discount', 'shipping', 'tax', 'total', 'paid', 'refunded', 'balance_due'
+  ],
+  items: [
+    'id', 'created_at', 'status', 'customer_email', 'invoice_number',
+    'item_id', 'item_name', 'item_quantity', 'item_unit_price', 'item_amount'
+  ]
+};
+
+/**
+ * Export options are invalid
+ * Routes answer with error.toJSON() and error.status.
+ */
+class ExportError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_FORMAT, INVALID_ROWS or INVALID_COLUMNS
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Check the export options of a request
+ * @param {Object} query - format (csv, xlsx), rows (orders, items), columns (comma-separated keys)
+ * @returns {Object} { format, rows, columns }
+ * @throws {ExportError} If an option is unknown
+ */
+function parseExportOptions({ format = 'csv', rows = 'orders', columns } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportError(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  if (!ROW_TYPES.includes(rows)) {
+    throw new ExportError(`Invalid rows. Must be one of: ${ROW_TYPES.join(', ')}`, 'INVALID_ROWS');
+  }
+
+  const keys = columns
+    ? String(columns).split(',').map(key => key.trim()).filter(Boolean)
+    : DEFAULT_COLUMNS[rows];
+  const unknown = keys.filter(key => !EXPORT_COLUMNS[key]);
+  const itemColumns = rows === 'orders' ? keys.filter(key => EXPORT_COLUMNS[key] && EXPORT_COLUMNS[key].item) : [];
+
+  if (keys.length === 0 || unknown.length > 0) {
+    throw new ExportError('Unknown export columns', 'INVALID_COLUMNS', {
+      unknown_columns: unknown,
+      columns: Object.keys(EXPORT_COLUMNS)
+    });
+  }
+  if (itemColumns.length > 0) {
+    throw new ExportError('Item columns need rows=items', 'INVALID_COLUMNS', { item_columns: itemColumns });
+  }
+
+  return { format, rows, columns: [...new Set(keys)] };
+}
+
+/**
+ * Get the line items of an order, with the pack or product id of each
+ * @param {Object} order - Order
+ * @returns {Array} { id, description, quantity, unit_price, amount }
+ */
+function getOrderItems(order) {
+  const hasItems = Array.isArray(order.items) && order.items.length > 0;
+  return getInvoiceLines(order).map((line, index) => ({
+    id: hasItems ? order.items[index].id : order.pack_id,
+    ...line
+  }));
+}
+
+/**
+ * Turn orders into export rows
+ * @param {Array} orders - Orders to export
+ * @param {Object} options - { rows, columns } from parseExportOptions
+ * @yields {Array} Cell values, in column order
+ */
+function* getExportRows(orders, { rows, columns }) {
+  for (const order of orders) {
+    const summary = getInvoiceSummary(order);
+    const items = rows === 'items' ? getOrderItems(order) : [null];
+
+    for (const item of items) {
+      yield columns.map(key => {
+        const value = EXPORT_COLUMNS[key].value({ order, summary, item });
+        return value === undefined || value === '' ? null : value;
+      });
+    }
+  }
+}
+
+/**
+ * Wait until a stream can take more data, or was closed
+ * @param {stream.Writable} output - Stream
+ */
+function waitForDrain(output) {
+  return new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+}
+
+/**
+ * Format a cell for CSV
+ * Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula.
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @returns {string} Escaped field
+ */
+function formatCsvField(value, type) {
+  if (value === null) {
+    return '';
+  }
+
+  let text = type === 'money' ? Number(value).toFixed(2) : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write an export as CSV
+ * Starts with a byte order mark so Excel reads it as UTF-8.
+ * @param {Array} orders - Orders to export
+ * @param {Object} options - { rows, columns } from parseExportOptions
+ * @param {stream.Writable} output - Stream the CSV is written to, e.g. the response
+ * @returns {number} Rows written
+ */
+async function writeCsv(orders, options, output) {
+  const types = options.columns.map(key => EXPORT_COLUMNS[key].type);
+  const header = options.columns.map(key => formatCsvField(EXPORT_COLUMNS[key].header));
+  let count = 0;
+
+  output.write(`\ufeff${header.join(',')}\r\n`);
+
+  for (const row of getExportRows(orders, options)) {
+    if (output.destroyed) {
+      break;
+    }
+    if (!output.write(`${row.map((value, index) => formatCsvField(value, types[index])).join(',')}\r\n`)) {
+      await waitForDrain(output);
+    }
+    count++;
+  }
+
+  output.end();
+  return count;
+}
+
+/**
+ * Write an export as an XLSX workbook with a single sheet
+ * Money and dates are real numbers and dates, formatted for reading.
+ * @param {Array} orders - Orders to export
+ * @param {Object} options - { rows, columns } from parseExportOptions
+ * @param {stream.Writable} output - Stream the workbook is written to, e.g. the response
+ * @returns {number} Rows written
+ */
+async function writeXlsx(orders, options, output) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet(options.rows === 'items' ? 'Order items' : 'Orders', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  const types = options.columns.map(key => EXPORT_COLUMNS[key].type);
+  let count = 0;
+
+  sheet.columns = options.columns.map((key, index) => ({
+    header: EXPORT_COLUMNS[key].header,
+    key,
+    width: types[index] === 'date' ? 20 : Math.max(12, EXPORT_COLUMNS[key].header.length + 2),
+    style: types[index] === 'money'
+      ? { numFmt: '#,##0.00' }
+      : (types[index] === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {})
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for (const row of getExportRows(orders, options)) {
+    if (output.destroyed) {
+      break;
+    }
+    sheet.addRow(row.map((value, index) => (
+      types[index] === 'date' && value !== null ? new Date(value) : value
+    ))).commit();
+    count++;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  return count;
+}
+
+/**
+ * Stream an export in the requested format
+ * @param {Array} orders - Orders to export
+ * @param {Object} options - { format, rows, columns } from parseExportOptions
+ * @param {stream.Writable} output - Stream the export is written to
+ * @returns {number} Rows written
+ */
+async function writeExport(orders, options, output) {
+  return options.format === 'xlsx'
+    ? writeXlsx(orders, options, output)
+    : writeCsv(orders, options, output);
+}
+
+module.exports = {
+  ExportError,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  CONTENT_TYPES,
+  parseExportOptions,
+  getOrderItems,
+  getExportRows,
+  writeExport
+};
@@ -0,0 +1,324 @@
+/**
+ * Order Status
+ * The order status state machine used by PUT /api/orders/:id/status and shipments
+ *
+ * TRANSITIONS lists every move an admin can make between statuses. A
+ * transition can require request fields (required), accept optional ones,
+ * refuse orders that aren't ready (guards), record its fields on the order
+ * (apply) and run side effects once the order is saved (effects). Payment
+ * webhooks still cancel orders whose payment fails on their own.
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const inventoryManager = require('./inventory-manager');
+const { hasBalanceDue } = require('./balances');
+const { notifyCustomer } = require('./notifications');
+const { buildShipment, SHIPMENT_FIELDS } = require('./shipments');
+
+const ORDER_STATUSES = ['pending', 'reserved', 'processing', 'shipped', 'completed', 'cancelled'];
+
+// Payment states an order can ship with; deposits are also checked for a balance
+const SHIPPABLE_PAYMENT_STATUSES = ['completed', 'invoiced', 'partially_refunded'];
+
+// Payment states that leave nothing to fulfil if the order is reopened
+const VOID_PAYMENT_STATUSES = ['failed', 'canceled', 'refunded', 'dispute_lost'];
+
+/**
+ * An order status change isn't allowed
+ * Routes answer with error.toJSON() and error.status.
+ */
+class OrderStatusError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_STATUS, ORDER_NOT_FOUND, INVALID_TRANSITION, MISSING_FIELDS, PAYMENT_INCOMPLETE, BALANCE_DUE or STOCK_RESTOCKED
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.status = {
+      INVALID_STATUS: 400,
+      MISSING_FIELDS: 400,
+      ORDER_NOT_FOUND: 404,
+      INVALID_TRANSITION: 409,
+      PAYMENT_INCOMPLETE: 409,
+      BALANCE_DUE: 409,
+      STOCK_RESTOCKED: 409
+    }[code] || 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+// Guards: return an OrderStatusError to refuse the transition
+
+function paymentReceived(order, to) {
+  if (!SHIPPABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+    return new OrderStatusError(
+      `Order can't be ${to} with payment status ${order.payment_status}`,
+      'PAYMENT_INCOMPLETE',
+      { payment_status: order.payment_status }
+    );
+  }
+  return null;
+}
+
+// Deposit orders can't go out until the balance is paid
+function balancePaid(order, to) {
+  if (hasBalanceDue(order)) {
+    return new OrderStatusError(
+      `Order has a balance of $${order.balance_due.toFixed(2)} to pay before it can be ${to}`,
+      'BALANCE_DUE',
+      { balance_due: order.balance_due, balance_due_date: order.balance_due_date || null }
+    );
+  }
+  return null;
+}
+
+// Units returned to stock by a refund may already be sold to someone else
+function stockCommitted(order, to) {
+  if (order.stock_status === 'restocked') {
+    return new OrderStatusError(
+      `Order's stock was returned, so it can't be ${to}`,
+      'STOCK_RESTOCKED',
+      { stock_status: order.stock_status }
+    );
+  }
+  return null;
+}
+
+function paymentNotVoid(order) {
+  if (VOID_PAYMENT_STATUSES.includes(order.payment_status)) {
+    return new OrderStatusError(
+      `Order can't be reopened with payment status ${order.payment_status}`,
+      'PAYMENT_INCOMPLETE',
+      { payment_status: order.payment_status }
+    );
+  }
+  return null;
+}
+
+// Effects: run after the order is saved; results are returned to the caller
+
+async function restockStock({ order, user }) {
+  const restocked = await inventoryManager.restockOrder(order.id, user);
+  return { stock: restocked ? { restocked } : null };
+}
+
+async function recommitStock({ order, user }) {
+  return { stock: await inventoryManager.recommitOrder(order.id, user) };
+}
+
+function notify(event) {
+  return async ({ order, fields, user }) => ({
+    notification: await notifyCustomer(event, order, fields, user)
+  });
+}
+
+/**
+ * Allowed status transitions
+ * - from / to: statuses the transition moves between
+ * - required / optional: request fields it needs or accepts
+ * - prepare(fields, user): checks and completes the fields before the write, may throw
+ * - guards: checks on the stored order, run inside the write
+ * - apply(order, fields, now): records the fields on the order
+ * - effects: async side effects, run after the order is saved
+ */
+const TRANSITIONS = [
+  { from: ['pending'], to: 'reserved' },
+  { from: ['reserved'], to: 'pending' },
+  { from: ['pending', 'reserved'], to: 'processing' },
+  {
+    from: ['pending', 'reserved', 'processing'],
+    to: 'shipped',
+    required: ['tracking_number'],
+    optional: SHIPMENT_FIELDS,
+    guards: [paymentReceived, balancePaid, stockCommitted],
+    prepare: (fields, user) => ({ ...fields, shipment: buildShipment(fields, user) }),
+    apply: (order, fields) => {
+      order.shipments = [...(order.shipments || []), fields.shipment];
+      order.shipped_at = fields.shipment.shipped_at;
+    },
+    effects: [notify('order_shipped')]
+  },
+  { from: ['shipped'], to: 'completed', guards: [balancePaid] },
+  {
+    from: ['pending', 'reserved', 'processing'],
+    to: 'cancelled',
+    required: ['reason'],
+    apply: (order, fields, now) => {
+      order.cancellation_reason = fields.reason;
+      order.cancelled_at = now;
+    },
+    effects: [restockStock, notify('order_cancelled')]
+  },
+  {
+    from: ['cancelled'],
+    to: 'pending',
+    guards: [paymentNotVoid],
+    apply: (order) => {
+      delete order.cancellation_reason;
+      delete order.cancelled_at;
+    },
+    effects: [recommitStock]
+  }
+];
+
+/**
+ * Find the transition between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object|null} Transition
+ */
+function findTransition(from, to) {
+  return TRANSITIONS.find(transition => transition.to === to && transition.from.includes(from)) || null;
+}
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} from - Current status
+ * @returns {Array} Statuses
+ */
+function getAllowedStatuses(from) {
+  return TRANSITIONS.filter(transition => transition.from.includes(from)).map(transition => transition.to);
+}
+
+/**
+ * Pick a transition's fields from the request, trimming strings
+ * @param {Object} transition - Transition
+ * @param {Object} input - Request fields
+ * @returns {Object} { fields, missing }
+ */
+function pickFields(transition, input) {
+  const fields = {};
+  const missing = [];
+
+  [...(transition.required || []), ...(transition.optional || [])].forEach(field => {
+    const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+    if (value !== undefined && value !== null && value !== '') {
+      fields[field] = value;
+    }
+  });
+
+  (transition.required || []).forEach(field => {
+    if (fields[field] === undefined) {
+      missing.push(field);
+    }
+  });
+
+  return { fields, missing };
+}
+
+/**
+ * Move an order to a new status
+ * @param {string} orderId - Order id
+ * @param {string} status - Requested status
+ * @param {Object} input - Request fields (notes plus the transition's fields)
+ * @param {string} user - Admin changing the status
+ * @returns {Object} { order, from, to, changed_at, effects } - effects merges the effect results
+ * @throws {OrderStatusError} If the transition isn't allowed
+ * @throws {ShipmentError} If the shipment recorded by a shipped transition is invalid
+ */
+async function changeOrderStatus(orderId, status, input = {}, user) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new OrderStatusError(`Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+
+  let failure = null;
+  let from = null;
+  let transition = null;
+  let fields = {};
+  const now = new Date().toISOString();
+
+  const order = await fileManager.update('orders.json', (ordersData) => {
+    const existing = (ordersData.orders || []).find(o => o.id === orderId);
+
+    if (!existing) {
+      failure = new OrderStatusError('Order not found', 'ORDER_NOT_FOUND');
+      return null;
+    }
+
+    from = existing.status;
+    transition = findTransition(from, status);
+
+    if (!transition) {
+      failure = new OrderStatusError(
+        `Order can't move from ${from} to ${status}`,
+        'INVALID_TRANSITION',
+        { status: from, allowed_statuses: getAllowedStatuses(from) }
+      );
+      return null;
+    }
+
+    const picked = pickFields(transition, input);
+    if (picked.missing.length > 0) {
+      failure = new OrderStatusError(
+        `Moving an order to ${status} requires: ${picked.missing.join(', ')}`,
+        'MISSING_FIELDS',
+        { missing_fields: picked.missing }
+      );
+      return null;
+    }
+    fields = transition.prepare ? transition.prepare(picked.fields, user) : picked.fields;
+
+    for (const guard of transition.guards || []) {
+      failure = guard(existing, status);
+      if (failure) {
+        return null;
+      }
+    }
+
+    existing.status = status;
+    if (transition.apply) {
+      transition.apply(existing, fields, now);
+    }
+    existing.updated_at = now;
+    existing.updated_by = user;
+
+    if (!existing.status_history) {
+      existing.status_history = [];
+    }
+    existing.status_history.push({
+      status,
+      changed_at: now,
+      changed_by: user,
+      notes: input.notes || fields.reason || null
+    });
+
+    return existing;
+  });
+
+  if (failure) {
+    throw failure;
+  }
+
+  await ActivityLogger.logOrderActivity(order, 'status_changed', user);
+  winston.info(`Order ${orderId} status updated from ${from} to ${status}`);
+
+  let effects = {};
+  for (const effect of transition.effects || []) {
+    effects = { ...effects, ...await effect({ order, from, fields, user }) };
+  }
+
+  return { order, from, to: status, changed_at: now, effects };
+}
+
+module.exports = {
+  OrderStatusError,
+  ORDER_STATUSES,
+  TRANSITIONS,
+  findTransition,
+  getAllowedStatuses,
+  changeOrderStatus
+};
@@ -0,0 +1,234 @@
+/**
+ * Payment Events
+ * Applies payment provider webhook events to orders and stock
+ *
+ * Handlers throw when something goes wrong, so the webhook journal can
+ * record the failure, and are safe to run again for the same event.
+ */
+
+const winston = require('winston');
+const inventoryManager = require('./inventory-manager');
+const pricing = require('./pricing');
+const { applyRefunds } = require('./refunds');
+const { isBalancePayment, markBalancePaid } = require('./balances');
+const { createOrderForPayment, findOrderForPayment, updateOrderPayment } = require('./payment-orders');
+const { getPaymentProvider } = require('./payments');
+
+/**
+ * Return the stock of an order whose payment fell through
+ * restockOrder only acts once, so replayed events don't restock twice.
+ * @param {string} paymentIntentId - PaymentIntent id
+ */
+async function restockCancelledOrder(paymentIntentId) {
+  const order = await findOrderForPayment(paymentIntentId);
+
+  if (order && order.status === 'cancelled') {
+    await inventoryManager.restockOrder(order.id);
+  }
+}
+
+const HANDLERS = {
+  'payment_intent.succeeded': async (paymentIntent) => {
+    winston.info(`Payment succeeded: ${paymentIntent.id}`);
+
+    if (isBalancePayment(paymentIntent)) {
+      await markBalancePaid(paymentIntent);
+      return;
+    }
+
+    // Create the order if the buyer never got back to the confirm step
+    const { order, created } = await createOrderForPayment(paymentIntent);
+
+    if (order && !created) {
+      await updateOrderPayment(paymentIntent.id, 'payment_completed', (existing) => {
+        if (existing.payment_status !== 'pending' && existing.payment_status !== 'failed') {
+          return null;
+        }
+        existing.payment_status = 'completed';
+        return 'Payment completed';
+      });
+    }
+
+    if (!order) {
+      // Not enough details to build the order yet; keep the hold from
+      // expiring before the confirm call arrives
+      await inventoryManager.convert(paymentIntent.id);
+    }
+  },
+
+  'payment_intent.payment_failed': async (failedPayment) => {
+    winston.info(`Payment failed: ${failedPayment.id}`);
+
+    // A declined balance payment leaves the deposit order as it was; the buyer can retry
+    if (isBalancePayment(failedPayment)) {
+      return;
+    }
+
+    await updateOrderPayment(failedPayment.id, 'payment_failed', (existing) => {
+      if (existing.payment_status === 'failed') {
+        return null;
+      }
+      existing.payment_status = 'failed';
+      existing.status = 'cancelled';
+      return failedPayment.last_payment_error
+        ? `Payment failed: ${failedPayment.last_payment_error.message}`
+        : 'Payment failed';
+    });
+
+    // The order was cancelled, so its stock goes back on sale
+    await restockCancelledOrder(failedPayment.id);
+
+    // Return the held stock
+    await inventoryManager.release({ paymentIntentId: failedPayment.id }, 'payment_failed');
+  },
+
+  'payment_intent.canceled': async (canceledPayment) => {
+    winston.info(`Payment canceled: ${canceledPayment.id}`);
+
+    if (isBalancePayment(canceledPayment)) {
+      return;
+    }
+
+    // Only an order still waiting for its payment can lose it
+    await updateOrderPayment(canceledPayment.id, 'payment_canceled', (existing) => {
+      if (existing.payment_status !== 'pending') {
+        return null;
+      }
+      existing.payment_status = 'canceled';
+      existing.status = 'cancelled';
+      return 'Payment canceled';
+    });
+
+    await restockCancelledOrder(canceledPayment.id);
+
+    await inventoryManager.release({ paymentIntentId: canceledPayment.id }, 'payment_canceled');
+  },
+
+  'charge.refunded': async (refundedCharge) => {
+    winston.info(`Charge refunded: ${refundedCharge.id} (${refundedCharge.amount_refunded} of ${refundedCharge.amount})`);
+
+    // Stripe sends the charge's running refund total, so repeated events are harmless.
+    // The charge doesn't list its refunds, so they are fetched to add the ones made
+    // outside the admin API to the ledger.
+    const chargeRefunds = await getPaymentProvider().listRefunds(refundedCharge.id);
+    const refunds = chargeRefunds.map(refund => ({
+      id: refund.id,
+      payment_intent_id: refundedCharge.payment_intent,
+      amount: pricing.fromCents(refund.amount),
+      reason: (refund.metadata && refund.metadata.reason) || refund.reason || null,
+      status: refund.status,
+      restocked: false,
+      refunded_by: 'provider',
+      created_at: new Date(refund.created * 1000).toISOString()
+    }));
+
+    const order = await updateOrderPayment(refundedCharge.payment_intent, 'refunded', (existing) => {
+      const before = JSON.stringify([existing.refunds, existing.amount_refunded, existing.payment_status]);
+      applyRefunds(existing, refunds, pricing.fromCents(refundedCharge.amount_refunded));
+
+      if (JSON.stringify([existing.refunds, existing.amount_refunded, existing.payment_status]) === before) {
+        return null;
+      }
+      return `Refunded $${existing.amount_refunded.toFixed(2)} of $${pricing.fromCents(refundedCharge.amount).toFixed(2)}`;
+    });
+
+    if (!order) {
+      winston.info(`No order changed for refunded payment ${refundedCharge.payment_intent}`);
+    }
+  },
+
+  'charge.dispute.created': async (openedDispute) => {
+    winston.info(`Dispute opened: ${openedDispute.id} for payment ${openedDispute.payment_intent}`);
+
+    await updateOrderPayment(openedDispute.payment_intent, 'dispute_opened', (existing) => {
+      if (existing.dispute && existing.dispute.id === openedDispute.id) {
+        return null;
+      }
+      existing.dispute = {
+        id: openedDispute.id,
+        reason: openedDispute.reason || null,
+        amount: pricing.fromCents(openedDispute.amount),
+        status: openedDispute.status,
+        previous_payment_status: existing.payment_status,
+        opened_at: new Date().toISOString()
+      };
+      existing.payment_status = 'disputed';
+      return `Payment disputed${openedDispute.reason ? ` (${openedDispute.reason})` : ''}`;
+    });
+  },
+
+  'charge.dispute.closed': async (closedDispute) => {
+    winston.info(`Dispute closed: ${closedDispute.id} as ${closedDispute.status}`);
+
+    await updateOrderPayment(closedDispute.payment_intent, 'dispute_closed', (existing) => {
+      const opened = existing.dispute && existing.dispute.id === closedDispute.id
+        ? existing.dispute
+        : {
+          // The created event never arrived
+          id: closedDispute.id,
+          reason: closedDispute.reason || null,
+          amount: pricing.fromCents(closedDispute.amount),
+          previous_payment_status: existing.payment_status === 'disputed' ? 'completed' : existing.payment_status
+        };
+
+      if (opened.closed_at) {
+        return null;
+      }
+
+      existing.dispute = {
+        ...opened,
+        status: closedDispute.status,
+        closed_at: new Date().toISOString()
+      };
+      // A lost dispute keeps the funds with the buyer; otherwise the payment stands as before
+      existing.payment_status = closedDispute.status === 'lost' ? 'dispute_lost' : opened.previous_payment_status;
+      return `Dispute closed as ${closedDispute.status}`;
+    });
+  }
+};
+
+/**
+ * Check whether an event type has a handler
+ * @param {string} type - Event type
+ * @returns {boolean} True if handlePaymentEvent acts on it
+ */
+function isHandled(type) {
+  return Object.prototype.hasOwnProperty.call(HANDLERS, type);
+}
+
+/**
+ * Get the PaymentIntent an event is about
+ * @param {Object} event - Webhook event
+ * @returns {string|null} PaymentIntent id
+ */
+function getPaymentIntentId(event) {
+  const object = (event.data && event.data.object) || {};
+
+  if (object.object === 'payment_intent' || (event.type || '').startsWith('payment_intent.')) {
+    return object.id || null;
+  }
+
+  return object.payment_intent || null;
+}
+
+/**
+ * Apply a webhook event
+ * @param {Object} event - Verified webhook event
+ * @returns {boolean} False if the event type isn't handled
+ * @throws {Error} If the event couldn't be applied
+ */
+async function handlePaymentEvent(event) {
+  if (!isHandled(event.type)) {
+    winston.info(`Unhandled event type: ${event.type}`);
+    return false;
+  }
+
+  await HANDLERS[event.type](event.data.object);
+  return true;
+}
+
+module.exports = {
+  handlePaymentEvent,
+  getPaymentIntentId,
+  isHandled
+};
@@ -0,0 +1,345 @@
+/**
+ * Payment Orders
+ * Creates exactly one order per succeeded PaymentIntent
+ *
+ * The confirm calls from the checkout pages and the payment_intent.succeeded
+ * webhook can arrive in any order, more than once, or at the same time.
+ * All of them go through createOrderForPayment(): the first creates the
+ * order and the rest get the same record back.
+ *
+ * Later payment events (refunds, disputes, failures) are applied to that
+ * order with updateOrderPayment().
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const inventoryManager = require('./inventory-manager');
+const pricing = require('./pricing');
+const { PricingError } = require('./pricing');
+const { applyDepositTerms } = require('./balances');
+const { redeemDiscounts } = require('./discounts');
+const { applyCustomerDetails } = require('./addresses');
+const { isShippingRequired } = require('./shipping');
+const { numberInvoice } = require('./invoice-numbers');
+
+/**
+ * Check whether an order was paid (in full or in part) by a PaymentIntent
+ * @param {Object} order - Order
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @returns {boolean} True for the checkout or balance payment
+ */
+function isOrderPayment(order, paymentIntentId) {
+  return order.payment_intent_id === paymentIntentId ||
+    Boolean(order.balance_payment && order.balance_payment.payment_intent_id === paymentIntentId);
+}
+
+/**
+ * Get the order created for a PaymentIntent
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.includeBalance - Also match orders whose balance it paid
+ * @returns {Object|null} Order
+ */
+async function findOrderForPayment(paymentIntentId, { includeBalance = false } = {}) {
+  const [order] = await fileManager.findRecords('orders.json', { payment_intent_id: paymentIntentId });
+  if (order || !includeBalance) {
+    return order || null;
+  }
+
+  const ordersData = await fileManager.readJSON('orders.json');
+  return (ordersData.orders || []).find(o => isOrderPayment(o, paymentIntentId)) || null;
+}
+
+/**
+ * Find what a stored quote is missing to fulfil the order as charged
+ * @param {Object|null} quote - Stored quote of a PaymentIntent
+ * @returns {string[]} Problems, empty if the quote is complete (or there is none)
+ */
+async function getCheckoutProblems(quote) {
+  const problems = [];
+
+  // Quotes are priced with shipping when created; one without it wasn't charged for delivery
+  if (quote && !quote.shipping && await isShippingRequired()) {
+    problems.push('Not charged for shipping');
+  }
+
+  // Tax is priced for the ship-to, or the shop's address for pickup; without either it wasn't charged
+  if (quote && !quote.shipping_address && !(quote.shipping && quote.shipping.type === 'pickup')) {
+    problems.push('Not priced for a shipping address');
+  }
+
+  return problems;
+}
+
+/**
+ * Refuse to take a card payment for a checkout that isn't fully priced yet
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @throws {PricingError} CHECKOUT_INCOMPLETE if its quote is missing shipping or a ship-to
+ */
+async function assertCheckoutComplete(paymentIntentId) {
+  const problems = await getCheckoutProblems(await pricing.getQuote(paymentIntentId));
+  if (problems.length > 0) {
+    throw new PricingError('Please complete the checkout details before paying', 'CHECKOUT_INCOMPLETE', {
+      payment_intent_id: paymentIntentId,
+      problems
+    });
+  }
+}
+
+/**
+ * Build the order for a succeeded PaymentIntent
+ * Items, prices, shipping, tax and the buyer's addresses come from the stored quote.
+ * PaymentIntents created before quotes were stored fall back to their
+ * metadata and the client's checkout details.
+ * The buyer has already been charged, so a quote missing shipping or a ship-to,
+ * or items that no longer match the catalog, still become an order, flagged
+ * with review_reasons for an admin to sort out.
+ * @param {Object} paymentIntent - Succeeded PaymentIntent ({ id, amount, metadata })
+ * @param {Object} checkout - Client details ({ pack_id, cart_items, customer_email, customer_name })
+ * @returns {Object|null} Unsaved order, or null if there isn't enough information yet
+ * @throws {PricingError} If a PaymentIntent without a quote names items that aren't in the catalog
+ */
+async function buildOrder(paymentIntent, checkout) {
+  const metadata = paymentIntent.metadata || {};
+  const quote = await pricing.getQuote(paymentIntent.id);
+  const reviewReasons = await getCheckoutProblems(quote);
+
+  if (reviewReasons.length > 0) {
+    winston.warn(`Payment ${paymentIntent.id} was paid with an incomplete checkout (${reviewReasons.join(', ')}) - order flagged for review`);
+  }
+
+  const isCart = quote ? quote.purchase_type === 'cart' : (metadata.purchase_type === 'cart' || Array.isArray(checkout.cart_items));
+  const now = new Date().toISOString();
+
+  const order = {
+    id: `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    customer_email: (quote && quote.customer_email) || metadata.customer_email || checkout.customer_email,
+    customer_name: (quote && quote.customer_name) || checkout.customer_name || metadata.customer_name || null,
+    amount: paymentIntent.amount / 100, // Convert from cents
+    payment_intent_id: paymentIntent.id,
+    payment_type: quote ? quote.payment_type : (metadata.payment_type || 'full'),
+    payment_status: 'completed',
+    status: 'pending',
+    created_at: now,
+    updated_at: now,
+    status_history: [{
+      status: 'pending',
+      changed_at: now,
+      changed_by: 'system',
+      notes: isCart ? 'Cart order created after successful payment' : 'Order created after successful payment'
+    }]
+  };
+
+  // Contact details and addresses saved from the checkout form
+  applyCustomerDetails(order, quote);
+
+  // Discount codes were checked when the PaymentIntent was priced; a deposit's subtotal is the whole pack price
+  if (quote && quote.discounts && quote.discounts.length > 0) {
+    order.subtotal = quote.payment_type === 'deposit'
+      ? pricing.fromCents(pricing.getMerchandiseCents(quote) + pricing.toCents(quote.discount_total))
+      : quote.subtotal;
+    order.discounts = quote.discounts;
+  }
+
+  // Shipping and tax priced at checkout; deposit orders pay them with the balance
+  if (quote && (quote.shipping || quote.tax)) {
+    if (order.subtotal === undefined) {
+      order.subtotal = quote.payment_type === 'deposit'
+        ? pricing.fromCents(pricing.getMerchandiseCents(quote))
+        : quote.subtotal;
+    }
+    if (quote.shipping) {
+      order.shipping = quote.shipping;
+    }
+    if (quote.tax) {
+      order.tax = quote.tax;
+      order.tax_amount = quote.tax.amount;
+    }
+  }
+
+  let stockItems;
+
+  if (isCart) {
+    let lines = quote ? quote.lines : null;
+
+    if (!lines) {
+      if (!Array.isArray(checkout.cart_items) || checkout.cart_items.length === 0) {
+        return null;
+      }
+      const freshQuote = await pricing.quoteCart(checkout.cart_items);
+      if (freshQuote.amount_cents !== paymentIntent.amount) {
+        reviewReasons.push(`Paid ${pricing.fromCents(paymentIntent.amount)} for a cart now priced at ${freshQuote.total}`);
+      }
+      lines = freshQuote.lines;
+    }
+
+    // Catalog prices with the client's display fields
+    const cartItems = checkout.cart_items || [];
+    order.items = lines.map(line => {
+      const cartItem = cartItems.find(item => String(item.id) === line.id) || {};
+      return {
+        id: line.id,
+        name: line.name,
+        price: line.unit_price,
+        quantity: line.quantity,
+        image: cartItem.image,
+        slug: cartItem.slug
+      };
+    });
+    stockItems = order.items.map(item => ({ pack_id: item.id, quantity: item.quantity }));
+  } else {
+    const packId = quote ? quote.lines[0].id : (metadata.pack_id || (checkout.pack_id && String(checkout.pack_id)));
+    if (!packId) {
+      return null;
+    }
+
+    let pack = await fileManager.findRecord('packs.json', packId);
+    if (!pack) {
+      if (!quote) {
+        throw new PricingError(`Pack ${packId} not found`, 'INVALID_ITEM', { item_id: packId });
+      }
+      // Deleted since it was paid for; the quote still says what was bought
+      reviewReasons.push(`Pack ${packId} no longer exists`);
+      pack = { id: packId, name: quote.lines[0].name, price: quote.lines[0].unit_price };
+    }
+
+    order.pack_id = pack.id;
+    order.pack_name = pack.name;
+
+    // The rest of the pack price is collected later with a balance payment
+    if (order.payment_type === 'deposit') {
+      applyDepositTerms(order, quote && quote.full_price !== undefined ? quote.full_price : pack.price);
+    }
+
+    stockItems = [{ pack_id: pack.id, quantity: 1 }];
+  }
+
+  // Turn the checkout hold into a sale
+  const { reservation, shortages } = await inventoryManager.convert(paymentIntent.id, {
+    orderId: order.id,
+    items: stockItems
+  });
+
+  if (reservation) {
+    order.reservation_id = reservation.id;
+  }
+
+  // Only stock that was actually taken is returned if the order is cancelled
+  order.stock_status = shortages.length > 0 ? 'unavailable' : 'committed';
+  if (shortages.length > 0) {
+    reviewReasons.push('Stock was no longer available when payment completed');
+  }
+
+  // The buyer already has the discount; a code used up by another checkout meanwhile is flagged
+  const refused = await redeemDiscounts(order);
+  refused.forEach(discount => {
+    reviewReasons.push(`Discount code ${discount.code} was used up before payment completed`);
+  });
+
+  if (reviewReasons.length > 0) {
+    order.review_reasons = reviewReasons;
+    order.notes = `${reviewReasons.join('; ')} - review before fulfilling`;
+  }
+
+  return order;
+}
+
+/**
+ * Create the order for a succeeded PaymentIntent, once
+ * Calls for the same PaymentIntent run one after another, so concurrent
+ * confirm and webhook requests can't both create an order.
+ * @param {Object} paymentIntent - Succeeded PaymentIntent ({ id, amount, metadata })
+ * @param {Object} checkout - Client details, empty for webhooks
+ * @returns {Object} { order, created } - order is null if it can't be built yet
+ * @throws {PricingError} If a PaymentIntent without a quote names items that aren't in the catalog
+ */
+async function createOrderForPayment(paymentIntent, checkout = {}) {
+  return fileManager.withLock(`payment:${paymentIntent.id}`, async () => {
+    const existing = await findOrderForPayment(paymentIntent.id);
+    if (existing) {
+      return { order: existing, created: false };
+    }
+
+    const order = await buildOrder(paymentIntent, checkout);
+    if (!order) {
+      return { order: null, created: false };
+    }
+
+    await fileManager.update('orders.json', (ordersData) => {
+      if (!ordersData.orders) {
+        ordersData.orders = [];
+      }
+      ordersData.orders.push(order);
+      numberInvoice(ordersData, order);
+    });
+
+    await ActivityLogger.logOrderActivity(order, 'created', 'system');
+    winston.info(`Order created: ${order.id} for payment ${paymentIntent.id}`);
+
+    return { order, created: true };
+  });
+}
+
+/**
+ * Apply a payment event to the order of a PaymentIntent
+ * Works for single-pack and cart orders alike, and for the balance
+ * payment of a deposit order. The change is recorded in
+ * the order's status_history and activity log; events that change nothing
+ * (e.g. redelivered webhooks) leave the order untouched.
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @param {string} action - Activity action (see ActivityLogger.logOrderActivity)
+ * @param {Function} apply - (order) => history note, or null if the event changes nothing
+ * @returns {Object|null} Updated order, or null if there is no order or nothing changed
+ */
+async function updateOrderPayment(paymentIntentId, action, apply) {
+  if (!paymentIntentId) {
+    return null;
+  }
+
+  return fileManager.withLock(`payment:${paymentIntentId}`, async () => {
+    const order = await fileManager.update('orders.json', (ordersData) => {
+      const existing = (ordersData.orders || []).find(o => isOrderPayment(o, paymentIntentId));
+      if (!existing) {
+        return null;
+      }
+
+      const notes = apply(existing);
+      if (!notes) {
+        return null;
+      }
+
+      // An order whose payment is collected late becomes a sale now
+      numberInvoice(ordersData, existing);
+
+      const now = new Date().toISOString();
+      existing.updated_at = now;
+      if (!existing.status_history) {
+        existing.status_history = [];
+      }
+      existing.status_history.push({
+        status: existing.status,
+        payment_status: existing.payment_status,
+        changed_at: now,
+        changed_by: 'system',
+        notes
+      });
+
+      return existing;
+    });
+
+    if (order) {
+      await ActivityLogger.logOrderActivity(order, action, 'system');
+      winston.info(`Order ${order.id} payment ${action}: ${order.payment_status}`);
+    }
+
+    return order;
+  });
+}
+
+module.exports = {
+  assertCheckoutComplete,
+  createOrderForPayment,
+  findOrderForPayment,
+  updateOrderPayment
+};
@@ -0,0 +1,538 @@
+/**
+ * Fake Payment Provider
+ * Simulates Stripe offline so the checkout flow runs without network access or keys
+ *
+ * PaymentIntents are kept in fake-payments.json and take the same shape as
+ * Stripe's. The outcome of a confirmation is picked by the test payment method:
+ * - pm_card_visa (default): succeeds
+ * - pm_card_chargeDeclined: declined
+ * - pm_card_threeDSecure2Required: needs 3D Secure; finish it with completeAuthentication()
+ *
+ * Status changes are sent to the webhook endpoint as signed events, the way
+ * Stripe would send them.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const fileManager = require('../file-manager');
+
+const PAYMENTS_FILE = 'fake-payments.json';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const TEST_PAYMENT_METHODS = {
+  pm_card_visa: 'success',
+  pm_card_chargeDeclined: 'decline',
+  pm_card_threeDSecure2Required: '3ds'
+};
+
+/**
+ * Error shaped like the Stripe SDK's, so callers handle both providers the same way
+ * @param {string} message - Error message
+ * @param {Object} details - { type, code, statusCode, decline_code, payment_intent }
+ * @returns {Error} Error
+ */
+function providerError(message, details) {
+  return Object.assign(new Error(message), details);
+}
+
+/**
+ * Random id with a Stripe-style prefix
+ * @param {string} prefix - Id prefix (pi, ch, re, evt)
+ * @returns {string} Id
+ */
+function fakeId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+class FakeProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.webhookSecret - Secret used to sign webhook events
+   * @param {string} options.webhookUrl - Where events are delivered
+   * @param {boolean} options.sendWebhooks - false to only build events without delivering them
+   */
+  constructor({ webhookSecret, webhookUrl, sendWebhooks = true }) {
+    this.name = 'fake';
+    this.signatureHeader = 'stripe-signature';
+    this.webhookSecret = webhookSecret;
+    this.webhookUrl = webhookUrl;
+    this.sendWebhooks = sendWebhooks;
+  }
+
+  /**
+   * Strip bookkeeping fields from a stored PaymentIntent
+   * @param {Object} record - Stored PaymentIntent
+   * @returns {Object} PaymentIntent
+   */
+  toPaymentIntent(record) {
+    const { refunds, ...paymentIntent } = record;
+    return paymentIntent;
+  }
+
+  /**
+   * Build the charge of a succeeded PaymentIntent
+   * Like Stripe's current API versions, the charge carries its refund total
+   * but not its refunds; those come from listRefunds().
+   * @param {Object} record - Stored PaymentIntent
+   * @returns {Object} Charge
+   */
+  toCharge(record) {
+    const amountRefunded = record.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+    return {
+      id: record.latest_charge,
+      object: 'charge',
+      amount: record.amount,
+      amount_refunded: amountRefunded,
+      currency: record.currency,
+      metadata: record.metadata,
+      paid: true,
+      payment_intent: record.id,
+      refunded: amountRefunded >= record.amount,
+      status: 'succeeded'
+    };
+  }
+
+  /**
+   * Change a stored PaymentIntent while holding the file lock
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @param {Function} mutator - (record) => result
+   * @returns {*} Mutator result
+   * @throws {Error} If the PaymentIntent doesn't exist
+   */
+  async updatePaymentIntent(paymentIntentId, mutator) {
+    return fileManager.update(PAYMENTS_FILE, (paymentsData) => {
+      const record = (paymentsData.payment_intents || []).find(pi => pi.id === paymentIntentId);
+
+      if (!record) {
+        throw providerError(`No such payment_intent: '${paymentIntentId}'`, {
+          type: 'invalid_request_error',
+          code: 'resource_missing',
+          statusCode: 404
+        });
+      }
+
+      return mutator(record);
+    });
+  }
+
+  /**
+   * Create a PaymentIntent
+   * @param {Object} params - { amount (cents), currency, metadata }
+   * @returns {Object} PaymentIntent
+   */
+  async createPaymentIntent({ amount, currency, metadata }) {
+    const id = fakeId('pi');
+    const record = {
+      id,
+      object: 'payment_intent',
+      amount,
+      amount_received: 0,
+      client_secret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      created: Math.floor(Date.now() / 1000),
+      currency,
+      last_payment_error: null,
+      latest_charge: null,
+      livemode: false,
+      metadata: metadata || {},
+      next_action: null,
+      payment_method: null,
+      status: 'requires_payment_method',
+      refunds: []
+    };
+
+    await fileManager.update(PAYMENTS_FILE, (paymentsData) => {
+      if (!paymentsData.payment_intents) {
+        paymentsData.payment_intents = [];
+      }
+      paymentsData.payment_intents.push(record);
+    });
+
+    return this.toPaymentIntent(record);
+  }
+
+  /**
+   * Get a PaymentIntent
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @returns {Object} PaymentIntent
+   */
+  async retrievePaymentIntent(paymentIntentId) {
+    return this.updatePaymentIntent(paymentIntentId, record => this.toPaymentIntent(record));
+  }
+
+  /**
+   * Confirm a PaymentIntent with a test payment method
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @param {Object} params - { payment_method }, defaults to pm_card_visa
+   * @returns {Object} PaymentIntent, succeeded or requiring 3D Secure
+   * @throws {Error} card_error with the PaymentIntent attached if the card is declined
+   */
+  async confirmPaymentIntent(paymentIntentId, params = {}) {
+    const paymentMethod = params.payment_method || 'pm_card_visa';
+    const outcome = TEST_PAYMENT_METHODS[paymentMethod];
+
+    if (!outcome) {
+      throw providerError(`Unknown test payment method: ${paymentMethod}`, {
+        type: 'invalid_request_error',
+        code: 'resource_missing',
+        statusCode: 400
+      });
+    }
+
+    const { paymentIntent, event } = await this.updatePaymentIntent(paymentIntentId, (record) => {
+      if (record.status !== 'requires_payment_method' && record.status !== 'requires_confirmation') {
+        throw providerError(`This PaymentIntent's status is ${record.status} and it can't be confirmed`, {
+          type: 'invalid_request_error',
+          code: 'payment_intent_unexpected_state',
+          statusCode: 400,
+          payment_intent: this.toPaymentIntent(record)
+        });
+      }
+
+      record.payment_method = paymentMethod;
+      record.last_payment_error = null;
+
+      if (outcome === '3ds') {
+        record.status = 'requires_action';
+        record.next_action = { type: 'use_stripe_sdk' };
+        return { paymentIntent: this.toPaymentIntent(record), event: 'payment_intent.requires_action' };
+      }
+
+      if (outcome === 'decline') {
+        this.declineRecord(record);
+        return { paymentIntent: this.toPaymentIntent(record), event: 'payment_intent.payment_failed' };
+      }
+
+      this.succeedRecord(record);
+      return { paymentIntent: this.toPaymentIntent(record), event: 'payment_intent.succeeded' };
+    });
+
+    this.sendEvent(event, paymentIntent);
+
+    if (paymentIntent.status === 'requires_payment_method') {
+      throw providerError(paymentIntent.last_payment_error.message, {
+        type: 'card_error',
+        code: 'card_declined',
+        decline_code: 'generic_decline',
+        statusCode: 402,
+        payment_intent: paymentIntent
+      });
+    }
+
+    return paymentIntent;
+  }
+
+  /**
+   * Finish the 3D Secure step of a PaymentIntent
+   * Stands in for the buyer passing or failing the bank's challenge.
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @param {boolean} approve - true if the buyer passed the challenge
+   * @returns {Object} PaymentIntent
+   * @throws {Error} card_error with the PaymentIntent attached if authentication fails
+   */
+  async completeAuthentication(paymentIntentId, approve = true) {
+    const paymentIntent = await this.updatePaymentIntent(paymentIntentId, (record) => {
+      if (record.status !== 'requires_action') {
+        throw providerError(`This PaymentIntent's status is ${record.status} and doesn't need authentication`, {
+          type: 'invalid_request_error',
+          code: 'payment_intent_unexpected_state',
+          statusCode: 400,
+          payment_intent: this.toPaymentIntent(record)
+        });
+      }
+
+      record.next_action = null;
+
+      if (approve) {
+        this.succeedRecord(record);
+      } else {
+        this.declineRecord(record, 'payment_intent_authentication_failure',
+          'We are unable to authenticate your payment method. Please choose a different payment method and try again.');
+      }
+
+      return this.toPaymentIntent(record);
+    });
+
+    if (paymentIntent.status === 'requires_payment_method') {
+      this.sendEvent('payment_intent.payment_failed', paymentIntent);
+      throw providerError(paymentIntent.last_payment_error.message, {
+        type: 'card_error',
+        code: paymentIntent.last_payment_error.code,
+        statusCode: 402,
+        payment_intent: paymentIntent
+      });
+    }
+
+    this.sendEvent('payment_intent.succeeded', paymentIntent);
+    return paymentIntent;
+  }
+
+  /**
+   * Mark a stored PaymentIntent as paid
+   * @param {Object} record - Stored PaymentIntent
+   */
+  succeedRecord(record) {
+    record.status = 'succeeded';
+    record.amount_received = record.amount;
+    record.latest_charge = fakeId('ch');
+  }
+
+  /**
+   * Mark a stored PaymentIntent as declined
+   * @param {Object} record - Stored PaymentIntent
+   * @param {string} code - Error code
+   * @param {string} message - Message shown to the buyer
+   */
+  declineRecord(record, code = 'card_declined', message = 'Your card was declined.') {
+    record.status = 'requires_payment_method';
+    record.next_action = null;
+    record.last_payment_error = {
+      type: 'card_error',
+      code,
+      decline_code: code === 'card_declined' ? 'generic_decline' : undefined,
+      message,
+      payment_method: { id: record.payment_method }
+    };
+  }
+
+  /**
+   * Change the amount of a PaymentIntent that hasn't been paid yet
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @param {number} amount - New amount in cents
+   * @returns {Object} PaymentIntent
+   */
+  async updatePaymentIntentAmount(paymentIntentId, amount) {
+    return this.updatePaymentIntent(paymentIntentId, (record) => {
+      if (!['requires_payment_method', 'requires_confirmation'].includes(record.status)) {
+        throw providerError(`This PaymentIntent's amount could not be updated because it has a status of ${record.status}`, {
+          type: 'invalid_request_error',
+          code: 'payment_intent_unexpected_state',
+          statusCode: 400,
+          payment_intent: this.toPaymentIntent(record)
+        });
+      }
+
+      record.amount = amount;
+      return this.toPaymentIntent(record);
+    });
+  }
+
+  /**
+   * Cancel a PaymentIntent
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @returns {Object} PaymentIntent
+   */
+  async cancelPaymentIntent(paymentIntentId) {
+    const paymentIntent = await this.updatePaymentIntent(paymentIntentId, (record) => {
+      if (record.status === 'succeeded' || record.status === 'canceled') {
+        throw providerError(`This PaymentIntent's status is ${record.status} and it can't be canceled`, {
+          type: 'invalid_request_error',
+          code: 'payment_intent_unexpected_state',
+          statusCode: 400,
+          payment_intent: this.toPaymentIntent(record)
+        });
+      }
+
+      record.status = 'canceled';
+      record.next_action = null;
+      record.canceled_at = Math.floor(Date.now() / 1000);
+      return this.toPaymentIntent(record);
+    });
+
+    this.sendEvent('payment_intent.canceled', paymentIntent);
+    return paymentIntent;
+  }
+
+  /**
+   * Refund a payment, in full or in part
+   * @param {Object} params - { paymentIntentId, amount (cents, omit for the remaining balance), reason, metadata }
+   * @returns {Object} Refund
+   */
+  async createRefund({ paymentIntentId, amount, reason, metadata }) {
+    const { refund, charge } = await this.updatePaymentIntent(paymentIntentId, (record) => {
+      if (record.status !== 'succeeded') {
+        throw providerError(`This PaymentIntent's status is ${record.status} and it has no charge to refund`, {
+          type: 'invalid_request_error',
+          code: 'payment_intent_unexpected_state',
+          statusCode: 400
+        });
+      }
+
+      const remaining = record.amount - record.refunds.reduce((sum, r) => sum + r.amount, 0);
+      const refundAmount = amount === undefined ? remaining : amount;
+
+      if (remaining <= 0) {
+        throw providerError(`Charge ${record.latest_charge} has already been refunded.`, {
+          type: 'invalid_request_error',
+          code: 'charge_already_refunded',
+          statusCode: 400
+        });
+      }
+
+      if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > remaining) {
+        throw providerError(`Refund amount must be between 1 and ${remaining}`, {
+          type: 'invalid_request_error',
+          code: 'amount_too_large',
+          statusCode: 400
+        });
+      }
+
+      const newRefund = {
+        id: fakeId('re'),
+        object: 'refund',
+        amount: refundAmount,
+        charge: record.latest_charge,
+        created: Math.floor(Date.now() / 1000),
+        currency: record.currency,
+        metadata: metadata || {},
+        payment_intent: record.id,
+        reason: reason || null,
+        status: 'succeeded'
+      };
+      record.refunds.push(newRefund);
+
+      return { refund: newRefund, charge: this.toCharge(record) };
+    });
+
+    this.sendEvent('charge.refunded', charge);
+    return refund;
+  }
+
+  /**
+   * List the refunds of a charge, newest first
+   * @param {string} chargeId - Charge id
+   * @returns {Array} Refunds
+   */
+  async listRefunds(chargeId) {
+    const paymentsData = await fileManager.readJSON(PAYMENTS_FILE);
+    const record = (paymentsData.payment_intents || []).find(pi => pi.latest_charge === chargeId);
+
+    if (!record) {
+      throw providerError(`No such charge: '${chargeId}'`, {
+        type: 'invalid_request_error',
+        code: 'resource_missing',
+        statusCode: 404
+      });
+    }
+
+    return [...record.refunds].reverse();
+  }
+
+  /**
+   * Sign a webhook payload the way Stripe does
+   * @param {string} payload - Raw JSON body
+   * @param {number} timestamp - Unix timestamp, defaults to now
+   * @returns {string} Signature header value
+   */
+  signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Verify a webhook request and parse its event
+   * @param {Buffer|string} payload - Raw request body
+   * @param {string} signature - Value of the signature header
+   * @returns {Object} Event
+   * @throws {Error} If the signature is missing, doesn't match or is too old
+   */
+  constructWebhookEvent(payload, signature) {
+    const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : payload;
+    const parts = {};
+
+    String(signature || '').split(',').forEach(part => {
+      const [key, value] = part.split('=');
+      if (key && value) {
+        parts[key.trim()] = value.trim();
+      }
+    });
+
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new Error('Unable to extract timestamp and signatures from header');
+    }
+
+    const expected = Buffer.from(this.signPayload(body, timestamp).split('v1=')[1]);
+    const received = Buffer.from(parts.v1);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('No signatures found matching the expected signature for payload');
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Timestamp outside the tolerance zone');
+    }
+
+    return JSON.parse(body);
+  }
+
+  /**
+   * Build a webhook event and deliver it to the webhook endpoint
+   * Delivery happens after the current request, like Stripe's, and failures are only logged.
+   * @param {string} type - Event type
+   * @param {Object} object - Event data object
+   * @returns {Object} Event
+   */
+  sendEvent(type, object) {
+    const event = {
+      id: fakeId('evt'),
+      object: 'event',
+      created: Math.floor(Date.now() / 1000),
+      livemode: false,
+      type,
+      data: { object }
+    };
+
+    if (this.sendWebhooks && this.webhookUrl) {
+      setImmediate(() => {
+        this.deliverEvent(event).catch(error => {
+          winston.error(`Fake webhook delivery failed for ${event.type} (${event.id}):`, error.message);
+        });
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * POST a signed event to the webhook endpoint
+   * @param {Object} event - Event
+   * @returns {Object} Fetch response
+   */
+  async deliverEvent(event) {
+    const payload = JSON.stringify(event);
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [this.signatureHeader]: this.signPayload(payload)
+      },
+      body: payload
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook endpoint responded with ${response.status}`);
+    }
+
+    winston.info(`Fake webhook delivered: ${event.type} (${event.id})`);
+    return response;
+  }
+
+  /**
+   * Settings the checkout pages need
+   * @returns {Object} Public configuration
+   */
+  getPublicConfig() {
+    return {
+      provider: this.name,
+      publishable_key: null,
+      test_payment_methods: Object.keys(TEST_PAYMENT_METHODS)
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,54 @@
+/**
+ * Payment Providers
+ * Creates the payment provider configured in config/environment.js
+ *
+ * Every provider implements the same methods, returning Stripe-shaped objects:
+ * - createPaymentIntent({ amount, currency, metadata })
+ * - retrievePaymentIntent(id) / confirmPaymentIntent(id, params) / cancelPaymentIntent(id)
+ * - updatePaymentIntentAmount(id, amount)
+ * - createRefund({ paymentIntentId, amount, reason, metadata }) / listRefunds(chargeId)
+ * - constructWebhookEvent(rawBody, signature)
+ * - getPublicConfig()
+ */
+
+const config = require('../../config/environment');
+const StripeProvider = require('./stripe-provider');
+const FakeProvider = require('./fake-provider');
+
+let provider = null;
+
+/**
+ * Create a payment provider
+ * @param {Object} paymentConfig - Payment configuration ({ provider, stripe, fake })
+ * @returns {Object} Payment provider
+ */
+function createPaymentProvider(paymentConfig = {}) {
+  const name = paymentConfig.provider || 'stripe';
+
+  switch (name) {
+    case 'stripe':
+      return new StripeProvider(paymentConfig.stripe || {});
+    case 'fake':
+      return new FakeProvider(paymentConfig.fake || {});
+    default:
+      throw new Error(`Unknown payment provider: ${name}`);
+  }
+}
+
+/**
+ * Get the configured payment provider, shared by all routes
+ * @returns {Object} Payment provider
+ */
+function getPaymentProvider() {
+  if (!provider) {
+    provider = createPaymentProvider(config.payments);
+  }
+  return provider;
+}
+
+module.exports = {
+  createPaymentProvider,
+  getPaymentProvider,
+  StripeProvider,
+  FakeProvider
+};
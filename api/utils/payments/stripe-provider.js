@@ -0,0 +1,125 @@
+/**
+ * Stripe Payment Provider
+ * Charges cards through the Stripe API
+ */
+
+class StripeProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.secretKey - Stripe secret key
+   * @param {string} options.publishableKey - Stripe publishable key, sent to the checkout pages
+   * @param {string} options.webhookSecret - Signing secret of the webhook endpoint
+   */
+  constructor({ secretKey, publishableKey, webhookSecret }) {
+    this.name = 'stripe';
+    this.signatureHeader = 'stripe-signature';
+    this.publishableKey = publishableKey;
+    this.webhookSecret = webhookSecret;
+
+    // Loaded here so the fake provider runs without the Stripe SDK or keys
+    this.stripe = require('stripe')(secretKey);
+  }
+
+  /**
+   * Create a PaymentIntent
+   * @param {Object} params - { amount (cents), currency, metadata }
+   * @returns {Object} PaymentIntent
+   */
+  async createPaymentIntent({ amount, currency, metadata }) {
+    return this.stripe.paymentIntents.create({
+      amount,
+      currency,
+      metadata,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+    });
+  }
+
+  /**
+   * Get a PaymentIntent
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @returns {Object} PaymentIntent
+   */
+  async retrievePaymentIntent(paymentIntentId) {
+    return this.stripe.paymentIntents.retrieve(paymentIntentId);
+  }
+
+  /**
+   * Confirm a PaymentIntent with a payment method
+   * Checkout pages normally confirm through Stripe.js; this is for server-side flows.
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @param {Object} params - { payment_method, return_url }
+   * @returns {Object} PaymentIntent
+   */
+  async confirmPaymentIntent(paymentIntentId, params = {}) {
+    return this.stripe.paymentIntents.confirm(paymentIntentId, params);
+  }
+
+  /**
+   * Change the amount of a PaymentIntent that hasn't been paid yet
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @param {number} amount - New amount in cents
+   * @returns {Object} PaymentIntent
+   */
+  async updatePaymentIntentAmount(paymentIntentId, amount) {
+    return this.stripe.paymentIntents.update(paymentIntentId, { amount });
+  }
+
+  /**
+   * Cancel a PaymentIntent
+   * @param {string} paymentIntentId - PaymentIntent id
+   * @returns {Object} PaymentIntent
+   */
+  async cancelPaymentIntent(paymentIntentId) {
+    return this.stripe.paymentIntents.cancel(paymentIntentId);
+  }
+
+  /**
+   * Refund a payment, in full or in part
+   * @param {Object} params - { paymentIntentId, amount (cents, omit for the remaining balance), reason, metadata }
+   * @returns {Object} Refund
+   */
+  async createRefund({ paymentIntentId, amount, reason, metadata }) {
+    return this.stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount,
+      reason,
+      metadata
+    });
+  }
+
+  /**
+   * List the refunds of a charge, newest first
+   * Charges only carry their refund total, so refunds are fetched separately.
+   * @param {string} chargeId - Charge id
+   * @returns {Array} Refunds
+   */
+  async listRefunds(chargeId) {
+    return this.stripe.refunds.list({ charge: chargeId, limit: 100 }).autoPagingToArray({ limit: 10000 });
+  }
+
+  /**
+   * Verify a webhook request and parse its event
+   * @param {Buffer|string} payload - Raw request body
+   * @param {string} signature - Value of the signature header
+   * @returns {Object} Event
+   * @throws {Error} If the signature doesn't match
+   */
+  constructWebhookEvent(payload, signature) {
+    return this.stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
+  }
+
+  /**
+   * Settings the checkout pages need
+   * @returns {Object} Public configuration
+   */
+  getPublicConfig() {
+    return {
+      provider: this.name,
+      publishable_key: this.publishableKey
+    };
+  }
+}
+
+module.exports = StripeProvider;
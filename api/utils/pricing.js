@@ -0,0 +1,313 @@
+/**
+ * Pricing
+ * Computes checkout totals from packs.json and products.json, so the
+ * amount charged never depends on prices sent by the browser
+ *
+ * All arithmetic is done in cents to avoid floating point drift.
+ */
+
+const fileManager = require('./file-manager');
+
+/**
+ * Checkout items or totals don't match the catalog
+ * Routes answer with error.toJSON() and error.status.
+ */
+class PricingError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_ITEM, PRICE_MISMATCH or CHECKOUT_INCOMPLETE
+   * @param {Object} details - Extra response fields (e.g. the server quote)
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = code === 'PRICE_MISMATCH' || code === 'CHECKOUT_INCOMPLETE' ? 409 : 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Convert a dollar amount to cents
+ * @param {number|string} amount - Dollar amount
+ * @returns {number} Cents
+ */
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Convert cents to a dollar amount
+ * @param {number} cents - Cents
+ * @returns {number} Dollar amount
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Parse a requested quantity
+ * @param {*} quantity - Requested quantity
+ * @param {string} itemId - Item id for the error message
+ * @returns {number} Positive integer quantity
+ * @throws {PricingError} If the quantity isn't a positive integer
+ */
+function parseQuantity(quantity, itemId) {
+  const parsed = Number(quantity === undefined ? 1 : quantity);
+
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new PricingError(`Invalid quantity for item ${itemId}`, 'INVALID_ITEM', { item_id: itemId });
+  }
+
+  return parsed;
+}
+
+/**
+ * Build a quote from priced lines
+ * @param {Array} lines - Quote lines with unit_price_cents and quantity
+ * @param {Array} discounts - Applied discounts ({ code, description, amount })
+ * @returns {Object} Quote with dollar amounts ({ lines, subtotal, discounts, discount_total, total, amount_cents })
+ */
+function buildQuote(lines, discounts = []) {
+  const subtotalCents = lines.reduce((sum, line) => sum + line.unit_price_cents * line.quantity, 0);
+  const discountCents = discounts.reduce((sum, discount) => sum + toCents(discount.amount), 0);
+  const totalCents = Math.max(subtotalCents - discountCents, 0);
+
+  return {
+    lines: lines.map(({ unit_price_cents, ...line }) => ({
+      ...line,
+      unit_price: fromCents(unit_price_cents),
+      line_total: fromCents(unit_price_cents * line.quantity)
+    })),
+    subtotal: fromCents(subtotalCents),
+    discounts,
+    discount_total: fromCents(discountCents),
+    total: fromCents(totalCents),
+    amount_cents: totalCents
+  };
+}
+
+/**
+ * Price a single pack purchase
+ * @param {string|number} packId - Pack id
+ * @param {string} paymentType - 'full' or 'deposit'
+ * @returns {Object} Quote, with full_price and balance_due for deposits
+ * @throws {PricingError} If the pack doesn't exist or can't be bought this way
+ */
+async function quotePack(packId, paymentType = 'full') {
+  if (paymentType !== 'full' && paymentType !== 'deposit') {
+    throw new PricingError('Payment type must be full or deposit', 'INVALID_ITEM');
+  }
+
+  const packsData = await fileManager.readJSON('packs.json');
+  const pack = (packsData.packs || []).find(p => String(p.id) === String(packId));
+
+  if (!pack) {
+    throw new PricingError(`Pack ${packId} not found`, 'INVALID_ITEM', { item_id: String(packId) });
+  }
+
+  const unitPriceCents = toCents(paymentType === 'deposit' ? pack.deposit_price : pack.price);
+
+  if (!(unitPriceCents > 0)) {
+    throw new PricingError(
+      paymentType === 'deposit' ? `Pack ${pack.id} can't be reserved with a deposit` : `Pack ${pack.id} has no price`,
+      'INVALID_ITEM',
+      { item_id: pack.id }
+    );
+  }
+
+  const quote = {
+    payment_type: paymentType,
+    ...buildQuote([{
+      id: pack.id,
+      type: 'pack',
+      name: pack.name,
+      quantity: 1,
+      unit_price_cents: unitPriceCents
+    }])
+  };
+
+  // A deposit leaves the rest of the pack price to pay later
+  if (paymentType === 'deposit') {
+    const fullPriceCents = Math.max(toCents(pack.price) || 0, quote.amount_cents);
+    quote.full_price = fromCents(fullPriceCents);
+    quote.balance_due = fromCents(fullPriceCents - quote.amount_cents);
+  }
+
+  return quote;
+}
+
+/**
+ * Price a cart
+ * Items are looked up as packs by id first, then as products by slug or sku.
+ * @param {Array} cartItems - Cart items ({ id, quantity })
+ * @returns {Object} Quote
+ * @throws {PricingError} If an item doesn't exist or has an invalid quantity
+ */
+async function quoteCart(cartItems) {
+  const [packsData, productsData] = await Promise.all([
+    fileManager.readJSON('packs.json'),
+    fileManager.readJSON('products.json')
+  ]);
+  const packs = packsData.packs || [];
+  const products = productsData.products || [];
+
+  const lines = cartItems.map(item => {
+    const id = String(item.id);
+    const quantity = parseQuantity(item.quantity, id);
+
+    const pack = packs.find(p => String(p.id) === id);
+    if (pack) {
+      return { id, type: 'pack', name: pack.name, quantity, unit_price_cents: toCents(pack.price) };
+    }
+
+    const product = products.find(p => p.slug === id || p.sku === id);
+    if (product) {
+      return { id, type: 'product', name: product.title, quantity, unit_price_cents: toCents(product.price) };
+    }
+
+    throw new PricingError(`Item ${id} is not for sale`, 'INVALID_ITEM', { item_id: id });
+  });
+
+  const unpriced = lines.find(line => !(line.unit_price_cents > 0));
+  if (unpriced) {
+    throw new PricingError(`Item ${unpriced.id} has no price`, 'INVALID_ITEM', { item_id: unpriced.id });
+  }
+
+  return {
+    payment_type: 'full',
+    ...buildQuote(lines)
+  };
+}
+
+/**
+ * Check the total the buyer was shown against the server quote
+ * Discounts are worked out by the server, so the client may send the
+ * total before or after them.
+ * @param {Object} quote - Server quote
+ * @param {number|string} amount - Total displayed by the client
+ * @throws {PricingError} If the amount matches neither total
+ */
+function assertAmountMatches(quote, amount) {
+  const amountCents = toCents(amount);
+  const discounted = (quote.discounts || []).length > 0;
+
+  if (amountCents !== quote.amount_cents && !(discounted && amountCents === toCents(quote.subtotal))) {
+    throw new PricingError('Price has changed, please review your order', 'PRICE_MISMATCH', {
+      expected_amount: quote.total,
+      quote
+    });
+  }
+}
+
+/**
+ * Store the quote a PaymentIntent was created for
+ * Confirmation builds the order from this record instead of the client's cart.
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @param {Object} quote - Server quote
+ * @param {Object} details - Checkout details ({ purchase_type, customer_email, customer_name, reservation_id })
+ * @returns {Object} Stored quote
+ */
+async function saveQuote(paymentIntentId, quote, details) {
+  const record = {
+    payment_intent_id: paymentIntentId,
+    ...details,
+    ...quote,
+    created_at: new Date().toISOString()
+  };
+
+  await fileManager.update('quotes.json', (quotesData) => {
+    if (!quotesData.quotes) {
+      quotesData.quotes = [];
+    }
+    quotesData.quotes.push(record);
+  });
+
+  return record;
+}
+
+/**
+ * Get the stored quote for a PaymentIntent
+ * @param {string} paymentIntentId - PaymentIntent id
+ * @returns {Object|null} Stored quote, or null for PaymentIntents created before quotes were stored
+ */
+async function getQuote(paymentIntentId) {
+  return fileManager.findRecord('quotes.json', paymentIntentId);
+}
+
+/**
+ * Add a charge such as shipping or tax to a quote's total
+ * Deposits don't change what is paid now; the charge is added to the balance.
+ * @param {Object} quote - Quote
+ * @param {number} cents - Charge in cents (negative to take one off)
+ * @returns {Object} New quote
+ */
+function addToTotal(quote, cents) {
+  if (quote.payment_type === 'deposit') {
+    return {
+      ...quote,
+      full_price: fromCents(toCents(quote.full_price) + cents),
+      balance_due: fromCents(toCents(quote.balance_due) + cents)
+    };
+  }
+
+  const amountCents = quote.amount_cents + cents;
+  return { ...quote, amount_cents: amountCents, total: fromCents(amountCents) };
+}
+
+/**
+ * Get what a quote charges for the goods, after discounts
+ * Shipping and tax are left out; deposits count the whole pack price.
+ * @param {Object} quote - Quote
+ * @returns {number} Cents
+ */
+function getMerchandiseCents(quote) {
+  const totalCents = quote.payment_type === 'deposit' ? toCents(quote.full_price) : quote.amount_cents;
+  return totalCents - [quote.shipping, quote.tax].reduce((sum, line) => sum + (line ? toCents(line.amount) : 0), 0);
+}
+
+/**
+ * Get the quote a checkout page is showing, for shipping and tax estimates
+ * @param {Object} params - Request fields
+ * @param {string} params.payment_intent_id - PaymentIntent whose stored quote to use, or
+ * @param {string} params.pack_id - Pack to price (with payment_type), or
+ * @param {Array} params.cart_items - Cart items to price
+ * @returns {Object|null} Quote, or null if the PaymentIntent has no stored quote
+ * @throws {PricingError} If no items were given or they can't be priced
+ */
+async function quoteCheckout({ payment_intent_id, pack_id, cart_items, payment_type = 'full' }) {
+  if (payment_intent_id) {
+    return getQuote(payment_intent_id);
+  }
+  if (pack_id) {
+    return quotePack(pack_id, payment_type);
+  }
+  if (Array.isArray(cart_items) && cart_items.length > 0) {
+    return quoteCart(cart_items);
+  }
+  throw new PricingError('Missing required fields: payment_intent_id, pack_id or cart_items', 'INVALID_ITEM');
+}
+
+module.exports = {
+  PricingError,
+  quotePack,
+  quoteCart,
+  quoteCheckout,
+  addToTotal,
+  getMerchandiseCents,
+  assertAmountMatches,
+  saveQuote,
+  getQuote,
+  buildQuote,
+  toCents,
+  fromCents
+};
@@ -0,0 +1,261 @@
+/**
+ * Refunds
+ * Issues refunds through the payment provider and keeps each order's refund ledger
+ *
+ * order.refunds lists every refund by provider refund id. Refunds issued
+ * here carry the admin and reason; refunds made in the provider's dashboard
+ * are added by the charge.refunded webhook. amount_refunded and
+ * payment_status are derived from the ledger.
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const inventoryManager = require('./inventory-manager');
+const { toCents, fromCents } = require('./pricing');
+const { getPaymentProvider } = require('./payments');
+
+// Payment statuses an order can be refunded from
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Refund reasons Stripe accepts; anything else is kept in metadata only
+const PROVIDER_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+/**
+ * A refund can't be issued
+ * Routes answer with error.toJSON() and error.status.
+ */
+class RefundError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - ORDER_NOT_FOUND, NOT_REFUNDABLE, INVALID_AMOUNT or PROVIDER_ERROR
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = { ORDER_NOT_FOUND: 404, NOT_REFUNDABLE: 409, INVALID_AMOUNT: 400, PROVIDER_ERROR: 502 }[code] || 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Add refunds to an order's ledger and recompute its refund totals
+ * Refunds already in the ledger only get their status updated, unless the
+ * new entry has more detail than one recorded from the provider.
+ * @param {Object} order - Order, changed in place
+ * @param {Array} refunds - Ledger entries ({ id, payment_intent_id, amount, reason, status, restocked, refunded_by, created_at })
+ * @param {number} providerTotal - Total refunded according to the provider, in dollars
+ */
+function applyRefunds(order, refunds, providerTotal = 0) {
+  if (!order.refunds) {
+    order.refunds = [];
+  }
+
+  refunds.forEach(refund => {
+    const existing = order.refunds.find(r => r.id === refund.id);
+
+    if (!existing) {
+      order.refunds.push(refund);
+    } else if (existing.refunded_by === 'provider' && refund.refunded_by !== 'provider') {
+      Object.assign(existing, refund);
+    } else {
+      existing.status = refund.status;
+    }
+  });
+
+  // Refunds made before the ledger existed are only known from the provider's total
+  const ledgerCents = order.refunds
+    .filter(refund => refund.status !== 'failed' && refund.status !== 'canceled')
+    .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+  const refundedCents = Math.max(ledgerCents, toCents(providerTotal));
+
+  if (refundedCents === 0) {
+    return;
+  }
+
+  order.amount_refunded = fromCents(refundedCents);
+  order.payment_status = refundedCents >= toCents(order.amount) ? 'refunded' : 'partially_refunded';
+}
+
+/**
+ * List the payments an order was paid with and how much of each is refunded
+ * A deposit order has its checkout payment plus, once paid, its balance payment.
+ * @param {Object} order - Order
+ * @returns {Array} Payments ({ payment_intent_id, amount_cents, refunded_cents }), oldest first
+ */
+function getOrderPayments(order) {
+  const balance = order.balance_payment && order.balance_payment.status === 'paid' ? order.balance_payment : null;
+  const balanceCents = balance ? toCents(balance.amount) : 0;
+
+  const payments = [{ payment_intent_id: order.payment_intent_id, amount_cents: toCents(order.amount) - balanceCents }];
+  if (balance) {
+    payments.push({ payment_intent_id: balance.payment_intent_id, amount_cents: balanceCents });
+  }
+
+  // Ledger entries from before balance payments existed belong to the checkout payment
+  return payments.map(payment => ({
+    ...payment,
+    refunded_cents: (order.refunds || [])
+      .filter(refund => refund.status !== 'failed' && refund.status !== 'canceled')
+      .filter(refund => (refund.payment_intent_id || order.payment_intent_id) === payment.payment_intent_id)
+      .reduce((sum, refund) => sum + toCents(refund.amount), 0)
+  }));
+}
+
+/**
+ * Refund an order, in full or in part
+ * Deposit orders are refunded from their latest payment first, so one
+ * refund may be split across the balance and checkout payments.
+ * @param {string} orderId - Order id
+ * @param {Object} options - Refund options
+ * @param {number|string} options.amount - Dollar amount, defaults to everything not yet refunded
+ * @param {string} options.reason - Why the order is refunded
+ * @param {boolean} options.restock - Return the order's stock, only with a refund of everything left
+ * @param {string} user - Admin issuing the refund
+ * @returns {Object} { order, refunds, restocked }
+ * @throws {RefundError} If the order can't be refunded or the provider refuses
+ */
+async function refundOrder(orderId, { amount, reason, restock = false }, user) {
+  // One refund per order at a time, so the remaining balance check holds
+  return fileManager.withLock(`refund:${orderId}`, async () => {
+    const order = await fileManager.findRecord('orders.json', orderId);
+
+    if (!order) {
+      throw new RefundError('Order not found', 'ORDER_NOT_FOUND');
+    }
+
+    if (!order.payment_intent_id) {
+      throw new RefundError('Order has no payment to refund', 'NOT_REFUNDABLE');
+    }
+
+    if (!REFUNDABLE_STATUSES.includes(order.payment_status)) {
+      throw new RefundError(`Orders with payment status ${order.payment_status} can't be refunded`, 'NOT_REFUNDABLE');
+    }
+
+    const remainingCents = toCents(order.amount) - toCents(order.amount_refunded || 0);
+    const amountCents = amount === undefined || amount === null || amount === '' ? remainingCents : toCents(amount);
+
+    if (!(amountCents > 0) || amountCents > remainingCents) {
+      throw new RefundError(
+        `Refund amount must be between 0.01 and ${fromCents(remainingCents).toFixed(2)}`,
+        'INVALID_AMOUNT',
+        { refundable_amount: fromCents(remainingCents) }
+      );
+    }
+
+    // A partial refund leaves goods with the buyer, so only a refund of the rest returns the stock
+    if (restock && amountCents < remainingCents) {
+      throw new RefundError(
+        `Stock is only returned with a refund of the remaining $${fromCents(remainingCents).toFixed(2)}`,
+        'INVALID_AMOUNT',
+        { refundable_amount: fromCents(remainingCents) }
+      );
+    }
+
+    winston.info(`Refunding ${fromCents(amountCents)} of order ${orderId}`);
+
+    const refunds = [];
+    let providerError = null;
+    let leftCents = amountCents;
+
+    for (const payment of getOrderPayments(order).reverse()) {
+      const paymentCents = Math.min(payment.amount_cents - payment.refunded_cents, leftCents);
+      if (paymentCents <= 0) {
+        continue;
+      }
+
+      try {
+        const providerRefund = await getPaymentProvider().createRefund({
+          paymentIntentId: payment.payment_intent_id,
+          amount: paymentCents,
+          reason: PROVIDER_REASONS.includes(reason) ? reason : undefined,
+          metadata: {
+            order_id: order.id,
+            refunded_by: user,
+            reason: reason ? String(reason).substring(0, 500) : ''
+          }
+        });
+
+        refunds.push({
+          id: providerRefund.id,
+          payment_intent_id: payment.payment_intent_id,
+          amount: fromCents(providerRefund.amount),
+          reason: reason || null,
+          status: providerRefund.status,
+          restocked: false,
+          refunded_by: user,
+          created_at: new Date().toISOString()
+        });
+        leftCents -= providerRefund.amount;
+      } catch (error) {
+        winston.error(`Refund of order ${orderId} (${payment.payment_intent_id}) failed:`, error);
+        providerError = error;
+        break;
+      }
+    }
+
+    if (refunds.length === 0) {
+      throw new RefundError(`Payment provider refused the refund: ${providerError.message}`, 'PROVIDER_ERROR');
+    }
+
+    // Stock only goes back once the whole refund went through
+    const restocked = restock && !providerError ? await inventoryManager.restockOrder(orderId, user) : null;
+    if (restocked) {
+      refunds.forEach(refund => { refund.restocked = true; });
+    }
+
+    const refundedCents = refunds.reduce((sum, refund) => sum + toCents(refund.amount), 0);
+    const now = new Date().toISOString();
+
+    const updated = await fileManager.update('orders.json', (ordersData) => {
+      const existing = ordersData.orders.find(o => o.id === orderId);
+
+      applyRefunds(existing, refunds);
+      existing.updated_at = now;
+      existing.updated_by = user;
+
+      if (!existing.status_history) {
+        existing.status_history = [];
+      }
+      existing.status_history.push({
+        status: existing.status,
+        payment_status: existing.payment_status,
+        changed_at: now,
+        changed_by: user,
+        notes: `Refunded $${fromCents(refundedCents).toFixed(2)}${reason ? `: ${reason}` : ''}${restocked ? ' (restocked)' : ''}`
+      });
+
+      return existing;
+    });
+
+    await ActivityLogger.logOrderActivity(updated, 'refunded', user);
+
+    if (providerError) {
+      throw new RefundError(
+        `Refunded $${fromCents(refundedCents).toFixed(2)}, but the payment provider refused the rest: ${providerError.message}`,
+        'PROVIDER_ERROR',
+        { data: updated, refunds }
+      );
+    }
+
+    return { order: updated, refunds, restocked: restocked || [] };
+  });
+}
+
+module.exports = {
+  RefundError,
+  applyRefunds,
+  getOrderPayments,
+  refundOrder
+};
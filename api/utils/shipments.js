@@ -0,0 +1,288 @@
+/**
+ * Shipments
+ * Parcels and freight sent for an order, with carrier tracking links
+ *
+ * An order keeps its shipments in order.shipments. The first shipment moves
+ * the order to shipped through the status state machine (see
+ * utils/order-status.js); later ones, e.g. a second pallet or a split
+ * delivery, are added to the shipped order. The buyer is notified of each
+ * shipment with its tracking link.
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const { notifyCustomer } = require('./notifications');
+
+// Carriers and their public tracking pages; {tracking_number} is replaced
+const CARRIERS = {
+  ups: { name: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum={tracking_number}' },
+  usps: { name: 'USPS', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={tracking_number}' },
+  fedex: { name: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={tracking_number}' },
+  dhl: { name: 'DHL', trackingUrl: 'https://www.dhl.com/us-en/home/tracking/tracking-express.html?tracking-id={tracking_number}' },
+  other: { name: 'Other', trackingUrl: null }
+};
+
+const WEIGHT_UNITS = ['lb', 'kg'];
+
+// Statuses a shipment can be added to without a status change
+const SHIPPED_STATUSES = ['shipped', 'completed'];
+
+// Request fields that describe a shipment
+const SHIPMENT_FIELDS = ['carrier', 'tracking_number', 'tracking_url', 'shipped_at', 'package_count', 'weight', 'weight_unit'];
+
+/**
+ * A shipment can't be recorded
+ * Routes answer with error.toJSON() and error.status.
+ */
+class ShipmentError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_SHIPMENT, ORDER_NOT_FOUND or SHIPMENT_NOT_FOUND
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ShipmentError';
+    this.status = { ORDER_NOT_FOUND: 404, SHIPMENT_NOT_FOUND: 404 }[code] || 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Get the tracking page for a shipment
+ * @param {string} carrier - Carrier key
+ * @param {string} trackingNumber - Tracking number
+ * @returns {string|null} Tracking URL, null for carriers without one
+ */
+function getTrackingUrl(carrier, trackingNumber) {
+  const known = CARRIERS[carrier];
+
+  if (!known || !known.trackingUrl || !trackingNumber) {
+    return null;
+  }
+  return known.trackingUrl.replace('{tracking_number}', encodeURIComponent(trackingNumber));
+}
+
+/**
+ * Check and normalize shipment fields
+ * @param {Object} fields - Request fields
+ * @param {Object} existing - Shipment being edited, if any
+ * @returns {Object} Shipment fields (carrier, tracking_number, tracking_url, shipped_at, package_count, weight, weight_unit)
+ * @throws {ShipmentError} If a field is invalid
+ */
+function parseShipment(fields, existing = {}) {
+  const shipment = { ...existing };
+
+  SHIPMENT_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      shipment[field] = typeof fields[field] === 'string' ? fields[field].trim() : fields[field];
+    }
+  });
+
+  shipment.carrier = String(shipment.carrier || 'other').toLowerCase();
+  if (!CARRIERS[shipment.carrier]) {
+    throw new ShipmentError(`Invalid carrier. Must be one of: ${Object.keys(CARRIERS).join(', ')}`, 'INVALID_SHIPMENT');
+  }
+
+  if (!shipment.tracking_number) {
+    throw new ShipmentError('tracking_number is required', 'INVALID_SHIPMENT');
+  }
+  shipment.tracking_number = String(shipment.tracking_number);
+
+  // Known carriers get their own link; "other" (freight, couriers) can pass one
+  shipment.tracking_url = getTrackingUrl(shipment.carrier, shipment.tracking_number) ||
+    (shipment.carrier === 'other' && shipment.tracking_url ? shipment.tracking_url : null);
+
+  const shippedAt = shipment.shipped_at ? new Date(shipment.shipped_at) : new Date();
+  if (isNaN(shippedAt.getTime())) {
+    throw new ShipmentError('shipped_at must be a valid date', 'INVALID_SHIPMENT');
+  }
+  shipment.shipped_at = shippedAt.toISOString();
+
+  shipment.package_count = shipment.package_count === undefined || shipment.package_count === ''
+    ? 1
+    : Number(shipment.package_count);
+  if (!Number.isInteger(shipment.package_count) || shipment.package_count < 1) {
+    throw new ShipmentError('package_count must be a whole number of at least 1', 'INVALID_SHIPMENT');
+  }
+
+  if (shipment.weight === undefined || shipment.weight === null || shipment.weight === '') {
+    shipment.weight = null;
+  } else {
+    shipment.weight = Number(shipment.weight);
+    if (!(shipment.weight > 0)) {
+      throw new ShipmentError('weight must be greater than 0', 'INVALID_SHIPMENT');
+    }
+  }
+
+  shipment.weight_unit = shipment.weight_unit || 'lb';
+  if (!WEIGHT_UNITS.includes(shipment.weight_unit)) {
+    throw new ShipmentError(`Invalid weight_unit. Must be one of: ${WEIGHT_UNITS.join(', ')}`, 'INVALID_SHIPMENT');
+  }
+
+  return shipment;
+}
+
+/**
+ * Build a new shipment record
+ * @param {Object} fields - Request fields
+ * @param {string} user - Admin recording the shipment
+ * @returns {Object} Shipment
+ * @throws {ShipmentError} If a field is invalid
+ */
+function buildShipment(fields, user) {
+  return {
+    id: `SHP-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    ...parseShipment(fields),
+    created_by: user,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Record a shipment for an order
+ * An order that hasn't shipped yet is moved to shipped; the buyer is notified either way.
+ * @param {string} orderId - Order id
+ * @param {Object} fields - Shipment fields plus optional notes
+ * @param {string} user - Admin recording the shipment
+ * @returns {Object} { order, shipment, status_change, notification }
+ * @throws {ShipmentError} If the shipment is invalid or the order doesn't exist
+ * @throws {OrderStatusError} If the order can't be shipped
+ */
+async function addShipment(orderId, fields, user) {
+  const order = await fileManager.findRecord('orders.json', orderId);
+
+  if (!order) {
+    throw new ShipmentError('Order not found', 'ORDER_NOT_FOUND');
+  }
+
+  if (!SHIPPED_STATUSES.includes(order.status)) {
+    // Required here to avoid a load-time cycle with order-status.js
+    const { changeOrderStatus } = require('./order-status');
+    const result = await changeOrderStatus(orderId, 'shipped', fields, user);
+
+    return {
+      order: result.order,
+      shipment: result.order.shipments[result.order.shipments.length - 1],
+      status_change: { from: result.from, to: result.to, changed_at: result.changed_at, changed_by: user },
+      notification: result.effects.notification || null
+    };
+  }
+
+  const shipment = buildShipment(fields, user);
+  let missing = false;
+
+  const updated = await fileManager.update('orders.json', (ordersData) => {
+    const existing = (ordersData.orders || []).find(o => o.id === orderId);
+
+    if (!existing) {
+      missing = true;
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    existing.shipments = [...(existing.shipments || []), shipment];
+    existing.updated_at = now;
+    existing.updated_by = user;
+
+    if (!existing.status_history) {
+      existing.status_history = [];
+    }
+    existing.status_history.push({
+      status: existing.status,
+      changed_at: now,
+      changed_by: user,
+      notes: fields.notes || `Shipment ${shipment.tracking_number} added`
+    });
+
+    return existing;
+  });
+
+  if (missing) {
+    throw new ShipmentError('Order not found', 'ORDER_NOT_FOUND');
+  }
+
+  await ActivityLogger.logOrderActivity(updated, 'shipment_added', user);
+  winston.info(`Shipment ${shipment.id} added to order ${orderId}`);
+
+  const notification = await notifyCustomer('shipment_added', updated, { shipment }, user);
+
+  return { order: updated, shipment, status_change: null, notification };
+}
+
+/**
+ * Correct a recorded shipment, e.g. a mistyped tracking number
+ * The buyer is not notified again.
+ * @param {string} orderId - Order id
+ * @param {string} shipmentId - Shipment id
+ * @param {Object} fields - Shipment fields to change
+ * @param {string} user - Admin editing the shipment
+ * @returns {Object} { order, shipment }
+ * @throws {ShipmentError} If the shipment doesn't exist or a field is invalid
+ */
+async function updateShipment(orderId, shipmentId, fields, user) {
+  let failure = null;
+  let shipment = null;
+
+  const order = await fileManager.update('orders.json', (ordersData) => {
+    const existing = (ordersData.orders || []).find(o => o.id === orderId);
+
+    if (!existing) {
+      failure = new ShipmentError('Order not found', 'ORDER_NOT_FOUND');
+      return null;
+    }
+
+    const index = (existing.shipments || []).findIndex(s => s.id === shipmentId);
+    if (index === -1) {
+      failure = new ShipmentError('Shipment not found', 'SHIPMENT_NOT_FOUND');
+      return null;
+    }
+
+    // Known carriers get a fresh link; one given for "other" is kept unless replaced
+    const { tracking_url, ...current } = existing.shipments[index];
+    const changes = fields.tracking_url !== undefined ? fields : { ...fields, tracking_url };
+
+    shipment = {
+      ...parseShipment(changes, current),
+      updated_by: user,
+      updated_at: new Date().toISOString()
+    };
+
+    existing.shipments[index] = shipment;
+    existing.updated_at = shipment.updated_at;
+    existing.updated_by = user;
+
+    return existing;
+  });
+
+  if (failure) {
+    throw failure;
+  }
+
+  await ActivityLogger.logOrderActivity(order, 'updated', user);
+  winston.info(`Shipment ${shipmentId} on order ${orderId} updated`);
+
+  return { order, shipment };
+}
+
+module.exports = {
+  ShipmentError,
+  CARRIERS,
+  WEIGHT_UNITS,
+  SHIPMENT_FIELDS,
+  getTrackingUrl,
+  buildShipment,
+  addShipment,
+  updateShipment
+};
@@ -0,0 +1,377 @@
+/**
+ * Shipping
+ * Prices shipping for a checkout quote from the settings in shipping.json
+ *
+ * Every pack ships as its own package (a box or a pallet) sized by its pack
+ * type (settings.packages); products use the default package. A package is
+ * billed at the larger of its weight and its dimensional weight. The
+ * destination address picks a zone, and each active method prices the
+ * order: rate tables by billable weight per zone, a flat rate per order or
+ * per package, or free local pickup. Methods can be limited to zones and
+ * pack types and made free from a merchandise total (free_over); a
+ * free_shipping discount code makes any delivery method free.
+ *
+ * The chosen method is added to the quote as its own line (quote.shipping)
+ * and to the amount charged; deposit orders pay it with the balance.
+ * Without active methods shipping isn't charged.
+ */
+
+const fileManager = require('./file-manager');
+const { toCents, fromCents, addToTotal, getMerchandiseCents } = require('./pricing');
+
+const SETTINGS_FILE = 'shipping.json';
+
+/**
+ * Shipping can't be priced for a checkout
+ * Routes answer with error.toJSON() and error.status.
+ */
+class ShippingError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - SHIPPING_REQUIRED, INVALID_METHOD, METHOD_UNAVAILABLE or INVALID_SETTINGS
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ShippingError';
+    this.status = 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Get the shipping settings (the defaults in config/shipping-defaults.js until an admin saves them)
+ * @returns {Object} Settings ({ dim_divisor, zones, packages, methods })
+ */
+async function getShippingSettings() {
+  return fileManager.readJSON(SETTINGS_FILE);
+}
+
+/**
+ * Check settings for references the schema can't catch
+ * @param {Object} settings - Shipping settings
+ * @throws {ShippingError} If ids repeat or a method names an unknown zone
+ */
+function checkSettings(settings) {
+  const zoneIds = (settings.zones || []).map(zone => zone.id);
+  const methodIds = (settings.methods || []).map(method => method.id);
+  const errors = [];
+
+  if (new Set(zoneIds).size !== zoneIds.length) {
+    errors.push({ field: 'zones', message: 'zone ids must be unique' });
+  }
+  if (new Set(methodIds).size !== methodIds.length) {
+    errors.push({ field: 'methods', message: 'method ids must be unique' });
+  }
+
+  (settings.methods || []).forEach((method, index) => {
+    const zones = [...(method.zones || []), ...Object.keys(method.rates || {})];
+    zones.filter(zone => !zoneIds.includes(zone)).forEach(zone => {
+      errors.push({ field: `methods.${index}`, message: `unknown zone ${zone}` });
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ShippingError('Invalid shipping settings', 'INVALID_SETTINGS', { errors });
+  }
+}
+
+/**
+ * Replace the shipping settings
+ * @param {Object} settings - { dim_divisor, zones, packages, methods }
+ * @param {string} user - Admin saving them
+ * @returns {Object} Saved settings
+ * @throws {ShippingError} If a method names an unknown zone
+ * @throws {ValidationError} If the settings don't match the schema
+ */
+async function saveShippingSettings({ dim_divisor, zones, packages, methods }, user) {
+  const settings = { dim_divisor, zones, packages, methods };
+  checkSettings(settings);
+
+  return fileManager.update(SETTINGS_FILE, (data) => {
+    Object.assign(data, settings, {
+      updated_at: new Date().toISOString(),
+      updated_by: user
+    });
+    return data;
+  });
+}
+
+/**
+ * Find the zone of a destination address
+ * Zones are matched in order; a zone without states covers its whole country.
+ * @param {Object} settings - Shipping settings
+ * @param {Object} address - Destination ({ state, country })
+ * @returns {Object|null} Zone
+ */
+function findZone(settings, address) {
+  if (!address) {
+    return null;
+  }
+
+  const country = address.country || 'US';
+  return (settings.zones || []).find(zone =>
+    zone.country === country && (!zone.states || zone.states.length === 0 || zone.states.includes(address.state))
+  ) || null;
+}
+
+/**
+ * Get the billable weight of a package
+ * @param {Object} size - { weight, length, width, height } in pounds and inches
+ * @param {number} dimDivisor - Cubic inches per pound
+ * @returns {number} Whole pounds
+ */
+function getBillableWeight(size, dimDivisor) {
+  const dimensional = size.length && size.width && size.height
+    ? size.length * size.width * size.height / dimDivisor
+    : 0;
+  return Math.ceil(Math.max(size.weight, dimensional));
+}
+
+/**
+ * Work out the packages a quote ships as
+ * @param {Object} quote - Quote
+ * @param {Object} settings - Shipping settings
+ * @returns {Object} { package_count, billable_weight, pack_types }
+ */
+async function getParcel(quote, settings) {
+  const packsData = await fileManager.readJSON('packs.json');
+  const packs = packsData.packs || [];
+  const parcel = { package_count: 0, billable_weight: 0, pack_types: [] };
+
+  quote.lines.forEach(line => {
+    const pack = line.type === 'pack' ? packs.find(p => String(p.id) === line.id) : null;
+    const packType = pack ? pack.type : 'product';
+    const size = settings.packages[packType] || settings.packages.default;
+
+    parcel.package_count += line.quantity;
+    parcel.billable_weight += getBillableWeight(size, settings.dim_divisor) * line.quantity;
+    if (!parcel.pack_types.includes(packType)) {
+      parcel.pack_types.push(packType);
+    }
+  });
+
+  return parcel;
+}
+
+/**
+ * Price a rate table for a billable weight
+ * @param {Object} table - { brackets: [{ max_weight, amount }], per_lb_over }
+ * @param {number} weight - Billable weight
+ * @returns {number|null} Cents, or null if the weight is past the table
+ */
+function priceTable(table, weight) {
+  const brackets = [...table.brackets].sort((a, b) => a.max_weight - b.max_weight);
+  const bracket = brackets.find(b => weight <= b.max_weight);
+
+  if (bracket) {
+    return toCents(bracket.amount);
+  }
+
+  const last = brackets[brackets.length - 1];
+  if (table.per_lb_over === undefined || table.per_lb_over === null) {
+    return null;
+  }
+  return toCents(last.amount) + Math.round((weight - last.max_weight) * toCents(table.per_lb_over));
+}
+
+/**
+ * Price a method for an order
+ * @param {Object} method - Shipping method
+ * @param {Object} context - { zone, parcel, merchandiseCents, freeShipping }
+ * @returns {Object|null} { amountCents, freeReason }, or null if the method isn't available
+ */
+function priceMethod(method, { zone, parcel, merchandiseCents, freeShipping }) {
+  if (method.pack_types && method.pack_types.length > 0 &&
+    parcel.pack_types.some(type => !method.pack_types.includes(type))) {
+    return null;
+  }
+
+  if (method.type === 'pickup') {
+    return { amountCents: 0, freeReason: null };
+  }
+
+  if (!zone || (method.zones && method.zones.length > 0 && !method.zones.includes(zone.id))) {
+    return null;
+  }
+
+  let amountCents;
+  if (method.type === 'flat') {
+    amountCents = toCents(method.amount) * (method.per === 'package' ? parcel.package_count : 1);
+  } else {
+    const table = (method.rates || {})[zone.id];
+    amountCents = table ? priceTable(table, parcel.billable_weight) : null;
+    if (amountCents === null) {
+      return null;
+    }
+  }
+
+  if (amountCents > 0 && freeShipping) {
+    return { amountCents: 0, freeReason: 'discount' };
+  }
+  if (amountCents > 0 && method.free_over !== undefined && method.free_over !== null &&
+    merchandiseCents >= toCents(method.free_over)) {
+    return { amountCents: 0, freeReason: 'free_over' };
+  }
+  return { amountCents, freeReason: null };
+}
+
+/**
+ * Take the shipping line off a quote
+ * @param {Object} quote - Quote, possibly with shipping
+ * @returns {Object} Quote without shipping
+ */
+function removeShipping(quote) {
+  const { shipping, ...rest } = quote;
+  return shipping ? addToTotal(rest, -toCents(shipping.amount)) : rest;
+}
+
+/**
+ * Gather what shipping prices depend on
+ * @param {Object} quote - Quote without shipping
+ * @param {Object} settings - Shipping settings
+ * @param {Object} address - Destination address
+ * @returns {Object} { zone, parcel, merchandiseCents, freeShipping }
+ */
+async function getPricingContext(quote, settings, address) {
+  return {
+    zone: findZone(settings, address),
+    parcel: await getParcel(quote, settings),
+    // Deposits are judged on the whole pack price, not the deposit
+    merchandiseCents: getMerchandiseCents(quote),
+    freeShipping: (quote.discounts || []).some(discount => discount.free_shipping)
+  };
+}
+
+/**
+ * List the shipping methods available for a quote and destination, with their prices
+ * @param {Object} quote - Quote (any shipping line on it is ignored)
+ * @param {Object|null} address - Destination; without one only pickup is offered
+ * @returns {Object} { zone, options: [{ method, name, type, amount, free_reason, location }] }
+ */
+async function getShippingOptions(quote, address) {
+  const settings = await getShippingSettings();
+  const context = await getPricingContext(removeShipping(quote), settings, address);
+
+  const options = [];
+  (settings.methods || []).filter(method => method.status === 'active').forEach(method => {
+    const price = priceMethod(method, context);
+    if (price) {
+      options.push({
+        method: method.id,
+        name: method.name,
+        type: method.type,
+        amount: fromCents(price.amountCents),
+        free_reason: price.freeReason,
+        location: method.type === 'pickup' ? method.location || null : undefined
+      });
+    }
+  });
+
+  return {
+    zone: context.zone ? { id: context.zone.id, name: context.zone.name } : null,
+    options
+  };
+}
+
+/**
+ * Check whether checkout has to pick a shipping method
+ * @returns {boolean} True if any method is active
+ */
+async function isShippingRequired() {
+  const settings = await getShippingSettings();
+  return (settings.methods || []).some(method => method.status === 'active');
+}
+
+/**
+ * Check whether a shipping method is local pickup (no delivery address needed)
+ * @param {string} methodId - Shipping method id
+ * @returns {boolean} True for an active pickup method
+ */
+async function isPickupMethod(methodId) {
+  if (!methodId) {
+    return false;
+  }
+  const settings = await getShippingSettings();
+  return (settings.methods || []).some(method => method.id === methodId && method.status === 'active' && method.type === 'pickup');
+}
+
+/**
+ * Price the chosen shipping method into a quote
+ * Replaces any shipping line already on the quote.
+ * @param {Object} quote - Quote from pricing (and discounts)
+ * @param {string} methodId - Chosen shipping method
+ * @param {Object|null} address - Destination address (not needed for pickup)
+ * @returns {Object} Quote with quote.shipping ({ method, name, type, zone, amount, package_count, billable_weight, free_reason })
+ * @throws {ShippingError} If no method was chosen or it can't ship this order there
+ */
+async function applyShipping(quote, methodId, address) {
+  const settings = await getShippingSettings();
+  const base = removeShipping(quote);
+  const methods = (settings.methods || []).filter(method => method.status === 'active');
+
+  if (methods.length === 0) {
+    return base;
+  }
+
+  if (!methodId) {
+    throw new ShippingError('Please choose a shipping method', 'SHIPPING_REQUIRED', {
+      shipping_methods: methods.map(method => method.id)
+    });
+  }
+
+  const method = methods.find(m => m.id === methodId);
+  if (!method) {
+    throw new ShippingError(`Invalid shipping method. Must be one of: ${methods.map(m => m.id).join(', ')}`, 'INVALID_METHOD');
+  }
+
+  const context = await getPricingContext(base, settings, address);
+  const price = priceMethod(method, context);
+
+  if (!price) {
+    throw new ShippingError(
+      context.zone
+        ? `${method.name} isn't available for this order to ${context.zone.name}`
+        : `${method.name} doesn't ship to this address`,
+      'METHOD_UNAVAILABLE',
+      { method: method.id, zone: context.zone ? context.zone.id : null }
+    );
+  }
+
+  const shipping = {
+    method: method.id,
+    name: method.name,
+    type: method.type,
+    zone: method.type === 'pickup' || !context.zone ? null : context.zone.id,
+    amount: fromCents(price.amountCents),
+    package_count: context.parcel.package_count,
+    billable_weight: context.parcel.billable_weight,
+    free_reason: price.freeReason,
+    ...(method.type === 'pickup' && method.location ? { location: method.location } : {})
+  };
+
+  return addToTotal({ ...base, shipping }, price.amountCents);
+}
+
+module.exports = {
+  ShippingError,
+  getShippingSettings,
+  saveShippingSettings,
+  findZone,
+  getBillableWeight,
+  getShippingOptions,
+  isShippingRequired,
+  isPickupMethod,
+  applyShipping,
+  removeShipping
+};
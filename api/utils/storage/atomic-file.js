@@ -0,0 +1,36 @@
+/**
+ * Atomic File Writes
+ * Writes through a unique temp file that is flushed to disk and renamed
+ * over the target, so readers and crashes never see a half-written file
+ */
+
+const fs = require('fs').promises;
+
+/**
+ * Atomically replace a file's contents
+ * @param {string} filePath - Target file path
+ * @param {string} contents - File contents
+ */
+async function writeFileAtomic(filePath, contents) {
+  // Unique temp name so concurrent writers never share a temp file
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).substr(2, 9)}.tmp`;
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(contents, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomic };
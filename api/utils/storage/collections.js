@@ -0,0 +1,138 @@
+/**
+ * Storage Collections
+ * Describes which data files hold record collections and how records are keyed
+ */
+
+/**
+ * Collection definitions keyed by data filename
+ * - key: top-level property holding the records
+ * - keyed: true when the collection is an object map instead of an array
+ * - idField: record property used as the record id (array collections)
+ * - indexes: record properties that support indexed lookups
+ */
+const COLLECTIONS = {
+  'orders.json': {
+    key: 'orders',
+    idField: 'id',
+    indexes: ['status', 'customer_email', 'payment_intent_id', 'created_at']
+  },
+  'packs.json': {
+    key: 'packs',
+    idField: 'id',
+    indexes: ['status', 'type']
+  },
+  'manifests.json': {
+    key: 'manifests',
+    keyed: true,
+    indexes: []
+  },
+  'custom-requests.json': {
+    key: 'requests',
+    idField: 'id',
+    indexes: ['status', 'customer_email']
+  },
+  'reservations.json': {
+    key: 'reservations',
+    idField: 'id',
+    indexes: ['status', 'payment_intent_id']
+  },
+  'stock-movements.json': {
+    key: 'movements',
+    idField: 'id',
+    indexes: ['pack_id', 'order_id']
+  },
+  'quotes.json': {
+    key: 'quotes',
+    idField: 'payment_intent_id',
+    indexes: []
+  },
+  'idempotency-keys.json': {
+    key: 'keys',
+    idField: 'key',
+    indexes: []
+  },
+  'webhook-events.json': {
+    key: 'events',
+    idField: 'id',
+    indexes: ['event_id', 'status', 'order_id']
+  },
+  'fake-payments.json': {
+    key: 'payment_intents',
+    idField: 'id',
+    indexes: []
+  },
+  'buyers.json': {
+    key: 'buyers',
+    idField: 'id',
+    indexes: ['email', 'status']
+  },
+  'discount-codes.json': {
+    key: 'codes',
+    idField: 'id',
+    indexes: ['code', 'status']
+  },
+  'accounting-exports.json': {
+    key: 'batches',
+    idField: 'id',
+    indexes: ['format']
+  },
+  'activity.json': {
+    key: 'activities',
+    idField: 'id',
+    indexes: ['type']
+  }
+};
+
+/**
+ * Get the collection definition for a data file
+ * @param {string} filename - Name of the JSON file
+ * @returns {Object|null} Collection definition
+ */
+function getCollection(filename) {
+  return COLLECTIONS[filename] || null;
+}
+
+/**
+ * Split a collection into id/record entries, preserving order
+ * @param {Object} collection - Collection definition
+ * @param {Array|Object} items - Collection contents
+ * @returns {Array} Entries of { id, record }
+ */
+function toEntries(collection, items) {
+  if (collection.keyed) {
+    return Object.entries(items || {}).map(([id, record]) => ({ id, record }));
+  }
+
+  const seen = new Set();
+  return (items || []).map((record, index) => {
+    const value = record && record[collection.idField];
+    let id = value !== undefined && value !== null ? String(value) : `#${index}`;
+
+    // Records without a unique id are keyed by position
+    if (seen.has(id)) {
+      id = `#${index}`;
+    }
+    seen.add(id);
+
+    return { id, record };
+  });
+}
+
+/**
+ * Check whether a record matches all lookup criteria
+ * @param {Object} record - Stored record
+ * @param {Object} criteria - Field/value pairs
+ * @returns {boolean} Match result
+ */
+function matchesCriteria(record, criteria) {
+  return Object.entries(criteria).every(([field, value]) =>
+    record && record[field] === value
+  );
+}
+
+module.exports = {
+  COLLECTIONS,
+  getCollection,
+  toEntries,
+  matchesCriteria
+};
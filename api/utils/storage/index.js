@@ -0,0 +1,35 @@
+/**
+ * Storage Adapters
+ * Creates the storage backend configured in config/environment.js
+ */
+
+const JsonFileAdapter = require('./json-adapter');
+const SqliteAdapter = require('./sqlite-adapter');
+
+/**
+ * Create a storage adapter
+ * @param {Object} storageConfig - Storage configuration ({ driver, sqlite })
+ * @param {string} dataDir - JSON data directory
+ * @returns {Object} Storage adapter
+ */
+function createStorageAdapter(storageConfig = {}, dataDir) {
+  const driver = storageConfig.driver || 'json';
+
+  switch (driver) {
+    case 'json':
+      return new JsonFileAdapter({ dataDir });
+    case 'sqlite':
+      return new SqliteAdapter({
+        filename: storageConfig.sqlite.filename,
+        dataDir
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorageAdapter,
+  JsonFileAdapter,
+  SqliteAdapter
+};
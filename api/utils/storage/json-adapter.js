@@ -0,0 +1,109 @@
+/**
+ * JSON File Storage Adapter
+ * Stores each data file as a JSON document in the data directory
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getCollection, toEntries, matchesCriteria } = require('./collections');
+const { writeFileAtomic } = require('./atomic-file');
+
+class JsonFileAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.dataDir - Directory holding the JSON files
+   */
+  constructor({ dataDir }) {
+    this.name = 'json';
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * Read a data file
+   * @param {string} filename - Name of the JSON file
+   * @returns {Object|null} Parsed data, or null if the file doesn't exist
+   */
+  async read(filename) {
+    const filePath = path.join(this.dataDir, filename);
+
+    try {
+      await fs.access(filePath);
+    } catch {
+      return null;
+    }
+
+    const data = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(data);
+  }
+
+  /**
+   * Write a data file
+   * @param {string} filename - Name of the JSON file
+   * @param {Object} data - Data to write
+   */
+  async write(filename, data) {
+    const filePath = path.join(this.dataDir, filename);
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Find a single record by id
+   * @param {string} filename - Name of the JSON file
+   * @param {string|number} id - Record id
+   * @returns {Object|null} Matching record
+   */
+  async findRecord(filename, id) {
+    const collection = getCollection(filename);
+    const data = await this.read(filename);
+    if (!collection || !data) {
+      return null;
+    }
+
+    const entry = toEntries(collection, data[collection.key]).find(e => e.id === String(id));
+    return entry ? entry.record : null;
+  }
+
+  /**
+   * Find records matching field values
+   * @param {string} filename - Name of the JSON file
+   * @param {Object} criteria - Field/value pairs
+   * @returns {Array} Matching records
+   */
+  async findRecords(filename, criteria) {
+    const collection = getCollection(filename);
+    const data = await this.read(filename);
+    if (!collection || !data) {
+      return [];
+    }
+
+    return toEntries(collection, data[collection.key])
+      .map(entry => entry.record)
+      .filter(record => matchesCriteria(record, criteria));
+  }
+
+  /**
+   * List stored data files
+   * @returns {Array} List of filenames
+   */
+  async list() {
+    const files = await fs.readdir(this.dataDir);
+    return files.filter(file => file.endsWith('.json'));
+  }
+
+  /**
+   * Get stats for a data file
+   * @param {string} filename - Name of the JSON file
+   * @returns {Object} File stats
+   */
+  async stat(filename) {
+    const stats = await fs.stat(path.join(this.dataDir, filename));
+
+    return {
+      size: stats.size,
+      modified: stats.mtime,
+      created: stats.birthtime
+    };
+  }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,292 @@
+/**
+ * SQLite Storage Adapter
+ * Stores data files in an embedded SQLite database, one row per record,
+ * so writes only touch the records that changed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { COLLECTIONS, getCollection, toEntries } = require('./collections');
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class SqliteAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.filename - Path of the SQLite database file
+   * @param {string} options.dataDir - JSON data directory used to seed missing files
+   */
+  constructor({ filename, dataDir }) {
+    this.name = 'sqlite';
+    this.filename = filename;
+    this.dataDir = dataDir;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the schema on first use
+   * @returns {Object} better-sqlite3 database
+   */
+  getDb() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+    const db = new Database(this.filename);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        file TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS records (
+        file TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (file, id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_records_position ON records (file, position);
+    `);
+
+    // Expression indexes for the lookup fields declared on each collection
+    const indexedFields = new Set();
+    Object.values(COLLECTIONS).forEach(collection => {
+      collection.indexes.forEach(field => indexedFields.add(field));
+    });
+    indexedFields.forEach(field => {
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_records_${field} ON records (file, json_extract(data, '$.${field}'))`);
+    });
+
+    this.db = db;
+    winston.info(`SQLite storage opened at ${this.filename}`);
+    return db;
+  }
+
+  /**
+   * Read a data file
+   * @param {string} filename - Name of the JSON file
+   * @returns {Object|null} Reassembled data, or null if the file doesn't exist
+   */
+  async read(filename) {
+    const db = this.getDb();
+    const collection = getCollection(filename);
+    const document = db.prepare('SELECT data FROM documents WHERE file = ?').get(filename);
+
+    if (!document) {
+      return this.importJSONFile(filename);
+    }
+
+    const data = JSON.parse(document.data);
+    if (!collection) {
+      return data;
+    }
+
+    const rows = db.prepare('SELECT id, data FROM records WHERE file = ? ORDER BY position').all(filename);
+    if (collection.keyed) {
+      data[collection.key] = {};
+      rows.forEach(row => {
+        data[collection.key][row.id] = JSON.parse(row.data);
+      });
+    } else {
+      data[collection.key] = rows.map(row => JSON.parse(row.data));
+    }
+
+    return data;
+  }
+
+  /**
+   * Write a data file, updating only changed records
+   * @param {string} filename - Name of the JSON file
+   * @param {Object} data - Data to write
+   */
+  async write(filename, data) {
+    const db = this.getDb();
+    const collection = getCollection(filename);
+    const now = new Date().toISOString();
+
+    const upsertDocument = db.prepare(`
+      INSERT INTO documents (file, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (file) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `);
+
+    const transaction = db.transaction(() => {
+      if (!collection) {
+        upsertDocument.run(filename, JSON.stringify(data), now);
+        return;
+      }
+
+      const { [collection.key]: items, ...rest } = data;
+      upsertDocument.run(filename, JSON.stringify(rest), now);
+
+      const existing = new Map();
+      db.prepare('SELECT id, position, data FROM records WHERE file = ?').all(filename)
+        .forEach(row => existing.set(row.id, row));
+
+      const upsertRecord = db.prepare(`
+        INSERT INTO records (file, id, position, data, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (file, id) DO UPDATE SET
+          position = excluded.position, data = excluded.data, updated_at = excluded.updated_at
+      `);
+      const deleteRecord = db.prepare('DELETE FROM records WHERE file = ? AND id = ?');
+
+      // Positions only need to increase along the list, so records that
+      // stay in order keep theirs and appended records go after them
+      let lastPosition = -1;
+      const seen = new Set();
+
+      toEntries(collection, items).forEach(({ id, record }) => {
+        const json = JSON.stringify(record);
+        const current = existing.get(id);
+        seen.add(id);
+
+        if (current && current.position > lastPosition) {
+          lastPosition = current.position;
+          if (current.data !== json) {
+            upsertRecord.run(filename, id, current.position, json, now);
+          }
+          return;
+        }
+
+        lastPosition++;
+        upsertRecord.run(filename, id, lastPosition, json, now);
+      });
+
+      existing.forEach((row, id) => {
+        if (!seen.has(id)) {
+          deleteRecord.run(filename, id);
+        }
+      });
+    });
+
+    transaction();
+  }
+
+  /**
+   * Find a single record by id using the primary key
+   * @param {string} filename - Name of the JSON file
+   * @param {string|number} id - Record id
+   * @returns {Object|null} Matching record
+   */
+  async findRecord(filename, id) {
+    if (!getCollection(filename)) {
+      return null;
+    }
+
+    await this.ensureImported(filename);
+    const row = this.getDb()
+      .prepare('SELECT data FROM records WHERE file = ? AND id = ?')
+      .get(filename, String(id));
+
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Find records matching field values using the expression indexes
+   * @param {string} filename - Name of the JSON file
+   * @param {Object} criteria - Field/value pairs
+   * @returns {Array} Matching records
+   */
+  async findRecords(filename, criteria) {
+    if (!getCollection(filename)) {
+      return [];
+    }
+
+    const fields = Object.keys(criteria);
+    fields.forEach(field => {
+      if (!FIELD_PATTERN.test(field)) {
+        throw new Error(`Invalid lookup field: ${field}`);
+      }
+    });
+
+    await this.ensureImported(filename);
+    const conditions = fields.map(field => `json_extract(data, '$.${field}') = ?`);
+    const rows = this.getDb()
+      .prepare(`SELECT data FROM records WHERE ${['file = ?', ...conditions].join(' AND ')} ORDER BY position`)
+      .all(filename, ...fields.map(field => criteria[field]));
+
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * List stored data files
+   * @returns {Array} List of filenames
+   */
+  async list() {
+    return this.getDb()
+      .prepare('SELECT file FROM documents ORDER BY file')
+      .all()
+      .map(row => row.file);
+  }
+
+  /**
+   * Get stats for a data file
+   * @param {string} filename - Name of the JSON file
+   * @returns {Object} File stats
+   */
+  async stat(filename) {
+    const db = this.getDb();
+    const document = db.prepare('SELECT LENGTH(data) AS size, updated_at FROM documents WHERE file = ?').get(filename);
+    if (!document) {
+      throw new Error(`${filename} not found in SQLite storage`);
+    }
+
+    const records = db.prepare('SELECT SUM(LENGTH(data)) AS size, MAX(updated_at) AS modified FROM records WHERE file = ?').get(filename);
+    const modified = [document.updated_at, records.modified].filter(Boolean).sort().pop();
+
+    return {
+      size: document.size + (records.size || 0),
+      modified: new Date(modified),
+      created: null
+    };
+  }
+
+  /**
+   * Make sure a data file has been seeded before record lookups
+   * @param {string} filename - Name of the JSON file
+   */
+  async ensureImported(filename) {
+    const document = this.getDb().prepare('SELECT 1 FROM documents WHERE file = ?').get(filename);
+    if (!document) {
+      await this.importJSONFile(filename);
+    }
+  }
+
+  /**
+   * Seed the database from an existing JSON data file
+   * @param {string} filename - Name of the JSON file
+   * @returns {Object|null} Imported data, or null if there is no JSON file
+   */
+  async importJSONFile(filename) {
+    const filePath = path.join(this.dataDir, filename);
+
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    await this.write(filename, data);
+    winston.info(`Imported ${filename} into SQLite storage`);
+    return data;
+  }
+}
+
+module.exports = SqliteAdapter;
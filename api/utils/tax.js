@@ -0,0 +1,324 @@
+/**
+ * Sales Tax
+ * Calculates sales tax for a checkout quote from the rate tables in tax.json
+ * and manages the resale exemption certificates kept on buyers
+ *
+ * Tax is charged by ship-to jurisdiction: the state rate plus the local rate
+ * of the longest matching ZIP prefix. Pickup orders are taxed at the origin
+ * address. Destinations without a jurisdiction aren't taxed. The taxable
+ * amount is the merchandise after discounts, plus shipping where the
+ * jurisdiction taxes it. Buyers with a verified, unexpired exemption
+ * certificate for the ship-to state are exempt; the order then records the
+ * certificate instead of an amount.
+ */
+
+const winston = require('winston');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const { toCents, fromCents, addToTotal, getMerchandiseCents } = require('./pricing');
+
+const SETTINGS_FILE = 'tax.json';
+
+const CERTIFICATE_STATUSES = ['pending', 'verified', 'rejected'];
+
+/**
+ * Tax can't be calculated, or an exemption certificate can't be recorded
+ * Routes answer with error.toJSON() and error.status.
+ */
+class TaxError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string} code - INVALID_CERTIFICATE, BUYER_NOT_FOUND or INVALID_SETTINGS
+   * @param {Object} details - Extra response fields
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'TaxError';
+    this.status = code === 'BUYER_NOT_FOUND' ? 404 : 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Get the tax settings (the defaults in config/tax-defaults.js until an admin saves them)
+ * @returns {Object} Settings ({ origin, jurisdictions })
+ */
+async function getTaxSettings() {
+  return fileManager.readJSON(SETTINGS_FILE);
+}
+
+/**
+ * Replace the tax settings
+ * @param {Object} settings - { origin, jurisdictions }
+ * @param {string} user - Admin saving them
+ * @returns {Object} Saved settings
+ * @throws {TaxError} If jurisdictions repeat
+ * @throws {ValidationError} If the settings don't match the schema
+ */
+async function saveTaxSettings({ origin, jurisdictions }, user) {
+  const ids = jurisdictions.map(jurisdiction => jurisdiction.id);
+  const places = jurisdictions.map(jurisdiction => `${jurisdiction.country}-${jurisdiction.state || ''}`);
+
+  if (new Set(ids).size !== ids.length || new Set(places).size !== places.length) {
+    throw new TaxError('Each jurisdiction needs its own id, country and state', 'INVALID_SETTINGS');
+  }
+
+  return fileManager.update(SETTINGS_FILE, (data) => {
+    Object.assign(data, { origin, jurisdictions }, {
+      updated_at: new Date().toISOString(),
+      updated_by: user
+    });
+    return data;
+  });
+}
+
+/**
+ * Find the tax rate for an address
+ * A jurisdiction without a state covers its whole country.
+ * @param {Object} settings - Tax settings
+ * @param {Object} address - Ship-to address ({ country, state, postal_code })
+ * @returns {Object|null} { id, name, rate, tax_shipping }, or null if we don't collect tax there
+ */
+function findRate(settings, address) {
+  if (!address) {
+    return null;
+  }
+
+  const country = address.country || 'US';
+  const jurisdiction = (settings.jurisdictions || []).find(j =>
+    j.country === country && (!j.state || j.state === address.state)
+  );
+
+  if (!jurisdiction) {
+    return null;
+  }
+
+  const postalCode = String(address.postal_code || '').toUpperCase().replace(/\s/g, '');
+  const local = (jurisdiction.local_rates || [])
+    .filter(localRate => postalCode.startsWith(localRate.postal_prefix))
+    .sort((a, b) => b.postal_prefix.length - a.postal_prefix.length)[0];
+
+  return {
+    id: jurisdiction.id,
+    name: local ? `${jurisdiction.name} - ${local.name}` : jurisdiction.name,
+    state: jurisdiction.state,
+    // Rounded to avoid floating point noise such as 7.499999
+    rate: Math.round((jurisdiction.rate + (local ? local.rate : 0)) * 10000) / 10000,
+    tax_shipping: jurisdiction.tax_shipping === true
+  };
+}
+
+/**
+ * Find the buyer's exemption certificate for a state
+ * @param {Object|null} buyer - Buyer
+ * @param {string} state - Ship-to state
+ * @param {Date} now - Reference time
+ * @returns {Object|null} Verified, unexpired certificate covering the state
+ */
+function findExemption(buyer, state, now = new Date()) {
+  const certificate = buyer && buyer.tax_exemption;
+
+  if (!certificate || certificate.status !== 'verified' || !certificate.states.includes(state)) {
+    return null;
+  }
+  if (certificate.expires_at && new Date(certificate.expires_at) <= now) {
+    return null;
+  }
+  return certificate;
+}
+
+/**
+ * Take the tax line off a quote
+ * @param {Object} quote - Quote, possibly with tax
+ * @returns {Object} Quote without tax
+ */
+function removeTax(quote) {
+  const { tax, ...rest } = quote;
+  return tax ? addToTotal(rest, -toCents(tax.amount)) : rest;
+}
+
+/**
+ * Price sales tax into a quote
+ * Replaces any tax line already on the quote; apply shipping first, since
+ * some jurisdictions tax it.
+ * @param {Object} quote - Quote with its discounts and shipping
+ * @param {Object} options - Tax options
+ * @param {Object|null} options.address - Ship-to address (pickup orders use the origin instead)
+ * @param {Object|null} options.buyer - Buyer whose exemption certificate applies
+ * @returns {Object} Quote with quote.tax ({ jurisdiction, name, rate, taxable_amount, amount, exempt, exemption })
+ */
+async function applyTax(quote, { address = null, buyer = null } = {}) {
+  const settings = await getTaxSettings();
+  const base = removeTax(quote);
+  const pickup = base.shipping && base.shipping.type === 'pickup';
+  const rate = findRate(settings, pickup ? settings.origin : address);
+
+  if (!rate) {
+    return base;
+  }
+
+  const shippingCents = base.shipping && rate.tax_shipping ? toCents(base.shipping.amount) : 0;
+  const taxableCents = getMerchandiseCents(base) + shippingCents;
+  const certificate = findExemption(buyer, rate.state);
+
+  const tax = {
+    jurisdiction: rate.id,
+    name: rate.name,
+    rate: rate.rate,
+    taxable_amount: fromCents(taxableCents),
+    amount: certificate ? 0 : fromCents(Math.round(taxableCents * rate.rate / 100)),
+    exempt: Boolean(certificate)
+  };
+  if (certificate) {
+    tax.exemption = {
+      buyer_id: buyer.id,
+      certificate_number: certificate.certificate_number,
+      state: rate.state
+    };
+  }
+
+  return addToTotal({ ...base, tax }, toCents(tax.amount));
+}
+
+/**
+ * Check and normalize an exemption certificate
+ * @param {Object} input - certificate_number, states, expires_at, status, notes
+ * @returns {Object} Certificate fields
+ * @throws {TaxError} If a field is missing or invalid
+ */
+function parseCertificate(input) {
+  const errors = [];
+  const certificateNumber = String(input.certificate_number || '').trim();
+  const states = (Array.isArray(input.states) ? input.states : [input.states])
+    .filter(Boolean)
+    .map(state => String(state).trim().toUpperCase());
+  const status = input.status || 'pending';
+
+  if (!certificateNumber) {
+    errors.push({ field: 'certificate_number', message: 'is required' });
+  }
+  if (states.length === 0 || states.some(state => !/^[A-Z]{2}$/.test(state))) {
+    errors.push({ field: 'states', message: 'must list the 2-letter states the certificate covers' });
+  }
+  if (!CERTIFICATE_STATUSES.includes(status)) {
+    errors.push({ field: 'status', message: `must be one of: ${CERTIFICATE_STATUSES.join(', ')}` });
+  }
+  if (input.expires_at && isNaN(new Date(input.expires_at).getTime())) {
+    errors.push({ field: 'expires_at', message: 'must be a date' });
+  }
+
+  if (errors.length > 0) {
+    throw new TaxError('Invalid exemption certificate', 'INVALID_CERTIFICATE', { errors });
+  }
+
+  return {
+    certificate_number: certificateNumber,
+    states: [...new Set(states)],
+    expires_at: input.expires_at ? new Date(input.expires_at).toISOString() : null,
+    status,
+    notes: input.notes ? String(input.notes).trim() : undefined
+  };
+}
+
+/**
+ * Record or update a buyer's exemption certificate
+ * Marking it verified records who checked it and when.
+ * @param {string} buyerId - Buyer id
+ * @param {Object} input - certificate_number, states, expires_at, status, notes
+ * @param {string} user - Admin recording it
+ * @returns {Object} Updated buyer
+ * @throws {TaxError} If the certificate is invalid or the buyer doesn't exist
+ */
+async function setTaxExemption(buyerId, input, user) {
+  const certificate = parseCertificate(input);
+  const now = new Date().toISOString();
+
+  const buyer = await fileManager.update('buyers.json', (buyersData) => {
+    const existing = (buyersData.buyers || []).find(b => b.id === buyerId);
+
+    if (!existing) {
+      return null;
+    }
+
+    const previous = existing.tax_exemption || {};
+    const sameCertificate = previous.certificate_number === certificate.certificate_number;
+
+    existing.tax_exemption = {
+      ...certificate,
+      recorded_at: sameCertificate && previous.recorded_at ? previous.recorded_at : now,
+      recorded_by: sameCertificate && previous.recorded_by ? previous.recorded_by : user
+    };
+    if (certificate.notes === undefined) {
+      delete existing.tax_exemption.notes;
+    }
+    if (certificate.status === 'verified') {
+      existing.tax_exemption.verified_at = sameCertificate && previous.verified_at ? previous.verified_at : now;
+      existing.tax_exemption.verified_by = sameCertificate && previous.verified_by ? previous.verified_by : user;
+    }
+
+    existing.updated_at = now;
+    existing.updated_by = user;
+    return existing;
+  });
+
+  if (!buyer) {
+    throw new TaxError('Buyer not found', 'BUYER_NOT_FOUND');
+  }
+
+  await ActivityLogger.logBuyerActivity(buyer, 'tax_exemption_updated', user);
+  winston.info(`Tax exemption certificate ${certificate.certificate_number} ${certificate.status} for buyer ${buyerId}`);
+
+  return buyer;
+}
+
+/**
+ * Remove a buyer's exemption certificate; orders keep the exemptions they were given
+ * @param {string} buyerId - Buyer id
+ * @param {string} user - Admin removing it
+ * @returns {Object} Updated buyer
+ * @throws {TaxError} If the buyer doesn't exist
+ */
+async function removeTaxExemption(buyerId, user) {
+  const buyer = await fileManager.update('buyers.json', (buyersData) => {
+    const existing = (buyersData.buyers || []).find(b => b.id === buyerId);
+
+    if (!existing) {
+      return null;
+    }
+
+    delete existing.tax_exemption;
+    existing.updated_at = new Date().toISOString();
+    existing.updated_by = user;
+    return existing;
+  });
+
+  if (!buyer) {
+    throw new TaxError('Buyer not found', 'BUYER_NOT_FOUND');
+  }
+
+  await ActivityLogger.logBuyerActivity(buyer, 'tax_exemption_removed', user);
+  return buyer;
+}
+
+module.exports = {
+  TaxError,
+  CERTIFICATE_STATUSES,
+  getTaxSettings,
+  saveTaxSettings,
+  findRate,
+  findExemption,
+  applyTax,
+  removeTax,
+  setTaxExemption,
+  removeTaxExemption
+};
@@ -0,0 +1,221 @@
+/**
+ * Record Validator
+ * Validates data file records against the JSON Schemas in schemas/
+ *
+ * FileManager validates every added or changed record before writing.
+ * To check existing files:
+ *   node utils/validator.js                          # API data directory
+ *   node utils/validator.js --data-dir ../src/_data  # another directory
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { sharedSchemas, getFileSchema, FILE_SCHEMAS } = require('../schemas');
+const { getCollection, toEntries } = require('./storage/collections');
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+sharedSchemas.forEach(schema => ajv.addSchema(schema));
+
+/**
+ * Validation failure with field-level errors
+ * Routes answer with error.toJSON() and status 400.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array} errors - Field errors ({ entity, record_id, field, message })
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: 'VALIDATION_ERROR',
+      errors: this.errors
+    };
+  }
+}
+
+/**
+ * Convert an Ajv error to a field-level error
+ * @param {Object} error - Ajv error
+ * @returns {Object} { field, message }
+ */
+function formatError(error) {
+  const path = error.instancePath.split('/').filter(Boolean);
+
+  if (error.keyword === 'required') {
+    path.push(error.params.missingProperty);
+    return { field: path.join('.'), message: 'is required' };
+  }
+
+  if (error.keyword === 'additionalProperties') {
+    path.push(error.params.additionalProperty);
+    return { field: path.join('.'), message: 'is not an allowed field' };
+  }
+
+  if (error.keyword === 'enum') {
+    return {
+      field: path.join('.') || null,
+      message: `must be one of: ${error.params.allowedValues.join(', ')}`
+    };
+  }
+
+  return { field: path.join('.') || null, message: error.message };
+}
+
+/**
+ * Validate a single record
+ * @param {string} filename - Name of the data file
+ * @param {string} id - Record id
+ * @param {*} record - Record to validate
+ * @returns {Array} Field errors (empty when valid)
+ */
+function validateRecord(filename, id, record) {
+  const fileSchema = getFileSchema(filename);
+  if (!fileSchema) {
+    return [];
+  }
+
+  const validate = ajv.getSchema(fileSchema.schemaFor(id).$id) || ajv.compile(fileSchema.schemaFor(id));
+  if (validate(record)) {
+    return [];
+  }
+
+  return validate.errors.map(error => ({
+    entity: fileSchema.entity,
+    record_id: id,
+    ...formatError(error)
+  }));
+}
+
+/**
+ * Get the records of a data file to validate
+ * Files without a record collection (settings documents) are one record keyed by filename.
+ * @param {string} filename - Name of the data file
+ * @param {Object|null} data - File contents
+ * @returns {Array} { id, record } entries
+ */
+function getEntries(filename, data) {
+  if (!data) {
+    return [];
+  }
+
+  const collection = getCollection(filename);
+  return collection ? toEntries(collection, data[collection.key]) : [{ id: filename, record: data }];
+}
+
+/**
+ * Validate the records that were added or changed by a write
+ * Untouched records are not re-validated, so legacy data never blocks
+ * unrelated writes.
+ * @param {string} filename - Name of the data file
+ * @param {Object|null} before - Current file contents
+ * @param {Object} after - Contents about to be written
+ * @throws {ValidationError} If any added or changed record is invalid
+ */
+function validateChanges(filename, before, after) {
+  if (!getFileSchema(filename)) {
+    return;
+  }
+
+  const previous = new Map(
+    getEntries(filename, before).map(entry => [entry.id, JSON.stringify(entry.record)])
+  );
+
+  const errors = [];
+  getEntries(filename, after).forEach(({ id, record }) => {
+    if (previous.get(id) === JSON.stringify(record)) {
+      return;
+    }
+    errors.push(...validateRecord(filename, id, record));
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid ${getFileSchema(filename).entity} data`, errors);
+  }
+}
+
+/**
+ * Validate every record in a data file
+ * @param {string} filename - Name of the data file
+ * @param {Object} data - File contents
+ * @returns {Object} { filename, records, invalid, errors }
+ */
+function validateFile(filename, data) {
+  const entries = getEntries(filename, data);
+
+  const errors = [];
+  const invalidIds = new Set();
+  entries.forEach(({ id, record }) => {
+    const recordErrors = validateRecord(filename, id, record);
+    if (recordErrors.length > 0) {
+      invalidIds.add(id);
+      errors.push(...recordErrors);
+    }
+  });
+
+  return {
+    filename,
+    records: entries.length,
+    invalid: invalidIds.size,
+    errors
+  };
+}
+
+/**
+ * Get the data files that have schemas
+ * @returns {Array} Filenames
+ */
+function getValidatedFiles() {
+  return Object.keys(FILE_SCHEMAS);
+}
+
+// Run if called directly
+if (require.main === module) {
+  const path = require('path');
+  const args = process.argv.slice(2);
+  const dataDirIndex = args.indexOf('--data-dir');
+
+  const readJSON = dataDirIndex !== -1
+    ? (() => {
+      const { JsonFileAdapter } = require('./storage');
+      const adapter = new JsonFileAdapter({ dataDir: path.resolve(args[dataDirIndex + 1] || '.') });
+      return filename => adapter.read(filename);
+    })()
+    : filename => require('./file-manager').readJSON(filename);
+
+  (async () => {
+    const results = [];
+    for (const filename of getValidatedFiles()) {
+      const data = await readJSON(filename);
+      if (data) {
+        results.push(validateFile(filename, data));
+      }
+    }
+    return results;
+  })()
+    .then(results => {
+      console.log(JSON.stringify(results, null, 2));
+      process.exit(results.some(result => result.invalid > 0) ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Validation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ValidationError,
+  validateRecord,
+  validateChanges,
+  validateFile,
+  getValidatedFiles
+};
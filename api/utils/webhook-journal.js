@@ -0,0 +1,217 @@
+/**
+ * Webhook Journal
+ * Stores every received payment webhook event with its signature check,
+ * processing outcome and order, so failed events can be inspected and replayed
+ *
+ * An event id that was already processed (or is being processed) is a
+ * duplicate and is ignored. A redelivery of a failed event is processed
+ * again, like a replay.
+ *
+ * Requests that fail the signature check can come from anyone, so only
+ * their size and error are kept, and only the latest few hundred of them.
+ */
+
+const winston = require('winston');
+const config = require('../config/environment');
+const fileManager = require('./file-manager');
+const ActivityLogger = require('./activity-logger');
+const { handlePaymentEvent, getPaymentIntentId } = require('./payment-events');
+const { findOrderForPayment } = require('./payment-orders');
+
+const EVENTS_FILE = 'webhook-events.json';
+
+// An event left in processing this long was interrupted (e.g. by a restart) and may be replayed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Get the size of a request body
+ * @param {Buffer|string|Object} rawBody - Request body
+ * @returns {number} Size in bytes
+ */
+function getBodySize(rawBody) {
+  if (!rawBody) {
+    return 0;
+  }
+
+  if (!Buffer.isBuffer(rawBody) && typeof rawBody === 'object') {
+    return Buffer.byteLength(JSON.stringify(rawBody));
+  }
+
+  return Buffer.byteLength(rawBody);
+}
+
+/**
+ * Check whether an event can be processed again
+ * @param {Object} entry - Journal entry
+ * @returns {boolean} True if the entry may be replayed now
+ */
+function isReplayable(entry) {
+  if (entry.status === 'rejected') {
+    return false;
+  }
+
+  if (entry.status === 'processing') {
+    return Date.now() - new Date(entry.processing_started_at).getTime() > STALE_PROCESSING_MS;
+  }
+
+  return true;
+}
+
+/**
+ * Record a received webhook
+ * @param {Object} params - Received webhook
+ * @param {Object|null} params.event - Verified event, or null if verification failed
+ * @param {Buffer|string} params.rawBody - Request body, only measured when verification failed
+ * @param {string|null} params.signatureError - Why verification failed
+ * @param {string} params.provider - Payment provider name
+ * @returns {Object} { entry, duplicate } - duplicate is true if the event must not be processed again
+ */
+async function recordEvent({ event, rawBody, signatureError = null, provider }) {
+  const now = new Date();
+
+  return fileManager.update(EVENTS_FILE, (eventsData) => {
+    const cutoff = now.getTime() - config.webhooks.retentionDays * 24 * 60 * 60 * 1000;
+
+    // Forget old events
+    eventsData.events = (eventsData.events || []).filter(entry => new Date(entry.received_at).getTime() >= cutoff);
+
+    // Keep room for one more rejected request by dropping the oldest ones
+    if (!event) {
+      const rejected = eventsData.events.filter(entry => entry.status === 'rejected');
+      const excess = new Set(rejected.slice(0, Math.max(0, rejected.length - config.webhooks.maxRejectedEvents + 1)));
+      eventsData.events = eventsData.events.filter(entry => !excess.has(entry));
+    }
+
+    if (event) {
+      const existing = eventsData.events.find(entry => entry.signature_valid && entry.event_id === event.id);
+
+      if (existing) {
+        existing.duplicate_count = (existing.duplicate_count || 0) + 1;
+        existing.last_received_at = now.toISOString();
+
+        if (existing.status !== 'failed') {
+          return { entry: existing, duplicate: true };
+        }
+
+        // The provider is retrying an event we failed to process
+        existing.status = 'processing';
+        existing.processing_started_at = now.toISOString();
+        return { entry: existing, duplicate: false };
+      }
+    }
+
+    const entry = {
+      id: `WHE-${now.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+      event_id: event ? event.id : null,
+      type: event ? event.type : null,
+      provider,
+      signature_valid: Boolean(event),
+      signature_error: signatureError,
+      status: event ? 'processing' : 'rejected',
+      payment_intent_id: event ? getPaymentIntentId(event) : null,
+      order_id: null,
+      payload: event,
+      ...(event ? {} : { payload_size: getBodySize(rawBody) }),
+      attempts: [],
+      error: null,
+      duplicate_count: 0,
+      received_at: now.toISOString(),
+      processing_started_at: now.toISOString()
+    };
+    eventsData.events.push(entry);
+
+    return { entry, duplicate: false };
+  });
+}
+
+/**
+ * Apply a recorded event and store the outcome
+ * @param {string} entryId - Journal entry id
+ * @param {Object} event - Verified event
+ * @param {string} actor - 'webhook' or the admin replaying it
+ * @returns {Object} Updated journal entry
+ */
+async function processEvent(entryId, event, actor = 'webhook') {
+  let outcome = 'processed';
+  let errorMessage = null;
+
+  try {
+    const handled = await handlePaymentEvent(event);
+    if (!handled) {
+      outcome = 'skipped';
+    }
+  } catch (error) {
+    outcome = 'failed';
+    errorMessage = error.message;
+    winston.error(`Webhook event ${event.id} (${event.type}) failed:`, error);
+  }
+
+  const paymentIntentId = getPaymentIntentId(event);
+  const order = paymentIntentId ? await findOrderForPayment(paymentIntentId, { includeBalance: true }) : null;
+
+  return fileManager.update(EVENTS_FILE, (eventsData) => {
+    const entry = (eventsData.events || []).find(e => e.id === entryId);
+    if (!entry) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    entry.status = outcome;
+    entry.error = errorMessage;
+    entry.order_id = order ? order.id : entry.order_id;
+    entry.attempts.push({
+      attempted_at: now,
+      attempted_by: actor,
+      outcome,
+      error: errorMessage
+    });
+    if (outcome !== 'failed') {
+      entry.processed_at = now;
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Process a recorded event again
+ * @param {string} entryId - Journal entry id
+ * @param {string} user - Admin replaying the event
+ * @returns {Object|null} Updated entry, or null if it doesn't exist or can't be replayed
+ */
+async function replayEvent(entryId, user) {
+  const entry = await fileManager.update(EVENTS_FILE, (eventsData) => {
+    const existing = (eventsData.events || []).find(e => e.id === entryId);
+    if (!existing || !isReplayable(existing)) {
+      return null;
+    }
+
+    existing.status = 'processing';
+    existing.processing_started_at = new Date().toISOString();
+    return existing;
+  });
+
+  if (!entry) {
+    return null;
+  }
+
+  winston.info(`Replaying webhook event ${entry.event_id} (${entry.type}) for ${user}`);
+
+  const result = await processEvent(entry.id, entry.payload, user);
+
+  await ActivityLogger.logAdminActivity(
+    'webhook_replayed',
+    `Webhook event ${entry.event_id} (${entry.type}) replayed: ${result.status}`,
+    user,
+    { webhook_event_id: entry.id, event_id: entry.event_id, order_id: result.order_id, outcome: result.status }
+  );
+
+  return result;
+}
+
+module.exports = {
+  recordEvent,
+  processEvent,
+  replayEvent,
+  isReplayable
+};
@@ -18,7 +18,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 html += `<tr>
                     <td>${pack.name || 'Unnamed'}</td>
                     <td>$${pack.price || 0}</td>
-                    <td>${pack.units || 0}</td>
+                    <td>${pack.number_of_units || pack.units || 0}</td>
                     <td><span class="status-badge active">Active</span></td>
                     <td>
                         <button class="btn btn-small" onclick="editPack('${pack.id}')">Edit</button>
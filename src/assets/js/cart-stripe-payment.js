@@ -9,6 +9,7 @@ class CartStripePayment {
         this.elements = null;
         this.paymentElement = null;
         this.paymentIntentId = null;
+        this.clientSecret = null;
         this.cartData = null;
         this.customerData = null;
     }
@@ -19,12 +20,6 @@ class CartStripePayment {
                 return true;
             }
 
-            // Check if Stripe is loaded
-            if (typeof Stripe === 'undefined') {
-                console.error('Stripe.js not loaded');
-                return false;
-            }
-
             // Get Stripe publishable key from API
             const configResponse = await fetch('http://localhost:3001/api/payments/config');
             const config = await configResponse.json();
@@ -33,6 +28,19 @@ class CartStripePayment {
                 throw new Error('Failed to get Stripe configuration');
             }
             
+            // Offline payments for tests and demos
+            if (config.provider === 'fake') {
+                this.stripe = new FakeStripe('http://localhost:3001/api', config.test_payment_methods);
+                console.log('Using simulated payments');
+                return true;
+            }
+            
+            // Check if Stripe is loaded
+            if (typeof Stripe === 'undefined') {
+                console.error('Stripe.js not loaded');
+                return false;
+            }
+            
             // Initialize Stripe with publishable key
             this.stripe = Stripe(config.publishable_key);
             
@@ -57,12 +65,13 @@ class CartStripePayment {
             // Calculate total amount
             const totalAmount = cartData.reduce((total, item) => total + (item.price * item.quantity), 0);
 
-            // Create payment intent for cart
+            // Create payment intent for cart, priced with the shipping method and destination from the form
             const requestData = {
                 cart_items: cartData,
                 customer_email: customerData.email,
                 customer_name: customerData.name,
-                amount: totalAmount
+                amount: totalAmount,
+                ...customerData.details
             };
 
             console.log('Creating cart payment intent with data:', requestData);
@@ -79,10 +88,11 @@ class CartStripePayment {
             console.log('Payment intent response:', result);
 
             if (!result.success) {
-                throw new Error(result.error || 'Failed to create payment intent');
+                throw new Error(window.checkoutDetails.formatErrors(result));
             }
 
             this.paymentIntentId = result.payment_intent_id;
+            this.clientSecret = result.client_secret;
 
             // Create Elements
             this.elements = this.stripe.elements({
@@ -110,6 +120,7 @@ class CartStripePayment {
                 throw new Error(`Container with id '${containerId}' not found`);
             }
 
+            container.innerHTML = '';
             this.paymentElement.mount(container);
 
             console.log('Cart payment form created successfully');
@@ -117,6 +128,7 @@ class CartStripePayment {
 
         } catch (error) {
             console.error('Error creating cart payment form:', error);
+            this.showError(error.message || 'Failed to create payment form. Please try again.');
             return false;
         }
     }
@@ -126,17 +138,25 @@ class CartStripePayment {
         const paymentError = document.getElementById('payment-error');
         const paymentSuccess = document.getElementById('payment-success');
 
-        if (!this.stripe || !this.paymentElement) {
-            this.showError('Payment system not initialized');
-            return;
-        }
-
         // Show loading state
         paymentButton.disabled = true;
         paymentButton.classList.add('loading');
         paymentButton.textContent = 'Processing...';
 
         try {
+            // The payment is created once the shipping method and address are known
+            if (!this.paymentElement) {
+                if (await this.createCartPaymentForm('payment-element', this.cartData, this.customerData)) {
+                    this.showSuccess('Enter your payment details, then click Complete Payment.');
+                }
+                return;
+            }
+
+            // Store the buyer's contact details and addresses with the payment before charging the card
+            if (this.customerData && this.customerData.details) {
+                await window.checkoutDetails.save('http://localhost:3001/api', this.paymentIntentId, this.clientSecret, this.customerData);
+            }
+
             // Confirm payment
             const { error, paymentIntent } = await this.stripe.confirmPayment({
                 elements: this.elements,
@@ -158,12 +178,12 @@ class CartStripePayment {
 
         } catch (error) {
             console.error('Payment processing error:', error);
-            this.showError('An unexpected error occurred. Please try again.');
+            this.showError(error.message || 'An unexpected error occurred. Please try again.');
         } finally {
             // Reset button state
             paymentButton.disabled = false;
             paymentButton.classList.remove('loading');
-            paymentButton.textContent = 'Complete Payment';
+            paymentButton.textContent = this.paymentElement ? 'Complete Payment' : 'Continue to Payment';
         }
     }
 
@@ -203,6 +223,48 @@ class CartStripePayment {
         }
     }
 
+    async placeInvoiceOrder({ email, name, accountCode, poNumber, details }) {
+        const invoiceButton = document.getElementById('invoice-button');
+        invoiceButton.disabled = true;
+        invoiceButton.textContent = 'Placing order...';
+
+        try {
+            // Approved wholesale buyers order on net terms without a card
+            const response = await fetch('http://localhost:3001/api/payments/invoice-order', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    cart_items: this.cartData,
+                    customer_email: email,
+                    customer_name: name,
+                    account_code: accountCode,
+                    po_number: poNumber,
+                    ...details,
+                    amount: this.cartData.reduce((total, item) => total + (item.price * item.quantity), 0)
+                })
+            });
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(window.checkoutDetails.formatErrors(result));
+            }
+
+            localStorage.setItem('kv-garage-last-order', JSON.stringify(result.order));
+            localStorage.removeItem('kv-garage-cart');
+            window.location.href = `/cart-checkout-success/?order_id=${result.order.id}`;
+
+        } catch (error) {
+            console.error('Invoice order error:', error);
+            this.showError(error.message);
+        } finally {
+            invoiceButton.disabled = false;
+            invoiceButton.textContent = 'Place Order on Invoice';
+        }
+    }
+
     showError(message) {
         const paymentError = document.getElementById('payment-error');
         if (paymentError) {
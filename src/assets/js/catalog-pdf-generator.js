@@ -208,8 +208,8 @@ class CatalogPDFGenerator {
       const packDetails = [
         `Price: $${pack.price.toFixed(2)}`,
         `Deposit: $${pack.deposit_price.toFixed(2)}`,
-        `Units: ${pack.units}`,
-        `Resale Estimate: ${pack.resale_estimate}`,
+        `Units: ${pack.number_of_units || pack.units}`,
+        `Resale Estimate: ${pack.estimated_resale_value || pack.resale_estimate}`,
         `Available: ${pack.available_quantity}`,
         `Status: ${pack.status.toUpperCase()}`
       ];
@@ -0,0 +1,275 @@
+/**
+ * Checkout Details
+ * Reads the business name, phone, shipping / billing address and shipping
+ * method fields of the checkout pages and saves them for the payment before
+ * the card is charged. Shows the shipping charge and the sales tax estimate
+ * for the destination.
+ */
+
+class CheckoutDetails {
+    constructor() {
+        this.addressFields = ['line1', 'line2', 'city', 'state', 'postal_code', 'country'];
+        this.shippingOptions = [];
+        this.tax = null;
+        this.taxRequest = 0;
+    }
+
+    // Show the billing address fields only when it differs from the shipping address
+    bindBillingToggle() {
+        const checkbox = document.getElementById('billing-same');
+        const billingFields = document.getElementById('billing-address-fields');
+        if (!checkbox || !billingFields) {
+            return;
+        }
+
+        const update = () => {
+            billingFields.style.display = checkbox.checked ? 'none' : 'block';
+        };
+        checkbox.addEventListener('change', update);
+        update();
+    }
+
+    // Offer the shipping methods for the destination; getOrder returns { pack_id, payment_type } or { cart_items }
+    // onChange(shipping, tax) runs whenever the shipping choice or the tax estimate changes
+    bindShippingOptions(apiBaseUrl, getOrder, onChange) {
+        const container = document.getElementById('shipping-options');
+        if (!container) {
+            return;
+        }
+        this.apiBaseUrl = apiBaseUrl;
+        this.getOrder = getOrder;
+        this.onChange = onChange;
+
+        const load = async () => {
+            try {
+                const response = await fetch(`${apiBaseUrl}/shipping/options`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        ...getOrder(),
+                        shipping_address: this.readAddress('ship')
+                    })
+                });
+                const result = await response.json();
+                this.renderShippingOptions(result.success ? result.options : []);
+            } catch (error) {
+                console.error('Failed to load shipping options:', error);
+            }
+        };
+
+        ['ship-state', 'ship-country'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', load);
+            }
+        });
+        // The ZIP code picks local tax rates and the account code a buyer's exemption
+        ['ship-postal-code', 'account-code', 'customer-email'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.estimateTax());
+            }
+        });
+        load();
+    }
+
+    renderShippingOptions(options) {
+        const container = document.getElementById('shipping-options');
+        const selected = this.getSelectedShipping();
+        this.shippingOptions = options;
+
+        if (options.length === 0) {
+            container.innerHTML = '<p class="shipping-hint">Enter your shipping address to see shipping options</p>';
+        } else {
+            container.innerHTML = options.map(option => `
+                <label class="checkbox-label shipping-option">
+                    <input type="radio" name="shipping-method" value="${option.method}" ${selected && selected.method === option.method ? 'checked' : ''} />
+                    <span>
+                        ${option.name} - ${option.amount > 0 ? `$${option.amount.toFixed(2)}` : 'Free'}
+                        ${option.location ? `<small>${option.location}</small>` : ''}
+                    </span>
+                </label>
+            `).join('');
+            container.querySelectorAll('input[name="shipping-method"]').forEach(input => {
+                input.addEventListener('change', () => this.showShippingLine());
+            });
+        }
+        this.showShippingLine();
+    }
+
+    getSelectedShipping() {
+        const input = document.querySelector('input[name="shipping-method"]:checked');
+        return input ? this.shippingOptions.find(option => option.method === input.value) || null : null;
+    }
+
+    // Show the shipping charge as its own line next to the order total
+    showShippingLine() {
+        const line = document.getElementById('shipping-line');
+        const option = this.getSelectedShipping();
+        if (!line) {
+            return;
+        }
+
+        line.textContent = option
+            ? `Shipping (${option.name}): ${option.amount > 0 ? `$${option.amount.toFixed(2)}` : 'Free'}`
+            : '';
+        line.style.display = option ? 'block' : 'none';
+        this.estimateTax();
+    }
+
+    // Estimate the sales tax for the destination and shipping method, then update the totals
+    async estimateTax() {
+        const shipping = this.getSelectedShipping();
+        const request = ++this.taxRequest;
+        let tax = null;
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/tax/estimate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    ...this.getOrder(),
+                    customer_email: this.readValue('customer-email'),
+                    account_code: this.readValue('account-code'),
+                    shipping_address: this.readAddress('ship'),
+                    shipping_method: shipping ? shipping.method : undefined
+                })
+            });
+            const result = await response.json();
+            tax = result.success ? result.tax : null;
+        } catch (error) {
+            console.error('Failed to estimate tax:', error);
+        }
+
+        // A newer estimate was started while this one was loading
+        if (request !== this.taxRequest) {
+            return;
+        }
+        this.tax = tax;
+        this.showTaxLine();
+        if (this.onChange) {
+            this.onChange(shipping, tax);
+        }
+    }
+
+    // Show the sales tax as its own line next to the order total
+    showTaxLine() {
+        const line = document.getElementById('tax-line');
+        if (!line) {
+            return;
+        }
+
+        if (!this.tax) {
+            line.textContent = '';
+        } else if (this.tax.exempt) {
+            line.textContent = `Sales tax: exempt (certificate ${this.tax.exemption.certificate_number})`;
+        } else {
+            line.textContent = `Sales tax (${this.tax.rate}%): $${this.tax.amount.toFixed(2)}`;
+        }
+        line.style.display = this.tax ? 'block' : 'none';
+    }
+
+    readValue(id) {
+        const input = document.getElementById(id);
+        return input && input.value.trim() ? input.value.trim() : undefined;
+    }
+
+    readAddress(prefix) {
+        const address = {};
+        this.addressFields.forEach(field => {
+            const input = document.getElementById(`${prefix}-${field.replace('_', '-')}`);
+            if (input && input.value.trim()) {
+                address[field] = input.value.trim();
+            }
+        });
+        return address;
+    }
+
+    // Request fields understood by /api/payments/checkout-details and /invoice-order
+    read() {
+        const billingSame = document.getElementById('billing-same').checked;
+
+        return {
+            business_name: document.getElementById('business-name').value.trim(),
+            phone: document.getElementById('customer-phone').value.trim(),
+            shipping_address: this.readAddress('ship'),
+            billing_same_as_shipping: billingSame,
+            billing_address: billingSame ? undefined : this.readAddress('bill'),
+            shipping_method: this.getSelectedShipping() ? this.getSelectedShipping().method : undefined,
+            // Resellers enter their account code to apply their exemption certificate
+            account_code: this.readValue('account-code')
+        };
+    }
+
+    // Quick check before calling the API, which validates the details in full
+    getMissingFields(details) {
+        const missing = [];
+        const shipping = this.getSelectedShipping();
+        // Local pickup needs no shipping address, but still a billing address
+        const pickup = shipping && shipping.type === 'pickup' && !details.shipping_address.line1;
+
+        if (!details.phone) {
+            missing.push('phone');
+        }
+        if (this.shippingOptions.length > 0 && !shipping) {
+            missing.push('shipping method');
+        }
+        if (!pickup) {
+            ['line1', 'city', 'postal_code'].forEach(field => {
+                if (!details.shipping_address[field]) {
+                    missing.push(`shipping ${field.replace('_', ' ')}`);
+                }
+            });
+        } else if (details.billing_same_as_shipping) {
+            missing.push('billing address');
+        }
+        if (!details.billing_same_as_shipping) {
+            ['line1', 'city', 'postal_code'].forEach(field => {
+                if (!details.billing_address[field]) {
+                    missing.push(`billing ${field.replace('_', ' ')}`);
+                }
+            });
+        }
+        return missing;
+    }
+
+    // Turn the API's field errors into one message
+    formatErrors(result) {
+        if (!Array.isArray(result.errors) || result.errors.length === 0) {
+            return result.error || 'Please check your contact details and addresses';
+        }
+        return result.errors
+            .map(error => `${error.field.replace(/_/g, ' ').replace('.', ': ')} ${error.message}`)
+            .join('; ');
+    }
+
+    // Returns the saved details with the shipping and tax lines and the new amount to pay
+    // The PaymentIntent's client secret shows the API this is the buyer's own checkout
+    async save(apiBaseUrl, paymentIntentId, clientSecret, customer) {
+        const response = await fetch(`${apiBaseUrl}/payments/checkout-details`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                payment_intent_id: paymentIntentId,
+                client_secret: clientSecret,
+                customer_email: customer.email,
+                customer_name: customer.name,
+                ...customer.details
+            })
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(this.formatErrors(result));
+        }
+        return result;
+    }
+}
+
+window.checkoutDetails = new CheckoutDetails();
@@ -0,0 +1,93 @@
+/**
+ * Fake Stripe.js
+ * Stands in for Stripe.js when the API runs with PAYMENT_PROVIDER=fake,
+ * so checkout can be demoed offline. Implements only the calls our
+ * payment scripts make: elements(), confirmPayment() and retrievePaymentIntent().
+ */
+
+class FakeStripe {
+    constructor(apiBaseUrl, testPaymentMethods) {
+        this.apiBaseUrl = apiBaseUrl;
+        this.testPaymentMethods = testPaymentMethods || ['pm_card_visa'];
+    }
+
+    elements({ clientSecret }) {
+        const stripe = this;
+
+        return {
+            clientSecret,
+            paymentMethod: null,
+            create() {
+                const elements = this;
+                return {
+                    mount(target) {
+                        const container = typeof target === 'string' ? document.querySelector(target) : target;
+                        const options = stripe.testPaymentMethods
+                            .map(method => `<option value="${method}">${method}</option>`)
+                            .join('');
+
+                        container.innerHTML = `
+                            <label for="fake-payment-method">Test payment method (payments are simulated)</label>
+                            <select id="fake-payment-method">${options}</select>
+                        `;
+                        elements.paymentMethod = container.querySelector('select');
+                    }
+                };
+            }
+        };
+    }
+
+    async request(path, body) {
+        const response = await fetch(`${this.apiBaseUrl}/payments/fake/${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    }
+
+    async confirmPayment({ elements }) {
+        const clientSecret = elements.clientSecret;
+        const id = clientSecret.split('_secret_')[0];
+        const paymentMethod = elements.paymentMethod ? elements.paymentMethod.value : 'pm_card_visa';
+
+        let result = await this.request(`${id}/confirm`, {
+            client_secret: clientSecret,
+            payment_method: paymentMethod
+        });
+
+        // Simulated 3D Secure challenge
+        if (result.success && result.payment_intent.status === 'requires_action') {
+            const approve = window.confirm('Simulated 3D Secure: approve this payment?');
+            result = await this.request(`${id}/authenticate`, {
+                client_secret: clientSecret,
+                approve
+            });
+        }
+
+        if (!result.success) {
+            return {
+                error: { code: result.code, message: result.error },
+                paymentIntent: result.payment_intent
+            };
+        }
+
+        return { paymentIntent: result.payment_intent };
+    }
+
+    async retrievePaymentIntent(clientSecret) {
+        const id = clientSecret.split('_secret_')[0];
+        const response = await fetch(`${this.apiBaseUrl}/payments/fake/${id}?client_secret=${encodeURIComponent(clientSecret)}`);
+        const result = await response.json();
+
+        if (!result.success) {
+            return { error: { code: result.code, message: result.error } };
+        }
+
+        return { paymentIntent: result.payment_intent };
+    }
+}
+
+window.FakeStripe = FakeStripe;
@@ -9,6 +9,7 @@ class StripePayment {
         this.elements = null;
         this.paymentElement = null;
         this.paymentIntentId = null;
+        this.clientSecret = null;
         this.isProcessing = false;
         
         this.init();
@@ -30,6 +31,12 @@ class StripePayment {
                 const configResponse = await fetch(`${apiBaseUrl}/payments/config`);
                 const config = await configResponse.json();
                 
+                // Offline payments for tests and demos
+                if (config.success && config.provider === 'fake') {
+                    this.stripe = new FakeStripe(apiBaseUrl, config.test_payment_methods);
+                    return true;
+                }
+                
                 if (config.success && config.publishable_key) {
                     publishableKey = config.publishable_key;
                 }
@@ -74,12 +81,14 @@ class StripePayment {
                 }
             }
             
-            // Create payment intent
+            // Create payment intent, priced with the shipping method and destination from the form
             const requestData = {
                 pack_id: packData.id,
                 customer_email: customerData.email,
                 customer_name: customerData.name,
-                amount: packData.price
+                amount: packData.price,
+                payment_type: packData.payment_type || 'full',
+                ...customerData.details
             };
             
             
@@ -95,10 +104,11 @@ class StripePayment {
             
             
             if (!result.success) {
-                throw new Error(result.error || 'Failed to create payment intent');
+                throw new Error(window.checkoutDetails.formatErrors(result));
             }
             
             this.paymentIntentId = result.payment_intent_id;
+            this.clientSecret = result.client_secret;
             
             // Create Elements
             this.elements = this.stripe.elements({
@@ -133,7 +143,7 @@ class StripePayment {
             
         } catch (error) {
             console.error('Failed to create payment form:', error);
-            this.showError('Failed to create payment form. Please try again.');
+            this.showError(error.message || 'Failed to create payment form. Please try again.');
             return false;
         }
     }
@@ -147,8 +157,17 @@ class StripePayment {
         this.showProcessing(true);
         
         try {
-            if (!this.stripe || !this.elements) {
-                throw new Error('Payment form not initialized');
+            // The payment is created once the shipping method and address are known
+            if (!this.elements) {
+                if (await this.createPaymentForm('payment-element', this.packData, this.customerData)) {
+                    this.showSuccess('Enter your payment details, then click Complete Payment.');
+                }
+                return;
+            }
+            
+            // Store the buyer's contact details and addresses with the payment before charging the card
+            if (this.customerData && this.customerData.details) {
+                await window.checkoutDetails.save('http://localhost:3001/api', this.paymentIntentId, this.clientSecret, this.customerData);
             }
             
             // Check if payment intent is already succeeded
@@ -246,7 +265,7 @@ class StripePayment {
                 button.innerHTML = '<span class="spinner"></span> Processing...';
             } else {
                 button.disabled = false;
-                button.innerHTML = 'Complete Payment';
+                button.innerHTML = this.elements ? 'Complete Payment' : 'Continue to Payment';
             }
         }
     }